@@ -0,0 +1,41 @@
+// LZW compression of the timestamp archive.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript } = require('./load-script');
+
+const { lzwCompress, lzwDecompress } = loadScript();
+
+const roundTrip = (text) => lzwDecompress(lzwCompress(text));
+
+test('short and empty strings survive a round trip', () => {
+    ['', 'a', 'abababababab', '{"dQw4w9WgXcQ":{"time":212}}'].forEach(text => {
+        assert.equal(roundTrip(text), text);
+    });
+});
+
+test('non-ASCII titles survive a round trip', () => {
+    const text = JSON.stringify({ title: 'Ünïcödé — 日本語のタイトル 🎵🎶', channel: 'Ελληνικά' });
+    assert.equal(roundTrip(text), text);
+});
+
+test('an archive large enough to fill the dictionary survives a round trip', () => {
+    const entries = {};
+    for (let i = 0; i < 6000; i++) {
+        entries[`video${String(i).padStart(6, '0')}`] = { time: i * 7.5, savedAt: 1700000000000 + i, title: `Video ${i} ${(i * 2654435761 % 4294967296).toString(36)}` };
+    }
+    const text = JSON.stringify(entries);
+    const compressed = lzwCompress(text);
+
+    // Codes stop growing below the surrogate range so the string stays valid UTF-16
+    const highestCode = Math.max(...[...compressed].map(char => char.charCodeAt(0)));
+    assert.ok(highestCode > 0xD000 && highestCode < 0xD800);
+    assert.ok(compressed.length < text.length);
+    assert.equal(lzwDecompress(compressed), text);
+});
+
+test('a code past the dictionary is reported as corrupt', () => {
+    assert.throws(() => lzwDecompress('a' + String.fromCharCode(400)), /Corrupt archive data/);
+});
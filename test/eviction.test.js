@@ -0,0 +1,47 @@
+// The order in which each eviction policy gives up stored timestamps.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const timestamps = {
+    recentxxxxx: { time: 100, duration: 600, savedAt: 5000, createdAt: 1000 },
+    oldestxxxxx: { time: 100, duration: 600, savedAt: 1000, createdAt: 3000 },
+    finishedxxx: { time: 590, duration: 600, savedAt: 4000, createdAt: 4000, watched: true },
+    nearlyxxxxx: { time: 580, duration: 600, savedAt: 3000, createdAt: 2000 },
+    noduration_: { time: 10, savedAt: 2000, createdAt: 5000 },
+    pinnedxxxxx: { time: 100, duration: 600, savedAt: 500, createdAt: 500, pinned: true },
+    bookmarked_: { time: 100, duration: 600, savedAt: 600, createdAt: 600, bookmarks: [{ id: 'b', time: 5, name: 'Kept' }] }
+};
+
+const orderFor = (evictionPolicy, protectedId) => {
+    const { getEvictionOrder } = loadScript({ values: { ytTimestampSettings: { evictionPolicy } } });
+    return copy(getEvictionOrder(timestamps, protectedId));
+};
+
+test('least recent evicts by last save', () => {
+    assert.deepEqual(orderFor('least-recent'), ['oldestxxxxx', 'noduration_', 'nearlyxxxxx', 'finishedxxx', 'recentxxxxx']);
+});
+
+test('completed first evicts finished videos before the rest by last save', () => {
+    assert.deepEqual(orderFor('completed-first'), ['finishedxxx', 'oldestxxxxx', 'noduration_', 'nearlyxxxxx', 'recentxxxxx']);
+});
+
+test('shortest remaining puts unknown durations last', () => {
+    assert.deepEqual(orderFor('shortest-remaining'), ['finishedxxx', 'nearlyxxxxx', 'oldestxxxxx', 'recentxxxxx', 'noduration_']);
+});
+
+test('oldest created evicts by first save', () => {
+    assert.deepEqual(orderFor('oldest-created'), ['recentxxxxx', 'nearlyxxxxx', 'oldestxxxxx', 'finishedxxx', 'noduration_']);
+});
+
+test('an unknown policy falls back to least recent', () => {
+    assert.deepEqual(orderFor('random'), orderFor('least-recent'));
+});
+
+test('pinned, bookmarked and protected entries are never evicted', () => {
+    const order = orderFor('least-recent', 'oldestxxxxx');
+    ['pinnedxxxxx', 'bookmarked_', 'oldestxxxxx'].forEach(videoId => assert.equal(order.includes(videoId), false));
+});
@@ -0,0 +1,77 @@
+// Validating import files before anything is written.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const exportFile = (timestamps, extra = {}) => JSON.stringify({ app: 'youtube-timestamp-saver', schemaVersion: 2, timestamps, ...extra });
+
+const entry = (time, savedAt) => ({ time, savedAt, title: `Video at ${time}`, duration: 600, bookmarks: [] });
+
+test('files that are not usable exports are rejected with a readable reason', () => {
+    const { parseImportData } = loadScript();
+
+    assert.throws(() => parseImportData('{not json'), /not valid JSON/);
+    assert.throws(() => parseImportData(JSON.stringify({ app: 'something-else', schemaVersion: 2, timestamps: {} })), /not a YouTube Timestamp Saver export/);
+    assert.throws(() => parseImportData(JSON.stringify({ app: 'youtube-timestamp-saver', timestamps: {} })), /Unsupported export version/);
+    assert.throws(() => parseImportData(exportFile({}, { schemaVersion: 3 })), /Unsupported export version: 3/);
+    assert.throws(() => parseImportData(exportFile([])), /does not contain a timestamps object/);
+    assert.equal(parseImportData(exportFile({}, { schemaVersion: 1 })).schemaVersion, 1);
+});
+
+test('the preview skips invalid ids and entries with the reason', () => {
+    const { parseImportData, buildImportPreview } = loadScript();
+    const preview = buildImportPreview(parseImportData(exportFile({
+        tooShort: entry(10, 1000),
+        aaaaaaaaaaa: { ...entry(10, 1000), time: -1 },
+        bbbbbbbbbbb: { ...entry(10, 1000), savedAt: 'yesterday' },
+        ccccccccccc: { ...entry(10, 1000), bookmarks: [{ time: 5 }] },
+        ddddddddddd: { ...entry(10, 1000), watched: 'yes' },
+        eeeeeeeeeee: 'not an entry',
+        fffffffffff: entry(10, 1000)
+    })));
+
+    assert.deepEqual(copy(preview.skipped.map(({ videoId, reason }) => [videoId, reason])), [
+        ['tooShort', 'invalid video id'],
+        ['aaaaaaaaaaa', 'invalid time'],
+        ['bbbbbbbbbbb', 'invalid savedAt'],
+        ['ccccccccccc', 'invalid bookmark'],
+        ['ddddddddddd', 'invalid watched flag'],
+        ['eeeeeeeeeee', 'entry is not an object']
+    ]);
+    assert.deepEqual(copy(preview.added.map(({ videoId }) => videoId)), ['fffffffffff']);
+});
+
+test('the preview sorts valid entries against what is stored', () => {
+    const { parseImportData, buildImportPreview } = loadScript({
+        values: { timestamps: { aaaaaaaaaaa: entry(100, 2000), bbbbbbbbbbb: entry(100, 2000), ccccccccccc: entry(100, 2000) } }
+    });
+    const preview = buildImportPreview(parseImportData(exportFile({
+        aaaaaaaaaaa: entry(100, 2000),
+        bbbbbbbbbbb: entry(50, 1000),
+        ccccccccccc: entry(300, 3000),
+        ddddddddddd: entry(10, 1000)
+    })));
+
+    assert.deepEqual(copy(preview.added.map(({ videoId }) => videoId)), ['ddddddddddd']);
+    assert.deepEqual(copy(preview.overwritten.map(({ videoId, entry }) => [videoId, entry.time])), [['ccccccccccc', 300]]);
+    assert.deepEqual(copy(preview.skipped.map(({ videoId, reason }) => [videoId, reason])), [
+        ['aaaaaaaaaaa', 'already up to date'],
+        ['bbbbbbbbbbb', 'stored entry is newer']
+    ]);
+});
+
+test('imported entries keep only the known fields', () => {
+    const { parseImportData, buildImportPreview } = loadScript();
+    const preview = buildImportPreview(parseImportData(exportFile({
+        aaaaaaaaaaa: { ...entry(10, 1000), unexpected: true, bookmarks: [{ time: 5, name: 'Intro' }] }
+    })));
+    const imported = preview.added[0].entry;
+
+    assert.equal('unexpected' in imported, false);
+    assert.equal(imported.bookmarks[0].name, 'Intro');
+    assert.equal(typeof imported.bookmarks[0].id, 'string');
+    assert.equal(imported.bookmarks[0].createdAt, 1000);
+});
@@ -0,0 +1,76 @@
+// Loads the userscript into a Node vm with just enough of the page and the GM API for its
+// top-level code to run. The script sees `module` and hands back its internals instead of
+// starting on the page.
+'use strict';
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+const scriptPath = path.join(__dirname, '..', 'youtube-timestamp-saver.user.js');
+const script = new vm.Script(fs.readFileSync(scriptPath, 'utf8'), { filename: scriptPath });
+
+const copy = (value) => value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+const createElement = () => ({
+    style: { setProperty: () => {}, removeProperty: () => {} },
+    classList: { add: () => {}, remove: () => {}, toggle: () => {}, contains: () => false },
+    setAttribute: () => {},
+    appendChild: () => {},
+    addEventListener: () => {},
+    removeEventListener: () => {}
+});
+
+// values seeds the stored GM values, or is the Map they are kept in; gm replaces any GM_*
+// function, e.g. to pass writes on to other simulated tabs
+const loadScript = ({ values = {}, gm = {}, href = 'https://www.youtube.com/' } = {}) => {
+    const stored = values instanceof Map ? values : new Map(Object.entries(copy(values)));
+    const url = new URL(href);
+    const location = { href: url.href, origin: url.origin, host: url.host, hostname: url.hostname, pathname: url.pathname, search: url.search };
+    const window = {
+        location,
+        addEventListener: () => {},
+        removeEventListener: () => {},
+        matchMedia: () => ({ matches: false, addEventListener: () => {}, removeEventListener: () => {} })
+    };
+
+    const context = vm.createContext({
+        module: { exports: {} },
+        console: { log: () => {}, warn: () => {}, error: console.error, debug: () => {} },
+        // Pending flushes must not keep the test process alive
+        setTimeout: (callback, delay) => setTimeout(callback, delay).unref(),
+        clearTimeout,
+        setInterval: () => 0,
+        clearInterval: () => {},
+        URL,
+        TextEncoder,
+        TextDecoder,
+        window,
+        location,
+        navigator: { userAgent: 'node', language: 'en' },
+        document: {
+            visibilityState: 'visible',
+            documentElement: createElement(),
+            head: createElement(),
+            body: createElement(),
+            createElement,
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            addEventListener: () => {},
+            removeEventListener: () => {}
+        },
+        GM_getValue: (name, defaultValue) => stored.has(name) ? copy(stored.get(name)) : defaultValue,
+        GM_setValue: (name, value) => stored.set(name, copy(value)),
+        GM_addValueChangeListener: () => 0,
+        GM_removeValueChangeListener: () => {},
+        GM_addStyle: () => {},
+        GM_registerMenuCommand: () => {},
+        GM_notification: () => {},
+        ...gm
+    });
+
+    script.runInContext(context);
+    return { ...context.module.exports, values: stored };
+};
+
+module.exports = { loadScript, copy };
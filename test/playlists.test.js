@@ -0,0 +1,78 @@
+// Playlist progress kept in memory and written with the timestamp flush.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const listId = 'PLexample123';
+const videos = ['aaaaaaaaaaa', 'bbbbbbbbbbb', 'ccccccccccc'];
+
+// Counts reads of the 'playlists' value and lets a test play another tab's write
+const openPage = (values = {}) => {
+    const stored = new Map(Object.entries(copy(values)));
+    const listeners = [];
+    const reads = { count: 0 };
+
+    const script = loadScript({
+        values: stored,
+        href: `https://www.youtube.com/watch?v=${videos[0]}&list=${listId}&index=1`,
+        gm: {
+            GM_getValue: (name, defaultValue) => {
+                if (name === 'playlists') reads.count++;
+                return stored.has(name) ? copy(stored.get(name)) : defaultValue;
+            },
+            GM_addValueChangeListener: (name, callback) => listeners.push({ name, callback }) - 1
+        }
+    });
+
+    const remoteWrite = (name, value) => {
+        stored.set(name, copy(value));
+        listeners.filter(listener => listener.name === name).forEach(listener => listener.callback(name, null, copy(value), true));
+    };
+
+    return { ...script, stored, reads, remoteWrite };
+};
+
+test('saves read the stored playlists once and write them on flush', () => {
+    const page = openPage();
+
+    for (let time = 10; time <= 100; time += 10) {
+        page.recordPlaylistProgress(videos[0], time);
+    }
+    assert.equal(page.reads.count, 1);
+    assert.equal(page.stored.has('playlists'), false);
+    assert.equal(page.readPlaylists()[listId].time, 100);
+
+    page.flushTimestampWrites();
+    assert.equal(page.stored.get('playlists')[listId].time, 100);
+    assert.deepEqual(page.stored.get('playlists')[listId].videos, [videos[0]]);
+
+    page.recordPlaylistProgress(videos[0], 110);
+    assert.equal(page.reads.count, 2);
+});
+
+test('another tab\'s playlists are seen without reading and kept on flush', () => {
+    const page = openPage();
+    page.recordPlaylistProgress(videos[0], 10);
+
+    const otherList = { videoId: videos[2], time: 50, updatedAt: Date.now() - 1000, videos: [videos[1], videos[2]] };
+    page.remoteWrite('playlists', { [listId]: otherList, PLother: { ...otherList } });
+    const readsBefore = page.reads.count;
+
+    assert.deepEqual(Object.keys(page.readPlaylists()).sort(), [listId, 'PLother']);
+    assert.equal(page.reads.count, readsBefore);
+
+    page.flushTimestampWrites();
+    const stored = page.stored.get('playlists');
+    assert.equal(stored[listId].videoId, videos[0]);
+    assert.deepEqual(stored[listId].videos, [videos[1], videos[2], videos[0]]);
+    assert.ok(stored.PLother);
+});
+
+test('mixes are not recorded', () => {
+    const mix = loadScript({ href: `https://www.youtube.com/watch?v=${videos[0]}&list=RD${videos[0]}` });
+    mix.recordPlaylistProgress(videos[0], 10);
+    assert.deepEqual(Object.keys(mix.readPlaylists()), []);
+});
@@ -0,0 +1,79 @@
+// Matching rules against a video and folding them into its behavior.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const context = (overrides = {}) => ({
+    videoId: 'dQw4w9WgXcQ',
+    title: 'Weekly Podcast #42',
+    channel: 'Example Talks',
+    channelId: 'UCexample',
+    duration: 3600,
+    playlistId: null,
+    category: 'Education',
+    ...overrides
+});
+
+const behaviorFor = (rules, videoContext = context(), settings = {}) => {
+    const { evaluateRules } = loadScript({ values: { ytTimestampSettings: { ...settings, rules } } });
+    return copy(evaluateRules(videoContext));
+};
+
+test('without rules the resume mode decides', () => {
+    assert.deepEqual(
+        [behaviorFor([]).resume, behaviorFor([], context(), { resumeMode: 'ask' }).ask, behaviorFor([], context(), { resumeMode: 'off' }).resume],
+        [true, true, false]
+    );
+});
+
+test('later matching rules override earlier ones', () => {
+    const rules = [
+        { id: 'a', action: 'never-resume', conditions: { channel: 'example' } },
+        { id: 'b', action: 'ask', conditions: { titlePattern: 'podcast' } }
+    ];
+    const behavior = behaviorFor(rules);
+    assert.equal(behavior.resume, true);
+    assert.equal(behavior.ask, true);
+    assert.deepEqual(behavior.matchedRules, ['a', 'b']);
+
+    assert.equal(behaviorFor([...rules].reverse()).resume, false);
+});
+
+test('rules override the resume mode in both directions', () => {
+    assert.equal(behaviorFor([{ action: 'auto-resume' }], context(), { resumeMode: 'off' }).resume, true);
+    assert.equal(behaviorFor([{ action: 'never-resume' }], context(), { resumeMode: 'auto' }).resume, false);
+});
+
+test('every condition has to match', () => {
+    const rule = { action: 'never-save', conditions: { channel: 'example', minDuration: 30, maxDuration: 90, category: 'education' } };
+    assert.equal(behaviorFor([rule]).save, false);
+    assert.equal(behaviorFor([rule], context({ duration: 600 })).save, true);
+    assert.equal(behaviorFor([rule], context({ channel: 'Other' })).save, true);
+    assert.equal(behaviorFor([{ action: 'never-save', conditions: { playlistId: 'PL1' } }], context({ playlistId: 'PL2' })).save, true);
+});
+
+test('disabled rules and invalid title patterns never match', () => {
+    assert.equal(behaviorFor([{ action: 'never-save', enabled: false }]).save, true);
+    assert.equal(behaviorFor([{ action: 'never-save', conditions: { titlePattern: '(' } }]).save, true);
+});
+
+test('playback rules fill in fields without clearing earlier ones', () => {
+    const behavior = behaviorFor([
+        { action: 'playback', playbackRate: 1.5, captions: 'en' },
+        { action: 'playback', volume: 40, captions: 'off' }
+    ]);
+    assert.deepEqual(behavior.playbackDefaults, { rate: 1.5, volume: 40, captions: null });
+});
+
+test('window and rewind rules clamp negative values', () => {
+    const behavior = behaviorFor([
+        { action: 'window', startWindow: 5, endWindow: -10 },
+        { action: 'rewind', rewindSeconds: -3 }
+    ]);
+    assert.equal(behavior.startWindow, 5);
+    assert.equal(behavior.endWindow, 0);
+    assert.equal(behavior.rewind, 0);
+});
@@ -0,0 +1,26 @@
+// Migrating the stored timestamp schema.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript } = require('./load-script');
+
+test('a version 1 store gains bookmark lists', () => {
+    const { migrateTimestampStore, values } = loadScript({
+        values: { timestamps: { aaaaaaaaaaa: { time: 10, savedAt: 1000 }, bbbbbbbbbbb: { time: 20, savedAt: 1000, bookmarks: [{ id: 'x', time: 5, name: 'Kept' }] } } }
+    });
+    migrateTimestampStore();
+
+    assert.equal(values.get('timestampSchemaVersion'), 2);
+    assert.deepEqual(values.get('timestamps').aaaaaaaaaaa.bookmarks, []);
+    assert.equal(values.get('timestamps').bbbbbbbbbbb.bookmarks[0].name, 'Kept');
+});
+
+test('a current store is left alone', () => {
+    const stored = { aaaaaaaaaaa: { time: 10, savedAt: 1000 } };
+    const { migrateTimestampStore, values } = loadScript({ values: { timestamps: stored, timestampSchemaVersion: 2 } });
+    migrateTimestampStore();
+
+    assert.deepEqual(values.get('timestamps'), stored);
+});
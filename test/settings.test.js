@@ -0,0 +1,70 @@
+// Migrating stored settings from older versions.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const { normalizeSettings } = loadScript();
+
+test('autoResume false becomes resume mode off', () => {
+    const settings = normalizeSettings({ autoResume: false });
+    assert.equal(settings.resumeMode, 'off');
+    assert.equal('autoResume' in settings, false);
+});
+
+test('autoResume true keeps the default automatic resume', () => {
+    const settings = normalizeSettings({ autoResume: true });
+    assert.equal(settings.resumeMode, 'auto');
+    assert.equal('autoResume' in settings, false);
+});
+
+test('an explicit resume mode wins over a leftover autoResume', () => {
+    assert.equal(normalizeSettings({ resumeMode: 'ask', autoResume: false }).resumeMode, 'ask');
+});
+
+test('unknown choices fall back to their defaults', () => {
+    const settings = normalizeSettings({
+        resumeMode: 'sometimes',
+        syncBehavior: 'latest',
+        resumeRewindMode: 'backwards',
+        desktopNotifications: 'loud'
+    });
+    assert.equal(settings.resumeMode, 'auto');
+    assert.equal(settings.syncBehavior, 'newest');
+    assert.equal(settings.resumeRewindMode, 'off');
+    assert.equal(settings.desktopNotifications, 'off');
+});
+
+test('old notification position names move to the new ones', () => {
+    const settings = normalizeSettings({
+        notificationPosition: {
+            playingVideos: { position: 'bottom-left', margin: 40 },
+            mainMenu: { position: 'top-left', margin: 0 }
+        }
+    });
+    assert.deepEqual(copy(settings.notificationPosition), {
+        duringPlayback: { position: 'bottom-left', margin: 40 },
+        onHomepage: { position: 'top-left', margin: 0 }
+    });
+});
+
+test('malformed rules are dropped', () => {
+    const rules = [{ action: 'never-save', channel: 'x' }, null, 'always-resume', { channel: 'y' }];
+    assert.deepEqual(copy(normalizeSettings({ rules }).rules), [{ action: 'never-save', channel: 'x' }]);
+    assert.deepEqual(copy(normalizeSettings({ rules: 'none' }).rules), []);
+});
+
+test('stored settings are migrated and written back when the script loads', () => {
+    const { values } = loadScript({ values: { ytTimestampSettings: { autoResume: false, maxStoredTimestamps: 250 } } });
+    const stored = values.get('ytTimestampSettings');
+    assert.equal(stored.resumeMode, 'off');
+    assert.equal(stored.maxStoredTimestamps, 250);
+    assert.equal('autoResume' in stored, false);
+});
+
+test('playback speed is only remembered once switched on', () => {
+    assert.equal(normalizeSettings({}).rememberPlaybackRate, false);
+    assert.equal(normalizeSettings({ rememberPlaybackRate: true }).rememberPlaybackRate, true);
+});
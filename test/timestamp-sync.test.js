@@ -0,0 +1,184 @@
+// Cross-tab saves through the userscript storage backend.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+// Userscript managers give every tab its own copy of the stored values and deliver other
+// tabs' writes later through value change listeners; deliver() hands them over
+const createNetwork = () => {
+    const tabs = [];
+    const inFlight = [];
+
+    return {
+        tabs,
+        send: (from, name, value) => {
+            tabs.filter(tab => tab !== from).forEach(tab => inFlight.push({ tab, name, value }));
+        },
+        deliver: () => {
+            inFlight.splice(0).forEach(({ tab, name, value }) => tab.receive(name, value));
+        }
+    };
+};
+
+const openTab = (network, initialValues = {}) => {
+    const values = new Map(network.tabs[0] ? network.tabs[0].values : Object.entries(copy(initialValues)));
+    const listeners = [];
+    let listenerId = 0;
+
+    const tab = {
+        values,
+        receive: (name, value) => {
+            const oldValue = values.get(name);
+            values.set(name, value);
+            listeners
+                .filter(listener => listener.name === name)
+                .forEach(listener => listener.callback(name, copy(oldValue), copy(value), true));
+        }
+    };
+
+    tab.store = loadScript({
+        values,
+        gm: {
+            GM_setValue: (name, value) => {
+                values.set(name, copy(value));
+                network.send(tab, name, copy(value));
+            },
+            GM_addValueChangeListener: (name, callback) => {
+                listeners.push({ id: ++listenerId, name, callback });
+                return listenerId;
+            },
+            GM_removeValueChangeListener: (id) => {
+                const index = listeners.findIndex(listener => listener.id === id);
+                if (index !== -1) listeners.splice(index, 1);
+            }
+        }
+    });
+    tab.store.setupTimestampSync();
+    network.tabs.push(tab);
+    return tab;
+};
+
+const entry = (time, savedAt) => ({ time, savedAt, createdAt: savedAt, title: `Video at ${time}`, duration: 600, bookmarks: [] });
+
+test('a stale full write from another tab does not lose a save', () => {
+    const network = createNetwork();
+    const first = openTab(network);
+    const second = openTab(network);
+
+    first.store.commitTimestampChanges({ aaaaaaaaaaa: entry(10, Date.now()) });
+    first.store.flushTimestampWrites();
+
+    // The second tab writes before it has seen the first tab's value
+    second.store.commitTimestampChanges({ bbbbbbbbbbb: entry(20, Date.now()) });
+    second.store.flushTimestampWrites();
+
+    network.deliver();
+    first.store.flushTimestampWrites();
+    network.deliver();
+
+    [first, second].forEach(tab => {
+        assert.deepEqual(Object.keys(tab.store.readTimestamps()).sort(), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+        assert.deepEqual(Object.keys(tab.values.get('timestamps')).sort(), ['aaaaaaaaaaa', 'bbbbbbbbbbb']);
+    });
+});
+
+test('interleaved saves and reconciles in two tabs keep every entry', () => {
+    const network = createNetwork();
+    const first = openTab(network);
+    const second = openTab(network);
+    const expected = {};
+
+    for (let round = 0; round < 20; round++) {
+        const now = Date.now() + round;
+        const firstId = `first${String(round).padStart(6, '0')}`;
+        const secondId = `secnd${String(round).padStart(6, '0')}`;
+        expected[firstId] = round;
+        expected[secondId] = round;
+
+        first.store.commitTimestampChanges({ [firstId]: entry(round, now) });
+        second.store.commitTimestampChanges({ [secondId]: entry(round, now) });
+
+        // Vary which tab flushes first and when the other tab's value arrives
+        if (round % 2 === 0) {
+            first.store.flushTimestampWrites();
+            second.store.flushTimestampWrites();
+        } else {
+            second.store.flushTimestampWrites();
+            network.deliver();
+            first.store.flushTimestampWrites();
+        }
+
+        if (round % 3 === 0) {
+            // A reconcile against an old value must restore this tab's recent writes
+            first.store.reconcileRemoteTimestamps({});
+            first.store.flushTimestampWrites();
+        }
+
+        network.deliver();
+    }
+
+    // Let every repair reach the other tab
+    for (let pass = 0; pass < 3; pass++) {
+        first.store.flushTimestampWrites();
+        second.store.flushTimestampWrites();
+        network.deliver();
+    }
+
+    [first, second].forEach(tab => {
+        const stored = tab.values.get('timestamps');
+        assert.deepEqual(Object.keys(stored).sort(), Object.keys(expected).sort());
+        Object.entries(expected).forEach(([videoId, time]) => assert.equal(stored[videoId].time, time));
+        assert.deepEqual(Object.keys(tab.store.readTimestamps()).sort(), Object.keys(expected).sort());
+    });
+});
+
+test('a deletion is not undone by a tab that had not seen it', () => {
+    const network = createNetwork();
+    const first = openTab(network);
+    const second = openTab(network);
+
+    first.store.commitTimestampChanges({ aaaaaaaaaaa: entry(10, Date.now() - 1000), bbbbbbbbbbb: entry(20, Date.now() - 1000) });
+    first.store.flushTimestampWrites();
+    network.deliver();
+
+    first.store.commitTimestampChanges({ aaaaaaaaaaa: null });
+    first.store.flushTimestampWrites();
+
+    // Still holding the deleted entry, the second tab saves another video
+    second.store.commitTimestampChanges({ ccccccccccc: entry(30, Date.now()) });
+    second.store.flushTimestampWrites();
+
+    for (let pass = 0; pass < 3; pass++) {
+        network.deliver();
+        first.store.flushTimestampWrites();
+        second.store.flushTimestampWrites();
+    }
+
+    [first, second].forEach(tab => {
+        assert.deepEqual(Object.keys(tab.values.get('timestamps')).sort(), ['bbbbbbbbbbb', 'ccccccccccc']);
+    });
+});
+
+test('a rewind in this tab is not undone by reconciling under merge sync', () => {
+    const network = createNetwork();
+    const first = openTab(network, { ytTimestampSettings: { syncBehavior: 'merge' } });
+    const second = openTab(network);
+    const savedAt = Date.now() - 1000;
+
+    first.store.commitTimestampChanges({ aaaaaaaaaaa: entry(300, savedAt) });
+    first.store.flushTimestampWrites();
+
+    // Rewound and saved again at an earlier point before the other tab saw the first write
+    first.store.commitTimestampChanges({ aaaaaaaaaaa: entry(120, savedAt + 500) });
+    first.store.flushTimestampWrites();
+    first.store.reconcileRemoteTimestamps({ aaaaaaaaaaa: entry(300, savedAt) });
+    first.store.flushTimestampWrites();
+    network.deliver();
+
+    [first, second].forEach(tab => {
+        assert.equal(tab.values.get('timestamps').aaaaaaaaaaa.time, 120);
+    });
+});
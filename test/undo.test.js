@@ -0,0 +1,74 @@
+// Undoing recorded changes to saved videos and the archive.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript } = require('./load-script');
+
+const entry = (time, savedAt) => ({ time, savedAt, createdAt: savedAt, title: `Video at ${time}`, duration: 600, bookmarks: [] });
+
+// A refused undo explains itself in a notification, which needs a real page
+const quiet = { ytTimestampSettings: { enableNotifications: false } };
+
+const withArchivedVideo = () => {
+    const script = loadScript({ values: { timestamps: { aaaaaaaaaaa: entry(100, 1000), bbbbbbbbbbb: entry(200, 2000) } } });
+    script.archiveTimestamps(['aaaaaaaaaaa']);
+    return script;
+};
+
+test('a clear is undone', () => {
+    const { commitTimestampChanges, readTimestamps, runUndoable, undoAction } = loadScript({ values: { timestamps: { aaaaaaaaaaa: entry(100, 1000) } } });
+
+    const undoId = runUndoable('Clear saved position', () => commitTimestampChanges({ aaaaaaaaaaa: null }));
+    assert.equal(readTimestamps().aaaaaaaaaaa, undefined);
+
+    assert.equal(undoAction(undoId), true);
+    assert.equal(readTimestamps().aaaaaaaaaaa.time, 100);
+});
+
+test('an action that changed nothing is not recorded', () => {
+    const { runUndoable } = loadScript();
+    assert.equal(runUndoable('Nothing', () => {}), null);
+});
+
+test('deleting from the archive is undone', () => {
+    const { commitArchiveChanges, readArchive, runUndoable, undoAction } = withArchivedVideo();
+
+    const undoId = runUndoable('Delete from archive', () => commitArchiveChanges({ aaaaaaaaaaa: null }));
+    assert.equal(readArchive().aaaaaaaaaaa, undefined);
+
+    assert.equal(undoAction(undoId), true);
+    assert.equal(readArchive().aaaaaaaaaaa.time, 100);
+});
+
+test('restoring from the archive is undone in both stores', () => {
+    const { restoreFromArchive, readArchive, readTimestamps, runUndoable, undoAction } = withArchivedVideo();
+
+    const undoId = runUndoable('Restore from archive', () => restoreFromArchive('aaaaaaaaaaa'));
+    assert.equal(readTimestamps().aaaaaaaaaaa.time, 100);
+    assert.equal(readArchive().aaaaaaaaaaa, undefined);
+
+    assert.equal(undoAction(undoId), true);
+    assert.equal(readTimestamps().aaaaaaaaaaa, undefined);
+    assert.equal(readArchive().aaaaaaaaaaa.time, 100);
+    assert.equal(readTimestamps().bbbbbbbbbbb.time, 200);
+});
+
+test('an undo is refused once the entry changed again', () => {
+    const { commitTimestampChanges, readTimestamps, runUndoable, undoAction } = loadScript({ values: { ...quiet, timestamps: { aaaaaaaaaaa: entry(100, 1000) } } });
+
+    const undoId = runUndoable('Clear saved position', () => commitTimestampChanges({ aaaaaaaaaaa: null }));
+    commitTimestampChanges({ aaaaaaaaaaa: entry(300, 3000) });
+
+    assert.equal(undoAction(undoId), false);
+    assert.equal(readTimestamps().aaaaaaaaaaa.time, 300);
+});
+
+test('an action is undone only once', () => {
+    const { commitTimestampChanges, runUndoable, undoAction } = loadScript({ values: { ...quiet, timestamps: { aaaaaaaaaaa: entry(100, 1000) } } });
+
+    const undoId = runUndoable('Clear saved position', () => commitTimestampChanges({ aaaaaaaaaaa: null }));
+    assert.equal(undoAction(undoId), true);
+    assert.equal(undoAction(undoId), false);
+});
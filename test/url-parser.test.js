@@ -0,0 +1,69 @@
+// Video detection from the YouTube URL shapes the script understands.
+// Run with: npm test
+'use strict';
+
+const assert = require('node:assert/strict');
+const test = require('node:test');
+const { loadScript, copy } = require('./load-script');
+
+const { parseYouTubeUrl } = loadScript();
+
+// Results come from the vm's realm, so compare plain copies
+const parse = (href) => copy(parseYouTubeUrl(href));
+
+const videoId = 'dQw4w9WgXcQ';
+const result = (overrides) => ({ videoId, surface: 'watch', time: null, list: null, index: null, ...overrides });
+
+test('watch pages on every YouTube host', () => {
+    assert.deepEqual(parse(`https://www.youtube.com/watch?v=${videoId}`), result());
+    assert.deepEqual(parse(`https://m.youtube.com/watch?v=${videoId}`), result());
+    assert.deepEqual(parse(`https://youtube.com/watch?feature=share&v=${videoId}`), result());
+    assert.deepEqual(parse(`https://youtu.be/${videoId}`), result());
+    assert.deepEqual(parse(`https://music.youtube.com/watch?v=${videoId}`), result({ surface: 'music' }));
+});
+
+test('shorts, live and embed paths', () => {
+    assert.deepEqual(parse(`https://www.youtube.com/shorts/${videoId}`), result({ surface: 'shorts' }));
+    assert.deepEqual(parse(`https://www.youtube.com/live/${videoId}?feature=share`), result({ surface: 'live' }));
+    assert.deepEqual(parse(`https://www.youtube.com/embed/${videoId}?start=30`), result({ surface: 'embed', time: 30 }));
+    assert.deepEqual(parse(`https://www.youtube-nocookie.com/embed/${videoId}`), result({ surface: 'embed' }));
+});
+
+test('relative URLs resolve against the current page', () => {
+    assert.deepEqual(parse(`/watch?v=${videoId}&t=5`), result({ time: 5 }));
+    assert.deepEqual(parse(`/shorts/${videoId}`), result({ surface: 'shorts' }));
+});
+
+test('t parameter in seconds and h/m/s form', () => {
+    assert.equal(parse(`https://youtu.be/${videoId}?t=95`).time, 95);
+    assert.equal(parse(`https://youtu.be/${videoId}?t=95s`).time, 95);
+    assert.equal(parse(`https://youtu.be/${videoId}?t=2m`).time, 120);
+    assert.equal(parse(`https://youtu.be/${videoId}?t=1h2m3s`).time, 3723);
+    assert.equal(parse(`https://youtu.be/${videoId}?t=soon`).time, null);
+    assert.equal(parse(`https://youtu.be/${videoId}?t=`).time, null);
+});
+
+test('playlist and index', () => {
+    assert.deepEqual(
+        parse(`https://www.youtube.com/watch?v=${videoId}&list=PLabc123&index=4`),
+        result({ list: 'PLabc123', index: 4 })
+    );
+    assert.equal(parse(`https://www.youtube.com/watch?v=${videoId}&list=PLabc123&index=next`).index, null);
+});
+
+test('pages and ids that do not identify a video', () => {
+    [
+        'https://www.youtube.com/',
+        'https://www.youtube.com/feed/subscriptions',
+        'https://www.youtube.com/@channel/videos',
+        'https://www.youtube.com/playlist?list=PLabc123',
+        'https://www.youtube.com/watch',
+        'https://www.youtube.com/watch?v=tooShort',
+        `https://www.youtube.com/watch?v=${videoId}x`,
+        'https://www.youtube.com/shorts/',
+        'https://music.youtube.com/browse/abc',
+        `https://example.com/watch?v=${videoId}`,
+        `https://youtu.be/${videoId.slice(0, 10)}!`,
+        'http://[not a url'
+    ].forEach(href => assert.equal(parseYouTubeUrl(href), null, href));
+});
@@ -7,10 +7,15 @@
 // @match        https://www.youtube.com/*
 // @match        https://youtube.com/*
 // @match        https://m.youtube.com/*
+// @match        https://music.youtube.com/*
 // @grant        GM_setValue
 // @grant        GM_getValue
 // @grant        GM_addStyle
 // @grant        GM_registerMenuCommand
+// @grant        GM_notification
+// @grant        GM_addValueChangeListener
+// @grant        GM_removeValueChangeListener
+// @grant        unsafeWindow
 // @run-at       document-idle
 // @license      MIT
 // @noframes
@@ -25,6 +30,7 @@
         autoSave: true,
         saveInterval: 5, // seconds
         notificationDuration: 3000, // milliseconds
+        maxVisibleNotifications: 3, // Toasts stacked at once; the rest wait in a queue
         removeTimestampFromURL: false,
         smartTimestampHandling: true,
         notifyOnAutoSave: false,
@@ -32,7 +38,9 @@
         customAccentColor: '#2196F3',
         blurAmount: 24, // blur amount in pixels (0 = disabled)
         timestampFormat: 'hh:mm:ss',
-        autoResume: true,
+        resumeMode: 'auto', // auto, ask, off
+        askCountdown: 10, // Seconds before the resume prompt picks askDefaultAction (0 = wait)
+        askDefaultAction: 'resume', // resume, restart
         notificationPosition: {
             duringPlayback: {
                 position: 'top-right',
@@ -44,7 +52,7 @@
             }
         },
         maxStoredTimestamps: 100,
-        syncBehavior: 'latest',
+        syncBehavior: 'newest', // newest, manual, merge
         debugMode: false,
         settingsHotkey: 'CTRL+SHIFT+S', // Default hotkey for opening settings
         preset: 'custom', // custom, chrome, firefox
@@ -52,12 +60,46 @@
         notificationSize: 'medium', // small, medium, large
         enableNotifications: true, // Master switch for all notifications
         restoreNotifications: true, // Show notifications when position is restored
+        librarySort: 'recent', // recent, progress, duration
+        trackShorts: false, // Save and resume /shorts/ videos
+        trackLive: true, // Save and resume /live/ URLs
+        trackEmbeds: true, // Save and resume /embed/ pages opened directly
+        trackMusic: true, // Save and resume music.youtube.com
+        thumbnailProgress: true, // Draw saved progress on feed and sidebar thumbnails
+        thumbnailBadgeStyle: 'bar-and-badge', // bar-and-badge, bar, badge
+        showBookmarksPanel: true, // Show the bookmarks panel under the player
+        showProgressMarkers: true, // Draw the resume point and bookmarks on the seek bar
+        completionThreshold: 90, // Percent watched after which a video is marked as watched
+        libraryFilter: 'all', // all, in-progress, finished
+        rules: [], // Per-channel/duration/title resume rules, see evaluateRules
+        evictionPolicy: 'least-recent', // least-recent, completed-first, shortest-remaining, oldest-created
+        archiveEvicted: true, // Move evicted entries to the compressed archive instead of deleting them
+        archiveCompletedAfterDays: 30, // Archive watched videos this many days after finishing (0 = never)
+        snapshotFrequency: 'daily', // off, daily, weekly
+        snapshotCount: 7, // Number of backup snapshots to keep
+        bookmarkHotkey: '', // Hotkey for adding a named bookmark at the current time
+        resumeRewindMode: 'off', // off, fixed, scaled (grows with time since the last save)
+        resumeRewindSeconds: 30, // Rewind in fixed mode, and the most a scaled rewind reaches after a week away
+        resumeRewindChapterSnap: false, // Resume from the start of the current chapter when it is close
+        rememberPlaybackRate: false, // Save and restore the playback speed per video
+        rememberVolume: false, // Save and restore volume and mute per video
+        rememberCaptions: true, // Save and restore the caption track (or captions off) per video
+        rememberQuality: false, // Save and restore a manually chosen quality per video
+        desktopNotifications: 'off', // off, background (tab hidden or Picture-in-Picture), always
+        desktopNotifyRestore: true, // Desktop notification when a position is resumed
+        desktopNotifySaveFailure: true, // Desktop notification when a position could not be saved
+        desktopNotifyStorageFull: true, // Desktop notification when the store nears maxStoredTimestamps
+        desktopNotifyFinished: false, // Desktop notification when a video is marked as watched
     };
 
-    // Get settings with validation
-    let settings = (() => {
-        const savedSettings = GM_getValue('ytTimestampSettings', {});
-        
+    // Version of the export file format produced by exportData
+    const exportSchemaVersion = 2;
+
+    // Version of the stored 'timestamps' shape, see migrateTimestampStore
+    const timestampSchemaVersion = 2;
+
+    // Merge stored (or imported) settings with defaults and migrate old shapes
+    const normalizeSettings = (savedSettings = {}) => {
         // Deep merge with defaults to ensure all properties exist
         const mergedSettings = {
             ...defaultSettings,
@@ -89,6 +131,38 @@
                 margin: savedSettings.notificationPosition.mainMenu.margin
             };
         }
+
+        // 'latest' was the old default and is not one of the selectable behaviors
+        if (!['newest', 'manual', 'merge'].includes(mergedSettings.syncBehavior)) {
+            mergedSettings.syncBehavior = defaultSettings.syncBehavior;
+        }
+
+        // autoResume was a boolean before the ask mode existed
+        if (!savedSettings?.resumeMode && savedSettings?.autoResume === false) {
+            mergedSettings.resumeMode = 'off';
+        }
+        if (!['auto', 'ask', 'off'].includes(mergedSettings.resumeMode)) {
+            mergedSettings.resumeMode = defaultSettings.resumeMode;
+        }
+        if (!['off', 'fixed', 'scaled'].includes(mergedSettings.resumeRewindMode)) {
+            mergedSettings.resumeRewindMode = defaultSettings.resumeRewindMode;
+        }
+        if (!['off', 'background', 'always'].includes(mergedSettings.desktopNotifications)) {
+            mergedSettings.desktopNotifications = defaultSettings.desktopNotifications;
+        }
+        delete mergedSettings.autoResume;
+
+        // Drop malformed rules rather than failing evaluation later
+        mergedSettings.rules = Array.isArray(mergedSettings.rules)
+            ? mergedSettings.rules.filter(rule => rule && typeof rule === 'object' && typeof rule.action === 'string')
+            : [];
+
+        return mergedSettings;
+    };
+
+    // Get settings with validation
+    let settings = (() => {
+        const mergedSettings = normalizeSettings(GM_getValue('ytTimestampSettings', {}));
         
         // Save merged settings back to storage
         GM_setValue('ytTimestampSettings', mergedSettings);
@@ -169,12 +243,10 @@
     // Global state variables
     let currentVideoId = '';
     let lastSaveTime = 0;
-    let isNotificationShowing = false;
-    const notificationQueue = [];
+    let activeNotifications = []; // Toasts currently in the stack, oldest first
+    const notificationQueue = []; // Toasts waiting for a free slot, highest priority first
     let settingsHotkey = 'CTRL+SHIFT+S'; // Default hotkey for opening settings
-    let notificationContainer = null; // Cache for notification container
-    let notificationTimeout = null; // Store timeout reference
-    let notificationAnimationFrame = null; // Store animation frame reference
+    let notificationContainer = null; // Positioned stack holding the toasts
     let cachedPlayer = null; // Cache player reference
     let lastPlayerRect = null; // Cache player dimensions
     let resizeDebounceTimeout = null; // For debouncing resize events
@@ -303,6 +375,40 @@
             font-weight: 500;
         }
 
+        .notification-count {
+            flex-shrink: 0;
+            padding: 1px 6px;
+            border-radius: 10px;
+            background: var(--bg-hover);
+            font-size: 0.85em;
+            font-weight: 600;
+            opacity: 0.8;
+        }
+
+        .notification-actions {
+            display: flex;
+            flex-shrink: 0;
+            gap: 2px;
+        }
+
+        .notification-action {
+            flex-shrink: 0;
+            padding: 2px 8px;
+            border: none;
+            border-radius: var(--border-radius-sm);
+            background: transparent;
+            color: var(--primary-color);
+            font-family: inherit;
+            font-size: inherit;
+            font-weight: 600;
+            cursor: pointer;
+        }
+
+        .notification-action:hover,
+        .notification-action:focus-visible {
+            background: var(--bg-hover);
+        }
+
         .notification-progress {
             height: 3px;
             width: 100%;
@@ -1878,2888 +1984,8115 @@
             border-color: var(--primary-color);
             box-shadow: 0 0 0 2px rgba(33, 150, 243, 0.1);
         }
-    `;
 
-    // Initialize styles
-    GM_addStyle(styles);
+        /* Thumbnail progress overlays */
+        .yt-timestamp-thumb-host {
+            position: relative;
+        }
 
-    // Add theme variables container
-    const addThemeContainer = () => {
-        let themeContainer = document.querySelector('.yt-timestamp-theme-vars');
-        if (!themeContainer) {
-            themeContainer = document.createElement('div');
-            themeContainer.className = 'yt-timestamp-theme-vars';
-            themeContainer.style.display = 'none';
-            document.body.appendChild(themeContainer);
+        .yt-timestamp-thumb-overlay {
+            position: absolute;
+            inset: 0;
+            pointer-events: none;
+            z-index: 2;
+            border-radius: inherit;
+            overflow: hidden;
         }
-        return themeContainer;
-    };
 
-    // Update theme variables based on settings
-    const updateThemeVariables = (isDarkMode) => {
-        const themeContainer = addThemeContainer();
+        .yt-timestamp-thumb-badge {
+            position: absolute;
+            top: 6px;
+            left: 6px;
+            padding: 2px 6px;
+            border-radius: 4px;
+            background: rgba(0, 0, 0, 0.8);
+            color: #ffffff;
+            font-family: 'YouTube Sans', Roboto, sans-serif;
+            font-size: 12px;
+            font-weight: 500;
+            line-height: 18px;
+        }
 
-        // Determine if we should use dark mode based on themeMode setting
-        let useDarkMode = true;
+        .yt-timestamp-thumb-bar {
+            position: absolute;
+            left: 0;
+            right: 0;
+            bottom: 0;
+            height: 4px;
+            background: rgba(255, 255, 255, 0.35);
+        }
 
-        if (settings.themeMode === 'light') {
-            useDarkMode = false;
-        } else if (settings.themeMode === 'system') {
-            // Check system preference
-            useDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        .yt-timestamp-thumb-bar-fill {
+            height: 100%;
+            background: var(--primary-color);
         }
 
-        // Set colors based on theme
-        const bgPrimary = useDarkMode ? 'rgba(25, 25, 25, 0.85)' : 'rgba(255, 255, 255, 0.95)';
-        const bgSecondary = useDarkMode ? 'rgba(35, 35, 35, 0.85)' : 'rgba(245, 245, 245, 0.95)';
-        const textPrimary = useDarkMode ? 'rgba(255, 255, 255, 0.95)' : 'rgba(0, 0, 0, 0.9)';
-        const textSecondary = useDarkMode ? 'rgba(255, 255, 255, 0.7)' : 'rgba(0, 0, 0, 0.7)';
-        const borderColor = useDarkMode ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.1)';
+        /* Seek bar markers */
+        .yt-timestamp-marker-layer {
+            position: absolute;
+            inset: 0;
+            pointer-events: none;
+            z-index: 40;
+        }
 
-        themeContainer.style.setProperty('--bg-primary', bgPrimary);
-        themeContainer.style.setProperty('--bg-secondary', bgSecondary);
-        themeContainer.style.setProperty('--text-primary', textPrimary);
-        themeContainer.style.setProperty('--text-secondary', textSecondary);
-        themeContainer.style.setProperty('--border-color', borderColor);
+        .yt-timestamp-marker {
+            position: absolute;
+            top: 50%;
+            width: 4px;
+            height: 12px;
+            margin-left: -2px;
+            transform: translateY(-50%);
+            border-radius: 2px;
+            background: #ffd600;
+            box-shadow: 0 0 2px rgba(0, 0, 0, 0.6);
+            cursor: pointer;
+            pointer-events: auto;
+        }
 
-        // Set accent color
-        themeContainer.style.setProperty('--primary-color', settings.customAccentColor || '#2196F3');
+        .yt-timestamp-marker.resume {
+            background: var(--primary-color);
+        }
 
-        // Set blur effect based on blur amount
-        const blurAmount = settings.blurAmount || 0;
-        const blurValue = blurAmount > 0 ? `blur(${blurAmount}px) saturate(180%)` : 'none';
-        themeContainer.style.setProperty('--blur-effect', blurValue);
+        .yt-timestamp-marker:hover {
+            height: 16px;
+        }
 
-        // Update UI variables
-        document.documentElement.style.setProperty('--primary-color', settings.customAccentColor || '#2196F3');
-        document.documentElement.style.setProperty('--blur-effect', blurValue);
+        .yt-timestamp-marker-tooltip {
+            position: absolute;
+            bottom: 20px;
+            left: 50%;
+            transform: translateX(-50%);
+            padding: 4px 8px;
+            border-radius: 4px;
+            background: rgba(28, 28, 28, 0.9);
+            color: #ffffff;
+            font-family: 'YouTube Sans', Roboto, sans-serif;
+            font-size: 12px;
+            white-space: nowrap;
+            opacity: 0;
+            pointer-events: none;
+            transition: opacity 0.15s ease;
+        }
 
-        debug('Theme variables updated', {
-            themeMode: settings.themeMode,
-            systemIsDark: window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches,
-            usingDarkMode: useDarkMode,
-            accentColor: settings.customAccentColor,
-            blurAmount: blurAmount > 0 ? `${blurAmount}px` : 'disabled'
-        });
+        .yt-timestamp-marker:hover .yt-timestamp-marker-tooltip {
+            opacity: 1;
+        }
 
-        // Update any existing UI elements
-        const settingsUI = document.querySelector('.yt-timestamp-settings');
-        if (settingsUI) {
-            settingsUI.className = `yt-timestamp-settings ${useDarkMode ? '' : 'light'} ${settingsUI.classList.contains('show') ? 'show' : ''}`;
+        /* Library panel */
+        .library-view {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-md);
+            width: 100%;
+        }
 
-            // Update all color-related elements to respect the accent color
-            const accentElements = settingsUI.querySelectorAll('.settings-tab.active, input:checked + .modern-slider, .modern-input[type="range"]::-webkit-slider-thumb, .position-option.active, .format-option.active, .browser-preset.active, .size-option.active, .theme-option.active, .sync-option.active');
-            accentElements.forEach(el => {
-                if (el.classList.contains('modern-slider')) {
-                    el.style.backgroundColor = settings.customAccentColor;
-                } else if (el.classList.contains('theme-option')) {
-                    if (el.classList.contains('active')) {
-                    el.style.borderColor = settings.customAccentColor;
-                    } else {
-                        el.style.borderColor = 'transparent';
-                    }
-                } else if (el.classList.contains('format-option') || el.classList.contains('browser-preset') || el.classList.contains('size-option') || el.classList.contains('sync-option')) {
-                    if (el.classList.contains('active')) {
-                        el.style.borderColor = settings.customAccentColor;
-                    }
-                } else if (el.classList.contains('position-option') || el.classList.contains('screen-representation')) {
-                    el.style.background = settings.customAccentColor;
-                } else if (el.classList.contains('settings-tab')) {
-                    el.style.color = settings.customAccentColor;
-                    el.style.borderColor = settings.customAccentColor;
-                }
-            });
+        .library-toolbar {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-sm);
         }
 
-        // Update notification container if it exists
-        updateNotificationSettings(useDarkMode);
-    };
+        .library-search {
+            flex: 1;
+            padding: var(--spacing-sm) var(--spacing-md);
+            border-radius: var(--border-radius-sm);
+            border: 1px solid var(--border-color);
+            background: var(--bg-hover);
+            color: var(--text-primary);
+            font-family: inherit;
+            font-size: 14px;
+            outline: none;
+        }
 
-    // Update notification settings to accept the isDarkMode parameter
-    const updateNotificationSettings = (useDarkMode) => {
-        if (!notificationContainer || !document.body.contains(notificationContainer)) {
-            return; // No notification container to update
+        .library-search:focus {
+            border-color: var(--primary-color);
         }
 
-        // Use provided dark mode value or determine from settings
-        if (useDarkMode === undefined) {
-            if (settings.themeMode === 'light') {
-                useDarkMode = false;
-            } else if (settings.themeMode === 'system') {
-                useDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-            } else {
-                useDarkMode = true;
-            }
+        .library-summary {
+            color: var(--text-secondary);
+            font-size: 12px;
         }
 
-        // Update dark mode class
-        notificationContainer.className = `yt-timestamp-notification ${useDarkMode ? '' : 'light'}`;
+        .library-list {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-sm);
+            max-height: 50vh;
+            overflow-y: auto;
+        }
 
-        // Update size
-        if (settings.notificationSize === 'small') {
-            notificationContainer.style.setProperty('--notification-width', 'clamp(160px, 18vw, 250px)');
-            notificationContainer.style.fontSize = '10px';
-        } else if (settings.notificationSize === 'large') {
-            notificationContainer.style.setProperty('--notification-width', 'clamp(280px, 30vw, 400px)');
-            notificationContainer.style.fontSize = '14px';
-        } else {
-            // Medium (default)
-            notificationContainer.style.setProperty('--notification-width', 'clamp(220px, 24vw, 320px)');
-            notificationContainer.style.fontSize = '12px';
+        .library-item {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-md);
+            padding: var(--spacing-sm) var(--spacing-md);
+            background: var(--bg-hover);
+            border-radius: var(--border-radius-sm);
         }
 
-        // Fixed opacity (no longer user-configurable)
-        notificationContainer.style.setProperty('--bg-opacity', '0.9');
+        .library-thumb {
+            width: 96px;
+            height: 54px;
+            flex-shrink: 0;
+            object-fit: cover;
+            border-radius: 4px;
+        }
 
-        // Explicitly set the backdrop filter to respect blur setting
-        const blurAmount = settings.blurAmount || 0;
-        const blurValue = blurAmount > 0 ? `blur(${blurAmount}px) saturate(180%)` : 'none';
-        notificationContainer.style.backdropFilter = blurValue;
-        notificationContainer.style.webkitBackdropFilter = blurValue;
+        .library-pin {
+            padding: 4px 6px;
+            border: none;
+            background: transparent;
+            font-size: 16px;
+            cursor: pointer;
+            opacity: 0.3;
+            filter: grayscale(1);
+            transition: var(--transition-smooth);
+        }
 
-        // Update the progress bar color to match the accent color
-        const progressBar = notificationContainer.querySelector('.notification-progress');
-        if (progressBar) {
-            progressBar.style.background = settings.customAccentColor;
+        .library-pin:hover {
+            opacity: 0.7;
         }
 
-        // Update position (if notification is currently showing)
-        if (notificationContainer.classList.contains('show')) {
-            // Invalidate the cached rect to force position update
-            lastPlayerRect = null;
-            updateNotificationPosition(notificationContainer);
+        .library-pin.pinned {
+            opacity: 1;
+            filter: none;
         }
 
-        debug('Notification settings updated', {
-            size: settings.notificationSize,
-            blurAmount: blurAmount > 0 ? `${blurAmount}px` : 'disabled',
-            darkMode: useDarkMode
-        });
-    };
+        .library-item-info {
+            flex: 1;
+            min-width: 0;
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+        }
 
-    // Initialize theme variables
-    updateThemeVariables();
+        .library-item-title {
+            font-weight: 500;
+            font-size: 14px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
 
-    // Utility Functions
-    const formatTime = (seconds) => {
-        const h = Math.floor(seconds / 3600);
-        const m = Math.floor((seconds % 3600) / 60);
-        const s = Math.floor(seconds % 60);
+        .library-item-meta {
+            color: var(--text-secondary);
+            font-size: 12px;
+        }
 
-        switch (settings.timestampFormat) {
-            case 'seconds':
-                return `${Math.floor(seconds)}s`;
-            case 'mm:ss':
-                return `${m}:${s.toString().padStart(2, '0')}`;
-            case 'hh:mm:ss':
-            default:
-        return h > 0
-            ? `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`
-            : `${m}:${s.toString().padStart(2, '0')}`;
+        .library-progress {
+            height: 4px;
+            width: 100%;
+            background: var(--border-color);
+            border-radius: 2px;
+            overflow: hidden;
         }
-    };
 
-    // Core Functions
-    const getVideoId = () => {
-        const urlParams = new URLSearchParams(window.location.search);
-        const videoId = urlParams.get('v');
+        .library-progress-fill {
+            height: 100%;
+            background: var(--primary-color);
+        }
 
-        if (!videoId) return null;
+        .library-resume {
+            padding: 6px 12px;
+            border-radius: var(--border-radius-sm);
+            background: var(--primary-color);
+            color: #ffffff;
+            font-size: 13px;
+            font-weight: 500;
+            text-decoration: none;
+            white-space: nowrap;
+        }
 
-        if (settings.removeTimestampFromURL && urlParams.has('t')) {
-            urlParams.delete('t');
-            const newUrl = `${window.location.pathname}?${urlParams.toString()}`;
-            window.history.replaceState({}, '', newUrl);
+        .library-resume:hover {
+            opacity: 0.85;
         }
 
-        return videoId;
-    };
+        .library-playlists {
+            flex-direction: column;
+            gap: var(--spacing-sm);
+        }
 
-    const saveTimestamp = (videoId, time, force = false) => {
-        if (!videoId) return;
+        /* Resume prompt over the player */
+        .yt-timestamp-resume-prompt {
+            position: absolute;
+            left: 50%;
+            bottom: 72px;
+            transform: translateX(-50%);
+            z-index: 70;
+            display: flex;
+            flex-direction: column;
+            gap: 8px;
+            min-width: 280px;
+            max-width: calc(100% - 32px);
+            padding: 14px 16px;
+            overflow: hidden;
+            border-radius: 8px;
+            background: rgba(28, 28, 28, 0.92);
+            color: #ffffff;
+            font-family: 'YouTube Sans', Roboto, Arial, sans-serif;
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.5);
+        }
 
-        const timestamps = GM_getValue('timestamps', {});
-        const now = Date.now();
-        const lastSave = timestamps[videoId]?.savedAt || 0;
-        const timeSinceLastSave = (now - lastSave)/1000;
-        const video = document.querySelector('video');
+        .resume-prompt-title {
+            font-size: 18px;
+            font-weight: 600;
+        }
 
-        // Handle paused video conditions
-        if (!force && video && video.paused) {
-            if (settings.saveOnPause) {
-                debug('Video paused, saving position');
-                force = true; // Force save on pause
-            } else {
-                debug('Skipping save - video is paused');
-                return;
-            }
+        .resume-prompt-detail,
+        .resume-prompt-countdown {
+            font-size: 12px;
+            color: rgba(255, 255, 255, 0.7);
         }
 
-        // Throttle frequent saves
-        if (!force && now - lastSave < settings.minSaveInterval * 1000) {
-            return;
+        .resume-prompt-actions {
+            display: flex;
+            flex-wrap: wrap;
+            gap: 8px;
         }
 
-        // Validate time value
-        if (isNaN(time) || time < 0) {
-            debug('Invalid time value, skipping save');
-            return;
+        .resume-prompt-button {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            padding: 6px 12px;
+            border: 1px solid rgba(255, 255, 255, 0.2);
+            border-radius: 18px;
+            background: rgba(255, 255, 255, 0.1);
+            color: inherit;
+            font-family: inherit;
+            font-size: 13px;
+            cursor: pointer;
         }
 
-        // Storage management - clean up old timestamps if exceeding limit
-        const timestampEntries = Object.entries(timestamps);
-        if (timestampEntries.length >= settings.maxStoredTimestamps) {
-            debug(`Cleaning up timestamps - ${timestampEntries.length} exceeds limit of ${settings.maxStoredTimestamps}`);
-            const sortedEntries = timestampEntries.sort((a, b) => b[1].savedAt - a[1].savedAt);
-            const newTimestamps = Object.fromEntries(sortedEntries.slice(0, settings.maxStoredTimestamps - 1));
-            GM_setValue('timestamps', newTimestamps);
-            
-            // Show cleanup notification
-            if (force) {
-                showNotification('Cleaned up old timestamps to make space', '🧹');
-                setTimeout(() => saveTimestamp(videoId, time, force), 1500);
-            } else {
-                saveTimestamp(videoId, time, force);
-            }
-            return;
+        .resume-prompt-button:hover,
+        .resume-prompt-button:focus-visible {
+            background: rgba(255, 255, 255, 0.2);
         }
 
-        // Save the timestamp
-        timestamps[videoId] = {
-            time: time,
-            savedAt: now,
-            title: document.title.replace(' - YouTube', ''),
-            duration: video?.duration || 0
-        };
+        .resume-prompt-button.default {
+            background: var(--primary-color);
+            border-color: var(--primary-color);
+        }
 
-        GM_setValue('timestamps', timestamps);
-        
-        // Log with appropriate message type
-        const saveSource = force ? 'Manual save' : 'Auto-save';
-        debug(`${saveSource} for ${videoId} at ${formatTime(time)}`);
+        .resume-prompt-button kbd {
+            padding: 0 4px;
+            border-radius: 3px;
+            background: rgba(0, 0, 0, 0.3);
+            font-family: inherit;
+            font-size: 11px;
+        }
 
-        // Show notifications based on settings and context
-        if (force) {
-            showNotification(`Saved at ${formatTime(time)}`, '💾');
-        } else if (settings.notifyOnAutoSave) {
-            showNotification(`Auto-saved at ${formatTime(time)}`, '⚡');
+        .resume-prompt-progress {
+            position: absolute;
+            left: 0;
+            bottom: 0;
+            height: 3px;
+            background: var(--primary-color);
+            transition: width 0.25s linear;
         }
-    };
 
-    const loadTimestamp = (videoId) => {
-        if (!videoId) return null;
+        /* Continue banner on playlist pages */
+        .yt-timestamp-playlist-banner {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-md);
+            margin: 12px 0;
+            padding: 12px 16px;
+            border-radius: var(--border-radius-md);
+            background: var(--yt-spec-badge-chip-background, rgba(128, 128, 128, 0.1));
+            color: var(--yt-spec-text-primary, inherit);
+            font-family: Roboto, Arial, sans-serif;
+        }
 
-        const timestamps = GM_getValue('timestamps', {});
-        const savedData = timestamps[videoId];
+        .playlist-banner-info {
+            flex: 1;
+            min-width: 0;
+        }
 
-        if (!savedData) {
-            debug(`No saved timestamp found for ${videoId}`);
-            return null;
+        .playlist-banner-title {
+            font-size: 16px;
+            font-weight: 500;
         }
 
-        debug(`Found saved timestamp for ${videoId}: ${formatTime(savedData.time)}`);
+        .playlist-banner-detail {
+            color: var(--yt-spec-text-secondary, inherit);
+            font-size: 13px;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
 
-        if (settings.smartTimestampHandling) {
-            const urlParams = new URLSearchParams(window.location.search);
-            const urlTime = urlParams.get('t');
-
-            if (urlTime) {
-                const timeMatch = urlTime.match(/(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?/);
-                if (timeMatch) {
-                    const [, hours = 0, minutes = 0, seconds = 0] = timeMatch;
-                    const urlTimeSeconds = (parseInt(hours) * 3600) + (parseInt(minutes) * 60) + parseInt(seconds);
-
-                    // Only use URL time if significantly different from saved time
-                    if (Math.abs(urlTimeSeconds - savedData.time) > 30) {
-                        debug(`Using URL timestamp (${formatTime(urlTimeSeconds)}) instead of saved position (${formatTime(savedData.time)})`);
-                        if (settings.restoreNotifications) {
-                            showNotification('Using URL timestamp instead of saved position', '🔄');
-                        }
-                        return { time: urlTimeSeconds, savedAt: Date.now() };
-                    }
-                }
-            }
+        .library-empty {
+            padding: var(--spacing-lg);
+            text-align: center;
+            color: var(--text-secondary);
         }
 
-        // Check if saved position is near the end of video
-        const video = document.querySelector('video');
-        if (video && savedData.duration && savedData.time > savedData.duration - 30) {
-            if (settings.restoreNotifications) {
-                showNotification('Starting from beginning (previous position was near end)', '🔄');
-            }
-            return { time: 0, savedAt: Date.now() };
+        .yt-timestamp-settings.light .library-item {
+            background: rgba(0, 0, 0, 0.04);
         }
 
-        return savedData;
-    };
+        .yt-timestamp-settings.light .library-search {
+            background: rgba(0, 0, 0, 0.04);
+            color: rgba(0, 0, 0, 0.87);
+        }
 
-    // UI Functions
-    const getOrCreateNotificationContainer = () => {
-        // If container exists and is in the DOM, verify it's properly structured
-        if (notificationContainer && document.body.contains(notificationContainer)) {
-            debug('Existing notification container found');
-            
-            // Verify the container has all required elements
-            const contentDiv = notificationContainer.querySelector('.notification-content');
-            const progressBar = notificationContainer.querySelector('.notification-progress');
-            
-            if (!contentDiv || !progressBar) {
-                debug('Notification container missing required elements, recreating');
-                try {
-                    notificationContainer.parentNode.removeChild(notificationContainer);
-                } catch (e) {
-                    // Ignore errors if already detached
-                }
-                notificationContainer = null;
-            } else {
-                // Update dark mode state for existing container
-                const useDarkMode = getDarkModeState();
-                updateNotificationTheme(notificationContainer, useDarkMode);
-            return notificationContainer;
-            }
-        } else if (notificationContainer) {
-            debug('Notification container exists but is detached from DOM');
-            notificationContainer = null;
+        /* Bookmarks panel under the player; follows YouTube's own page colors */
+        .yt-timestamp-bookmarks-panel {
+            margin: 12px 0;
+            padding: 12px 16px;
+            border-radius: var(--border-radius-md);
+            background: var(--yt-spec-badge-chip-background, rgba(128, 128, 128, 0.1));
+            color: var(--yt-spec-text-primary, inherit);
+            font-family: Roboto, Arial, sans-serif;
+            font-size: 14px;
         }
 
-        debug('Creating new notification container');
-        
-        try {
-            const containerId = 'yt-timestamp-notification-' + Date.now();
-        notificationContainer = document.createElement('div');
-            notificationContainer.id = containerId;
-
-            // Get dark mode state
-            const useDarkMode = getDarkModeState();
-
-            // Set classes and initial styling
-            notificationContainer.className = `yt-timestamp-notification ${useDarkMode ? 'dark' : 'light'}`;
-
-            // Create content div
-            const contentDiv = document.createElement('div');
-            contentDiv.className = 'notification-content';
-            contentDiv.style.display = 'flex';
-            contentDiv.style.alignItems = 'center';
-            contentDiv.style.gap = '8px';
-            contentDiv.style.padding = '10px 12px';
-            contentDiv.style.position = 'relative';
-            contentDiv.style.width = 'fit-content';
-            contentDiv.style.maxWidth = '100%';
-            contentDiv.style.willChange = 'transform, opacity';
-            notificationContainer.appendChild(contentDiv);
-
-            // Create progress bar
-            const progressBar = document.createElement('div');
-            progressBar.className = 'notification-progress';
-            progressBar.style.background = settings.customAccentColor;
-            progressBar.style.height = '2px';
-            progressBar.style.position = 'absolute';
-            progressBar.style.bottom = '0';
-            progressBar.style.left = '0';
-            progressBar.style.right = '0';
-            progressBar.style.opacity = '0.8';
-            progressBar.style.transform = 'translateZ(0)';
-            progressBar.style.willChange = 'width, opacity';
-            progressBar.style.borderBottomLeftRadius = '6px';
-            progressBar.style.borderBottomRightRadius = '6px';
-            notificationContainer.appendChild(progressBar);
-
-            // Apply modern styling with better aesthetics
-            const darkModeStyles = {
-                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.4), 0 0 1px rgba(0, 0, 0, 0.3)',
-                border: '1px solid rgba(255, 255, 255, 0.08)',
-                backgroundColor: 'rgba(32, 32, 32, 0.94)',
-                color: 'rgba(255, 255, 255, 0.95)'
-            };
+        .bookmarks-header {
+            display: flex;
+            align-items: center;
+            justify-content: space-between;
+            margin-bottom: var(--spacing-sm);
+        }
 
-            const lightModeStyles = {
-                boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15), 0 0 1px rgba(0, 0, 0, 0.1)',
-                border: '1px solid rgba(0, 0, 0, 0.08)',
-                backgroundColor: 'rgba(255, 255, 255, 0.96)',
-                color: 'rgba(0, 0, 0, 0.9)'
-            };
+        .bookmarks-title {
+            font-size: 16px;
+            font-weight: 500;
+        }
 
-            Object.assign(notificationContainer.style, {
-                opacity: '0',
-                pointerEvents: 'none',
-                zIndex: '9999999',
-                display: 'flex',
-                flexDirection: 'column',
-                overflow: 'hidden',
-                width: 'fit-content',
-                maxWidth: 'min(90vw, 400px)',
-                position: 'fixed',
-                borderRadius: '6px',
-                transform: 'translateZ(0) translateY(-10px) scale(0.96)',
-                transition: 'all 0.2s cubic-bezier(0.2, 0, 0, 1)',
-                backdropFilter: 'blur(10px)',
-                webkitBackdropFilter: 'blur(10px)',
-                ...(useDarkMode ? darkModeStyles : lightModeStyles)
-            });
-            
-            // Set size based on settings
-            if (settings.notificationSize === 'small') {
-                notificationContainer.style.fontSize = '11px';
-            } else if (settings.notificationSize === 'large') {
-                notificationContainer.style.fontSize = '14px';
-            } else {
-                notificationContainer.style.fontSize = '13px';
-            }
-            
-            // Remove any existing containers with the same ID
-            const existingContainer = document.getElementById(containerId);
-            if (existingContainer) {
-                try {
-                    existingContainer.parentNode.removeChild(existingContainer);
-                } catch (e) {
-                    // Ignore errors
-                }
-            }
-            
-            // Append to body
-        document.body.appendChild(notificationContainer);
-            
-            // Ensure container was actually added to the DOM
-            if (!document.body.contains(notificationContainer)) {
-                debug('Error: Container failed to append to body, trying alternative method');
-                document.body.insertAdjacentElement('beforeend', notificationContainer);
-                
-                if (!document.body.contains(notificationContainer)) {
-                    debug('Critical error: Notification container could not be added to DOM');
-                    return null;
-                }
-            }
+        .bookmarks-list {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-xs);
+            max-height: 320px;
+            overflow-y: auto;
+        }
 
-            // Add theme change listener
-            addThemeChangeListener(notificationContainer);
-            
-            debug(`Notification container created with ID: ${containerId}`);
-        return notificationContainer;
-        } catch (error) {
-            console.error('Error creating notification container:', error);
-            return null;
+        .bookmarks-empty {
+            color: var(--yt-spec-text-secondary, inherit);
+            font-size: 13px;
         }
-    };
 
-    // Helper function to get dark mode state
-    const getDarkModeState = () => {
-        if (settings.themeMode === 'light') {
-            return false;
-        } else if (settings.themeMode === 'system') {
-            return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        .bookmark-item,
+        .bookmark-form {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-sm);
         }
-        return true; // Default to dark mode
-    };
 
-    // Helper function to update notification theme
-    const updateNotificationTheme = (notification, isDark) => {
-        if (!notification) return;
+        .bookmark-form {
+            margin-top: var(--spacing-sm);
+        }
 
-        // Update class
-        notification.className = `yt-timestamp-notification ${isDark ? 'dark' : 'light'}`;
+        .bookmark-fields {
+            flex: 1;
+            min-width: 0;
+            display: flex;
+            gap: var(--spacing-sm);
+        }
 
-        // Update styles
-        const themeStyles = isDark ? {
-            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.4), 0 0 1px rgba(0, 0, 0, 0.3)',
-            border: '1px solid rgba(255, 255, 255, 0.08)',
-            backgroundColor: 'rgba(32, 32, 32, 0.94)',
-            color: 'rgba(255, 255, 255, 0.95)'
-        } : {
-            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15), 0 0 1px rgba(0, 0, 0, 0.1)',
-            border: '1px solid rgba(0, 0, 0, 0.08)',
-            backgroundColor: 'rgba(255, 255, 255, 0.96)',
-            color: 'rgba(0, 0, 0, 0.9)'
-        };
+        .bookmark-time {
+            min-width: 64px;
+            padding: 4px 8px;
+            border: none;
+            border-radius: var(--border-radius-sm);
+            background: var(--primary-color);
+            color: #ffffff;
+            font-family: inherit;
+            font-size: 13px;
+            font-weight: 500;
+            cursor: pointer;
+        }
 
-        Object.assign(notification.style, themeStyles);
+        .yt-timestamp-bookmarks-panel input {
+            flex: 1;
+            min-width: 0;
+            padding: 4px 8px;
+            border: 1px solid transparent;
+            border-radius: var(--border-radius-sm);
+            background: transparent;
+            color: inherit;
+            font-family: inherit;
+            font-size: 13px;
+            outline: none;
+        }
 
-        // Update close button colors if present
-        const closeButton = notification.querySelector('.notification-close');
-        if (closeButton) {
-            closeButton.addEventListener('mouseover', () => {
-                closeButton.style.backgroundColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
-            });
-            closeButton.addEventListener('mouseout', () => {
-                closeButton.style.backgroundColor = 'transparent';
-            });
+        .yt-timestamp-bookmarks-panel .bookmark-note {
+            color: var(--yt-spec-text-secondary, inherit);
         }
 
-        // Update emoji container background
-        const emojiContainer = notification.querySelector('.notification-emoji-container');
-        if (emojiContainer) {
-            emojiContainer.style.background = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.06)';
+        .yt-timestamp-bookmarks-panel input:hover,
+        .yt-timestamp-bookmarks-panel .bookmark-form input {
+            border-color: var(--yt-spec-10-percent-layer, rgba(128, 128, 128, 0.3));
         }
-    };
 
-    // Helper function to add theme change listener
-    const addThemeChangeListener = (notification) => {
-        if (settings.themeMode === 'system') {
-            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
-            const themeChangeHandler = (e) => {
-                updateNotificationTheme(notification, e.matches);
-            };
-            
-            // Add listener and store reference for cleanup
-            mediaQuery.addListener(themeChangeHandler);
-            notification.themeChangeHandler = themeChangeHandler;
-            notification.mediaQuery = mediaQuery;
+        .yt-timestamp-bookmarks-panel input:focus {
+            border-color: var(--primary-color);
         }
-    };
-
-    // Position the notification based on settings and screen size
-    const updateNotificationPosition = (notification) => {
-        if (!notification) return;
-
-        try {
-            // Clear any styles from previous positioning
-            notification.style.top = '';
-            notification.style.right = '';
-            notification.style.bottom = '';
-            notification.style.left = '';
-            notification.style.transform = '';
-            
-            // Enhanced video and player detection
-            const video = document.querySelector('video');
-            const playerElement = document.querySelector('#movie_player, ytd-player, .html5-video-player');
-            const playerContainer = document.querySelector('ytd-watch-flexy');
-            const theaterContainer = document.querySelector('ytd-watch-flexy[theater] #player-container');
-            
-            // Detect various player states
-            const states = {
-                isVideoPresent: !!video,
-                isVideoPlaying: video && !video.paused && !video.ended && video.currentTime > 0,
-                isFullscreen: document.fullscreenElement || document.webkitFullscreenElement,
-                isTheaterMode: !!document.querySelector('ytd-watch-flexy[theater]'),
-                isMiniPlayer: !!document.querySelector('.ytp-miniplayer-ui')
-            };
-
-            debug(`Positioning notification - States:`, states);
 
-            // Get current state's position settings
-            const stateSettings = states.isVideoPlaying ? 
-                settings.notificationPosition.duringPlayback : 
-                settings.notificationPosition.onHomepage;
+        .bookmark-delete {
+            padding: 4px 8px;
+            border: none;
+            background: transparent;
+            color: var(--yt-spec-text-secondary, inherit);
+            cursor: pointer;
+        }
 
-            // Get position and margin from state settings
-            const position = stateSettings.position;
-            const baseMargin = stateSettings.margin;
+        .bookmark-delete:hover {
+            color: var(--error-color);
+        }
 
-            // Calculate responsive margins based on screen size and state margin
-            const margin = {
-                normal: baseMargin,
-                fullscreen: Math.max(baseMargin, window.innerWidth * 0.02),
-                safety: baseMargin * 0.5
-            };
+        .yt-timestamp-bookmarks-panel .settings-action-button {
+            color: #ffffff;
+            white-space: nowrap;
+        }
 
-            // If no video or player is detected, use top-left position with padding
-            if (!states.isVideoPresent || !playerElement) {
-                debug('No video detected, using default top-left position');
-                notification.style.top = `${margin.normal}px`;
-                notification.style.left = `${margin.normal}px`;
-                return;
-            }
-            
-            // Get player dimensions
-            const playerRect = playerElement.getBoundingClientRect();
-            const containerRect = playerContainer?.getBoundingClientRect() || playerRect;
-            
-            // Handle fullscreen mode
-            if (states.isFullscreen) {
-                debug('Positioning for fullscreen video');
-                applyFullscreenPosition(notification, position, margin.fullscreen);
-                return;
-            }
+        /* Rules editor */
+        .rules-view {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-md);
+            width: 100%;
+        }
 
-            // Handle theater mode
-            if (states.isTheaterMode && theaterContainer) {
-                debug('Positioning for theater mode');
-                const theaterRect = theaterContainer.getBoundingClientRect();
-                applyTheaterPosition(notification, position, theaterRect, margin.normal);
-                return;
-            }
+        .rules-list {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-sm);
+        }
 
-            // Handle mini player
-            if (states.isMiniPlayer) {
-                debug('Positioning for mini player');
-                notification.style.top = `${margin.normal}px`;
-                notification.style.right = `${margin.normal}px`;
-                return;
-            }
+        .rule-card {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-sm);
+            padding: var(--spacing-md);
+            background: var(--bg-hover);
+            border-radius: var(--border-radius-sm);
+        }
 
-            // Standard positioning relative to player
-            debug('Applying standard positioning');
-            applyStandardPosition(notification, position, playerRect, containerRect, margin.normal);
+        .rule-card.disabled {
+            opacity: 0.6;
+        }
 
-            // Ensure notification stays within viewport bounds
-        requestAnimationFrame(() => {
-            const notificationRect = notification.getBoundingClientRect();
-                const viewportAdjustment = ensureInViewport(notificationRect, margin.safety);
-                
-                Object.entries(viewportAdjustment).forEach(([property, value]) => {
-                    if (value !== null) {
-                        notification.style[property] = value;
-                    }
-                });
+        .rule-header {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-sm);
+        }
 
-                // Fix transform property if needed
-                fixTransformProperty(notification);
-            });
+        .rule-header .rule-name {
+            flex: 1;
+            font-weight: 500;
+        }
 
-        } catch (error) {
-            console.error('Error updating notification position:', error);
-            // Fallback to safe position
-            notification.style.top = `${margin.normal}px`;
-            notification.style.left = `${margin.normal}px`;
+        .rule-grid {
+            display: grid;
+            grid-template-columns: repeat(auto-fill, minmax(180px, 1fr));
+            gap: var(--spacing-sm);
         }
-    };
 
-    // Helper function for fullscreen positioning
-    const applyFullscreenPosition = (notification, position, margin) => {
-        const positions = {
-            'top-left': { top: margin, left: margin },
-            'top-center': { top: margin, left: '50%', transform: 'translateX(-50%)' },
-            'top-right': { top: margin, right: margin },
-            'center-left': { top: '50%', left: margin, transform: 'translateY(-50%)' },
-            'center-center': { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
-            'center-right': { top: '50%', right: margin, transform: 'translateY(-50%)' },
-            'bottom-left': { bottom: margin, left: margin },
-            'bottom-center': { bottom: margin, left: '50%', transform: 'translateX(-50%)' },
-            'bottom-right': { bottom: margin, right: margin }
-        };
+        .rule-field {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            color: var(--text-secondary);
+            font-size: 12px;
+        }
 
-        const pos = positions[position] || positions['top-right'];
-        Object.entries(pos).forEach(([prop, value]) => {
-            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
-        });
-    };
+        .rule-input {
+            padding: 6px 10px;
+            border-radius: var(--border-radius-sm);
+            border: 1px solid var(--border-color);
+            background: var(--bg-primary);
+            color: var(--text-primary);
+            font-family: inherit;
+            font-size: 13px;
+            outline: none;
+        }
 
-    // Helper function for theater mode positioning
-    const applyTheaterPosition = (notification, position, theaterRect, margin) => {
-        const positions = {
-            'top-left': { top: theaterRect.top + margin, left: theaterRect.left + margin },
-            'top-center': { top: theaterRect.top + margin, left: theaterRect.left + (theaterRect.width / 2), transform: 'translateX(-50%)' },
-            'top-right': { top: theaterRect.top + margin, right: window.innerWidth - theaterRect.right + margin },
-            'center-left': { top: theaterRect.top + (theaterRect.height / 2), left: theaterRect.left + margin, transform: 'translateY(-50%)' },
-            'center-center': { top: theaterRect.top + (theaterRect.height / 2), left: theaterRect.left + (theaterRect.width / 2), transform: 'translate(-50%, -50%)' },
-            'center-right': { top: theaterRect.top + (theaterRect.height / 2), right: window.innerWidth - theaterRect.right + margin, transform: 'translateY(-50%)' },
-            'bottom-left': { bottom: window.innerHeight - theaterRect.bottom + margin, left: theaterRect.left + margin },
-            'bottom-center': { bottom: window.innerHeight - theaterRect.bottom + margin, left: theaterRect.left + (theaterRect.width / 2), transform: 'translateX(-50%)' },
-            'bottom-right': { bottom: window.innerHeight - theaterRect.bottom + margin, right: window.innerWidth - theaterRect.right + margin }
-        };
+        .rule-input:focus {
+            border-color: var(--primary-color);
+        }
 
-        const pos = positions[position] || positions['top-right'];
-        Object.entries(pos).forEach(([prop, value]) => {
-            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
-        });
-    };
+        .rule-error {
+            color: var(--error-color);
+            font-size: 12px;
+        }
 
-    // Helper function for standard positioning
-    const applyStandardPosition = (notification, position, playerRect, containerRect, margin) => {
-        const positions = {
-            'top-left': { top: playerRect.top + margin, left: containerRect.left + margin },
-            'top-center': { top: playerRect.top + margin, left: containerRect.left + (containerRect.width / 2), transform: 'translateX(-50%)' },
-            'top-right': { top: playerRect.top + margin, right: window.innerWidth - containerRect.right + margin },
-            'center-left': { top: playerRect.top + (playerRect.height / 2), left: containerRect.left + margin, transform: 'translateY(-50%)' },
-            'center-center': { top: playerRect.top + (playerRect.height / 2), left: containerRect.left + (containerRect.width / 2), transform: 'translate(-50%, -50%)' },
-            'center-right': { top: playerRect.top + (playerRect.height / 2), right: window.innerWidth - containerRect.right + margin, transform: 'translateY(-50%)' },
-            'bottom-left': { bottom: window.innerHeight - playerRect.bottom + margin, left: containerRect.left + margin },
-            'bottom-center': { bottom: window.innerHeight - playerRect.bottom + margin, left: containerRect.left + (containerRect.width / 2), transform: 'translateX(-50%)' },
-            'bottom-right': { bottom: window.innerHeight - playerRect.bottom + margin, right: window.innerWidth - containerRect.right + margin }
-        };
+        .rule-error:empty {
+            display: none;
+        }
 
-        const pos = positions[position] || positions['top-right'];
-        Object.entries(pos).forEach(([prop, value]) => {
-            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
-        });
-    };
+        /* Shared action buttons inside the settings panel */
+        .settings-action-button {
+            padding: 8px 14px;
+            border-radius: var(--border-radius-sm);
+            border: 1px solid var(--border-color);
+            background: var(--bg-hover);
+            color: var(--text-primary);
+            font-family: inherit;
+            font-size: 13px;
+            font-weight: 500;
+            cursor: pointer;
+            transition: var(--transition-smooth);
+        }
 
-    // Helper function to ensure notification stays within viewport
-    const ensureInViewport = (rect, safetyMargin) => {
-        const adjustment = {
-            top: null,
-            right: null,
-            bottom: null,
-            left: null,
-            transform: null
-        };
+        .settings-action-button:hover:not(:disabled) {
+            background: var(--bg-active);
+        }
 
-        if (rect.right > window.innerWidth - safetyMargin) {
-            adjustment.right = `${safetyMargin}px`;
-            adjustment.left = 'auto';
-            adjustment.transform = '';
+        .settings-action-button.primary {
+            background: var(--primary-color);
+            border-color: var(--primary-color);
+            color: #ffffff;
         }
 
-        if (rect.left < safetyMargin) {
-            adjustment.left = `${safetyMargin}px`;
-            adjustment.right = 'auto';
-            adjustment.transform = '';
+        .settings-action-button.danger {
+            border-color: var(--error-color);
+            color: var(--error-color);
         }
 
-        if (rect.bottom > window.innerHeight - safetyMargin) {
-            adjustment.bottom = `${safetyMargin}px`;
-            adjustment.top = 'auto';
+        .settings-action-button:disabled {
+            opacity: 0.5;
+            cursor: default;
         }
 
-        if (rect.top < safetyMargin) {
-            adjustment.top = `${safetyMargin}px`;
-            adjustment.bottom = 'auto';
+        /* Export / import */
+        .transfer-view {
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-md);
+            width: 100%;
         }
 
-        return adjustment;
-    };
+        .transfer-actions {
+            display: flex;
+            gap: var(--spacing-sm);
+        }
 
-    // Helper function to fix transform property
-    const fixTransformProperty = (notification) => {
-        const transform = notification.style.transform;
-        if (!transform) return;
+        .import-preview {
+            flex-direction: column;
+            gap: var(--spacing-sm);
+            padding: var(--spacing-md);
+            background: var(--bg-hover);
+            border-radius: var(--border-radius-sm);
+        }
 
-        if (transform.includes('translate(-50%,') && !transform.includes('translateY(-50%)')) {
-            notification.style.transform = 'translateX(-50%)';
-        } else if (transform.includes('translate(') && !transform.includes('translate(-50%, -50%)')) {
-            notification.style.transform = transform
-                .replace('translate(', 'translateX(')
-                .replace(', -50%)', '');
+        .import-summary {
+            font-weight: 500;
         }
-    };
 
-    // Show notification with improved reliability and modern aesthetics
-    const showNotification = (message, emoji, duration = settings.notificationDuration) => {
-        if (!message || !emoji) {
-            debug('Missing message or emoji for notification');
-            return Promise.reject(new Error('Missing message or emoji'));
+        .import-warning {
+            color: var(--warning-color);
+            font-size: 12px;
         }
-        
-        // Skip showing notification if notifications are disabled
-        if (!settings.enableNotifications) {
-            debug(`Notification suppressed (notifications disabled): ${message}`);
-            return Promise.reject(new Error('Notifications disabled'));
+
+        .import-list {
+            display: flex;
+            flex-direction: column;
+            gap: 4px;
+            max-height: 240px;
+            overflow-y: auto;
         }
 
-        // Skip duplicate notifications within a short time
-        const notificationKey = `${message}:${emoji}`;
-        const now = Date.now();
-        const lastNotificationTime = showNotification.lastShownTimes?.get(notificationKey) || 0;
-        
-        if (now - lastNotificationTime < 1500) { // Prevent duplicate notifications within 1.5s
-            debug('Skipping duplicate notification');
-            return Promise.resolve(false);
+        .import-row {
+            display: flex;
+            align-items: center;
+            gap: var(--spacing-sm);
+            font-size: 12px;
         }
 
-        // Update last shown time
-        showNotification.lastShownTimes = showNotification.lastShownTimes || new Map();
-        showNotification.lastShownTimes.set(notificationKey, now);
-        
-        debug(`Showing notification: ${message}`);
-        
-        // Return a promise to track success/failure
-        return new Promise((resolve, reject) => {
-            // Helper function to retry creating the notification if needed
-            const showNotificationWithRetry = (retryCount = 0, maxRetries = 3) => {
-            // Cancel any existing notification timers
-            if (notificationTimeout) {
-                clearTimeout(notificationTimeout);
-                notificationTimeout = null;
-            }
+        .import-status {
+            min-width: 80px;
+            padding: 2px 6px;
+            border-radius: var(--border-radius-sm);
+            text-align: center;
+            text-transform: uppercase;
+            font-size: 10px;
+            font-weight: 600;
+            color: #ffffff;
+        }
 
-            if (notificationAnimationFrame) {
-                cancelAnimationFrame(notificationAnimationFrame);
-                notificationAnimationFrame = null;
-            }
+        .import-status.added {
+            background: var(--success-color);
+        }
 
-            // Get or create the notification container
-            const notification = getOrCreateNotificationContainer();
-            
-            if (!notification) {
-                if (retryCount < maxRetries) {
-                    setTimeout(() => showNotificationWithRetry(retryCount + 1, maxRetries), 100);
-                } else {
-                    reject(new Error('Failed to create notification container'));
-                }
-                return;
-            }
+        .import-status.overwritten {
+            background: var(--warning-color);
+            color: rgba(0, 0, 0, 0.87);
+        }
 
-            const contentDiv = notification.querySelector('.notification-content');
-            if (!contentDiv) {
-                if (retryCount < maxRetries) {
-                    setTimeout(() => showNotificationWithRetry(retryCount + 1, maxRetries), 100);
-                } else {
-                    reject(new Error('Failed to find content div'));
-                }
-                return;
-            }
+        .import-status.skipped {
+            background: var(--text-secondary);
+        }
 
-            // Clear existing content
-            while (contentDiv.firstChild) {
-                contentDiv.removeChild(contentDiv.firstChild);
-            }
+        .import-status.conflict {
+            background: var(--primary-color);
+        }
 
-                // Create emoji container with enhanced styling
-                const emojiContainer = document.createElement('div');
-                emojiContainer.className = 'notification-emoji-container';
-                emojiContainer.style.display = 'flex';
-                emojiContainer.style.alignItems = 'center';
-                emojiContainer.style.justifyContent = 'center';
-                emojiContainer.style.flexShrink = '0';
-                emojiContainer.style.borderRadius = '50%';
-                emojiContainer.style.width = '22px';
-                emojiContainer.style.height = '22px';
-                emojiContainer.style.background = 'rgba(255, 255, 255, 0.1)';
-                emojiContainer.style.marginRight = '4px';
-                
-                // Create emoji element with enhanced styling
-            const emojiSpan = document.createElement('span');
-            emojiSpan.className = 'notification-emoji';
-            emojiSpan.textContent = emoji;
-                emojiSpan.style.fontSize = '14px';
-                emojiSpan.style.lineHeight = '1';
-            emojiSpan.style.display = 'flex';
-            emojiSpan.style.alignItems = 'center';
-            emojiSpan.style.justifyContent = 'center';
-                emojiSpan.style.opacity = '0.95';
-            emojiSpan.style.transform = 'translateZ(0)'; // Force GPU acceleration
-            
-                emojiContainer.appendChild(emojiSpan);
-                
-                // Create content container for better layout
-                const textContainer = document.createElement('div');
-                textContainer.className = 'notification-text-container';
-                textContainer.style.display = 'flex';
-                textContainer.style.flexDirection = 'column';
-                textContainer.style.flexGrow = '1';
-                textContainer.style.minWidth = '0'; // Allow ellipsis to work
-                textContainer.style.gap = '2px';
-                
-                // Create message element with enhanced styling
-            const messageSpan = document.createElement('span');
-            messageSpan.className = 'notification-message';
-            messageSpan.textContent = message;
-            messageSpan.style.display = 'block';
-                messageSpan.style.fontWeight = '500';  // Slightly bolder
-                messageSpan.style.lineHeight = '1.2';
-            messageSpan.style.whiteSpace = 'nowrap';
-            messageSpan.style.overflow = 'hidden';
-            messageSpan.style.textOverflow = 'ellipsis';
-                messageSpan.style.opacity = '0.92';
-            messageSpan.style.transform = 'translateZ(0)'; // Force GPU acceleration
-                
-                textContainer.appendChild(messageSpan);
-                
-                // Determine if we should use dark mode for styling
-                let useDarkMode = true;
-                if (settings.themeMode === 'light') {
-                    useDarkMode = false;
-                } else if (settings.themeMode === 'system') {
-                    useDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-                }
-            
-            // Add elements to content div
-                contentDiv.appendChild(emojiContainer);
-                contentDiv.appendChild(textContainer);
-                
-                // Add subtle close button
-                const closeButton = document.createElement('div');
-                closeButton.className = 'notification-close';
-                closeButton.textContent = '×';  // Using textContent instead of innerHTML
-                closeButton.style.fontSize = '16px';
-                closeButton.style.lineHeight = '16px';
-                closeButton.style.width = '16px';
-                closeButton.style.height = '16px';
-                closeButton.style.display = 'flex';
-                closeButton.style.alignItems = 'center';
-                closeButton.style.justifyContent = 'center';
-                closeButton.style.marginLeft = '6px';
-                closeButton.style.opacity = '0.5';
-                closeButton.style.cursor = 'pointer';
-                closeButton.style.borderRadius = '50%';
-                closeButton.style.transition = 'opacity 0.2s ease, background-color 0.2s ease';
-                
-                // Add hover effect
-                closeButton.addEventListener('mouseover', () => {
-                    closeButton.style.opacity = '0.8';
-                    closeButton.style.backgroundColor = useDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
-                });
-                
-                closeButton.addEventListener('mouseout', () => {
-                    closeButton.style.opacity = '0.5';
-                    closeButton.style.backgroundColor = 'transparent';
-                });
-                
-                // Add click handler to dismiss notification
-                closeButton.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    hideNotification(notification, true);
-                });
-                
-                contentDiv.appendChild(closeButton);
+        .import-title {
+            flex: 1;
+            min-width: 0;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
+        }
 
-            // Position the notification before showing
-            updateNotificationPosition(notification);
+        .import-detail {
+            color: var(--text-secondary);
+            white-space: nowrap;
+        }
 
-                // Show notification with enhanced animation
-            requestAnimationFrame(() => {
-                notification.style.display = 'flex';
-                notification.style.visibility = 'visible';
-                
-                // Force a reflow to ensure transition works
-                notification.offsetHeight;
-                
-                    // More sophisticated animation
-                notification.style.opacity = '1';
-                    notification.style.transform = 'translateZ(0) translateY(0) scale(1)';
-
-                    // Start progress bar animation
-                const progressBar = notification.querySelector('.notification-progress');
-                if (progressBar) {
-                        // Reset progress bar first
-                        progressBar.style.transition = 'none';
-                        progressBar.style.width = '100%';
-                        
-                        // Force reflow
-                        progressBar.offsetHeight;
-                        
-                        // Start animation
-                        progressBar.style.transition = `width ${duration}ms cubic-bezier(0.4, 0, 0.2, 1)`;
-                        progressBar.style.width = '0';
-                }
+        .import-settings-toggle {
+            font-size: 13px;
+            cursor: pointer;
+        }
 
-                // Set hide timeout
-                notificationTimeout = setTimeout(() => {
-                        hideNotification(notification);
-                    }, duration);
-                    
-                    // Mark as resolved once shown
-                    resolve(true);
-                });
-            };
-            
-            // Helper function to hide the notification with animation
-            const hideNotification = (notification, immediate = false) => {
-                if (!notification) return;
-                
-                const transitionDuration = immediate ? 150 : 250;
-                
-                // Set transition duration (faster for immediate)
-                notification.style.transition = `all ${transitionDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`;
-                
-                // Animate out
-                    notification.style.opacity = '0';
-                notification.style.transform = 'translateZ(0) translateY(-10px) scale(0.96)';
-                    
-                    // Clean up after transition
-                    setTimeout(() => {
-                        notification.style.display = 'none';
-                    
-                        // Reset progress bar
-                    const progressBar = notification.querySelector('.notification-progress');
-                        if (progressBar) {
-                            progressBar.style.transition = 'none';
-                            progressBar.style.width = '100%';
-                        }
-                }, transitionDuration);
-            };
-            
-            // Start the notification showing process
-            showNotificationWithRetry(0, 3);
-        });
-    };
+        /* Choice dialogs */
+        .yt-timestamp-dialog-backdrop {
+            position: fixed;
+            inset: 0;
+            z-index: 10001;
+            background: rgba(0, 0, 0, 0.5);
+            display: flex;
+            align-items: center;
+            justify-content: center;
+            font-family: 'YouTube Sans', -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        }
 
-    // Debounced window resize handler
-    window.addEventListener('resize', () => {
-        if (resizeDebounceTimeout) {
-            clearTimeout(resizeDebounceTimeout);
+        .yt-timestamp-dialog {
+            width: min(520px, 92vw);
+            padding: var(--spacing-lg);
+            background: rgba(32, 32, 32, 0.96);
+            color: rgba(255, 255, 255, 0.95);
+            border-radius: var(--border-radius-lg);
+            border: 1px solid rgba(255, 255, 255, 0.08);
+            box-shadow: var(--shadow-lg);
+            display: flex;
+            flex-direction: column;
+            gap: var(--spacing-md);
         }
 
-        resizeDebounceTimeout = setTimeout(() => {
-            if (notificationContainer && notificationContainer.classList.contains('show')) {
-                requestAnimationFrame(() => {
-                    updateNotificationPosition(notificationContainer);
-                });
-            }
-            // Also invalidate cached player rect
-            lastPlayerRect = null;
-        }, 100); // 100ms debounce
-    });
+        .yt-timestamp-dialog-backdrop.light .yt-timestamp-dialog {
+            background: rgba(255, 255, 255, 0.98);
+            color: rgba(0, 0, 0, 0.9);
+            border-color: rgba(0, 0, 0, 0.08);
+        }
 
-    // Optimized player change observer
-    const observePlayerChanges = () => {
-        debug('Setting up player change detection');
-        
-        // Function to find player container reliably
-        const getPlayerContainer = () => {
-            return document.querySelector('#movie_player') || 
-                   document.querySelector('.html5-video-player');
-        };
+        .dialog-title {
+            margin: 0;
+            font-size: 18px;
+            font-weight: 600;
+        }
 
-        const setupObserver = () => {
-            const playerContainer = getPlayerContainer();
-            if (!playerContainer) {
-                debug('Player container not found, will retry later');
-                return null;
-            }
-            
-            // Create mutation observer
-            const observer = new MutationObserver((mutations) => {
-                if (!settings.debugMode) return; // Skip processing if not in debug mode
-                
-                for (const mutation of mutations) {
-                    if (mutation.attributeName === 'class') {
-                        const target = mutation.target;
-                        const classes = target.className;
-                        
-                        if (classes.includes('playing')) {
-                            debug('Player state changed: playing');
-                        } else if (classes.includes('paused')) {
-                            debug('Player state changed: paused');
-                        }
-                    }
-                }
-            });
-            
-            // Start observing with optimized configuration
-            observer.observe(playerContainer, { 
-                attributes: true,
-                attributeFilter: ['class'], // Only observe class changes
-                subtree: false // Don't observe children
-            });
-            
-            debug('Player change observer initialized');
-            return observer;
-        };
-        
-        // Initial setup
-        let observer = setupObserver();
-        
-        // If player not ready, retry with increasing delays
-        if (!observer) {
-            let retryCount = 0;
-            const maxRetries = 5;
-            const retryInterval = 1000;
-            
-            const retrySetup = () => {
-                retryCount++;
-                debug(`Retrying player observer setup (${retryCount}/${maxRetries})`);
-                
-                observer = setupObserver();
-                if (!observer && retryCount < maxRetries) {
-                    setTimeout(retrySetup, retryInterval * retryCount);
-                }
-            };
-            
-            setTimeout(retrySetup, retryInterval);
+        .dialog-message {
+            margin: 0;
+            font-size: 13px;
+            opacity: 0.75;
+            white-space: nowrap;
+            overflow: hidden;
+            text-overflow: ellipsis;
         }
-        
-        // Return cleanup function
-        return {
-            cleanup: () => {
-                if (observer) {
-                    observer.disconnect();
-                    observer = null;
-                    debug('Player observer cleaned up');
-                }
-            }
-        };
-    };
 
-    // Initialize the player observer once
-    observePlayerChanges();
+        .dialog-choices {
+            display: grid;
+            grid-template-columns: repeat(auto-fit, minmax(180px, 1fr));
+            gap: var(--spacing-md);
+        }
 
-    // Create settings UI Functions
-    const createSettingOption = (id, label, description, type = 'checkbox') => {
-        const option = document.createElement('div');
-        option.className = 'setting-option';
+        .dialog-choice {
+            display: flex;
+            flex-direction: column;
+            align-items: flex-start;
+            gap: 4px;
+            padding: var(--spacing-md);
+            border-radius: var(--border-radius-md);
+            border: 2px solid transparent;
+            background: rgba(255, 255, 255, 0.08);
+            color: inherit;
+            font-family: inherit;
+            text-align: left;
+            cursor: pointer;
+            transition: var(--transition-smooth);
+        }
 
-        const header = document.createElement('div');
-        header.className = 'setting-header';
-
-        const labelElem = document.createElement('h3');
-        labelElem.className = 'setting-label';
-        labelElem.textContent = label;
+        .yt-timestamp-dialog-backdrop.light .dialog-choice {
+            background: rgba(0, 0, 0, 0.04);
+        }
 
-        const descriptionElem = document.createElement('p');
-        descriptionElem.className = 'setting-description';
-        descriptionElem.textContent = description;
+        .dialog-choice:hover,
+        .dialog-choice:focus {
+            border-color: var(--primary-color);
+            outline: none;
+        }
 
-        const left = document.createElement('div');
-        left.appendChild(labelElem);
-        left.appendChild(descriptionElem);
+        .dialog-choice-label {
+            font-weight: 600;
+            font-size: 14px;
+        }
 
-        header.appendChild(left);
+        .dialog-choice-detail {
+            font-size: 12px;
+            opacity: 0.75;
+        }
 
-        const control = document.createElement('div');
-        control.className = 'setting-control';
+        .dialog-checkbox {
+            font-size: 13px;
+            cursor: pointer;
+        }
+    `;
 
-        switch (type) {
-            case 'checkbox':
-                const toggle = document.createElement('label');
-                toggle.className = 'modern-toggle';
+    // Initialize styles
+    GM_addStyle(styles);
 
-                const checkbox = document.createElement('input');
-                checkbox.type = 'checkbox';
-                checkbox.id = id;
-                checkbox.className = 'modern-input';
-                checkbox.checked = settings[id] || false;
+    // Add theme variables container
+    const addThemeContainer = () => {
+        let themeContainer = document.querySelector('.yt-timestamp-theme-vars');
+        if (!themeContainer) {
+            themeContainer = document.createElement('div');
+            themeContainer.className = 'yt-timestamp-theme-vars';
+            themeContainer.style.display = 'none';
+            document.body.appendChild(themeContainer);
+        }
+        return themeContainer;
+    };
 
-                // Instant update for checkboxes
-                checkbox.addEventListener('change', () => {
-                    settings[id] = checkbox.checked;
-                    GM_setValue('ytTimestampSettings', settings);
-                    updateThemeVariables();
+    // Update theme variables based on settings
+    const updateThemeVariables = (isDarkMode) => {
+        const themeContainer = addThemeContainer();
 
-                    // Show preview for certain setting changes
-                    if (id === 'customNotificationIcons' || id === 'notifyOnRestore') {
-                        showNotification(`${label} ${checkbox.checked ? 'enabled' : 'disabled'}`, '⚙️');
-                    }
-                });
+        // Determine if we should use dark mode based on themeMode setting
+        let useDarkMode = true;
 
-                const slider = document.createElement('span');
-                slider.className = 'modern-slider';
+        if (settings.themeMode === 'light') {
+            useDarkMode = false;
+        } else if (settings.themeMode === 'system') {
+            // Check system preference
+            useDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        }
 
-                toggle.appendChild(checkbox);
-                toggle.appendChild(slider);
-                control.appendChild(toggle);
-                break;
+        // Set colors based on theme
+        const bgPrimary = useDarkMode ? 'rgba(25, 25, 25, 0.85)' : 'rgba(255, 255, 255, 0.95)';
+        const bgSecondary = useDarkMode ? 'rgba(35, 35, 35, 0.85)' : 'rgba(245, 245, 245, 0.95)';
+        const textPrimary = useDarkMode ? 'rgba(255, 255, 255, 0.95)' : 'rgba(0, 0, 0, 0.9)';
+        const textSecondary = useDarkMode ? 'rgba(255, 255, 255, 0.7)' : 'rgba(0, 0, 0, 0.7)';
+        const borderColor = useDarkMode ? 'rgba(255, 255, 255, 0.15)' : 'rgba(0, 0, 0, 0.1)';
 
-            case 'number':
-                const input = document.createElement('input');
-                input.type = 'number';
-                input.id = id;
-                input.className = 'modern-input';
-                input.value = settings[id] || 0;
-                input.min = 0;
+        themeContainer.style.setProperty('--bg-primary', bgPrimary);
+        themeContainer.style.setProperty('--bg-secondary', bgSecondary);
+        themeContainer.style.setProperty('--text-primary', textPrimary);
+        themeContainer.style.setProperty('--text-secondary', textSecondary);
+        themeContainer.style.setProperty('--border-color', borderColor);
 
-                // Instant update for number inputs
-                input.addEventListener('change', () => {
-                    const numValue = parseInt(input.value);
-                    if (!isNaN(numValue)) {
-                        settings[id] = numValue;
-                        GM_setValue('ytTimestampSettings', settings);
-                    }
-                });
+        // Set accent color
+        themeContainer.style.setProperty('--primary-color', settings.customAccentColor || '#2196F3');
 
-                control.appendChild(input);
-                break;
+        // Set blur effect based on blur amount
+        const blurAmount = settings.blurAmount || 0;
+        const blurValue = blurAmount > 0 ? `blur(${blurAmount}px) saturate(180%)` : 'none';
+        themeContainer.style.setProperty('--blur-effect', blurValue);
 
-            case 'select':
-                const select = document.createElement('select');
-                select.id = id;
-                select.className = 'modern-select';
+        // Update UI variables
+        document.documentElement.style.setProperty('--primary-color', settings.customAccentColor || '#2196F3');
+        document.documentElement.style.setProperty('--blur-effect', blurValue);
 
-                // Instant update for selects
-                select.addEventListener('change', () => {
-                    if (id === 'preset') return; // Skip preset select as it has its own handler
+        debug('Theme variables updated', {
+            themeMode: settings.themeMode,
+            systemIsDark: window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches,
+            usingDarkMode: useDarkMode,
+            accentColor: settings.customAccentColor,
+            blurAmount: blurAmount > 0 ? `${blurAmount}px` : 'disabled'
+        });
 
-                    settings[id] = select.value;
-                    GM_setValue('ytTimestampSettings', settings);
-                    updateThemeVariables();
+        // Update any existing UI elements
+        const settingsUI = document.querySelector('.yt-timestamp-settings');
+        if (settingsUI) {
+            settingsUI.className = `yt-timestamp-settings ${useDarkMode ? '' : 'light'} ${settingsUI.classList.contains('show') ? 'show' : ''}`;
 
-                    // Show preview for notification changes
-                    if (id === 'notificationSize') {
-                        showNotification(`Notification size: ${select.value}`, '⚙️');
+            // Update all color-related elements to respect the accent color
+            const accentElements = settingsUI.querySelectorAll('.settings-tab.active, input:checked + .modern-slider, .modern-input[type="range"]::-webkit-slider-thumb, .position-option.active, .format-option.active, .browser-preset.active, .size-option.active, .theme-option.active, .sync-option.active');
+            accentElements.forEach(el => {
+                if (el.classList.contains('modern-slider')) {
+                    el.style.backgroundColor = settings.customAccentColor;
+                } else if (el.classList.contains('theme-option')) {
+                    if (el.classList.contains('active')) {
+                    el.style.borderColor = settings.customAccentColor;
+                    } else {
+                        el.style.borderColor = 'transparent';
                     }
-                });
+                } else if (el.classList.contains('format-option') || el.classList.contains('browser-preset') || el.classList.contains('size-option') || el.classList.contains('sync-option')) {
+                    if (el.classList.contains('active')) {
+                        el.style.borderColor = settings.customAccentColor;
+                    }
+                } else if (el.classList.contains('position-option') || el.classList.contains('screen-representation')) {
+                    el.style.background = settings.customAccentColor;
+                } else if (el.classList.contains('settings-tab')) {
+                    el.style.color = settings.customAccentColor;
+                    el.style.borderColor = settings.customAccentColor;
+                }
+            });
+        }
 
-                switch (id) {
-                    case 'timestampFormat':
-                        const formatSelector = document.createElement('div');
-                        formatSelector.className = 'format-selector';
-                        formatSelector.style.display = 'grid';
-                        formatSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                        formatSelector.style.gap = 'var(--spacing-md)';
-                        formatSelector.style.width = '100%';
+        // Update notification container if it exists
+        updateNotificationSettings(useDarkMode);
+    };
 
-                        const formats = [
-                            {
-                                value: 'seconds',
-                                label: 'Seconds',
-                                description: 'Simple seconds format',
-                                example: '123s',
-                                icon: '⏱️'
-                            },
-                            {
-                                value: 'mm:ss',
-                                label: 'Minutes:Seconds',
-                                description: 'Standard time format',
-                                example: '2:03',
-                                icon: '⌚'
-                            },
-                            {
-                                value: 'hh:mm:ss',
-                                label: 'Hours:Minutes:Seconds',
-                                description: 'Full time format',
-                                example: '1:02:03',
-                                icon: '🕐'
-                            }
-                        ];
+    // Update notification settings to accept the isDarkMode parameter
+    const updateNotificationSettings = (useDarkMode) => {
+        if (!notificationContainer || !document.body.contains(notificationContainer)) {
+            return; // No notification container to update
+        }
 
-                        formats.forEach(format => {
-                            const formatOption = document.createElement('div');
-                            formatOption.className = `format-option ${settings.timestampFormat === format.value ? 'active' : ''}`;
-                            formatOption.style.padding = 'var(--spacing-md)';
-                            formatOption.style.borderRadius = 'var(--border-radius-md)';
-                            formatOption.style.background = 'var(--bg-hover)';
-                            formatOption.style.cursor = 'pointer';
-                            formatOption.style.transition = 'var(--transition-smooth)';
-                            formatOption.style.border = '2px solid transparent';
-                            formatOption.style.display = 'flex';
-                            formatOption.style.flexDirection = 'column';
-                            formatOption.style.alignItems = 'center';
-                            formatOption.style.gap = 'var(--spacing-sm)';
+        // Use provided dark mode value or determine from settings
+        if (useDarkMode === undefined) {
+            if (settings.themeMode === 'light') {
+                useDarkMode = false;
+            } else if (settings.themeMode === 'system') {
+                useDarkMode = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+            } else {
+                useDarkMode = true;
+            }
+        }
 
-                            // Create preview container
-                            const preview = document.createElement('div');
-                            preview.className = 'format-preview';
-                            preview.style.width = '100%';
-                            preview.style.height = '60px';
-                            preview.style.borderRadius = 'var(--border-radius-sm)';
-                            preview.style.background = 'var(--bg-secondary)';
-                            preview.style.border = '1px solid var(--border-color)';
-                            preview.style.display = 'flex';
-                            preview.style.alignItems = 'center';
-                            preview.style.justifyContent = 'center';
-                            preview.style.flexDirection = 'column';
-                            preview.style.gap = '4px';
-                            preview.style.marginBottom = 'var(--spacing-sm)';
+        const blurAmount = settings.blurAmount || 0;
+        const blurValue = blurAmount > 0 ? `blur(${blurAmount}px) saturate(180%)` : 'none';
 
-                            // Add icon
-                            const icon = document.createElement('div');
-                            icon.textContent = format.icon;
-                            icon.style.fontSize = '20px';
-                            icon.style.marginBottom = '2px';
+        getNotificationElements().forEach(notification => {
+            // Update dark mode class and colors
+            updateNotificationTheme(notification, useDarkMode);
 
-                            // Add example
-                            const example = document.createElement('div');
-                            example.textContent = format.example;
-                            example.style.fontSize = '14px';
-                            example.style.fontFamily = 'monospace';
-                            example.style.color = 'var(--text-primary)';
-                            example.style.opacity = '0.9';
+            // Update size
+            if (settings.notificationSize === 'small') {
+                notification.style.setProperty('--notification-width', 'clamp(160px, 18vw, 250px)');
+                notification.style.fontSize = '10px';
+            } else if (settings.notificationSize === 'large') {
+                notification.style.setProperty('--notification-width', 'clamp(280px, 30vw, 400px)');
+                notification.style.fontSize = '14px';
+            } else {
+                // Medium (default)
+                notification.style.setProperty('--notification-width', 'clamp(220px, 24vw, 320px)');
+                notification.style.fontSize = '12px';
+            }
 
-                            preview.appendChild(icon);
-                            preview.appendChild(example);
-
-                            // Create label
-                            const label = document.createElement('div');
-                            label.className = 'format-label';
-                            label.textContent = format.label;
-                            label.style.fontWeight = '500';
-                            label.style.color = 'var(--text-primary)';
-                            label.style.fontSize = '14px';
+            // Fixed opacity (no longer user-configurable)
+            notification.style.setProperty('--bg-opacity', '0.9');
 
-                            // Create description
-                            const description = document.createElement('div');
-                            description.className = 'format-description';
-                            description.textContent = format.description;
-                            description.style.color = 'var(--text-secondary)';
-                            description.style.fontSize = '12px';
-                            description.style.textAlign = 'center';
+            // Explicitly set the backdrop filter to respect blur setting
+            notification.style.backdropFilter = blurValue;
+            notification.style.webkitBackdropFilter = blurValue;
 
-                            formatOption.appendChild(preview);
-                            formatOption.appendChild(label);
-                            formatOption.appendChild(description);
+            // Update the progress bar color to match the accent color
+            const progressBar = notification.querySelector('.notification-progress');
+            if (progressBar) {
+                progressBar.style.background = settings.customAccentColor;
+            }
+        });
 
-                            // Add hover and active states
-                            formatOption.addEventListener('mouseover', () => {
-                                if (!formatOption.classList.contains('active')) {
-                                    formatOption.style.background = 'var(--bg-active)';
-                                    formatOption.style.transform = 'translateY(-2px)';
-                                }
-                            });
+        // Update position of any visible notifications
+        repositionNotifications();
 
-                            formatOption.addEventListener('mouseout', () => {
-                                if (!formatOption.classList.contains('active')) {
-                                    formatOption.style.background = 'var(--bg-hover)';
-                                    formatOption.style.transform = 'none';
-                                }
-                            });
+        debug('Notification settings updated', {
+            size: settings.notificationSize,
+            blurAmount: blurAmount > 0 ? `${blurAmount}px` : 'disabled',
+            darkMode: useDarkMode
+        });
+    };
 
-                            // Add click handler
-                            formatOption.addEventListener('click', () => {
-                                formatSelector.querySelectorAll('.format-option').forEach(opt => {
-                                    opt.classList.remove('active');
-                                    opt.style.background = 'var(--bg-hover)';
-                                    opt.style.borderColor = 'transparent';
-                                    opt.style.transform = 'none';
-                                });
+    // Initialize theme variables
+    updateThemeVariables();
 
-                                formatOption.classList.add('active');
-                                formatOption.style.background = 'var(--bg-active)';
-                                formatOption.style.borderColor = 'var(--primary-color)';
-                                formatOption.style.transform = 'translateY(-2px)';
+    // Utility Functions
+    const formatTime = (seconds) => {
+        const h = Math.floor(seconds / 3600);
+        const m = Math.floor((seconds % 3600) / 60);
+        const s = Math.floor(seconds % 60);
 
-                                settings.timestampFormat = format.value;
-                                GM_setValue('ytTimestampSettings', settings);
+        switch (settings.timestampFormat) {
+            case 'seconds':
+                return `${Math.floor(seconds)}s`;
+            case 'mm:ss':
+                return `${m}:${s.toString().padStart(2, '0')}`;
+            case 'hh:mm:ss':
+            default:
+        return h > 0
+            ? `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`
+            : `${m}:${s.toString().padStart(2, '0')}`;
+        }
+    };
 
-                                // Show preview with the new format
-                                const now = Math.floor(Date.now() / 1000);
-                                const formattedTime = formatTime(now, format.value);
-                                showNotification(`Format set to ${format.label}\n${formattedTime}`, format.icon);
-                            });
+    // Format a stored savedAt value for display in lists
+    const formatDate = (timestamp) => {
+        if (!timestamp) return 'Unknown date';
+        return new Date(timestamp).toLocaleString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    };
 
-                            // Set initial active state
-                            if (settings.timestampFormat === format.value) {
-                                formatOption.classList.add('active');
-                                formatOption.style.background = 'var(--bg-active)';
-                                formatOption.style.borderColor = 'var(--primary-color)';
-                            }
+    // Fraction (0-1) of the video covered by a stored entry
+    const getEntryProgress = (entry) => {
+        if (!entry || !entry.duration || entry.duration <= 0) return 0;
+        return Math.min(1, Math.max(0, entry.time / entry.duration));
+    };
 
-                            formatSelector.appendChild(formatOption);
-                        });
+    // Finished videos carry an explicit watched flag, see markVideoWatched
+    const isEntryFinished = (entry) => entry?.watched === true;
 
-                        control.appendChild(formatSelector);
-                        control.style.width = '100%';
-                        break;
+    // Positions this close to the start are not resumed (see processVideoTimestamp), so an entry
+    // below it, such as one kept only for its bookmarks, has not really been started
+    const inProgressMinTime = 5;
+    const isEntryInProgress = (entry) => !!entry && !isEntryFinished(entry) && (entry.time || 0) > inProgressMinTime;
 
-                    case 'notificationPosition':
-                        // This is now handled by the position picker visual representation
-                        // so we don't create a dropdown here
-                        break;
+    // Build a watch URL that starts playback at the given position, optionally inside a playlist
+    const buildResumeUrl = (videoId, time = 0, list = null, index = null) => {
+        const seconds = Math.floor(time);
+        const playlistParams = list ? `&list=${encodeURIComponent(list)}${index ? `&index=${index}` : ''}` : '';
+        return `https://www.youtube.com/watch?v=${encodeURIComponent(videoId)}${playlistParams}${seconds > 0 ? `&t=${seconds}s` : ''}`;
+    };
 
-                    case 'syncBehavior':
-                        const behaviors = [
-                            { value: 'latest', label: 'Use latest position' },
-                            { value: 'manual', label: 'Manual selection' }
-                        ];
-                        behaviors.forEach(behavior => {
-                            const option = document.createElement('option');
-                            option.value = behavior.value;
-                            option.textContent = behavior.label;
-                            option.selected = settings[id] === behavior.value;
-                            select.appendChild(option);
-                        });
-                        break;
+    // URL Parsing
+    const isValidVideoId = (videoId) => typeof videoId === 'string' && /^[A-Za-z0-9_-]{11}$/.test(videoId);
 
-                    case 'notificationSize':
-                        const sizes = [
-                            { value: 'small', label: 'Compact' },
-                            { value: 'medium', label: 'Standard' },
-                            { value: 'large', label: 'Spacious' }
-                        ];
-                        sizes.forEach(size => {
-                            const option = document.createElement('option');
-                            option.value = size.value;
-                            option.textContent = size.label;
-                            option.selected = settings[id] === size.value;
-                            select.appendChild(option);
-                        });
-                        break;
+    // Convert a t/start parameter ("95", "95s", "1h2m3s", "2m") to seconds, or null
+    const parseTimeParam = (value) => {
+        if (!value) return null;
+        if (/^\d+$/.test(value)) return parseInt(value, 10);
 
-                    case 'preset':
-                        const presets = [
-                            { value: 'custom', label: 'Custom' },
-                            { value: 'chrome', label: 'Chrome Preset' },
-                            { value: 'firefox', label: 'Firefox Preset' }
-                        ];
-                        presets.forEach(presetOption => {
-                            const option = document.createElement('option');
-                            option.value = presetOption.value;
-                            option.textContent = presetOption.label;
-                            option.selected = settings[id] === presetOption.value;
-                            select.appendChild(option);
-                        });
+        const timeMatch = value.match(/^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/);
+        if (!timeMatch || timeMatch[0] === '') return null;
 
-                        // Add event listener for preset changes
-                        select.addEventListener('change', () => {
-                            applyPreset(select.value);
-                        });
-                        break;
-                }
+        const [, hours = 0, minutes = 0, seconds = 0] = timeMatch;
+        return (parseInt(hours, 10) * 3600) + (parseInt(minutes, 10) * 60) + parseInt(seconds, 10);
+    };
 
-                // Only append select if it has children (notificationPosition doesn't)
-                if (select.children.length > 0) {
-                    control.appendChild(select);
-                }
-                break;
+    // Recognize every YouTube URL shape that identifies a single video.
+    // Returns { videoId, surface, time, list, index } or null. youtu.be and youtube-nocookie.com
+    // only appear in links and imports: the script itself runs on the @match hosts, top frame only.
+    const parseYouTubeUrl = (href) => {
+        let url;
+        try {
+            url = new URL(href, window.location.origin);
+        } catch (error) {
+            return null;
+        }
 
-            case 'time-input':
-                const rangeContainer = document.createElement('div');
-                rangeContainer.style.display = 'flex';
-                rangeContainer.style.alignItems = 'center';
-                rangeContainer.style.gap = 'var(--spacing-md)';
-                rangeContainer.style.width = '100%';
+        const host = url.hostname.replace(/^www\./, '');
+        const params = url.searchParams;
+        const pathParts = url.pathname.split('/').filter(Boolean);
+        let videoId = null;
+        let surface = null;
 
-                const range = document.createElement('input');
-                range.type = 'range';
-                range.id = id;
-                range.className = 'modern-input';
+        if (host === 'youtu.be') {
+            videoId = pathParts[0];
+            surface = 'watch';
+        } else if (host === 'music.youtube.com') {
+            if (pathParts[0] === 'watch') {
+                videoId = params.get('v');
+                surface = 'music';
+            }
+        } else if (host === 'youtube.com' || host === 'm.youtube.com' || host === 'youtube-nocookie.com') {
+            if (pathParts[0] === 'watch') {
+                videoId = params.get('v');
+                surface = 'watch';
+            } else if (['shorts', 'live', 'embed'].includes(pathParts[0])) {
+                videoId = pathParts[1];
+                surface = pathParts[0];
+            }
+        }
 
-                // Set appropriate min/max based on the setting
-                if (id === 'notificationDuration') {
-                    range.min = '1000';
-                    range.max = '10000';
-                    range.step = '500';
-                    range.value = settings[id] || 3000;
-                } else if (id === 'saveInterval') {
-                    range.min = '1';
-                    range.max = '30';
-                    range.step = '1';
-                    range.value = settings[id] || 5;
-                } else if (id === 'minSaveInterval') {
-                    range.min = '5';
-                    range.max = '120';
-                    range.step = '5';
-                    range.value = settings[id] || 30;
-                } else if (id === 'notificationOpacity') {
-                    range.min = '10';
-                    range.max = '100';
-                    range.step = '5';
-                    range.value = settings[id] || 90;
-                } else if (id === 'blurAmount') {
-                    range.min = '0';
-                    range.max = '40';
-                    range.step = '2';
-                    range.value = settings[id] || 24;
-                } else {
-                    range.min = '0';
-                    range.max = '100';
-                    range.value = settings[id] || 50;
-                }
+        if (!isValidVideoId(videoId)) return null;
 
-                const valueContainer = document.createElement('div');
-                valueContainer.style.minWidth = '80px';
-                valueContainer.style.textAlign = 'center';
-                valueContainer.style.padding = 'var(--spacing-sm)';
-                valueContainer.style.background = 'var(--bg-hover)';
-                valueContainer.style.borderRadius = 'var(--border-radius-sm)';
-                valueContainer.style.fontWeight = 'bold';
+        const index = parseInt(params.get('index'), 10);
+        return {
+            videoId,
+            surface,
+            time: parseTimeParam(params.get('t') || params.get('start')),
+            list: params.get('list') || null,
+            index: isNaN(index) ? null : index
+        };
+    };
 
-                const value = document.createElement('span');
-                if (id === 'notificationDuration') {
-                    value.textContent = `${range.value / 1000}s`;
-                } else if (id === 'notificationOpacity') {
-                    value.textContent = `${range.value}%`;
-                } else if (id === 'blurAmount') {
-                    value.textContent = range.value > 0 ? `${range.value}px` : 'Off';
-                } else {
-                    value.textContent = `${range.value}s`;
-                }
-                valueContainer.appendChild(value);
+    // Per-surface opt-in settings; regular watch pages are always tracked
+    const isSurfaceEnabled = (surface) => {
+        switch (surface) {
+            case 'shorts':
+                return !!settings.trackShorts;
+            case 'live':
+                return !!settings.trackLive;
+            case 'embed':
+                return !!settings.trackEmbeds;
+            case 'music':
+                return !!settings.trackMusic;
+            default:
+                return surface === 'watch';
+        }
+    };
 
-                range.oninput = () => {
-                    if (id === 'notificationDuration') {
-                        value.textContent = `${range.value / 1000}s`;
-                    } else if (id === 'notificationOpacity') {
-                        value.textContent = `${range.value}%`;
-                    } else if (id === 'blurAmount') {
-                        value.textContent = range.value > 0 ? `${range.value}px` : 'Off';
-                    } else {
-                        value.textContent = `${range.value}s`;
-                    }
+    // Core Functions
+    const getVideoId = () => {
+        const parsed = parseYouTubeUrl(window.location.href);
+        if (!parsed || !isSurfaceEnabled(parsed.surface)) return null;
 
-                    // Instantly apply changes for ranges
-                    settings[id] = parseInt(range.value);
-                    GM_setValue('ytTimestampSettings', settings);
+        if (settings.removeTimestampFromURL && parsed.time !== null) {
+            const urlParams = new URLSearchParams(window.location.search);
+            urlParams.delete('t');
+            urlParams.delete('start');
+            const query = urlParams.toString();
+            const newUrl = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+            window.history.replaceState(window.history.state, '', newUrl);
+        }
 
-                    // Update theme immediately
-                    updateThemeVariables();
+        return parsed.videoId;
+    };
 
-                    // Show preview for certain setting changes
-                    if (id === 'notificationOpacity') {
-                        // Force update opacity immediately
-                        if (notificationContainer) {
-                            notificationContainer.style.setProperty('--bg-opacity', (range.value / 100).toString());
-                        }
-                        showNotification('Opacity preview: ' + range.value + '%', '⚙️');
-                    } else if (id === 'blurAmount') {
-                        // Update blur immediately and show preview
-                        if (notificationContainer) {
-                            const blurValue = range.value > 0 ? `blur(${range.value}px) saturate(180%)` : 'none';
-                            notificationContainer.style.backdropFilter = blurValue;
-                            notificationContainer.style.webkitBackdropFilter = blurValue;
-                        }
-                        const blurStatus = range.value > 0 ? `${range.value}px` : 'disabled';
-                        showNotification(`Blur effect: ${blurStatus}`, '🔍');
-                    } else if (id === 'notificationDuration') {
-                        showNotification(`Duration: ${range.value / 1000} seconds`, '⏱️');
-                    }
-                };
+    // Find the <video> element that belongs to the current surface
+    const getVideoElement = () => {
+        if (window.location.pathname.startsWith('/shorts/')) {
+            return document.querySelector('ytd-reel-video-renderer[is-active] video, #shorts-player video') ||
+                document.querySelector('video');
+        }
+        return document.querySelector('#movie_player video, .html5-video-player video') ||
+            document.querySelector('video');
+    };
 
-                rangeContainer.appendChild(range);
-                rangeContainer.appendChild(valueContainer);
-                control.appendChild(rangeContainer);
+    // Pre-roll and mid-roll ads play in the same <video> element as the real video
+    const isAdPlaying = () => !!document.querySelector('#movie_player.ad-showing, #movie_player.ad-interrupting, .html5-video-player.ad-showing, .html5-video-player.ad-interrupting');
+
+    // Storage Backends
+    // Each backend stores the { videoId: entry } index. 'gm' and 'local' keep it as one JSON
+    // object and are read synchronously; 'indexeddb' keeps one record per video and is served
+    // from an in-memory mirror that is loaded before the store reports ready.
+    const timestampBackendChannel = 'yt-timestamp-saver-timestamps';
+    const localStorageTimestampKey = 'ytTimestampSaver.timestamps';
+
+    const gmTimestampBackend = {
+        id: 'gm',
+        label: 'Userscript storage',
+        ready: true,
+        readAll: () => GM_getValue('timestamps', {}),
+        writeAll: (timestamps) => GM_setValue('timestamps', timestamps),
+        load: () => Promise.resolve(GM_getValue('timestamps', {})),
+        replaceAll: (timestamps) => {
+            GM_setValue('timestamps', timestamps);
+            return Promise.resolve();
+        },
+        subscribe: (onRemoteChange) => {
+            if (typeof GM_addValueChangeListener !== 'function') {
+                debug('GM_addValueChangeListener unavailable, cross-tab reconciliation disabled');
+                return () => {};
+            }
+            const listenerId = GM_addValueChangeListener('timestamps', (name, oldValue, newValue, remote) => {
+                if (remote) onRemoteChange(newValue || {});
+            });
+            return () => {
+                if (typeof GM_removeValueChangeListener === 'function') {
+                    GM_removeValueChangeListener(listenerId);
+                }
+            };
+        }
+    };
+
+    const localTimestampBackend = {
+        id: 'local',
+        label: 'Browser localStorage',
+        ready: true,
+        readAll: () => {
+            try {
+                return JSON.parse(localStorage.getItem(localStorageTimestampKey)) || {};
+            } catch (e) {
+                return {};
+            }
+        },
+        writeAll: (timestamps) => localStorage.setItem(localStorageTimestampKey, JSON.stringify(timestamps)),
+        load: () => Promise.resolve(localTimestampBackend.readAll()),
+        replaceAll: (timestamps) => {
+            localTimestampBackend.writeAll(timestamps);
+            return Promise.resolve();
+        },
+        subscribe: (onRemoteChange) => {
+            // The storage event only fires in other tabs, so every event is remote
+            const handleStorage = (e) => {
+                if (e.key !== localStorageTimestampKey) return;
+                try {
+                    onRemoteChange(JSON.parse(e.newValue) || {});
+                } catch (error) {
+                    onRemoteChange({});
+                }
+            };
+            window.addEventListener('storage', handleStorage);
+            return () => window.removeEventListener('storage', handleStorage);
+        }
+    };
+
+    // IndexedDB: records keyed by videoId with indexes on savedAt and channel
+    const openTimestampDatabase = () => new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB is not available'));
+            return;
+        }
+        const request = indexedDB.open('yt-timestamp-saver', 1);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore('timestamps', { keyPath: 'videoId' });
+            store.createIndex('savedAt', 'savedAt');
+            store.createIndex('channel', 'channel');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    const runTimestampTransaction = (mode, work) => openTimestampDatabase().then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction('timestamps', mode);
+        const result = work(transaction.objectStore('timestamps'));
+        transaction.oncomplete = () => {
+            db.close();
+            resolve(result.value);
+        };
+        transaction.onerror = () => {
+            db.close();
+            reject(transaction.error);
+        };
+    }));
+
+    const toTimestampRecord = (videoId, entry) => ({ ...entry, videoId });
+
+    const fromTimestampRecord = (record) => {
+        const { videoId, ...entry } = record;
+        return entry;
+    };
+
+    const indexedDbTimestampBackend = (() => {
+        let mirror = {};
+        let channel = null;
+
+        const readRecords = (store, videoIds) => {
+            const result = { value: {} };
+            // Read in savedAt order so the mirror's insertion order matches recency
+            const source = videoIds ? null : store.index('savedAt').openCursor();
+            if (source) {
+                source.onsuccess = () => {
+                    const cursor = source.result;
+                    if (!cursor) return;
+                    result.value[cursor.value.videoId] = fromTimestampRecord(cursor.value);
+                    cursor.continue();
+                };
+            } else {
+                videoIds.forEach(videoId => {
+                    const request = store.get(videoId);
+                    request.onsuccess = () => {
+                        result.value[videoId] = request.result ? fromTimestampRecord(request.result) : null;
+                    };
+                });
+            }
+            return result;
+        };
+
+        const putRecords = (changes) => runTimestampTransaction('readwrite', (store) => {
+            Object.entries(changes).forEach(([videoId, entry]) => {
+                if (entry) {
+                    store.put(toTimestampRecord(videoId, entry));
+                } else {
+                    store.delete(videoId);
+                }
+            });
+            return { value: undefined };
+        });
+
+        const backend = {
+            id: 'indexeddb',
+            label: 'IndexedDB',
+            ready: false,
+            readAll: () => ({ ...mirror }),
+            // Only the changed records are written; the mirror is updated immediately
+            writeChanges: (changes) => {
+                Object.entries(changes).forEach(([videoId, entry]) => {
+                    if (entry) {
+                        mirror[videoId] = entry;
+                    } else {
+                        delete mirror[videoId];
+                    }
+                });
+                return putRecords(changes)
+                    .then(() => channel?.postMessage({ videoIds: Object.keys(changes) }))
+                    .catch(error => {
+                        console.error('Error writing timestamps to IndexedDB:', error);
+                        reportSaveFailure(error);
+                    });
+            },
+            load: () => runTimestampTransaction('readonly', (store) => readRecords(store)),
+            open: () => backend.load().then(timestamps => {
+                mirror = timestamps;
+                backend.ready = true;
+                return timestamps;
+            }),
+            replaceAll: (timestamps) => runTimestampTransaction('readwrite', (store) => {
+                store.clear();
+                Object.entries(timestamps).forEach(([videoId, entry]) => store.put(toTimestampRecord(videoId, entry)));
+                return { value: undefined };
+            }).then(() => {
+                if (backend.ready) mirror = { ...timestamps };
+                channel?.postMessage({ reload: true });
+            }),
+            subscribe: (onRemoteChange) => {
+                if (typeof BroadcastChannel !== 'function') return () => {};
+
+                channel = new BroadcastChannel(timestampBackendChannel);
+                channel.onmessage = ({ data }) => {
+                    if (!backend.ready) return;
+                    const refresh = data?.reload
+                        ? backend.load().then(timestamps => { mirror = timestamps; })
+                        : runTimestampTransaction('readonly', (store) => readRecords(store, data?.videoIds || []))
+                            .then(records => Object.entries(records).forEach(([videoId, entry]) => {
+                                if (entry) {
+                                    mirror[videoId] = entry;
+                                } else {
+                                    delete mirror[videoId];
+                                }
+                            }));
+                    refresh
+                        .then(() => onRemoteChange(null))
+                        .catch(error => console.error('Error refreshing timestamps from IndexedDB:', error));
+                };
+                return () => {
+                    channel.close();
+                    channel = null;
+                };
+            }
+        };
+
+        return backend;
+    })();
+
+    const timestampBackends = {
+        gm: gmTimestampBackend,
+        local: localTimestampBackend,
+        indexeddb: indexedDbTimestampBackend
+    };
+
+    // localStorage and IndexedDB belong to a single origin while the script runs on several
+    // YouTube hosts, so the choice is kept per origin ({ origin: backendId }) and an origin
+    // without one uses userscript storage
+    const readTimestampBackendChoices = (value = GM_getValue('timestampBackend', {})) => {
+        // A single id was saved before choices were per origin, always from the main site
+        if (typeof value === 'string') return value === 'gm' ? {} : { 'https://www.youtube.com': value };
+        return value || {};
+    };
+
+    const resolveTimestampBackend = (value) => {
+        return timestampBackends[readTimestampBackendChoices(value)[location.origin]] || gmTimestampBackend;
+    };
+
+    const saveTimestampBackendChoice = (backendId) => {
+        const choices = readTimestampBackendChoices();
+        if (backendId === 'gm') {
+            delete choices[location.origin];
+        } else {
+            choices[location.origin] = backendId;
+        }
+        GM_setValue('timestampBackend', choices);
+    };
+
+    // The active backend is kept outside the settings so importing settings never switches it
+    let timestampBackend = resolveTimestampBackend();
+
+    // Resolve once the active backend can serve reads
+    const openTimestampStore = () => {
+        if (timestampBackend.ready) return Promise.resolve();
+        return timestampBackend.open()
+            .then(timestamps => {
+                invalidateTimestampCache();
+                debug(`Loaded ${Object.keys(timestamps).length} timestamps from ${timestampBackend.label}`);
+            })
+            .catch(error => {
+                console.error(`Could not open ${timestampBackend.label}, falling back to userscript storage:`, error);
+                timestampBackend = gmTimestampBackend;
+                invalidateTimestampCache();
+            })
+            .then(() => commitQueuedTimestampChanges());
+    };
+
+    // Timestamp Store
+    // All access to stored timestamps goes through these helpers. Reads are served from an
+    // in-memory cache and commits are coalesced into batched flushes; a flush re-reads the
+    // latest value and only touches the videos being changed. Each write is remembered for
+    // a short lease so that a stale full-object write from another tab can be repaired.
+    const timestampWriteLease = 15000; // ms a local write is defended against other tabs
+    const timestampFlushDelay = 3000; // ms commits are held before being written together
+    const timestampCacheTtl = 30000; // ms before the cache is re-read even without change events
+    const recentTimestampWrites = new Map(); // videoId -> { entry, writtenAt }, entry null for deletions
+    const pendingTimestampChanges = new Map(); // videoId -> entry | null, not yet flushed
+    const queuedTimestampChanges = new Map(); // videoId -> entry | null, committed before the store loaded
+
+    let timestampCache = null;
+    let timestampCacheLoadedAt = 0;
+    let timestampFlushTimeout = null;
+    let lastSaveFailureReportAt = 0;
+
+    // Storage calls made this session, shown in the Advanced tab
+    const timestampStoreMetrics = {
+        startedAt: Date.now(),
+        storageReads: 0,
+        storageWrites: 0,
+        cacheHits: 0,
+        commits: 0,
+        flushes: 0
+    };
+
+    // Rebuild the cache from a fresh backend value with unflushed changes applied on top
+    const refreshTimestampCache = (latest) => {
+        timestampCache = { ...latest };
+        pendingTimestampChanges.forEach((entry, videoId) => {
+            if (entry) {
+                timestampCache[videoId] = entry;
+            } else {
+                delete timestampCache[videoId];
+            }
+        });
+        timestampCacheLoadedAt = Date.now();
+    };
+
+    // The cache itself, reloaded when stale; it must not be changed outside the store
+    const getTimestampCache = () => {
+        if (!timestampCache || Date.now() - timestampCacheLoadedAt > timestampCacheTtl) {
+            timestampStoreMetrics.storageReads++;
+            refreshTimestampCache(timestampBackend.readAll());
+        } else {
+            timestampStoreMetrics.cacheHits++;
+        }
+        return timestampCache;
+    };
+
+    // A copy callers are free to change
+    const readTimestamps = () => ({ ...getTimestampCache() });
+
+    // Single lookups happen several times a second, so they skip copying the whole store
+    const readTimestamp = (videoId) => getTimestampCache()[videoId] || null;
+
+    const invalidateTimestampCache = () => {
+        timestampCache = null;
+    };
+
+    const pruneRecentTimestampWrites = (now = Date.now()) => {
+        recentTimestampWrites.forEach((write, videoId) => {
+            if (now - write.writtenAt > timestampWriteLease) {
+                recentTimestampWrites.delete(videoId);
+            }
+        });
+    };
+
+    // Tell the user when positions cannot be written, at most once a minute
+    const reportSaveFailure = (error) => {
+        const now = Date.now();
+        if (now - lastSaveFailureReportAt < 60000) return;
+        lastSaveFailureReportAt = now;
+
+        showNotification('Could not save your position', '❌', settings.notificationDuration, { priority: 'high' });
+        sendDesktopNotification('saveFailure', `Your position could not be saved: ${error?.message || error}`);
+    };
+
+    // Write every pending change to the backend in one batch
+    const flushTimestampWrites = () => {
+        if (timestampFlushTimeout) {
+            clearTimeout(timestampFlushTimeout);
+            timestampFlushTimeout = null;
+        }
+        flushPlaylistWrites();
+        if (pendingTimestampChanges.size === 0 || !timestampBackend.ready) return;
+
+        const now = Date.now();
+        const changes = Object.fromEntries(pendingTimestampChanges);
+        pendingTimestampChanges.clear();
+
+        const deletions = GM_getValue('timestampDeletions', {});
+        let deletionsChanged = false;
+
+        Object.entries(changes).forEach(([videoId, entry]) => {
+            if (!entry) {
+                deletions[videoId] = now;
+                deletionsChanged = true;
+            }
+        });
+
+        // Deletion markers only need to outlive the write lease of other tabs
+        Object.entries(deletions).forEach(([videoId, deletedAt]) => {
+            if (now - deletedAt > timestampWriteLease * 4) {
+                delete deletions[videoId];
+                deletionsChanged = true;
+            }
+        });
+
+        // Write the markers first so other tabs see why an entry disappeared
+        if (deletionsChanged) {
+            GM_setValue('timestampDeletions', deletions);
+        }
+
+        if (timestampBackend.writeChanges) {
+            // Per-record backends only need the changed entries
+            timestampBackend.writeChanges(changes);
+            timestampStoreMetrics.storageWrites++;
+        } else {
+            // Apply to the latest value so entries written by other tabs are kept
+            const latest = timestampBackend.readAll();
+            Object.entries(changes).forEach(([videoId, entry]) => {
+                if (entry) {
+                    latest[videoId] = entry;
+                } else {
+                    delete latest[videoId];
+                }
+            });
+            timestampBackend.writeAll(latest);
+            timestampStoreMetrics.storageReads++;
+            timestampStoreMetrics.storageWrites++;
+            refreshTimestampCache(latest);
+        }
+
+        timestampStoreMetrics.flushes++;
+        debug(`Flushed ${Object.keys(changes).length} timestamp changes (${timestampStoreMetrics.commits} commits, ${timestampStoreMetrics.storageWrites} storage writes this session)`);
+    };
+
+    // Apply { videoId: entry | null } to the store; null deletes the entry
+    const commitTimestampChanges = (changes) => {
+        // Writing before the mirror has loaded would be based on an empty index, so the
+        // changes are held until the store opens
+        if (!timestampBackend.ready) {
+            debug('Timestamp store still loading, queueing write');
+            const timestamps = readTimestamps();
+            Object.entries(changes).forEach(([videoId, entry]) => {
+                if (entry) {
+                    timestamps[videoId] = entry;
+                } else {
+                    delete timestamps[videoId];
+                }
+                queuedTimestampChanges.set(videoId, entry);
+            });
+            return timestamps;
+        }
+
+        const now = Date.now();
+        const timestamps = readTimestamps();
+
+        Object.entries(changes).forEach(([videoId, entry]) => {
+            if (entry) {
+                timestamps[videoId] = entry;
+            } else {
+                delete timestamps[videoId];
+            }
+            pendingTimestampChanges.set(videoId, entry);
+            recentTimestampWrites.set(videoId, { entry, writtenAt: now });
+        });
+
+        timestampCache = { ...timestamps };
+        timestampStoreMetrics.commits++;
+
+        if (!timestampFlushTimeout) {
+            timestampFlushTimeout = setTimeout(() => {
+                try {
+                    flushTimestampWrites();
+                } catch (error) {
+                    console.error('Error flushing timestamps:', error);
+                    reportSaveFailure(error);
+                }
+            }, timestampFlushDelay);
+        }
+
+        pruneRecentTimestampWrites(now);
+        return timestamps;
+    };
+
+    // A change made while the store was loading is the user's latest action, so its values win.
+    // It was built without the stored entry though, so only what it could not know is taken from
+    // there: fields it lacks, the original createdAt, playback state it did not capture, and
+    // bookmarks added before the load.
+    const applyQueuedTimestampChange = (stored, queued) => {
+        if (!stored) return queued;
+
+        const applied = { ...stored };
+        Object.entries(queued).forEach(([key, value]) => {
+            if (value !== undefined) applied[key] = value;
+        });
+        if (stored.createdAt) applied.createdAt = stored.createdAt;
+        if (stored.playback) applied.playback = { ...stored.playback, ...queued.playback };
+
+        if (stored.bookmarks?.length) {
+            const byId = new Map(stored.bookmarks.map(bookmark => [bookmark.id, bookmark]));
+            (queued.bookmarks || []).forEach(bookmark => byId.set(bookmark.id, bookmark));
+            applied.bookmarks = [...byId.values()];
+            applied.bookmarksUpdatedAt = Math.max(stored.bookmarksUpdatedAt || 0, queued.bookmarksUpdatedAt || 0);
+        }
+        return applied;
+    };
+
+    // Commit changes held while the store was loading on top of the entries that loaded
+    const commitQueuedTimestampChanges = () => {
+        if (queuedTimestampChanges.size === 0 || !timestampBackend.ready) return;
+
+        const timestamps = readTimestamps();
+        const changes = {};
+        queuedTimestampChanges.forEach((entry, videoId) => {
+            changes[videoId] = entry ? applyQueuedTimestampChange(timestamps[videoId], entry) : null;
+        });
+        queuedTimestampChanges.clear();
+
+        debug(`Committing ${Object.keys(changes).length} timestamp changes made while the store was loading`);
+        commitTimestampChanges(changes);
+    };
+
+    // Another tab wrote 'timestamps'; restore any of our recent writes it dropped or regressed
+    const reconcileRemoteTimestamps = (remoteTimestamps) => {
+        pruneRecentTimestampWrites();
+        if (recentTimestampWrites.size === 0) return;
+
+        const deletions = GM_getValue('timestampDeletions', {});
+        const repairs = {};
+
+        recentTimestampWrites.forEach(({ entry, writtenAt }, videoId) => {
+            const remote = remoteTimestamps[videoId];
+
+            if (!entry) {
+                // Our deletion was undone by a tab that had not seen it yet
+                if (remote && (remote.savedAt || 0) <= writtenAt) {
+                    repairs[videoId] = null;
+                }
+                return;
+            }
+
+            if (!remote) {
+                // Missing without a newer deletion marker means a stale write dropped it
+                if ((deletions[videoId] || 0) < writtenAt) {
+                    repairs[videoId] = entry;
+                }
+                return;
+            }
+
+            const resolved = resolveOwnWrite(remote, entry);
+            if (!isSameEntry(resolved, remote)) {
+                repairs[videoId] = resolved;
+            }
+        });
+
+        if (Object.keys(repairs).length > 0) {
+            debug(`Repairing ${Object.keys(repairs).length} timestamps overwritten by another tab`, Object.keys(repairs));
+            commitTimestampChanges(repairs);
+        }
+    };
+
+    // Atomically update one entry; the updater receives the current entry (or null)
+    const updateTimestamp = (videoId, updater) => {
+        const next = updater(readTimestamp(videoId));
+        commitTimestampChanges({ [videoId]: next });
+        return next;
+    };
+
+    // Bring stored entries up to timestampSchemaVersion
+    // Older schemas only ever lived in userscript storage
+    const migrateTimestampStore = () => {
+        const storedVersion = GM_getValue('timestampSchemaVersion', 1);
+        if (storedVersion >= timestampSchemaVersion) return;
+
+        const timestamps = GM_getValue('timestamps', {});
+
+        // v2: entries carry a list of named bookmarks next to the resume position
+        Object.values(timestamps).forEach(entry => {
+            if (!Array.isArray(entry.bookmarks)) {
+                entry.bookmarks = [];
+            }
+        });
+
+        GM_setValue('timestamps', timestamps);
+        GM_setValue('timestampSchemaVersion', timestampSchemaVersion);
+        invalidateTimestampCache();
+        debug(`Migrated ${Object.keys(timestamps).length} timestamps from schema ${storedVersion} to ${timestampSchemaVersion}`);
+    };
+
+    // Listen for writes from other tabs through the active backend
+    let timestampSyncHandler = null;
+    let unsubscribeTimestampSync = () => {};
+
+    const setupTimestampSync = () => {
+        // remoteTimestamps is null for per-record backends, which have nothing to repair
+        const handleRemoteChange = (remoteTimestamps) => {
+            try {
+                // Keep the cache coherent; per-record backends have already refreshed their mirror
+                refreshTimestampCache(remoteTimestamps || timestampBackend.readAll());
+
+                if (remoteTimestamps) {
+                    reconcileRemoteTimestamps(remoteTimestamps);
+                }
+
+                // Pick up bookmarks added in another tab, unless one is being edited here
+                const panel = document.querySelector('.yt-timestamp-bookmarks-panel');
+                if (panel && !panel.contains(document.activeElement)) {
+                    renderBookmarksPanel(true);
+                }
+            } catch (error) {
+                console.error('Error reconciling timestamps from another tab:', error);
+            }
+        };
+
+        timestampSyncHandler = handleRemoteChange;
+        unsubscribeTimestampSync = timestampBackend.subscribe(handleRemoteChange);
+
+        // Another tab moved the data to a different backend
+        const backendListenerId = typeof GM_addValueChangeListener === 'function'
+            ? GM_addValueChangeListener('timestampBackend', (name, oldValue, newValue, remote) => {
+                // A browser backend chosen on another YouTube host does not apply here
+                const backend = resolveTimestampBackend(newValue);
+                if (!remote || backend === timestampBackend) return;
+
+                // Writes made here since the other tab copied the data would stay behind
+                const pendingWrites = {};
+                pruneRecentTimestampWrites();
+                recentTimestampWrites.forEach(({ entry }, videoId) => {
+                    pendingWrites[videoId] = entry;
+                });
+
+                switchTimestampBackend(backend.id).then(() => {
+                    debug(`Switched to ${timestampBackend.label} after another tab migrated`);
+                    if (Object.keys(pendingWrites).length > 0) {
+                        commitTimestampChanges(pendingWrites);
+                    }
+                });
+            })
+            : null;
+
+        debug('Cross-tab timestamp sync initialized');
+
+        return {
+            cleanup: () => {
+                unsubscribeTimestampSync();
+                timestampSyncHandler = null;
+                if (backendListenerId !== null && typeof GM_removeValueChangeListener === 'function') {
+                    GM_removeValueChangeListener(backendListenerId);
+                }
+            }
+        };
+    };
+
+    // Flush batched writes whenever the page may be discarded
+    const setupTimestampPersistence = () => {
+        const flush = () => {
+            try {
+                flushTimestampWrites();
+            } catch (error) {
+                console.error('Error flushing timestamps:', error);
+                reportSaveFailure(error);
+            }
+            try {
+                flushActivityLog();
+            } catch (error) {
+                console.error('Error recording notification history:', error);
+            }
+        };
+        const handleVisibilityChange = () => {
+            if (document.visibilityState === 'hidden') flush();
+        };
+
+        window.addEventListener('pagehide', flush);
+        window.addEventListener('beforeunload', flush);
+        document.addEventListener('visibilitychange', handleVisibilityChange);
+
+        return {
+            cleanup: () => {
+                flush();
+                window.removeEventListener('pagehide', flush);
+                window.removeEventListener('beforeunload', flush);
+                document.removeEventListener('visibilitychange', handleVisibilityChange);
+            }
+        };
+    };
+
+    // Point the store at another backend without moving data
+    const switchTimestampBackend = (backendId) => {
+        flushTimestampWrites();
+        unsubscribeTimestampSync();
+
+        const backend = timestampBackends[backendId];
+        backend.ready = backend.id !== 'indexeddb';
+        timestampBackend = backend;
+        invalidateTimestampCache();
+
+        return openTimestampStore().then(() => {
+            if (timestampSyncHandler) {
+                unsubscribeTimestampSync = timestampBackend.subscribe(timestampSyncHandler);
+            }
+        });
+    };
+
+    // Copy every entry into the target backend, verify it, then make it active. The source is
+    // left in place: other YouTube hosts keep reading userscript storage after a move to a
+    // browser backend, and a later move back combines with what is there
+    const migrateTimestampBackend = (targetId) => {
+        const source = timestampBackend;
+        const target = timestampBackends[targetId];
+        if (!target || target === source) return Promise.reject(new Error('Choose a different storage backend'));
+
+        // The copy reads the backend directly, so pending writes must land first
+        flushTimestampWrites();
+
+        return Promise.all([source.load(), target.load()])
+            .then(([sourceTimestamps, targetTimestamps]) => {
+                // Entries already in the target are combined rather than overwritten
+                const combined = { ...targetTimestamps };
+                Object.entries(sourceTimestamps).forEach(([videoId, entry]) => {
+                    combined[videoId] = resolveConflictAutomatically(combined[videoId], entry);
+                });
+
+                return target.replaceAll(combined)
+                    .then(() => target.load())
+                    .then(written => {
+                        const missing = Object.keys(combined).filter(videoId => !written[videoId]);
+                        if (missing.length > 0) {
+                            throw new Error(`${missing.length} entries failed to copy`);
+                        }
+                        return written;
+                    });
+            })
+            .then(written => switchTimestampBackend(targetId).then(() => {
+                saveTimestampBackendChoice(targetId);
+                return Object.keys(written).length;
+            }))
+            .then(count => {
+                debug(`Moved ${count} timestamps from ${source.label} to ${target.label}`);
+                return count;
+            });
+    };
+
+    // Video Metadata
+    // Read from the page's player response, which unlike document.title is tied to a video id
+    const pageWindow = typeof unsafeWindow !== 'undefined' ? unsafeWindow : window;
+
+    // Stored entry fields filled from the player response
+    const metadataFields = ['title', 'channel', 'channelId', 'thumbnail', 'publishDate', 'isLive', 'category'];
+
+    const getPlayerResponse = (videoId) => {
+        try {
+            const player = pageWindow.document.getElementById('movie_player');
+            const candidates = [
+                player?.getPlayerResponse?.(),
+                // Only valid for the first video of a page load, so it is checked against the id below
+                pageWindow.ytInitialPlayerResponse
+            ];
+            return candidates.find(response => response?.videoDetails?.videoId === videoId) || null;
+        } catch (error) {
+            debug(`Could not read player response: ${error.message}`);
+            return null;
+        }
+    };
+
+    // Metadata for a video, or null while the player has not loaded it yet
+    const getVideoMetadata = (videoId) => {
+        if (!videoId) return null;
+
+        const response = getPlayerResponse(videoId);
+        if (response) {
+            const details = response.videoDetails;
+            const microformat = response.microformat?.playerMicroformatRenderer || {};
+            const thumbnails = details.thumbnail?.thumbnails || [];
+            return {
+                title: details.title || '',
+                channel: details.author || '',
+                channelId: details.channelId || '',
+                thumbnail: thumbnails[thumbnails.length - 1]?.url || '',
+                duration: parseInt(details.lengthSeconds, 10) || 0,
+                publishDate: microformat.publishDate || '',
+                // isLiveContent stays set on finished streams, which are ordinary videos by then
+                isLive: !!details.isLive,
+                category: microformat.category || ''
+            };
+        }
+
+        // getVideoData is available on embeds and music where the response may not be
+        try {
+            const videoData = pageWindow.document.getElementById('movie_player')?.getVideoData?.();
+            if (videoData?.video_id === videoId) {
+                return {
+                    title: videoData.title || '',
+                    channel: videoData.author || '',
+                    isLive: !!videoData.isLive
+                };
+            }
+        } catch (error) {
+            debug(`Could not read player video data: ${error.message}`);
+        }
+        return null;
+    };
+
+    // Stored thumbnails can come from imports, so only YouTube's image host is ever loaded
+    const isYouTubeThumbnail = (url) => {
+        try {
+            const parsed = new URL(url);
+            return parsed.protocol === 'https:' && parsed.hostname === 'i.ytimg.com';
+        } catch (e) {
+            return false;
+        }
+    };
+
+    // Best available title; document.title can still belong to the previous video during navigation
+    const getVideoTitle = (videoId) => getVideoMetadata(videoId)?.title || document.title.replace(' - YouTube', '');
+
+    // Only the metadata fields that carry a value, for spreading into a stored entry
+    const pickMetadataFields = (metadata) => {
+        const fields = {};
+        metadataFields.forEach(key => {
+            if (metadata && metadata[key] !== undefined && metadata[key] !== '') {
+                fields[key] = metadata[key];
+            }
+        });
+        return fields;
+    };
+
+    // Repair titles and fill missing metadata of an existing entry; returns false while metadata is unavailable
+    const refreshEntryMetadata = (videoId) => {
+        const metadata = getVideoMetadata(videoId);
+        if (!metadata) return false;
+
+        const entry = readTimestamp(videoId);
+        if (!entry) return true;
+
+        const fields = pickMetadataFields(metadata);
+        const changed = Object.keys(fields).some(key => entry[key] !== fields[key]);
+        if (changed) {
+            // savedAt is left alone so a repair does not count as watching
+            commitTimestampChanges({ [videoId]: { ...entry, ...fields } });
+            debug(`Refreshed metadata for ${videoId}`);
+        }
+        return true;
+    };
+
+    // Chapter starts (in seconds, ascending) for a video, or an empty list when it has none or
+    // they have not loaded. ytInitialData only describes the first video of a page load; after
+    // navigation the chapters panel links each chapter to watch?v=<id>&t=<seconds>.
+    const getVideoChapters = (videoId) => {
+        try {
+            const initialData = pageWindow.ytInitialData;
+            if (initialData?.currentVideoEndpoint?.watchEndpoint?.videoId === videoId) {
+                const markersMap = initialData.playerOverlays?.playerOverlayRenderer?.decoratedPlayerBarRenderer
+                    ?.decoratedPlayerBarRenderer?.playerBar?.multiMarkersPlayerBarRenderer?.markersMap || [];
+                const chapters = markersMap.find(marker => ['DESCRIPTION_CHAPTERS', 'AUTO_CHAPTERS'].includes(marker.key))?.value?.chapters || [];
+                if (chapters.length > 0) {
+                    return chapters.map(chapter => ({
+                        title: chapter.chapterRenderer?.title?.simpleText || '',
+                        start: (chapter.chapterRenderer?.timeRangeStartMillis || 0) / 1000
+                    }));
+                }
+            }
+
+            const links = document.querySelectorAll('ytd-engagement-panel-section-list-renderer[target-id*="macro-markers"] ytd-macro-markers-list-item-renderer a#endpoint');
+            const chapters = new Map();
+            links.forEach(link => {
+                const url = new URL(link.href, location.origin);
+                const start = parseTimeParam(url.searchParams.get('t'));
+                if (url.searchParams.get('v') !== videoId || start === null || chapters.has(start)) return;
+                chapters.set(start, { title: link.querySelector('h4')?.textContent.trim() || '', start });
+            });
+            return [...chapters.values()].sort((a, b) => a.start - b.start);
+        } catch (error) {
+            debug(`Could not read chapters: ${error.message}`);
+            return [];
+        }
+    };
+
+    // Rules Engine
+    // Rules map conditions on the current video to save/resume behavior; they apply top to bottom
+    // and later matches override earlier ones
+    const ruleActions = {
+        'never-save': 'Never save',
+        'never-resume': 'Never resume',
+        'rewind': 'Resume with rewind',
+        'ask': 'Always ask',
+        'auto-resume': 'Resume without asking',
+        'window': 'Custom start/end windows',
+        'playback': 'Playback defaults'
+    };
+
+    const createRule = () => ({
+        id: createBookmarkId(),
+        name: 'New rule',
+        enabled: true,
+        conditions: { channel: '', channelId: '', minDuration: null, maxDuration: null, titlePattern: '', playlistId: '', category: '' },
+        action: 'never-resume',
+        rewindSeconds: 10,
+        startWindow: 30,
+        endWindow: 30,
+        playbackRate: null,
+        volume: null,
+        captions: '',
+        quality: ''
+    });
+
+    // Returns an error message for an invalid title pattern, or null
+    const validateTitlePattern = (pattern) => {
+        if (!pattern) return null;
+        try {
+            new RegExp(pattern, 'i');
+            return null;
+        } catch (e) {
+            return e.message;
+        }
+    };
+
+    // Facts about the current video that rule conditions are matched against
+    const getVideoContext = (videoId) => {
+        const video = getVideoElement();
+        const parsed = parseYouTubeUrl(window.location.href);
+        const metadata = getVideoMetadata(videoId) || {};
+        const entry = readTimestamp(videoId);
+        const channelLink = document.querySelector('ytd-watch-metadata ytd-channel-name a, #owner ytd-channel-name a, ytd-video-owner-renderer ytd-channel-name a');
+
+        return {
+            videoId,
+            title: metadata.title || document.title.replace(' - YouTube', ''),
+            channel: metadata.channel || entry?.channel || channelLink?.textContent.trim() || '',
+            channelId: metadata.channelId || entry?.channelId || '',
+            duration: video?.duration && isFinite(video.duration) ? video.duration : (metadata.duration || entry?.duration || 0),
+            playlistId: parsed?.videoId === videoId ? parsed.list : null,
+            category: metadata.category || entry?.category || document.querySelector('meta[itemprop="genre"]')?.getAttribute('content') || ''
+        };
+    };
+
+    const ruleMatches = (rule, context) => {
+        const conditions = rule.conditions || {};
+
+        if (conditions.channel && !context.channel.toLowerCase().includes(conditions.channel.toLowerCase())) return false;
+        if (conditions.channelId && context.channelId !== conditions.channelId) return false;
+        if (conditions.category && context.category.toLowerCase() !== conditions.category.toLowerCase()) return false;
+        if (conditions.playlistId && context.playlistId !== conditions.playlistId) return false;
+
+        // Duration bounds are stored in minutes
+        if (typeof conditions.minDuration === 'number' && context.duration < conditions.minDuration * 60) return false;
+        if (typeof conditions.maxDuration === 'number' && context.duration > conditions.maxDuration * 60) return false;
+
+        if (conditions.titlePattern) {
+            if (validateTitlePattern(conditions.titlePattern)) return false;
+            if (!new RegExp(conditions.titlePattern, 'i').test(context.title)) return false;
+        }
+
+        return true;
+    };
+
+    // Fold every matching rule into the effective behavior for a video
+    const evaluateRules = (context) => {
+        const behavior = {
+            save: true,
+            resume: settings.resumeMode !== 'off',
+            ask: settings.resumeMode === 'ask',
+            rewind: null, // Seconds from a rewind rule; null leaves it to the resume rewind settings
+            startWindow: 30,
+            endWindow: 30,
+            playbackDefaults: {}, // Speed, volume, captions and quality used over what a video saved
+            matchedRules: []
+        };
+
+        settings.rules.filter(rule => rule.enabled !== false).forEach(rule => {
+            if (!ruleMatches(rule, context)) return;
+
+            behavior.matchedRules.push(rule.name || rule.id);
+            switch (rule.action) {
+                case 'never-save':
+                    behavior.save = false;
+                    break;
+                case 'never-resume':
+                    behavior.resume = false;
+                    behavior.ask = false;
+                    break;
+                case 'rewind':
+                    behavior.rewind = Math.max(0, Number(rule.rewindSeconds) || 0);
+                    break;
+                case 'ask':
+                    behavior.resume = true;
+                    behavior.ask = true;
+                    break;
+                case 'auto-resume':
+                    behavior.resume = true;
+                    behavior.ask = false;
+                    break;
+                case 'window':
+                    behavior.startWindow = Math.max(0, Number(rule.startWindow) || 0);
+                    behavior.endWindow = Math.max(0, Number(rule.endWindow) || 0);
+                    break;
+                case 'playback':
+                    // Empty fields leave that part to earlier rules or the player
+                    Object.assign(behavior.playbackDefaults, pickPlaybackFields({
+                        rate: rule.playbackRate,
+                        volume: rule.volume,
+                        captions: rule.captions === 'off' ? null : rule.captions || undefined,
+                        quality: rule.quality
+                    }).playback);
+                    break;
+            }
+        });
+
+        if (behavior.matchedRules.length > 0) {
+            debug(`Rules matched for ${context.videoId}: ${behavior.matchedRules.join(', ')}`);
+        }
+        return behavior;
+    };
+
+    // Resume rewind
+    // Resuming steps back a little so the sentence being spoken is heard again. In 'scaled' mode
+    // the step is a share of resumeRewindSeconds that grows with the time since the last save;
+    // a rewind rule replaces it with its own fixed amount.
+    const resumeRewindSteps = [
+        { after: 7 * 24 * 60 * 60 * 1000, share: 1 },
+        { after: 24 * 60 * 60 * 1000, share: 0.5 },
+        { after: 60 * 60 * 1000, share: 1 / 6 }
+    ];
+
+    // Chapter snapping only moves this far back from the saved position
+    const chapterSnapMaxSeconds = 120;
+
+    // Short "3 days" style description of how long ago something was
+    const formatTimeAway = (ms) => {
+        const units = [
+            ['week', 7 * 24 * 60 * 60 * 1000],
+            ['day', 24 * 60 * 60 * 1000],
+            ['hour', 60 * 60 * 1000],
+            ['minute', 60 * 1000]
+        ];
+        const [unit, size] = units.find(([, unitSize]) => ms >= unitSize) || units[units.length - 1];
+        const count = Math.max(1, Math.floor(ms / size));
+        return `${count} ${unit}${count === 1 ? '' : 's'}`;
+    };
+
+    // Where a saved position resumes; returns { time, rewind, away, chapter }
+    const getResumeTarget = (videoId, savedData, behavior) => {
+        const away = Math.max(0, Date.now() - (savedData.savedAt || 0));
+        const maxRewind = Math.max(0, Number(settings.resumeRewindSeconds) || 0);
+
+        let rewind = 0;
+        if (behavior.rewind !== null) {
+            rewind = behavior.rewind;
+        } else if (settings.resumeRewindMode === 'fixed') {
+            rewind = maxRewind;
+        } else if (settings.resumeRewindMode === 'scaled') {
+            const step = resumeRewindSteps.find(candidate => away >= candidate.after);
+            rewind = step ? Math.round(maxRewind * step.share) : 0;
+        }
+
+        let time = Math.max(0, savedData.time - rewind);
+        let chapter = null;
+
+        // Start the current chapter over instead when it began shortly before the saved position
+        if (rewind > 0 && settings.resumeRewindChapterSnap) {
+            const current = getVideoChapters(videoId).filter(candidate => candidate.start <= savedData.time).pop();
+            if (current && current.start > 0 && savedData.time - current.start <= chapterSnapMaxSeconds) {
+                time = current.start;
+                chapter = current;
+            }
+        }
+
+        return { time, rewind: Math.round(savedData.time - time), away, chapter };
+    };
+
+    // Playback state
+    // Speed, volume, captions and quality are saved with each entry under 'playback' and put back
+    // when the video is opened again, each behind its own remember* setting. A 'playback' rule,
+    // e.g. for a channel, is an explicit choice and wins over whatever a video saved itself.
+    const playbackQualities = {
+        highres: '4320p',
+        hd2160: '2160p',
+        hd1440: '1440p',
+        hd1080: '1080p',
+        hd720: '720p',
+        large: '480p',
+        medium: '360p',
+        small: '240p',
+        tiny: '144p'
+    };
+
+    let lastPlaybackRestore = { videoId: null, at: 0 };
+
+    // Only the well-formed playback fields, as { playback } for spreading into an entry
+    const pickPlaybackFields = (playback) => {
+        if (!playback || typeof playback !== 'object') return {};
+
+        const state = {};
+        if (typeof playback.rate === 'number' && playback.rate > 0 && playback.rate <= 16) state.rate = playback.rate;
+        if (typeof playback.volume === 'number') state.volume = Math.min(100, Math.max(0, playback.volume));
+        if (typeof playback.muted === 'boolean') state.muted = playback.muted;
+        // null means captions were switched off
+        if (playback.captions === null || (typeof playback.captions === 'string' && playback.captions)) state.captions = playback.captions;
+        if (playbackQualities[playback.quality]) state.quality = playback.quality;
+        return Object.keys(state).length > 0 ? { playback: state } : {};
+    };
+
+    // The parts of the current player state that are being remembered
+    const capturePlaybackState = (video) => {
+        const player = pageWindow.document.getElementById('movie_player');
+        const state = {};
+
+        try {
+            if (settings.rememberPlaybackRate) {
+                state.rate = player?.getPlaybackRate?.() ?? video?.playbackRate;
+            }
+            if (settings.rememberVolume) {
+                state.volume = player?.getVolume?.() ?? Math.round((video?.volume ?? 1) * 100);
+                state.muted = player?.isMuted?.() ?? !!video?.muted;
+            }
+            // Without the player API there is no way to tell which track is showing
+            if (settings.rememberCaptions && typeof player?.getOption === 'function') {
+                state.captions = player.getOption('captions', 'track')?.languageCode || null;
+            }
+            if (settings.rememberQuality) {
+                state.quality = player?.getPreferredQuality?.();
+            }
+        } catch (error) {
+            debug(`Could not read playback state: ${error.message}`);
+        }
+
+        return pickPlaybackFields(state).playback || {};
+    };
+
+    // Put back a video's saved playback state, falling back to rule defaults; once per video load
+    const restorePlaybackState = (videoId, video, behavior) => {
+        if (lastPlaybackRestore.videoId === videoId && Date.now() - lastPlaybackRestore.at < 10000) return;
+        lastPlaybackRestore = { videoId, at: Date.now() };
+
+        const saved = readTimestamp(videoId)?.playback || {};
+        const defaults = behavior.playbackDefaults || {};
+        const pick = (key, remembered) => (defaults[key] !== undefined ? defaults[key] : (remembered ? saved[key] : undefined));
+        const player = pageWindow.document.getElementById('movie_player');
+        const applied = [];
+
+        try {
+            const rate = pick('rate', settings.rememberPlaybackRate);
+            const currentRate = player?.getPlaybackRate?.() ?? video.playbackRate;
+            if (rate !== undefined && rate !== currentRate) {
+                if (player?.setPlaybackRate) {
+                    player.setPlaybackRate(rate);
+                } else {
+                    video.playbackRate = rate;
+                }
+                applied.push(`${rate}x`);
+            }
+
+            const volume = pick('volume', settings.rememberVolume);
+            const currentVolume = player?.getVolume?.() ?? Math.round(video.volume * 100);
+            if (volume !== undefined && volume !== currentVolume) {
+                if (player?.setVolume) {
+                    player.setVolume(volume);
+                } else {
+                    video.volume = volume / 100;
+                }
+                applied.push(`volume ${volume}%`);
+            }
+
+            const muted = pick('muted', settings.rememberVolume);
+            const currentMuted = player?.isMuted?.() ?? video.muted;
+            if (muted !== undefined && muted !== currentMuted) {
+                if (player?.mute && player?.unMute) {
+                    muted ? player.mute() : player.unMute();
+                } else {
+                    video.muted = muted;
+                }
+                applied.push(muted ? 'muted' : 'unmuted');
+            }
+
+            // Only a rule turns captions off: a saved "off" is also what videos without captions
+            // record, and unloading the module would override a YouTube-wide captions-on choice
+            const captions = defaults.captions !== undefined
+                ? defaults.captions
+                : (settings.rememberCaptions ? saved.captions || undefined : undefined);
+            if (captions !== undefined && typeof player?.setOption === 'function') {
+                const currentCaptions = player.getOption?.('captions', 'track')?.languageCode || null;
+                if (captions !== currentCaptions) {
+                    if (captions) {
+                        player.loadModule?.('captions');
+                        player.setOption('captions', 'track', { languageCode: captions });
+                        applied.push(`captions ${captions}`);
+                    } else {
+                        player.unloadModule?.('captions');
+                        applied.push('captions off');
+                    }
+                }
+            }
+
+            const quality = pick('quality', settings.rememberQuality);
+            if (quality !== undefined && player?.setPlaybackQualityRange && quality !== player.getPreferredQuality?.()) {
+                player.setPlaybackQualityRange(quality, quality);
+                player.setPlaybackQuality?.(quality);
+                applied.push(playbackQualities[quality]);
+            }
+        } catch (error) {
+            console.error('Error restoring playback state:', error);
+        }
+
+        if (applied.length > 0) {
+            debug(`Restored playback state for ${videoId}: ${applied.join(', ')}`);
+            showNotification(`Playback: ${applied.join(' • ')}`, '🎛️', settings.notificationDuration, { priority: 'low' });
+        }
+    };
+
+    // Archive
+    // Evicted and long-finished entries live in one LZW-compressed GM value that does not count
+    // against maxStoredTimestamps. Codes stay below 0xD800 so the string is valid UTF-16.
+    const archiveMaxCode = 0xD800;
+
+    const lzwCompress = (text) => {
+        const bytes = new TextEncoder().encode(text);
+        const dictionary = new Map();
+        for (let i = 0; i < 256; i++) {
+            dictionary.set(String.fromCharCode(i), i);
+        }
+
+        let nextCode = 256;
+        let phrase = '';
+        const output = [];
+
+        bytes.forEach(byte => {
+            const char = String.fromCharCode(byte);
+            const combined = phrase + char;
+            if (dictionary.has(combined)) {
+                phrase = combined;
+                return;
+            }
+            output.push(String.fromCharCode(dictionary.get(phrase)));
+            if (nextCode < archiveMaxCode) {
+                dictionary.set(combined, nextCode++);
+            }
+            phrase = char;
+        });
+
+        if (phrase) {
+            output.push(String.fromCharCode(dictionary.get(phrase)));
+        }
+        return output.join('');
+    };
+
+    const lzwDecompress = (data) => {
+        if (!data) return '';
+
+        const dictionary = [];
+        for (let i = 0; i < 256; i++) {
+            dictionary.push(String.fromCharCode(i));
+        }
+
+        let previous = dictionary[data.charCodeAt(0)];
+        const output = [previous];
+
+        for (let i = 1; i < data.length; i++) {
+            const code = data.charCodeAt(i);
+            let entry;
+            if (code < dictionary.length) {
+                entry = dictionary[code];
+            } else if (code === dictionary.length) {
+                entry = previous + previous[0];
+            } else {
+                throw new Error('Corrupt archive data');
+            }
+            output.push(entry);
+            if (dictionary.length < archiveMaxCode) {
+                dictionary.push(previous + entry[0]);
+            }
+            previous = entry;
+        }
+
+        const byteString = output.join('');
+        const bytes = new Uint8Array(byteString.length);
+        for (let i = 0; i < byteString.length; i++) {
+            bytes[i] = byteString.charCodeAt(i);
+        }
+        return new TextDecoder().decode(bytes);
+    };
+
+    // Decompressing is the expensive part, so keep the last result keyed by its source string
+    let archiveCache = { data: null, entries: {} };
+
+    // Throws on corrupt data so that writers never replace an archive they could not read
+    const loadArchive = () => {
+        const stored = GM_getValue('timestampArchive', null);
+        const data = stored?.data || '';
+        if (data !== archiveCache.data) {
+            archiveCache = { data, entries: data ? JSON.parse(lzwDecompress(data)) : {} };
+        }
+        return { ...archiveCache.entries };
+    };
+
+    const readArchive = () => {
+        try {
+            return loadArchive();
+        } catch (error) {
+            console.error('Could not read the timestamp archive:', error);
+            return {};
+        }
+    };
+
+    // Apply { videoId: entry | null } to the archive; null removes the entry
+    const commitArchiveChanges = (changes) => {
+        const archive = loadArchive();
+        Object.entries(changes).forEach(([videoId, entry]) => {
+            if (entry) {
+                archive[videoId] = { ...entry, archivedAt: entry.archivedAt || Date.now() };
+            } else {
+                delete archive[videoId];
+            }
+        });
+
+        const data = lzwCompress(JSON.stringify(archive));
+        GM_setValue('timestampArchive', { version: 1, count: Object.keys(archive).length, data });
+        archiveCache = { data, entries: archive };
+        return archive;
+    };
+
+    // Compressed size in characters and the size it would take uncompressed
+    const getArchiveStats = () => {
+        const archive = readArchive();
+        return {
+            count: Object.keys(archive).length,
+            compressedSize: archiveCache.data?.length || 0,
+            rawSize: JSON.stringify(archive).length
+        };
+    };
+
+    // Move entries out of the active store into the archive
+    const archiveTimestamps = (videoIds) => {
+        if (videoIds.length === 0) return;
+        const timestamps = readTimestamps();
+        const archived = {};
+        videoIds.forEach(videoId => {
+            if (timestamps[videoId]) archived[videoId] = timestamps[videoId];
+        });
+
+        // Archive first so a failure never loses the entries
+        try {
+            commitArchiveChanges(archived);
+        } catch (error) {
+            console.error('Could not archive timestamps:', error);
+            return;
+        }
+        commitTimestampChanges(Object.fromEntries(Object.keys(archived).map(videoId => [videoId, null])));
+        debug(`Archived ${Object.keys(archived).length} timestamps`);
+    };
+
+    // Bring an archived entry back into the active set, making room if needed
+    // An archived entry as it would be restored, read without moving it
+    const readArchivedTimestamp = (videoId) => {
+        const entry = readArchive()[videoId];
+        if (!entry) return null;
+        const { archivedAt, ...rest } = entry;
+        return rest;
+    };
+
+    const restoreFromArchive = (videoId) => {
+        const entry = readArchivedTimestamp(videoId);
+        if (!entry) return null;
+
+        // restoredAt keeps a finished video from being archived again straight away
+        const restored = { ...entry, restoredAt: Date.now() };
+
+        // Only make room when adding the entry would go over maxStoredTimestamps
+        const timestamps = readTimestamps();
+        const evictions = timestamps[videoId] ? [] : selectEvictions(timestamps, videoId);
+        if (evictions.length > 0) {
+            evictTimestamps(evictions);
+        }
+
+        commitTimestampChanges({ [videoId]: restored });
+        commitArchiveChanges({ [videoId]: null });
+        debug(`Restored ${videoId} from the archive`);
+        return restored;
+    };
+
+    // Resuming an archived video brings it back into the store
+    const unarchiveOnResume = (videoId) => {
+        if (!readTimestamp(videoId)) restoreFromArchive(videoId);
+    };
+
+    // Archive watched videos once they have been finished for archiveCompletedAfterDays
+    const archiveCompletedTimestamps = () => {
+        const days = settings.archiveCompletedAfterDays;
+        if (!days || days <= 0) return;
+
+        const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+        const expired = Object.entries(readTimestamps())
+            .filter(([, entry]) => isEntryFinished(entry) && !entry.pinned && Math.max(entry.completedAt || entry.savedAt || 0, entry.restoredAt || 0) < cutoff)
+            .map(([videoId]) => videoId);
+
+        if (expired.length > 0) {
+            archiveTimestamps(expired);
+        }
+    };
+
+    // Snapshots
+    // Rotating point-in-time copies of the timestamps and settings, stored compressed under
+    // 'timestampSnapshots'. Scheduled snapshots are taken on page load; risky actions take
+    // their own before they run.
+    const snapshotPeriods = {
+        daily: 24 * 60 * 60 * 1000,
+        weekly: 7 * 24 * 60 * 60 * 1000
+    };
+
+    const snapshotReasons = {
+        scheduled: 'Scheduled',
+        manual: 'Manual',
+        'before-import': 'Before import',
+        'before-clear': 'Before clearing',
+        'before-evict': 'Before storage cleanup',
+        'before-restore': 'Before restoring a snapshot'
+    };
+
+    const readSnapshots = () => GM_getValue('timestampSnapshots', []);
+
+    const readSnapshotData = (snapshot) => {
+        try {
+            return JSON.parse(lzwDecompress(snapshot.data));
+        } catch (error) {
+            console.error('Could not read snapshot:', error);
+            return null;
+        }
+    };
+
+    // Store a snapshot of the current state. Scheduled and action snapshots rotate separately,
+    // keeping snapshotCount of each, so a burst of clears never pushes out the daily history.
+    const createSnapshot = (reason = 'manual') => {
+        try {
+            const timestamps = readTimestamps();
+            const data = lzwCompress(JSON.stringify({ timestamps, settings }));
+            const snapshot = {
+                id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+                createdAt: Date.now(),
+                reason,
+                entryCount: Object.keys(timestamps).length,
+                size: data.length,
+                data
+            };
+
+            const keep = Math.max(1, settings.snapshotCount || defaultSettings.snapshotCount);
+            const isScheduled = (item) => item.reason === 'scheduled';
+            const all = [snapshot, ...readSnapshots()].sort((a, b) => b.createdAt - a.createdAt);
+            const snapshots = [
+                ...all.filter(isScheduled).slice(0, keep),
+                ...all.filter(item => !isScheduled(item)).slice(0, keep)
+            ].sort((a, b) => b.createdAt - a.createdAt);
+            GM_setValue('timestampSnapshots', snapshots);
+            debug(`Created ${reason} snapshot with ${snapshot.entryCount} timestamps`);
+            return snapshot;
+        } catch (error) {
+            console.error('Could not create snapshot:', error);
+            return null;
+        }
+    };
+
+    // Clears and cleanups come in bursts, so a recent snapshot of the same kind is reused when it
+    // already holds the current state of every entry about to be removed
+    const actionSnapshotReuseWindow = 10 * 60 * 1000;
+
+    const createActionSnapshot = (reason, entries) => {
+        const last = readSnapshots().find(snapshot => snapshot.reason === reason);
+        const covered = last && Date.now() - last.createdAt < actionSnapshotReuseWindow &&
+            entries.every(entry => Math.max(entry.savedAt || 0, entry.bookmarksUpdatedAt || 0) <= last.createdAt);
+        return covered ? last : createSnapshot(reason);
+    };
+
+    // Take the scheduled snapshot when the last one is older than the configured period
+    const takeScheduledSnapshot = () => {
+        const period = snapshotPeriods[settings.snapshotFrequency];
+        if (!period) return;
+
+        const lastScheduled = readSnapshots().find(snapshot => snapshot.reason === 'scheduled');
+        if (!lastScheduled || Date.now() - lastScheduled.createdAt >= period) {
+            createSnapshot('scheduled');
+        }
+    };
+
+    const deleteSnapshot = (snapshotId) => {
+        GM_setValue('timestampSnapshots', readSnapshots().filter(snapshot => snapshot.id !== snapshotId));
+    };
+
+    // Compare a snapshot against the current state, from the point of view of restoring it
+    const diffSnapshot = (snapshot) => {
+        const data = readSnapshotData(snapshot);
+        if (!data) return null;
+
+        const current = readTimestamps();
+        const diff = { added: [], removed: [], changed: [], settings: [] };
+
+        Object.entries(data.timestamps).forEach(([videoId, entry]) => {
+            const existing = current[videoId];
+            if (!existing) {
+                diff.added.push({ videoId, entry });
+            } else if (existing.time !== entry.time || !!existing.watched !== !!entry.watched ||
+                (existing.bookmarks?.length || 0) !== (entry.bookmarks?.length || 0)) {
+                diff.changed.push({ videoId, entry, existing });
+            }
+        });
+        Object.entries(current).forEach(([videoId, existing]) => {
+            if (!data.timestamps[videoId]) {
+                diff.removed.push({ videoId, entry: existing });
+            }
+        });
+        diff.settings = Object.keys({ ...data.settings, ...settings })
+            .filter(key => JSON.stringify(data.settings[key]) !== JSON.stringify(settings[key]));
+
+        return diff;
+    };
+
+    // Replace the current timestamps and settings with a snapshot, keeping a copy of what is replaced
+    const restoreSnapshot = (snapshotId) => {
+        const snapshot = readSnapshots().find(item => item.id === snapshotId);
+        const data = snapshot && readSnapshotData(snapshot);
+        if (!data) return false;
+
+        createSnapshot('before-restore');
+
+        runUndoable('Restore snapshot', () => {
+            const changes = Object.fromEntries(Object.keys(readTimestamps()).map(videoId => [videoId, null]));
+            Object.assign(changes, data.timestamps);
+            commitTimestampChanges(changes);
+
+            Object.assign(settings, normalizeSettings(data.settings));
+            GM_setValue('ytTimestampSettings', settings);
+            updateThemeVariables();
+        });
+
+        debug(`Restored snapshot from ${formatDate(snapshot.createdAt)}`);
+        return true;
+    };
+
+    // Undo
+    // Destructive actions run as an undo transaction that records the before and after value of
+    // every timestamp, archive entry and setting they touched. History lives in memory for this tab.
+    const undoHistoryLimit = 20;
+    let undoHistory = [];
+
+    const captureUndoState = () => ({
+        timestamps: readTimestamps(),
+        archive: readArchive(),
+        settings: JSON.parse(JSON.stringify(settings))
+    });
+
+    // { before, after } for each key whose value differs, or null when nothing changed
+    const diffUndoState = (before, after) => {
+        const keys = Object.keys({ ...before, ...after })
+            .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+        if (keys.length === 0) return null;
+        return {
+            before: Object.fromEntries(keys.map(key => [key, before[key] ?? null])),
+            after: Object.fromEntries(keys.map(key => [key, after[key] ?? null]))
+        };
+    };
+
+    // Run a mutation and record it in the undo history; returns the undo id or null if nothing changed
+    const runUndoable = (label, mutate) => {
+        const before = captureUndoState();
+        mutate();
+        const after = captureUndoState();
+
+        const changes = {
+            timestamps: diffUndoState(before.timestamps, after.timestamps),
+            archive: diffUndoState(before.archive, after.archive),
+            settings: diffUndoState(before.settings, after.settings)
+        };
+        if (!changes.timestamps && !changes.archive && !changes.settings) return null;
+
+        const entry = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            label,
+            createdAt: Date.now(),
+            undone: false,
+            ...changes
+        };
+        undoHistory = [entry, ...undoHistory].slice(0, undoHistoryLimit);
+        document.querySelectorAll('.undo-view').forEach(view => view.refresh?.());
+        return entry.id;
+    };
+
+    // An action can only be undone while everything it touched still holds the value it left behind
+    const canUndo = (entry, current = captureUndoState()) => {
+        if (!entry || entry.undone) return false;
+        return ['timestamps', 'archive', 'settings'].every(domain => !entry[domain] ||
+            Object.entries(entry[domain].after).every(([key, value]) =>
+                JSON.stringify(current[domain][key] ?? null) === JSON.stringify(value)));
+    };
+
+    const undoAction = (undoId) => {
+        const entry = undoHistory.find(item => item.id === undoId);
+        if (!canUndo(entry)) {
+            showNotification(entry?.undone ? 'Already undone' : 'Cannot undo: changed since', '↩️');
+            return false;
+        }
+
+        if (entry.timestamps) {
+            commitTimestampChanges(entry.timestamps.before);
+        }
+        if (entry.archive) {
+            commitArchiveChanges(entry.archive.before);
+        }
+        if (entry.settings) {
+            Object.entries(entry.settings.before).forEach(([key, value]) => {
+                if (value === null && !(key in defaultSettings)) {
+                    delete settings[key];
+                } else {
+                    settings[key] = value;
+                }
+            });
+            GM_setValue('ytTimestampSettings', settings);
+            updateThemeVariables();
+        }
+
+        entry.undone = true;
+        debug(`Undid ${entry.label}`);
+        // Library and archive lists may still show the state being undone
+        document.querySelectorAll('.library-view, .undo-view').forEach(view => view.refresh?.());
+        renderBookmarksPanel(true);
+        renderProgressMarkers(true);
+        return true;
+    };
+
+    // Notification action that undoes a recorded action; null when there is nothing to undo
+    const createUndoNotificationAction = (undoId) => undoId && {
+        id: 'undo',
+        label: 'Undo',
+        onSelect: () => {
+            if (undoAction(undoId)) {
+                setTimeout(() => showNotification('Undone', '↩️'), 200);
+            }
+        }
+    };
+
+    // Eviction
+    // When the store is full, entries are dropped in the order given by the eviction policy.
+    // Pinned entries, entries with bookmarks and the video being saved are never evicted.
+    const evictionPolicies = {
+        'least-recent': { label: 'Least recently watched', compare: (a, b) => (a.savedAt || 0) - (b.savedAt || 0) },
+        'completed-first': {
+            label: 'Finished videos first',
+            compare: (a, b) => (isEntryFinished(b) - isEntryFinished(a)) || ((a.savedAt || 0) - (b.savedAt || 0))
+        },
+        'shortest-remaining': {
+            label: 'Least time remaining first',
+            compare: (a, b) => getRemainingTime(a) - getRemainingTime(b) || ((a.savedAt || 0) - (b.savedAt || 0))
+        },
+        'oldest-created': {
+            label: 'Oldest saved first',
+            compare: (a, b) => (a.createdAt || a.savedAt || 0) - (b.createdAt || b.savedAt || 0)
+        }
+    };
+
+    // Unknown durations sort last so they are not mistaken for nearly finished videos
+    const getRemainingTime = (entry) => entry.duration > 0 ? Math.max(0, entry.duration - (entry.time || 0)) : Infinity;
+
+    // Ids in the order they would be evicted
+    const getEvictionOrder = (timestamps, protectedId = null) => {
+        const policy = evictionPolicies[settings.evictionPolicy] || evictionPolicies['least-recent'];
+        return Object.entries(timestamps)
+            .filter(([videoId, entry]) => videoId !== protectedId && !entry.pinned && !entry.bookmarks?.length)
+            .sort((a, b) => policy.compare(a[1], b[1]))
+            .map(([videoId]) => videoId);
+    };
+
+    // Warn once per page load when the store reaches this share of maxStoredTimestamps
+    const storageWarningRatio = 0.9;
+    let storageWarningShown = false;
+
+    const checkStorageCapacity = (timestamps) => {
+        const limit = settings.maxStoredTimestamps;
+        if (!limit || limit <= 0 || storageWarningShown) return;
+
+        const count = Object.keys(timestamps).length;
+        if (count < limit * storageWarningRatio) return;
+        storageWarningShown = true;
+
+        const fate = settings.archiveEvicted ? 'moved to the archive' : 'removed';
+        showNotification(`Storage nearly full (${count}/${limit})`, '📦', settings.notificationDuration, {
+            actions: [{ id: 'library', label: 'Open library', onSelect: () => openSettingsUI('library') }],
+            priority: 'high'
+        });
+        sendDesktopNotification('storageFull', `${count} of ${limit} saved videos. The least wanted ones will be ${fate} to make room.`, null);
+    };
+
+    // Ids to drop so that adding one more entry stays within maxStoredTimestamps (0 = unlimited)
+    const selectEvictions = (timestamps, protectedId = null) => {
+        const limit = settings.maxStoredTimestamps;
+        const overflow = Object.keys(timestamps).length - limit + 1;
+        if (!limit || limit <= 0 || overflow <= 0) return [];
+        return getEvictionOrder(timestamps, protectedId).slice(0, overflow);
+    };
+
+    // Drop entries to make room, keeping them in the archive when enabled
+    const evictTimestamps = (videoIds) => {
+        if (settings.archiveEvicted) {
+            archiveTimestamps(videoIds);
+        } else {
+            // Without the archive a snapshot is the only copy left
+            const timestamps = readTimestamps();
+            createActionSnapshot('before-evict', videoIds.map(videoId => timestamps[videoId]).filter(Boolean));
+            commitTimestampChanges(Object.fromEntries(videoIds.map(id => [id, null])));
+        }
+    };
+
+    const setTimestampPinned = (videoId, pinned) => {
+        updateTimestamp(videoId, (entry) => entry && ({ ...entry, pinned }));
+        debug(`${pinned ? 'Pinned' : 'Unpinned'} ${videoId}`);
+    };
+
+    const saveTimestamp = (videoId, time, force = false) => {
+        if (!videoId) return;
+
+        // force is also set below for saves on pause, which are still automatic
+        const isManualSave = force;
+
+        // The player's time belongs to the ad, not the video
+        if (isAdPlaying()) {
+            debug(`Skipping save for ${videoId} - an ad is playing`);
+            return;
+        }
+
+        // Rules only restrict automatic saves; a manual save is always honored
+        if (!force) {
+            const video = getVideoElement();
+            const behavior = evaluateRules(getVideoContext(videoId));
+            if (!behavior.save) {
+                debug(`Skipping save for ${videoId} - blocked by rule`);
+                return;
+            }
+            if (time <= behavior.startWindow || (video?.duration && time >= video.duration - behavior.endWindow)) {
+                return;
+            }
+        }
+
+        let timestamps = readTimestamps();
+        const now = Date.now();
+        const lastSave = timestamps[videoId]?.savedAt || 0;
+        const timeSinceLastSave = (now - lastSave)/1000;
+        const video = getVideoElement();
+
+        // Handle paused video conditions
+        if (!force && video && video.paused) {
+            if (settings.saveOnPause) {
+                debug('Video paused, saving position');
+                force = true; // Force save on pause
+            } else {
+                debug('Skipping save - video is paused');
+                return;
+            }
+        }
+
+        // Throttle frequent saves
+        if (!force && now - lastSave < settings.minSaveInterval * 1000) {
+            return;
+        }
+
+        // Validate time value
+        if (isNaN(time) || time < 0) {
+            debug('Invalid time value, skipping save');
+            return;
+        }
+
+        // Continue an archived record so its bookmarks and metadata are kept
+        if (!timestamps[videoId] && restoreFromArchive(videoId)) {
+            timestamps = readTimestamps();
+        }
+
+        // Storage management - make room when a new video would exceed the limit
+        const evictions = timestamps[videoId] ? [] : selectEvictions(timestamps, videoId);
+        if (evictions.length > 0) {
+            debug(`Evicting ${evictions.length} timestamps (${settings.evictionPolicy}) to stay within ${settings.maxStoredTimestamps}`, evictions);
+            if (isManualSave) {
+                const undoId = runUndoable('Clean up old timestamps', () => evictTimestamps(evictions));
+                showNotification('Cleaned up old timestamps to make space', '🧹', settings.notificationDuration, {
+                    actions: [
+                        createUndoNotificationAction(undoId),
+                        { id: 'library', label: 'Open library', onSelect: () => openSettingsUI('library') }
+                    ],
+                    priority: 'high'
+                });
+            } else {
+                // Auto-saves run while watching, so the cleanup is only noted in recent activity
+                evictTimestamps(evictions);
+                recordActivity(`Cleaned up ${evictions.length} old timestamp${evictions.length === 1 ? '' : 's'} to make space`, '🧹', 'eviction');
+            }
+        }
+
+        // Save the timestamp, keeping bookmarks and any other stored fields
+        const existing = timestamps[videoId];
+        const metadata = getVideoMetadata(videoId);
+        const playback = { ...existing?.playback, ...capturePlaybackState(video) };
+        const updated = commitTimestampChanges({
+            [videoId]: {
+                ...existing,
+                ...pickMetadataFields(metadata),
+                time: time,
+                savedAt: now,
+                createdAt: existing?.createdAt || now,
+                // Without player metadata keep a stored title over a possibly stale document.title
+                title: metadata?.title || existing?.title || document.title.replace(' - YouTube', ''),
+                duration: video?.duration || metadata?.duration || 0,
+                bookmarks: existing?.bookmarks || [],
+                ...pickPlaybackFields(playback)
+            }
+        });
+        
+        if (!existing) {
+            checkStorageCapacity(updated);
+        }
+
+        // Remember where we are when playing inside a playlist
+        recordPlaylistProgress(videoId, time);
+        
+        // Log with appropriate message type
+        const saveSource = force ? 'Manual save' : 'Auto-save';
+        debug(`${saveSource} for ${videoId} at ${formatTime(time)}`);
+
+        // Show notifications based on settings and context
+        if (force) {
+            showNotification(`Saved at ${formatTime(time)}`, '💾', settings.notificationDuration, {
+                actions: [{ id: 'library', label: 'Open library', onSelect: () => openSettingsUI('library') }]
+            });
+        } else if (settings.notifyOnAutoSave) {
+            showNotification(`Auto-saved at ${formatTime(time)}`, '⚡', settings.notificationDuration, { tag: 'auto-save', priority: 'low' });
+        } else {
+            // Quiet auto-saves still show up in recent activity
+            recordActivity(`Auto-saved at ${formatTime(time)}`, '⚡', 'auto-save');
+        }
+    };
+
+    const loadTimestamp = (videoId) => {
+        if (!videoId) return null;
+
+        // Videos reopened after a long time may only be in the archive; opening one leaves it
+        // there, only a resume or save restores it
+        const savedData = readTimestamp(videoId) || readArchivedTimestamp(videoId);
+
+        if (!savedData) {
+            debug(`No saved timestamp found for ${videoId}`);
+            return null;
+        }
+
+        debug(`Found saved timestamp for ${videoId}: ${formatTime(savedData.time)}`);
+
+        // Finished videos start over until they are marked unwatched
+        if (isEntryFinished(savedData)) {
+            debug(`${videoId} is marked as watched, not resuming`);
+            return null;
+        }
+
+        if (settings.smartTimestampHandling) {
+            const urlTimeSeconds = parseYouTubeUrl(window.location.href)?.time ?? null;
+
+            // Only use URL time if significantly different from saved time
+            if (urlTimeSeconds !== null && Math.abs(urlTimeSeconds - savedData.time) > 30) {
+                debug(`Using URL timestamp (${formatTime(urlTimeSeconds)}) instead of saved position (${formatTime(savedData.time)})`);
+                if (settings.restoreNotifications) {
+                    showNotification('Using URL timestamp instead of saved position', '🔄');
+                }
+                return { time: urlTimeSeconds, savedAt: Date.now() };
+            }
+        }
+
+        // Check if saved position is near the end of video
+        const video = getVideoElement();
+        const { endWindow } = evaluateRules(getVideoContext(videoId));
+        if (video && savedData.duration && savedData.time > savedData.duration - endWindow) {
+            if (settings.restoreNotifications) {
+                showNotification('Starting from beginning (previous position was near end)', '🔄');
+            }
+            return { time: 0, savedAt: Date.now() };
+        }
+
+        return savedData;
+    };
+
+    // Bookmarks
+    // Named positions stored in entry.bookmarks, separate from the automatic resume position
+    const createBookmarkId = () => `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+    const getBookmarks = (videoId) => [...(readTimestamp(videoId)?.bookmarks || [])].sort((a, b) => a.time - b.time);
+
+    const addBookmark = (videoId, time, name = '', note = '') => {
+        if (!videoId || isNaN(time) || time < 0) return null;
+
+        const video = getVideoElement();
+        const now = Date.now();
+        const bookmark = {
+            id: createBookmarkId(),
+            time,
+            name: name.trim() || `Bookmark at ${formatTime(time)}`,
+            note: note.trim(),
+            createdAt: now
+        };
+
+        updateTimestamp(videoId, (entry) => ({
+            // A bookmark on an unsaved video starts a record without moving the resume position
+            time: 0,
+            savedAt: now,
+            createdAt: now,
+            title: getVideoTitle(videoId),
+            duration: video?.duration || 0,
+            ...entry,
+            bookmarks: [...(entry?.bookmarks || []), bookmark],
+            bookmarksUpdatedAt: now
+        }));
+
+        debug(`Bookmark added for ${videoId} at ${formatTime(time)}`);
+        renderProgressMarkers();
+        return bookmark;
+    };
+
+    const updateBookmark = (videoId, bookmarkId, changes) => {
+        updateTimestamp(videoId, (entry) => entry && ({
+            ...entry,
+            bookmarks: (entry.bookmarks || []).map(bookmark => bookmark.id === bookmarkId ? { ...bookmark, ...changes } : bookmark),
+            bookmarksUpdatedAt: Date.now()
+        }));
+        renderProgressMarkers();
+    };
+
+    const removeBookmark = (videoId, bookmarkId) => {
+        updateTimestamp(videoId, (entry) => entry && ({
+            ...entry,
+            bookmarks: (entry.bookmarks || []).filter(bookmark => bookmark.id !== bookmarkId),
+            bookmarksUpdatedAt: Date.now()
+        }));
+        renderProgressMarkers();
+    };
+
+    // Completion Tracking
+    // Watched videos record when they were finished and are no longer auto-resumed
+    const markVideoWatched = (videoId, time, reason) => {
+        const video = getVideoElement();
+        const now = Date.now();
+
+        updateTimestamp(videoId, (entry) => ({
+            title: getVideoTitle(videoId),
+            bookmarks: [],
+            createdAt: now,
+            ...entry,
+            time: time,
+            savedAt: now,
+            duration: video?.duration || entry?.duration || 0,
+            watched: true,
+            completedAt: now
+        }));
+
+        debug(`Marked ${videoId} as watched (${reason})`);
+        if (settings.restoreNotifications) {
+            showNotification('Marked as watched', '✅');
+        }
+        sendDesktopNotification('finished', 'Finished watching', videoId);
+    };
+
+    const markVideoUnwatched = (videoId) => {
+        updateTimestamp(videoId, (entry) => entry && ({
+            ...entry,
+            // Keep the key so merges with copies that still say watched resolve to unwatched
+            watched: false,
+            completedAt: null,
+            savedAt: Date.now()
+        }));
+        debug(`Marked ${videoId} as unwatched`);
+    };
+
+    // Called from the playback loop and the 'ended' event
+    const checkVideoCompletion = (videoId, video, ended = false) => {
+        if (!videoId || !video || !video.duration || !isFinite(video.duration)) return;
+
+        // An ad ending or passing the threshold says nothing about the video
+        if (isAdPlaying()) return;
+
+        const entry = readTimestamp(videoId);
+        if (isEntryFinished(entry)) return;
+
+        // YouTube flags the player once the end screen with credits/suggestions takes over
+        const endScreenShown = !!document.querySelector('#movie_player.ended-mode, .html5-video-player.ended-mode');
+        const reachedThreshold = video.currentTime / video.duration * 100 >= settings.completionThreshold;
+
+        if (ended || endScreenShown || reachedThreshold) {
+            markVideoWatched(videoId, video.currentTime, ended || endScreenShown ? 'reached the end' : `passed ${settings.completionThreshold}%`);
+        }
+    };
+
+    const setupCompletionTracking = () => {
+        const handleEnded = (e) => {
+            if (!(e.target instanceof HTMLVideoElement)) return;
+            try {
+                checkVideoCompletion(getVideoId(), e.target, true);
+            } catch (error) {
+                console.error('Error recording video completion:', error);
+            }
+        };
+
+        // 'ended' does not bubble, so listen in the capture phase
+        document.addEventListener('ended', handleEnded, true);
+
+        return {
+            cleanup: () => document.removeEventListener('ended', handleEnded, true)
+        };
+    };
+
+    // Playlist Tracking
+    // Remembers the last video and position inside each playlist in the 'playlists' GM value.
+    // Progress is held with the pending timestamp changes and written by the same flush, merged
+    // into the latest value per playlist so other tabs' playlists are kept. Between flushes the
+    // stored value is read from memory, kept current by a value change listener.
+    const playlistLimit = 100; // most recently played playlists kept
+    const playlistVideoLimit = 500; // most recently played videos kept per playlist
+    const pendingPlaylistChanges = new Map(); // listId -> playlist, not yet flushed
+    let playlistCache = null; // stored 'playlists' value, null until read or without a listener
+    let playlistListenerId = null;
+
+    const readStoredPlaylists = () => {
+        if (playlistCache) return playlistCache;
+
+        const playlists = GM_getValue('playlists', {});
+        if (playlistListenerId === null && typeof GM_addValueChangeListener === 'function') {
+            playlistListenerId = GM_addValueChangeListener('playlists', (name, oldValue, newValue, remote) => {
+                if (remote) playlistCache = newValue || {};
+            });
+        }
+        // Without change notifications another tab's writes would go unseen, so read every time
+        if (playlistListenerId !== null) playlistCache = playlists;
+        return playlists;
+    };
+
+    const mergePlaylists = (latest, changes) => {
+        const playlists = { ...latest };
+        changes.forEach((playlist, listId) => {
+            // Videos seen in another tab since this one last read the value are kept
+            const videos = [...(playlists[listId]?.videos || []).filter(videoId => !playlist.videos.includes(videoId)), ...playlist.videos];
+            playlists[listId] = { ...playlist, videos: videos.slice(-playlistVideoLimit) };
+        });
+
+        return Object.fromEntries(Object.entries(playlists)
+            .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0))
+            .slice(0, playlistLimit));
+    };
+
+    const readPlaylists = () => mergePlaylists(readStoredPlaylists(), pendingPlaylistChanges);
+
+    const flushPlaylistWrites = () => {
+        if (pendingPlaylistChanges.size === 0) return;
+        // Merge into the value as stored now, in case a change from another tab is still on its way
+        const playlists = mergePlaylists(GM_getValue('playlists', {}), pendingPlaylistChanges);
+        pendingPlaylistChanges.clear();
+        GM_setValue('playlists', playlists);
+        if (playlistCache) playlistCache = playlists;
+    };
+
+    // Playlist id of a /playlist page, or null elsewhere
+    const getPlaylistPageId = () => {
+        try {
+            const url = new URL(window.location.href);
+            return url.pathname === '/playlist' ? url.searchParams.get('list') : null;
+        } catch (e) {
+            return null;
+        }
+    };
+
+    // Title and size as shown in the watch page playlist panel
+    const readPlaylistPanelInfo = () => {
+        const panel = document.querySelector('ytd-playlist-panel-renderer');
+        if (!panel) return {};
+
+        const title = panel.querySelector('#header-description h3, .title')?.textContent.trim();
+        const countMatch = panel.querySelector('.index-message, #publisher-container span')?.textContent.match(/\/\s*([\d,]+)/);
+        return {
+            title: title || undefined,
+            videoCount: countMatch ? parseInt(countMatch[1].replace(/,/g, ''), 10) : undefined
+        };
+    };
+
+    const recordPlaylistProgress = (videoId, time) => {
+        const parsed = parseYouTubeUrl(window.location.href);
+        if (!parsed?.list || parsed.videoId !== videoId) return;
+
+        // Mixes and the watch-later/liked queues are per-user streams, not playlists worth resuming
+        if (/^(RD|WL$|LL$)/.test(parsed.list)) return;
+
+        const existing = pendingPlaylistChanges.get(parsed.list) || readStoredPlaylists()[parsed.list] || { videos: [] };
+        const panelInfo = readPlaylistPanelInfo();
+
+        pendingPlaylistChanges.set(parsed.list, {
+            ...existing,
+            title: panelInfo.title || existing.title || '',
+            videoCount: panelInfo.videoCount || existing.videoCount || 0,
+            videoId,
+            time,
+            index: parsed.index || existing.index || null,
+            updatedAt: Date.now(),
+            videos: [...existing.videos.filter(id => id !== videoId), videoId]
+        });
+    };
+
+    // Finished / in-progress counts for the videos saved from a playlist
+    const getPlaylistStats = (playlist, timestamps) => {
+        const stats = { finished: 0, inProgress: 0, total: playlist.videoCount || 0 };
+        (playlist.videos || []).forEach(videoId => {
+            const entry = timestamps[videoId];
+            if (!entry) return;
+            if (isEntryFinished(entry)) {
+                stats.finished++;
+            } else if (isEntryInProgress(entry)) {
+                stats.inProgress++;
+            }
+        });
+        stats.total = Math.max(stats.total, (playlist.videos || []).length);
+        return stats;
+    };
+
+    const describePlaylistStats = (stats) =>
+        `${stats.finished} finished • ${stats.inProgress} in progress${stats.total ? ` • ${stats.total} videos` : ''}`;
+
+    // Conflict Resolution
+    const isSameEntry = (a, b) => {
+        if (!a || !b) return false;
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return [...keys].every(key => JSON.stringify(a[key]) === JSON.stringify(b[key]));
+    };
+
+    // Furthest progress wins; every other field comes from the newer record unless it is empty there
+    const mergeTimestampEntries = (local, incoming) => {
+        const [older, newer] = (incoming.savedAt || 0) > (local.savedAt || 0) ? [local, incoming] : [incoming, local];
+        const merged = { ...older };
+
+        Object.entries(newer).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') {
+                merged[key] = value;
+            }
+        });
+
+        merged.time = Math.max(local.time || 0, incoming.time || 0);
+        merged.savedAt = Math.max(local.savedAt || 0, incoming.savedAt || 0);
+        merged.duration = Math.max(local.duration || 0, incoming.duration || 0);
+        return merged;
+    };
+
+    // Bookmark lists change independently of the resume position: merging unions them,
+    // otherwise the list edited most recently wins so deletions are not resurrected
+    const resolveBookmarks = (resolved, local, incoming) => {
+        const localBookmarks = local.bookmarks || [];
+        const incomingBookmarks = incoming.bookmarks || [];
+        if (localBookmarks.length === 0 && incomingBookmarks.length === 0) return resolved;
+
+        let bookmarks;
+        if (settings.syncBehavior === 'merge') {
+            const byId = new Map();
+            [...localBookmarks, ...incomingBookmarks].forEach(bookmark => byId.set(bookmark.id, { ...byId.get(bookmark.id), ...bookmark }));
+            bookmarks = [...byId.values()];
+        } else {
+            bookmarks = (incoming.bookmarksUpdatedAt || 0) > (local.bookmarksUpdatedAt || 0) ? incomingBookmarks : localBookmarks;
+        }
+
+        const bookmarksUpdatedAt = Math.max(local.bookmarksUpdatedAt || 0, incoming.bookmarksUpdatedAt || 0);
+        if (JSON.stringify(bookmarks) === JSON.stringify(resolved.bookmarks || []) && bookmarksUpdatedAt === (resolved.bookmarksUpdatedAt || 0)) {
+            return resolved;
+        }
+        return { ...resolved, bookmarks, bookmarksUpdatedAt };
+    };
+
+    // Resolve without user interaction; 'manual' falls back to newest
+    const resolveConflictAutomatically = (local, incoming) => {
+        if (!local) return incoming;
+        if (!incoming) return local;
+
+        const resolved = settings.syncBehavior === 'merge'
+            ? mergeTimestampEntries(local, incoming)
+            : ((incoming.savedAt || 0) > (local.savedAt || 0) ? incoming : local);
+        return resolveBookmarks(resolved, local, incoming);
+    };
+
+    // A write made in this tab against the stored record. Unlike an import it is never merged:
+    // the newer save wins outright, so a rewind or reset is not pushed back to a larger time,
+    // and the bookmark list edited last is kept.
+    const resolveOwnWrite = (stored, written) => {
+        const resolved = (stored.savedAt || 0) > (written.savedAt || 0) ? stored : written;
+        const bookmarkSource = (stored.bookmarksUpdatedAt || 0) > (written.bookmarksUpdatedAt || 0) ? stored : written;
+        if (bookmarkSource === resolved) return resolved;
+        return { ...resolved, bookmarks: bookmarkSource.bookmarks || [], bookmarksUpdatedAt: bookmarkSource.bookmarksUpdatedAt };
+    };
+
+    // Resolve two records for the same video according to settings.syncBehavior.
+    // The session object lets a caller remember an "apply to all" manual choice.
+    const resolveTimestampConflict = (videoId, local, incoming, { interactive = false, labels = {}, session = null } = {}) => {
+        if (!local || !incoming || isSameEntry(local, incoming)) {
+            return Promise.resolve(local || incoming);
+        }
+
+        if (settings.syncBehavior !== 'manual' || !interactive) {
+            if (settings.syncBehavior === 'manual') {
+                debug(`Manual conflict resolution not possible here for ${videoId}, keeping newest`);
+            }
+            return Promise.resolve(resolveConflictAutomatically(local, incoming));
+        }
+
+        if (session?.rememberedSide) {
+            return Promise.resolve(session.rememberedSide === 'incoming' ? incoming : local);
+        }
+
+        return showConflictDialog(videoId, local, incoming, labels).then(({ choice, checked }) => {
+            if (checked && session) {
+                session.rememberedSide = choice;
+            }
+            return choice === 'incoming' ? incoming : local;
+        });
+    };
+
+    // Data Transfer Functions
+    // Returns a reason string when a timestamp entry has the wrong shape, null when valid
+    const validateTimestampEntry = (entry) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'entry is not an object';
+        if (typeof entry.time !== 'number' || !isFinite(entry.time) || entry.time < 0) return 'invalid time';
+        if (typeof entry.savedAt !== 'number' || !isFinite(entry.savedAt) || entry.savedAt <= 0) return 'invalid savedAt';
+        if (entry.title !== undefined && typeof entry.title !== 'string') return 'invalid title';
+        if (entry.duration !== undefined && (typeof entry.duration !== 'number' || !isFinite(entry.duration) || entry.duration < 0)) {
+            return 'invalid duration';
+        }
+        if (entry.watched !== undefined && typeof entry.watched !== 'boolean') {
+            return 'invalid watched flag';
+        }
+        if (entry.pinned !== undefined && typeof entry.pinned !== 'boolean') {
+            return 'invalid pinned flag';
+        }
+        if (['channel', 'channelId', 'thumbnail', 'publishDate', 'category'].some(key => entry[key] !== undefined && typeof entry[key] !== 'string')) {
+            return 'invalid metadata';
+        }
+        if (entry.bookmarks !== undefined) {
+            if (!Array.isArray(entry.bookmarks)) return 'invalid bookmarks';
+            const invalidBookmark = entry.bookmarks.some(bookmark => !bookmark ||
+                typeof bookmark.time !== 'number' || !isFinite(bookmark.time) || bookmark.time < 0 ||
+                typeof bookmark.name !== 'string' ||
+                (bookmark.note !== undefined && typeof bookmark.note !== 'string'));
+            if (invalidBookmark) return 'invalid bookmark';
+        }
+        return null;
+    };
+
+    // Copy only the known fields of a validated entry into the stored shape
+    const normalizeTimestampEntry = (entry) => ({
+        time: entry.time,
+        savedAt: entry.savedAt,
+        title: entry.title || '',
+        duration: entry.duration || 0,
+        bookmarks: (entry.bookmarks || []).map(bookmark => ({
+            id: typeof bookmark.id === 'string' && bookmark.id ? bookmark.id : createBookmarkId(),
+            time: bookmark.time,
+            name: bookmark.name,
+            note: bookmark.note || '',
+            createdAt: typeof bookmark.createdAt === 'number' ? bookmark.createdAt : entry.savedAt
+        })),
+        ...(typeof entry.bookmarksUpdatedAt === 'number' ? { bookmarksUpdatedAt: entry.bookmarksUpdatedAt } : {}),
+        ...pickMetadataFields({
+            channel: entry.channel,
+            channelId: entry.channelId,
+            thumbnail: entry.thumbnail,
+            publishDate: entry.publishDate,
+            isLive: typeof entry.isLive === 'boolean' ? entry.isLive : undefined,
+            category: entry.category
+        }),
+        ...(typeof entry.createdAt === 'number' ? { createdAt: entry.createdAt } : {}),
+        ...(entry.pinned === true ? { pinned: true } : {}),
+        ...(typeof entry.watched === 'boolean' ? { watched: entry.watched } : {}),
+        ...(typeof entry.completedAt === 'number' ? { completedAt: entry.completedAt } : {}),
+        ...(typeof entry.restoredAt === 'number' ? { restoredAt: entry.restoredAt } : {}),
+        ...pickPlaybackFields(entry.playback)
+    });
+
+    // Download timestamps and settings as a versioned JSON file
+    const exportData = () => {
+        const payload = {
+            app: 'youtube-timestamp-saver',
+            schemaVersion: exportSchemaVersion,
+            exportedAt: new Date().toISOString(),
+            timestamps: readTimestamps(),
+            settings: GM_getValue('ytTimestampSettings', settings)
+        };
+
+        const blob = new Blob([JSON.stringify(payload, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `youtube-timestamps-${new Date().toISOString().slice(0, 10)}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        const count = Object.keys(payload.timestamps).length;
+        debug(`Exported ${count} timestamps`);
+        return count;
+    };
+
+    // Parse an export file, throwing a user-readable error when it is unusable
+    const parseImportData = (text) => {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('File is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || data.app !== 'youtube-timestamp-saver') {
+            throw new Error('File is not a YouTube Timestamp Saver export');
+        }
+        if (typeof data.schemaVersion !== 'number' || data.schemaVersion > exportSchemaVersion) {
+            throw new Error(`Unsupported export version: ${data.schemaVersion}`);
+        }
+        if (!data.timestamps || typeof data.timestamps !== 'object' || Array.isArray(data.timestamps)) {
+            throw new Error('Export does not contain a timestamps object');
+        }
+
+        return data;
+    };
+
+    // Work out which imported entries would be added, overwritten or skipped
+    const buildImportPreview = (data) => {
+        const existing = readTimestamps();
+        const preview = {
+            added: [],
+            overwritten: [],
+            skipped: [],
+            conflicts: [],
+            settings: data.settings && typeof data.settings === 'object' && !Array.isArray(data.settings) ? data.settings : null
+        };
+
+        Object.entries(data.timestamps).forEach(([videoId, entry]) => {
+            if (!isValidVideoId(videoId)) {
+                preview.skipped.push({ videoId, entry, reason: 'invalid video id' });
+                return;
+            }
+
+            const error = validateTimestampEntry(entry);
+            if (error) {
+                preview.skipped.push({ videoId, entry, reason: error });
+                return;
+            }
+
+            const normalized = normalizeTimestampEntry(entry);
+            const current = existing[videoId];
+            if (!current) {
+                preview.added.push({ videoId, entry: normalized });
+            } else if (isSameEntry(current, normalized)) {
+                preview.skipped.push({ videoId, entry: normalized, reason: 'already up to date' });
+            } else if (settings.syncBehavior === 'manual') {
+                // Chosen interactively when the import is applied
+                preview.conflicts.push({ videoId, entry: normalized, existing: current });
+            } else {
+                const resolved = resolveConflictAutomatically(current, normalized);
+                if (isSameEntry(resolved, current)) {
+                    preview.skipped.push({
+                        videoId,
+                        entry: normalized,
+                        reason: settings.syncBehavior === 'merge' ? 'nothing new to merge' : 'stored entry is newer'
+                    });
+                } else {
+                    preview.overwritten.push({ videoId, entry: resolved, existing: current });
+                }
+            }
+        });
+
+        return preview;
+    };
+
+    // Commit a previously built import preview to storage, asking about manual conflicts first.
+    // Resolves with the number of entries written.
+    const applyImport = (preview, includeSettings = false) => {
+        const session = { rememberedSide: null };
+        const chosen = [];
+
+        // Ask about conflicts one at a time so dialogs never stack
+        const resolveConflicts = preview.conflicts.reduce((chain, conflict) => chain.then(() =>
+            resolveTimestampConflict(conflict.videoId, conflict.existing, conflict.entry, {
+                interactive: true,
+                labels: { local: 'Stored here', incoming: 'From import' },
+                session
+            }).then(entry => {
+                if (entry !== conflict.existing) {
+                    chosen.push({ videoId: conflict.videoId, entry });
+                }
+            })
+        ), Promise.resolve());
+
+        return resolveConflicts.then(() => {
+            const writes = [...preview.added, ...preview.overwritten, ...chosen];
+            if (writes.length > 0 || includeSettings) {
+                createSnapshot('before-import');
+            }
+            runUndoable('Import', () => {
+                commitTimestampChanges(Object.fromEntries(writes.map(({ videoId, entry }) => [videoId, entry])));
+
+                if (includeSettings && preview.settings) {
+                    Object.assign(settings, normalizeSettings(preview.settings));
+                    GM_setValue('ytTimestampSettings', settings);
+                    updateThemeVariables();
+                }
+            });
+
+            debug(`Imported ${preview.added.length} new and ${writes.length - preview.added.length} updated timestamps`);
+            return writes.length;
+        });
+    };
+
+    // UI Functions
+    // notificationContainer is the positioned stack that every toast is shown in
+    const getOrCreateNotificationContainer = () => {
+        if (notificationContainer && document.body.contains(notificationContainer)) {
+            return notificationContainer;
+        }
+
+        debug('Creating notification stack');
+
+        try {
+            notificationContainer = document.createElement('div');
+            notificationContainer.className = 'yt-timestamp-notification-stack';
+            notificationContainer.setAttribute('role', 'status');
+            notificationContainer.setAttribute('aria-live', 'polite');
+
+            Object.assign(notificationContainer.style, {
+                position: 'fixed',
+                zIndex: '9999999',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '8px',
+                maxWidth: 'min(90vw, 400px)',
+                pointerEvents: 'none'
+            });
+
+            document.body.appendChild(notificationContainer);
+
+            // Add theme change listener
+            addThemeChangeListener(notificationContainer);
+
+            return notificationContainer;
+        } catch (error) {
+            console.error('Error creating notification container:', error);
+            notificationContainer = null;
+            return null;
+        }
+    };
+
+    // Re-anchor the stack after a layout or position setting change
+    const repositionNotifications = () => {
+        if (!notificationContainer || activeNotifications.length === 0) return;
+        lastPlayerRect = null;
+        alignNotificationStack(notificationContainer);
+        updateNotificationPosition(notificationContainer);
+    };
+
+    // Toast elements currently in the stack
+    const getNotificationElements = () => notificationContainer
+        ? [...notificationContainer.querySelectorAll('.yt-timestamp-notification')]
+        : [];
+
+    // Build one toast with its content row and lifetime progress bar
+    const createNotificationElement = () => {
+        const useDarkMode = getDarkModeState();
+        const notification = document.createElement('div');
+        notification.className = `yt-timestamp-notification ${useDarkMode ? 'dark' : 'light'}`;
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'notification-content';
+        contentDiv.style.display = 'flex';
+        contentDiv.style.alignItems = 'center';
+        contentDiv.style.gap = '8px';
+        contentDiv.style.padding = '10px 12px';
+        contentDiv.style.position = 'relative';
+        contentDiv.style.width = 'fit-content';
+        contentDiv.style.maxWidth = '100%';
+        contentDiv.style.willChange = 'transform, opacity';
+        notification.appendChild(contentDiv);
+
+        const progressBar = document.createElement('div');
+        progressBar.className = 'notification-progress';
+        progressBar.style.background = settings.customAccentColor;
+        progressBar.style.height = '2px';
+        progressBar.style.position = 'absolute';
+        progressBar.style.bottom = '0';
+        progressBar.style.left = '0';
+        progressBar.style.right = '0';
+        progressBar.style.opacity = '0.8';
+        progressBar.style.transform = 'translateZ(0)';
+        progressBar.style.willChange = 'width, opacity';
+        progressBar.style.borderBottomLeftRadius = '6px';
+        progressBar.style.borderBottomRightRadius = '6px';
+        progressBar.style.margin = '0';
+        notification.appendChild(progressBar);
+
+        const blurAmount = settings.blurAmount || 0;
+        const blurValue = blurAmount > 0 ? `blur(${blurAmount}px) saturate(180%)` : 'none';
+
+        Object.assign(notification.style, {
+            opacity: '0',
+            pointerEvents: 'none',
+            display: 'flex',
+            flexDirection: 'column',
+            overflow: 'hidden',
+            width: 'fit-content',
+            maxWidth: '100%',
+            position: 'relative',
+            padding: '0',
+            borderRadius: '6px',
+            transform: 'translateZ(0) translateY(-10px) scale(0.96)',
+            transition: 'all 0.2s cubic-bezier(0.2, 0, 0, 1)',
+            backdropFilter: blurValue,
+            webkitBackdropFilter: blurValue
+        });
+        updateNotificationTheme(notification, useDarkMode);
+
+        // Set size based on settings
+        if (settings.notificationSize === 'small') {
+            notification.style.fontSize = '11px';
+        } else if (settings.notificationSize === 'large') {
+            notification.style.fontSize = '14px';
+        } else {
+            notification.style.fontSize = '13px';
+        }
+
+        return notification;
+    };
+
+    // Helper function to get dark mode state
+    const getDarkModeState = () => {
+        if (settings.themeMode === 'light') {
+            return false;
+        } else if (settings.themeMode === 'system') {
+            return window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+        }
+        return true; // Default to dark mode
+    };
+
+    // Helper function to update notification theme
+    const updateNotificationTheme = (notification, isDark) => {
+        if (!notification) return;
+
+        // Update class
+        notification.className = `yt-timestamp-notification ${isDark ? 'dark' : 'light'}`;
+
+        // Update styles
+        const themeStyles = isDark ? {
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.4), 0 0 1px rgba(0, 0, 0, 0.3)',
+            border: '1px solid rgba(255, 255, 255, 0.08)',
+            backgroundColor: 'rgba(32, 32, 32, 0.94)',
+            color: 'rgba(255, 255, 255, 0.95)'
+        } : {
+            boxShadow: '0 4px 12px rgba(0, 0, 0, 0.15), 0 0 1px rgba(0, 0, 0, 0.1)',
+            border: '1px solid rgba(0, 0, 0, 0.08)',
+            backgroundColor: 'rgba(255, 255, 255, 0.96)',
+            color: 'rgba(0, 0, 0, 0.9)'
+        };
+
+        Object.assign(notification.style, themeStyles);
+
+        // Update close button colors if present
+        const closeButton = notification.querySelector('.notification-close');
+        if (closeButton) {
+            closeButton.addEventListener('mouseover', () => {
+                closeButton.style.backgroundColor = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+            });
+            closeButton.addEventListener('mouseout', () => {
+                closeButton.style.backgroundColor = 'transparent';
+            });
+        }
+
+        // Update emoji container background
+        const emojiContainer = notification.querySelector('.notification-emoji-container');
+        if (emojiContainer) {
+            emojiContainer.style.background = isDark ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.06)';
+        }
+    };
+
+    // Helper function to add theme change listener
+    const addThemeChangeListener = (notification) => {
+        if (settings.themeMode === 'system') {
+            const mediaQuery = window.matchMedia('(prefers-color-scheme: dark)');
+            const themeChangeHandler = (e) => {
+                // The stack host listens once on behalf of every toast it holds
+                const targets = notification === notificationContainer ? getNotificationElements() : [notification];
+                targets.forEach(target => updateNotificationTheme(target, e.matches));
+            };
+            
+            // Add listener and store reference for cleanup
+            mediaQuery.addListener(themeChangeHandler);
+            notification.themeChangeHandler = themeChangeHandler;
+            notification.mediaQuery = mediaQuery;
+        }
+    };
+
+    // Position the notification based on settings and screen size
+    const updateNotificationPosition = (notification) => {
+        if (!notification) return;
+
+        try {
+            // Clear any styles from previous positioning
+            notification.style.top = '';
+            notification.style.right = '';
+            notification.style.bottom = '';
+            notification.style.left = '';
+            notification.style.transform = '';
+            
+            // Enhanced video and player detection
+            const video = getVideoElement();
+            const playerElement = document.querySelector('#movie_player, ytd-player, .html5-video-player');
+            const playerContainer = document.querySelector('ytd-watch-flexy');
+            const theaterContainer = document.querySelector('ytd-watch-flexy[theater] #player-container');
+            
+            // Detect various player states
+            const states = {
+                isVideoPresent: !!video,
+                isVideoPlaying: video && !video.paused && !video.ended && video.currentTime > 0,
+                isFullscreen: document.fullscreenElement || document.webkitFullscreenElement,
+                isTheaterMode: !!document.querySelector('ytd-watch-flexy[theater]'),
+                isMiniPlayer: !!document.querySelector('.ytp-miniplayer-ui')
+            };
+
+            debug(`Positioning notification - States:`, states);
+
+            // Get current state's position settings
+            const stateSettings = states.isVideoPlaying ? 
+                settings.notificationPosition.duringPlayback : 
+                settings.notificationPosition.onHomepage;
+
+            // Get position and margin from state settings
+            const position = stateSettings.position;
+            const baseMargin = stateSettings.margin;
+
+            // Calculate responsive margins based on screen size and state margin
+            const margin = {
+                normal: baseMargin,
+                fullscreen: Math.max(baseMargin, window.innerWidth * 0.02),
+                safety: baseMargin * 0.5
+            };
+
+            // If no video or player is detected, use top-left position with padding
+            if (!states.isVideoPresent || !playerElement) {
+                debug('No video detected, using default top-left position');
+                notification.style.top = `${margin.normal}px`;
+                notification.style.left = `${margin.normal}px`;
+                return;
+            }
+            
+            // Get player dimensions
+            const playerRect = playerElement.getBoundingClientRect();
+            const containerRect = playerContainer?.getBoundingClientRect() || playerRect;
+            
+            // Handle fullscreen mode
+            if (states.isFullscreen) {
+                debug('Positioning for fullscreen video');
+                applyFullscreenPosition(notification, position, margin.fullscreen);
+                return;
+            }
+
+            // Handle theater mode
+            if (states.isTheaterMode && theaterContainer) {
+                debug('Positioning for theater mode');
+                const theaterRect = theaterContainer.getBoundingClientRect();
+                applyTheaterPosition(notification, position, theaterRect, margin.normal);
+                return;
+            }
+
+            // Handle mini player
+            if (states.isMiniPlayer) {
+                debug('Positioning for mini player');
+                notification.style.top = `${margin.normal}px`;
+                notification.style.right = `${margin.normal}px`;
+                return;
+            }
+
+            // Standard positioning relative to player
+            debug('Applying standard positioning');
+            applyStandardPosition(notification, position, playerRect, containerRect, margin.normal);
+
+            // Ensure notification stays within viewport bounds
+        requestAnimationFrame(() => {
+            const notificationRect = notification.getBoundingClientRect();
+                const viewportAdjustment = ensureInViewport(notificationRect, margin.safety);
+                
+                Object.entries(viewportAdjustment).forEach(([property, value]) => {
+                    if (value !== null) {
+                        notification.style[property] = value;
+                    }
+                });
+
+                // Fix transform property if needed
+                fixTransformProperty(notification);
+            });
+
+        } catch (error) {
+            console.error('Error updating notification position:', error);
+            // Fallback to safe position
+            notification.style.top = `${margin.normal}px`;
+            notification.style.left = `${margin.normal}px`;
+        }
+    };
+
+    // Helper function for fullscreen positioning
+    const applyFullscreenPosition = (notification, position, margin) => {
+        const positions = {
+            'top-left': { top: margin, left: margin },
+            'top-center': { top: margin, left: '50%', transform: 'translateX(-50%)' },
+            'top-right': { top: margin, right: margin },
+            'center-left': { top: '50%', left: margin, transform: 'translateY(-50%)' },
+            'center-center': { top: '50%', left: '50%', transform: 'translate(-50%, -50%)' },
+            'center-right': { top: '50%', right: margin, transform: 'translateY(-50%)' },
+            'bottom-left': { bottom: margin, left: margin },
+            'bottom-center': { bottom: margin, left: '50%', transform: 'translateX(-50%)' },
+            'bottom-right': { bottom: margin, right: margin }
+        };
+
+        const pos = positions[position] || positions['top-right'];
+        Object.entries(pos).forEach(([prop, value]) => {
+            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
+        });
+    };
+
+    // Helper function for theater mode positioning
+    const applyTheaterPosition = (notification, position, theaterRect, margin) => {
+        const positions = {
+            'top-left': { top: theaterRect.top + margin, left: theaterRect.left + margin },
+            'top-center': { top: theaterRect.top + margin, left: theaterRect.left + (theaterRect.width / 2), transform: 'translateX(-50%)' },
+            'top-right': { top: theaterRect.top + margin, right: window.innerWidth - theaterRect.right + margin },
+            'center-left': { top: theaterRect.top + (theaterRect.height / 2), left: theaterRect.left + margin, transform: 'translateY(-50%)' },
+            'center-center': { top: theaterRect.top + (theaterRect.height / 2), left: theaterRect.left + (theaterRect.width / 2), transform: 'translate(-50%, -50%)' },
+            'center-right': { top: theaterRect.top + (theaterRect.height / 2), right: window.innerWidth - theaterRect.right + margin, transform: 'translateY(-50%)' },
+            'bottom-left': { bottom: window.innerHeight - theaterRect.bottom + margin, left: theaterRect.left + margin },
+            'bottom-center': { bottom: window.innerHeight - theaterRect.bottom + margin, left: theaterRect.left + (theaterRect.width / 2), transform: 'translateX(-50%)' },
+            'bottom-right': { bottom: window.innerHeight - theaterRect.bottom + margin, right: window.innerWidth - theaterRect.right + margin }
+        };
+
+        const pos = positions[position] || positions['top-right'];
+        Object.entries(pos).forEach(([prop, value]) => {
+            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
+        });
+    };
+
+    // Helper function for standard positioning
+    const applyStandardPosition = (notification, position, playerRect, containerRect, margin) => {
+        const positions = {
+            'top-left': { top: playerRect.top + margin, left: containerRect.left + margin },
+            'top-center': { top: playerRect.top + margin, left: containerRect.left + (containerRect.width / 2), transform: 'translateX(-50%)' },
+            'top-right': { top: playerRect.top + margin, right: window.innerWidth - containerRect.right + margin },
+            'center-left': { top: playerRect.top + (playerRect.height / 2), left: containerRect.left + margin, transform: 'translateY(-50%)' },
+            'center-center': { top: playerRect.top + (playerRect.height / 2), left: containerRect.left + (containerRect.width / 2), transform: 'translate(-50%, -50%)' },
+            'center-right': { top: playerRect.top + (playerRect.height / 2), right: window.innerWidth - containerRect.right + margin, transform: 'translateY(-50%)' },
+            'bottom-left': { bottom: window.innerHeight - playerRect.bottom + margin, left: containerRect.left + margin },
+            'bottom-center': { bottom: window.innerHeight - playerRect.bottom + margin, left: containerRect.left + (containerRect.width / 2), transform: 'translateX(-50%)' },
+            'bottom-right': { bottom: window.innerHeight - playerRect.bottom + margin, right: window.innerWidth - containerRect.right + margin }
+        };
+
+        const pos = positions[position] || positions['top-right'];
+        Object.entries(pos).forEach(([prop, value]) => {
+            notification.style[prop] = typeof value === 'number' ? `${value}px` : value;
+        });
+    };
+
+    // Helper function to ensure notification stays within viewport
+    const ensureInViewport = (rect, safetyMargin) => {
+        const adjustment = {
+            top: null,
+            right: null,
+            bottom: null,
+            left: null,
+            transform: null
+        };
+
+        if (rect.right > window.innerWidth - safetyMargin) {
+            adjustment.right = `${safetyMargin}px`;
+            adjustment.left = 'auto';
+            adjustment.transform = '';
+        }
+
+        if (rect.left < safetyMargin) {
+            adjustment.left = `${safetyMargin}px`;
+            adjustment.right = 'auto';
+            adjustment.transform = '';
+        }
+
+        if (rect.bottom > window.innerHeight - safetyMargin) {
+            adjustment.bottom = `${safetyMargin}px`;
+            adjustment.top = 'auto';
+        }
+
+        if (rect.top < safetyMargin) {
+            adjustment.top = `${safetyMargin}px`;
+            adjustment.bottom = 'auto';
+        }
+
+        return adjustment;
+    };
+
+    // Helper function to fix transform property
+    const fixTransformProperty = (notification) => {
+        const transform = notification.style.transform;
+        if (!transform) return;
+
+        if (transform.includes('translate(-50%,') && !transform.includes('translateY(-50%)')) {
+            notification.style.transform = 'translateX(-50%)';
+        } else if (transform.includes('translate(') && !transform.includes('translate(-50%, -50%)')) {
+            notification.style.transform = transform
+                .replace('translate(', 'translateX(')
+                .replace(', -50%)', '');
+        }
+    };
+
+    // Recent activity
+    // Every notification is also written to a bounded log under 'notificationHistory', newest
+    // first, so it can be reviewed after the toast is gone. A repeat of the newest entry for the
+    // same video shortly after is merged into it. Like timestamps, new entries are held in memory
+    // and added to the latest stored log in batches, so frequent auto-saves cost one write per
+    // flush and entries from other tabs are not overwritten.
+    const activityLogLimit = 100;
+    const activityMergeWindow = 10 * 60 * 1000;
+    const pendingActivity = []; // oldest first, not yet flushed
+
+    let activityFlushTimeout = null;
+
+    // Add entries (oldest first) to a log, merging repeats of its newest entry
+    const applyActivity = (log, entries) => {
+        const merged = log.map(item => ({ ...item }));
+        entries.forEach(entry => {
+            const newest = merged[0];
+            if (newest && newest.key === entry.key && newest.videoId === entry.videoId && entry.time - newest.time < activityMergeWindow) {
+                Object.assign(newest, { message: entry.message, emoji: entry.emoji, time: entry.time, count: (newest.count || 1) + entry.count });
+            } else {
+                merged.unshift({ ...entry });
+            }
+        });
+        return merged.slice(0, activityLogLimit);
+    };
+
+    const readActivityLog = () => applyActivity(GM_getValue('notificationHistory', []), pendingActivity);
+
+    const flushActivityLog = () => {
+        if (activityFlushTimeout) {
+            clearTimeout(activityFlushTimeout);
+            activityFlushTimeout = null;
+        }
+        if (pendingActivity.length === 0) return;
+
+        GM_setValue('notificationHistory', readActivityLog());
+        pendingActivity.length = 0;
+        document.querySelector('.activity-view')?.refresh?.();
+    };
+
+    const clearActivityLog = () => {
+        pendingActivity.length = 0;
+        GM_setValue('notificationHistory', []);
+    };
+
+    const recordActivity = (message, emoji, key = `${message}:${emoji}`) => {
+        try {
+            const entry = { key, message, emoji, time: Date.now(), videoId: getVideoId() || null, count: 1 };
+            const [merged] = applyActivity(pendingActivity.slice(-1), [entry]);
+            if (merged.count > 1) {
+                pendingActivity[pendingActivity.length - 1] = merged;
+            } else {
+                pendingActivity.push(entry);
+            }
+
+            if (!activityFlushTimeout) {
+                activityFlushTimeout = setTimeout(() => {
+                    try {
+                        flushActivityLog();
+                    } catch (error) {
+                        console.error('Error recording notification history:', error);
+                    }
+                }, timestampFlushDelay);
+            }
+        } catch (error) {
+            console.error('Error recording notification history:', error);
+        }
+    };
+
+    // Desktop notifications
+    // Selected events are also sent to the operating system through GM_notification, or the Web
+    // Notifications API where the userscript manager lacks it, so they reach a background tab or
+    // a video playing in Picture-in-Picture. Each event maps to its own on/off setting.
+    const desktopNotificationEvents = {
+        restore: 'desktopNotifyRestore',
+        saveFailure: 'desktopNotifySaveFailure',
+        storageFull: 'desktopNotifyStorageFull',
+        finished: 'desktopNotifyFinished'
+    };
+
+    const isPageInBackground = () => document.hidden || !!document.pictureInPictureElement;
+
+    const sendDesktopNotification = (event, message, videoId = getVideoId()) => {
+        if (settings.desktopNotifications === 'off' || !settings[desktopNotificationEvents[event]]) return;
+        if (settings.desktopNotifications === 'background' && !isPageInBackground()) return;
+
+        try {
+            const entry = videoId ? readTimestamp(videoId) : null;
+            const title = entry?.title || 'YouTube Timestamp Saver';
+            const image = isYouTubeThumbnail(entry?.thumbnail) ? entry.thumbnail : undefined;
+            const tag = `yt-timestamp-${event}`;
+
+            if (typeof GM_notification === 'function') {
+                // Pages cannot focus their own tab; a highlight-only notification asks the manager to
+                GM_notification({
+                    title,
+                    text: message,
+                    image,
+                    tag,
+                    onclick: () => GM_notification({ highlight: true, silent: true })
+                });
+            } else if ('Notification' in window && Notification.permission === 'granted') {
+                const notification = new Notification(title, { body: message, icon: image, tag });
+                notification.onclick = () => window.focus();
+            } else {
+                debug(`No desktop notification channel for ${event}`);
+            }
+        } catch (error) {
+            console.error('Error sending desktop notification:', error);
+        }
+    };
+
+    // GM_notification needs no permission; the Web Notifications fallback asks once
+    const requestDesktopNotificationPermission = () => {
+        if (typeof GM_notification === 'function' || !('Notification' in window)) return;
+
+        if (Notification.permission === 'default') {
+            Notification.requestPermission()
+                .then(permission => debug(`Desktop notification permission: ${permission}`))
+                .catch(error => console.error('Error requesting notification permission:', error));
+        } else if (Notification.permission === 'denied') {
+            showNotification('Desktop notifications are blocked for youtube.com in this browser', '🔕');
+        }
+    };
+
+    // Notification manager
+    // Each message is its own toast in the stack. At most maxVisibleNotifications are shown; the
+    // rest wait in notificationQueue by priority and are dropped if they wait too long. A repeat of
+    // a visible or queued message is merged into it instead of being shown twice.
+    const notificationPriorities = { low: 0, normal: 1, high: 2 };
+    const notificationQueueTimeout = 15000;
+
+    const settleNotification = (item, choice) => {
+        if (item.settled) return;
+        item.settled = true;
+        item.resolve(choice);
+    };
+
+    // Count the lifetime down, or continue it after a hold
+    const runNotificationLifetime = (item) => {
+        if (item.timeout || item.dismissed) return;
+        item.startedAt = Date.now();
+
+        const progressBar = item.element.querySelector('.notification-progress');
+        if (progressBar) {
+            progressBar.offsetHeight;
+            // An action deadline runs down evenly so the bar reads as time left
+            const easing = item.actions.length > 0 ? 'linear' : 'cubic-bezier(0.4, 0, 0.2, 1)';
+            progressBar.style.transition = `width ${item.remaining}ms ${easing}`;
+            progressBar.style.width = '0';
+        }
+
+        item.timeout = setTimeout(() => {
+            item.timeout = null;
+            dismissNotification(item, null);
+        }, item.remaining);
+    };
+
+    // Freeze the lifetime while the pointer or keyboard focus is on the toast
+    const holdNotificationLifetime = (item) => {
+        if (!item.timeout) return;
+        clearTimeout(item.timeout);
+        item.timeout = null;
+        item.remaining = Math.max(0, item.remaining - (Date.now() - item.startedAt));
+
+        const progressBar = item.element.querySelector('.notification-progress');
+        if (progressBar) {
+            progressBar.style.transition = 'none';
+            progressBar.style.width = `${(item.remaining / item.lifetime) * 100}%`;
+        }
+    };
+
+    // A repeated message restarts the lifetime of the toast already showing it; a new message
+    // with the same tag takes over its text instead
+    const refreshNotification = (item, message, emoji) => {
+        if (message === item.message && emoji === item.emoji) {
+            item.count++;
+            const countBadge = item.element.querySelector('.notification-count');
+            if (countBadge) {
+                countBadge.textContent = `×${item.count}`;
+                countBadge.style.display = '';
+            }
+        } else {
+            item.message = message;
+            item.emoji = emoji;
+            item.element.querySelector('.notification-message').textContent = message;
+            item.element.querySelector('.notification-emoji').textContent = emoji;
+        }
+
+        const wasRunning = !!item.timeout;
+        clearTimeout(item.timeout);
+        item.timeout = null;
+        item.remaining = item.lifetime;
+
+        const progressBar = item.element.querySelector('.notification-progress');
+        if (progressBar) {
+            progressBar.style.transition = 'none';
+            progressBar.style.width = '100%';
+        }
+        if (wasRunning) {
+            runNotificationLifetime(item);
+        }
+    };
+
+    const dismissNotification = (item, choice, immediate = false) => {
+        if (!item || item.dismissed) return;
+        item.dismissed = true;
+        clearTimeout(item.timeout);
+        item.timeout = null;
+
+        const queuedIndex = notificationQueue.indexOf(item);
+        if (queuedIndex !== -1) {
+            notificationQueue.splice(queuedIndex, 1);
+        }
+        activeNotifications = activeNotifications.filter(active => active !== item);
+
+        const notification = item.element;
+        if (notification) {
+            const transitionDuration = immediate ? 150 : 250;
+            notification.style.transition = `all ${transitionDuration}ms cubic-bezier(0.4, 0, 0.2, 1)`;
+            notification.style.opacity = '0';
+            notification.style.pointerEvents = 'none';
+            notification.style.transform = 'translateZ(0) translateY(-10px) scale(0.96)';
+            setTimeout(() => notification.remove(), transitionDuration);
+        }
+
+        settleNotification(item, choice);
+        showQueuedNotifications();
+    };
+
+    // Newest toasts sit closest to the edge the stack is anchored to
+    const alignNotificationStack = (stack) => {
+        const video = getVideoElement();
+        const isVideoPlaying = video && !video.paused && !video.ended && video.currentTime > 0;
+        const position = (isVideoPlaying
+            ? settings.notificationPosition.duringPlayback
+            : settings.notificationPosition.onHomepage)?.position || 'top-right';
+
+        stack.style.flexDirection = position.startsWith('top') ? 'column-reverse' : 'column';
+        stack.style.alignItems = position.endsWith('left') ? 'flex-start' : position.endsWith('right') ? 'flex-end' : 'center';
+    };
+
+    const displayNotification = (item) => {
+        const stack = getOrCreateNotificationContainer();
+        if (!stack) {
+            settleNotification(item, null);
+            return;
+        }
+
+        const notification = createNotificationElement();
+        const contentDiv = notification.querySelector('.notification-content');
+        const useDarkMode = getDarkModeState();
+        item.element = notification;
+
+        // Create emoji container with enhanced styling
+        const emojiContainer = document.createElement('div');
+        emojiContainer.className = 'notification-emoji-container';
+        emojiContainer.style.display = 'flex';
+        emojiContainer.style.alignItems = 'center';
+        emojiContainer.style.justifyContent = 'center';
+        emojiContainer.style.flexShrink = '0';
+        emojiContainer.style.borderRadius = '50%';
+        emojiContainer.style.width = '22px';
+        emojiContainer.style.height = '22px';
+        emojiContainer.style.background = useDarkMode ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.06)';
+        emojiContainer.style.marginRight = '4px';
+
+        const emojiSpan = document.createElement('span');
+        emojiSpan.className = 'notification-emoji';
+        emojiSpan.textContent = item.emoji;
+        emojiSpan.style.fontSize = '14px';
+        emojiSpan.style.lineHeight = '1';
+        emojiSpan.style.display = 'flex';
+        emojiSpan.style.alignItems = 'center';
+        emojiSpan.style.justifyContent = 'center';
+        emojiSpan.style.opacity = '0.95';
+        emojiSpan.style.transform = 'translateZ(0)'; // Force GPU acceleration
+        emojiContainer.appendChild(emojiSpan);
+
+        // Create content container for better layout
+        const textContainer = document.createElement('div');
+        textContainer.className = 'notification-text-container';
+        textContainer.style.display = 'flex';
+        textContainer.style.flexDirection = 'column';
+        textContainer.style.flexGrow = '1';
+        textContainer.style.minWidth = '0'; // Allow ellipsis to work
+        textContainer.style.gap = '2px';
+
+        const messageSpan = document.createElement('span');
+        messageSpan.className = 'notification-message';
+        messageSpan.textContent = item.message;
+        messageSpan.style.display = 'block';
+        messageSpan.style.fontWeight = '500';
+        messageSpan.style.lineHeight = '1.2';
+        messageSpan.style.whiteSpace = 'nowrap';
+        messageSpan.style.overflow = 'hidden';
+        messageSpan.style.textOverflow = 'ellipsis';
+        messageSpan.style.opacity = '0.92';
+        messageSpan.style.transform = 'translateZ(0)'; // Force GPU acceleration
+        textContainer.appendChild(messageSpan);
+
+        // Shown once the same message has been merged into this toast
+        const countBadge = document.createElement('span');
+        countBadge.className = 'notification-count';
+        countBadge.style.display = 'none';
+
+        contentDiv.appendChild(emojiContainer);
+        contentDiv.appendChild(textContainer);
+        contentDiv.appendChild(countBadge);
+
+        if (item.actions.length > 0) {
+            const actionsContainer = document.createElement('div');
+            actionsContainer.className = 'notification-actions';
+
+            item.actions.forEach(action => {
+                const actionButton = document.createElement('button');
+                actionButton.className = 'notification-action';
+                actionButton.textContent = action.label;
+                actionButton.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    dismissNotification(item, action.id, true);
+                    try {
+                        action.onSelect?.();
+                    } catch (error) {
+                        console.error(`Error running notification action ${action.id}:`, error);
+                    }
+                });
+                actionsContainer.appendChild(actionButton);
+            });
+
+            contentDiv.appendChild(actionsContainer);
+        }
+
+        // Add subtle close button
+        const closeButton = document.createElement('button');
+        closeButton.className = 'notification-close';
+        closeButton.textContent = '×';  // Using textContent instead of innerHTML
+        closeButton.setAttribute('aria-label', 'Dismiss notification');
+        closeButton.style.border = 'none';
+        closeButton.style.padding = '0';
+        closeButton.style.background = 'transparent';
+        closeButton.style.color = 'inherit';
+        closeButton.style.fontFamily = 'inherit';
+        closeButton.style.fontSize = '16px';
+        closeButton.style.lineHeight = '16px';
+        closeButton.style.width = '16px';
+        closeButton.style.height = '16px';
+        closeButton.style.display = 'flex';
+        closeButton.style.alignItems = 'center';
+        closeButton.style.justifyContent = 'center';
+        closeButton.style.marginLeft = '6px';
+        closeButton.style.opacity = '0.5';
+        closeButton.style.cursor = 'pointer';
+        closeButton.style.borderRadius = '50%';
+        closeButton.style.transition = 'opacity 0.2s ease, background-color 0.2s ease';
+
+        closeButton.addEventListener('mouseover', () => {
+            closeButton.style.opacity = '0.8';
+            closeButton.style.backgroundColor = getDarkModeState() ? 'rgba(255, 255, 255, 0.1)' : 'rgba(0, 0, 0, 0.1)';
+        });
+        closeButton.addEventListener('mouseout', () => {
+            closeButton.style.opacity = '0.5';
+            closeButton.style.backgroundColor = 'transparent';
+        });
+        closeButton.addEventListener('click', (e) => {
+            e.stopPropagation();
+            dismissNotification(item, null, true);
+        });
+        contentDiv.appendChild(closeButton);
+
+        notification.addEventListener('mouseenter', () => holdNotificationLifetime(item));
+        notification.addEventListener('mouseleave', () => runNotificationLifetime(item));
+        notification.addEventListener('focusin', () => holdNotificationLifetime(item));
+        notification.addEventListener('focusout', (e) => {
+            if (!notification.contains(e.relatedTarget)) runNotificationLifetime(item);
+        });
+
+        activeNotifications.push(item);
+        item.shownAt = Date.now();
+        stack.appendChild(notification);
+
+        // Position the stack before showing
+        alignNotificationStack(stack);
+        updateNotificationPosition(stack);
+
+        requestAnimationFrame(() => {
+            if (item.dismissed) return;
+
+            // Force a reflow to ensure transition works
+            notification.offsetHeight;
+
+            notification.style.opacity = '1';
+            notification.style.pointerEvents = 'auto';
+            notification.style.transform = 'translateZ(0) translateY(0) scale(1)';
+
+            const progressBar = notification.querySelector('.notification-progress');
+            if (progressBar) {
+                progressBar.style.transition = 'none';
+                progressBar.style.width = '100%';
+            }
+            if (!notification.matches(':hover')) {
+                runNotificationLifetime(item);
+            }
+        });
+    };
+
+    // Fill free slots from the queue, highest priority first
+    const showQueuedNotifications = () => {
+        const maxVisible = Math.max(1, settings.maxVisibleNotifications || 1);
+        while (activeNotifications.length < maxVisible && notificationQueue.length > 0) {
+            const next = notificationQueue.shift();
+            if (Date.now() - next.queuedAt > notificationQueueTimeout) {
+                debug(`Dropping stale notification: ${next.message}`);
+                settleNotification(next, null);
+                continue;
+            }
+            displayNotification(next);
+        }
+    };
+
+    // Show notification with improved reliability and modern aesthetics.
+    // options.actions is a list of { id, label, onSelect } shown as buttons; the progress bar then
+    // counts down to the action deadline. options.priority is 'low', 'normal' or 'high'; a high
+    // priority message pushes out a less important one when the stack is full. Messages sharing
+    // options.tag update a single toast, like a slider preview. Everything is logged to recent
+    // activity, even while notifications are off, unless options.history is false. Resolves with the
+    // id of the chosen action, or null once the notification times out, is closed, dropped or suppressed.
+    const showNotification = (message, emoji, duration = settings.notificationDuration, options = {}) => {
+        if (!message || !emoji) {
+            debug('Missing message or emoji for notification');
+            return Promise.resolve(null);
+        }
+
+        if (options.history !== false) {
+            recordActivity(message, emoji, options.tag);
+        }
+        
+        // Skip showing notification if notifications are disabled
+        if (!settings.enableNotifications) {
+            debug(`Notification suppressed (notifications disabled): ${message}`);
+            return Promise.resolve(null);
+        }
+
+        // Merge repeats into the toast that is already showing or waiting
+        const key = options.tag || `${message}:${emoji}`;
+        const duplicate = [...activeNotifications, ...notificationQueue].find(item => item.key === key);
+        if (duplicate) {
+            debug('Merging duplicate notification');
+            if (duplicate.element) {
+                refreshNotification(duplicate, message, emoji);
+            } else {
+                duplicate.message = message;
+                duplicate.emoji = emoji;
+            }
+            return duplicate.promise;
+        }
+
+        debug(`Showing notification: ${message}`);
+
+        // Give the user time to reach the action buttons
+        const actions = (options.actions || []).filter(Boolean);
+        const lifetime = actions.length > 0 ? Math.max(duration, options.deadline || 6000) : duration;
+
+        const item = {
+            key,
+            message,
+            emoji,
+            actions,
+            lifetime,
+            remaining: lifetime,
+            priority: notificationPriorities[options.priority] ?? notificationPriorities.normal,
+            queuedAt: Date.now(),
+            count: 1,
+            element: null,
+            timeout: null,
+            settled: false,
+            dismissed: false
+        };
+        item.promise = new Promise(resolve => { item.resolve = resolve; });
+
+        // When full, a more important message replaces the least important toast without actions.
+        // It is shown before the other one is dismissed so the freed slot is not given to the queue.
+        const maxVisible = Math.max(1, settings.maxVisibleNotifications || 1);
+        if (activeNotifications.length >= maxVisible) {
+            const replaceable = activeNotifications
+                .filter(active => active.priority < item.priority && active.actions.length === 0)
+                .sort((a, b) => a.priority - b.priority || a.shownAt - b.shownAt)[0];
+            if (replaceable) {
+                displayNotification(item);
+                dismissNotification(replaceable, null, true);
+                return item.promise;
+            }
+        }
+
+        // Queue behind anything at least as important, ahead of anything less
+        const insertAt = notificationQueue.findIndex(queued => queued.priority < item.priority);
+        notificationQueue.splice(insertAt === -1 ? notificationQueue.length : insertAt, 0, item);
+
+        showQueuedNotifications();
+        return item.promise;
+    };
+
+    // Modal dialog offering a set of choices; resolves with { choice, checked }.
+    // Escape or clicking the backdrop picks the first choice.
+    const showChoiceDialog = ({ title, message, choices, checkboxLabel = '' }) => {
+        return new Promise((resolve) => {
+            const backdrop = document.createElement('div');
+            backdrop.className = `yt-timestamp-dialog-backdrop ${getDarkModeState() ? '' : 'light'}`;
+
+            const dialog = document.createElement('div');
+            dialog.className = 'yt-timestamp-dialog';
+            dialog.setAttribute('role', 'dialog');
+
+            const heading = document.createElement('h3');
+            heading.className = 'dialog-title';
+            heading.textContent = title;
+            dialog.appendChild(heading);
+
+            if (message) {
+                const messageElem = document.createElement('p');
+                messageElem.className = 'dialog-message';
+                messageElem.textContent = message;
+                dialog.appendChild(messageElem);
+            }
+
+            const choicesContainer = document.createElement('div');
+            choicesContainer.className = 'dialog-choices';
+
+            let checkbox = null;
+
+            const close = (choiceId) => {
+                document.removeEventListener('keydown', keyHandler, true);
+                backdrop.remove();
+                resolve({ choice: choiceId, checked: !!checkbox?.checked });
+            };
+
+            const keyHandler = (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    close(choices[0].id);
+                }
+            };
+
+            choices.forEach(choice => {
+                const card = document.createElement('button');
+                card.className = 'dialog-choice';
+
+                const label = document.createElement('div');
+                label.className = 'dialog-choice-label';
+                label.textContent = choice.label;
+                card.appendChild(label);
+
+                (choice.details || []).forEach(detail => {
+                    const detailElem = document.createElement('div');
+                    detailElem.className = 'dialog-choice-detail';
+                    detailElem.textContent = detail;
+                    card.appendChild(detailElem);
+                });
+
+                card.addEventListener('click', () => close(choice.id));
+                choicesContainer.appendChild(card);
+            });
+            dialog.appendChild(choicesContainer);
+
+            if (checkboxLabel) {
+                const checkboxContainer = document.createElement('label');
+                checkboxContainer.className = 'dialog-checkbox';
+                checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkboxContainer.appendChild(checkbox);
+                checkboxContainer.appendChild(document.createTextNode(` ${checkboxLabel}`));
+                dialog.appendChild(checkboxContainer);
+            }
+
+            backdrop.addEventListener('click', (e) => {
+                if (e.target === backdrop) close(choices[0].id);
+            });
+            document.addEventListener('keydown', keyHandler, true);
+
+            backdrop.appendChild(dialog);
+            document.body.appendChild(backdrop);
+            choicesContainer.querySelector('.dialog-choice')?.focus();
+        });
+    };
+
+    // Prompt over the player asking whether to resume. Resolves with 'resume', 'restart', 'always'
+    // or 'dismiss' (navigated away). The countdown picks askDefaultAction and pauses while hovered.
+    // 'always' is only offered with a channel id, since channel names are not unique.
+    const showResumePrompt = ({ videoId, targetTime, savedData, channel, channelId }) => {
+        return new Promise((resolve) => {
+            document.querySelectorAll('.yt-timestamp-resume-prompt').forEach(existing => existing.remove());
+
+            const player = document.querySelector('#movie_player, .html5-video-player');
+            const video = getVideoElement();
+            const wasPlaying = video && !video.paused;
+            if (wasPlaying) video.pause();
+
+            const prompt = document.createElement('div');
+            prompt.className = 'yt-timestamp-resume-prompt';
+            prompt.setAttribute('role', 'dialog');
+            prompt.setAttribute('aria-label', 'Resume this video?');
+
+            const heading = document.createElement('div');
+            heading.className = 'resume-prompt-title';
+            heading.textContent = `Resume at ${formatTime(targetTime)}?`;
+
+            const detail = document.createElement('div');
+            detail.className = 'resume-prompt-detail';
+            detail.textContent = `Saved ${formatDate(savedData.savedAt)}${savedData.duration ? ` • ${Math.round((savedData.time / savedData.duration) * 100)}% watched` : ''}`;
+
+            const choices = [
+                { id: 'resume', key: 'r', label: '▶ Resume' },
+                { id: 'restart', key: 's', label: '⏮ Start over' },
+                ...(channel && channelId ? [{ id: 'always', key: 'a', label: `Always for ${channel}`, title: `Resume ${channel} videos without asking` }] : [])
+            ];
+
+            const actions = document.createElement('div');
+            actions.className = 'resume-prompt-actions';
+
+            const countdownText = document.createElement('div');
+            countdownText.className = 'resume-prompt-countdown';
+
+            const countdownBar = document.createElement('div');
+            countdownBar.className = 'resume-prompt-progress';
+
+            const defaultAction = settings.askDefaultAction === 'restart' ? 'restart' : 'resume';
+            const countdownMs = Math.max(0, Number(settings.askCountdown) || 0) * 1000;
+            let remaining = countdownMs;
+            let hovered = false;
+            let tickId = null;
+
+            const close = (choice) => {
+                clearInterval(tickId);
+                document.removeEventListener('keydown', keyHandler, true);
+                prompt.remove();
+                if (wasPlaying && choice !== 'dismiss' && getVideoId() === videoId) {
+                    video.play()?.catch?.(() => {});
+                }
+                resolve(choice);
+            };
+
+            const keyHandler = (e) => {
+                if (e.target.matches?.('input, textarea, [contenteditable="true"]')) return;
+                const key = e.key.toLowerCase();
+                const choice = key === 'enter' ? defaultAction
+                    : key === 'escape' ? 'restart'
+                    : choices.find(item => item.key === key)?.id;
+                if (!choice || e.ctrlKey || e.altKey || e.metaKey) return;
+                e.preventDefault();
+                e.stopPropagation();
+                close(choice);
+            };
+
+            choices.forEach(choice => {
+                const button = document.createElement('button');
+                button.className = `resume-prompt-button${choice.id === defaultAction ? ' default' : ''}`;
+                button.title = choice.title || choice.label;
+
+                const label = document.createElement('span');
+                label.textContent = choice.label;
+                const key = document.createElement('kbd');
+                key.textContent = choice.key.toUpperCase();
+
+                button.appendChild(label);
+                button.appendChild(key);
+                button.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    close(choice.id);
+                });
+                actions.appendChild(button);
+            });
+
+            const updateCountdown = () => {
+                const seconds = Math.ceil(remaining / 1000);
+                countdownText.textContent = hovered
+                    ? 'Paused while you decide'
+                    : `${defaultAction === 'resume' ? 'Resuming' : 'Starting over'} in ${seconds}s`;
+                countdownBar.style.width = `${(remaining / countdownMs) * 100}%`;
+            };
+
+            prompt.appendChild(heading);
+            prompt.appendChild(detail);
+            prompt.appendChild(actions);
+
+            if (countdownMs > 0) {
+                prompt.appendChild(countdownText);
+                prompt.appendChild(countdownBar);
+                prompt.addEventListener('mouseenter', () => { hovered = true; updateCountdown(); });
+                prompt.addEventListener('mouseleave', () => { hovered = false; updateCountdown(); });
+                updateCountdown();
+            }
+
+            // Clicks inside the prompt should not toggle playback
+            prompt.addEventListener('click', (e) => e.stopPropagation());
+
+            tickId = setInterval(() => {
+                if (getVideoId() !== videoId || !prompt.isConnected) {
+                    close('dismiss');
+                    return;
+                }
+                if (countdownMs === 0 || hovered) return;
+                remaining -= 250;
+                if (remaining <= 0) {
+                    close(defaultAction);
+                    return;
+                }
+                updateCountdown();
+            }, 250);
+
+            document.addEventListener('keydown', keyHandler, true);
+            (player || document.body).appendChild(prompt);
+            prompt.querySelector('.resume-prompt-button.default')?.focus({ preventScroll: true });
+        });
+    };
+
+    // Let the user pick between two records for the same video
+    const showConflictDialog = (videoId, local, incoming, labels = {}) => {
+        const describe = (entry) => [
+            `Position ${formatTime(entry.time || 0)}${entry.duration ? ` of ${formatTime(entry.duration)}` : ''}`,
+            `${Math.round(getEntryProgress(entry) * 100)}% watched`,
+            `Saved ${formatDate(entry.savedAt)}`
+        ];
+
+        return showChoiceDialog({
+            title: 'Choose which position to keep',
+            message: local.title || incoming.title || videoId,
+            choices: [
+                { id: 'local', label: labels.local || 'Current', details: describe(local) },
+                { id: 'incoming', label: labels.incoming || 'Incoming', details: describe(incoming) }
+            ],
+            checkboxLabel: 'Use this side for all remaining conflicts'
+        });
+    };
+
+    // Debounced window resize handler
+    window.addEventListener('resize', () => {
+        if (resizeDebounceTimeout) {
+            clearTimeout(resizeDebounceTimeout);
+        }
+
+        resizeDebounceTimeout = setTimeout(() => {
+            // Also invalidate cached player rect
+            lastPlayerRect = null;
+            requestAnimationFrame(repositionNotifications);
+        }, 100); // 100ms debounce
+    });
+
+    // Optimized player change observer
+    const observePlayerChanges = () => {
+        debug('Setting up player change detection');
+        
+        // Function to find player container reliably
+        const getPlayerContainer = () => {
+            return document.querySelector('#movie_player') || 
+                   document.querySelector('.html5-video-player');
+        };
+
+        const setupObserver = () => {
+            const playerContainer = getPlayerContainer();
+            if (!playerContainer) {
+                debug('Player container not found, will retry later');
+                return null;
+            }
+            
+            // Create mutation observer
+            const observer = new MutationObserver((mutations) => {
+                if (!settings.debugMode) return; // Skip processing if not in debug mode
+                
+                for (const mutation of mutations) {
+                    if (mutation.attributeName === 'class') {
+                        const target = mutation.target;
+                        const classes = target.className;
+                        
+                        if (classes.includes('playing')) {
+                            debug('Player state changed: playing');
+                        } else if (classes.includes('paused')) {
+                            debug('Player state changed: paused');
+                        }
+                    }
+                }
+            });
+            
+            // Start observing with optimized configuration
+            observer.observe(playerContainer, { 
+                attributes: true,
+                attributeFilter: ['class'], // Only observe class changes
+                subtree: false // Don't observe children
+            });
+            
+            debug('Player change observer initialized');
+            return observer;
+        };
+        
+        // Initial setup
+        let observer = setupObserver();
+        
+        // If player not ready, retry with increasing delays
+        if (!observer) {
+            let retryCount = 0;
+            const maxRetries = 5;
+            const retryInterval = 1000;
+            
+            const retrySetup = () => {
+                retryCount++;
+                debug(`Retrying player observer setup (${retryCount}/${maxRetries})`);
+                
+                observer = setupObserver();
+                if (!observer && retryCount < maxRetries) {
+                    setTimeout(retrySetup, retryInterval * retryCount);
+                }
+            };
+            
+            setTimeout(retrySetup, retryInterval);
+        }
+        
+        // Return cleanup function
+        return {
+            cleanup: () => {
+                if (observer) {
+                    observer.disconnect();
+                    observer = null;
+                    debug('Player observer cleaned up');
+                }
+            }
+        };
+    };
+
+    // Initialize the player observer once
+    observePlayerChanges();
+
+    // Create settings UI Functions
+    const createSettingOption = (id, label, description, type = 'checkbox') => {
+        const option = document.createElement('div');
+        option.className = 'setting-option';
+
+        const header = document.createElement('div');
+        header.className = 'setting-header';
+
+        const labelElem = document.createElement('h3');
+        labelElem.className = 'setting-label';
+        labelElem.textContent = label;
+
+        const descriptionElem = document.createElement('p');
+        descriptionElem.className = 'setting-description';
+        descriptionElem.textContent = description;
+
+        const left = document.createElement('div');
+        left.appendChild(labelElem);
+        left.appendChild(descriptionElem);
+
+        header.appendChild(left);
+
+        const control = document.createElement('div');
+        control.className = 'setting-control';
+
+        switch (type) {
+            case 'checkbox':
+                const toggle = document.createElement('label');
+                toggle.className = 'modern-toggle';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.id = id;
+                checkbox.className = 'modern-input';
+                checkbox.checked = settings[id] || false;
+
+                // Instant update for checkboxes
+                checkbox.addEventListener('change', () => {
+                    settings[id] = checkbox.checked;
+                    GM_setValue('ytTimestampSettings', settings);
+                    updateThemeVariables();
+
+                    // Show preview for certain setting changes
+                    if (id === 'customNotificationIcons' || id === 'notifyOnRestore') {
+                        showNotification(`${label} ${checkbox.checked ? 'enabled' : 'disabled'}`, '⚙️');
+                    }
+
+                    if (id === 'showBookmarksPanel') {
+                        renderBookmarksPanel(true);
+                    }
+
+                    if (id === 'showProgressMarkers') {
+                        renderProgressMarkers(true);
+                    }
+
+                    if (id === 'thumbnailProgress') {
+                        decorateThumbnails();
+                    }
+                });
+
+                const slider = document.createElement('span');
+                slider.className = 'modern-slider';
+
+                toggle.appendChild(checkbox);
+                toggle.appendChild(slider);
+                control.appendChild(toggle);
+                break;
+
+            case 'number':
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.id = id;
+                input.className = 'modern-input';
+                input.value = settings[id] || 0;
+                input.min = 0;
+
+                // Instant update for number inputs
+                input.addEventListener('change', () => {
+                    const numValue = parseInt(input.value);
+                    if (!isNaN(numValue)) {
+                        settings[id] = numValue;
+                        GM_setValue('ytTimestampSettings', settings);
+                    }
+                });
+
+                control.appendChild(input);
+                break;
+
+            case 'select':
+                const select = document.createElement('select');
+                select.id = id;
+                select.className = 'modern-select';
+
+                // Instant update for selects
+                select.addEventListener('change', () => {
+                    if (id === 'preset') return; // Skip preset select as it has its own handler
+
+                    settings[id] = select.value;
+                    GM_setValue('ytTimestampSettings', settings);
+                    updateThemeVariables();
+
+                    // Show preview for notification changes
+                    if (id === 'notificationSize') {
+                        showNotification(`Notification size: ${select.value}`, '⚙️');
+                    }
+
+                    if (id === 'thumbnailBadgeStyle') {
+                        decorateThumbnails();
+                    }
+
+                    if (id === 'evictionPolicy') {
+                        document.querySelectorAll('.eviction-view').forEach(view => view.refresh?.());
+                    }
+
+                    if (id === 'desktopNotifications' && select.value !== 'off') {
+                        requestDesktopNotificationPermission();
+                    }
+
+                    if (id === 'snapshotFrequency') {
+                        takeScheduledSnapshot();
+                        document.querySelectorAll('.snapshot-view').forEach(view => view.refresh?.());
+                    }
+                });
+
+                switch (id) {
+                    case 'timestampFormat':
+                        const formatSelector = document.createElement('div');
+                        formatSelector.className = 'format-selector';
+                        formatSelector.style.display = 'grid';
+                        formatSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                        formatSelector.style.gap = 'var(--spacing-md)';
+                        formatSelector.style.width = '100%';
+
+                        const formats = [
+                            {
+                                value: 'seconds',
+                                label: 'Seconds',
+                                description: 'Simple seconds format',
+                                example: '123s',
+                                icon: '⏱️'
+                            },
+                            {
+                                value: 'mm:ss',
+                                label: 'Minutes:Seconds',
+                                description: 'Standard time format',
+                                example: '2:03',
+                                icon: '⌚'
+                            },
+                            {
+                                value: 'hh:mm:ss',
+                                label: 'Hours:Minutes:Seconds',
+                                description: 'Full time format',
+                                example: '1:02:03',
+                                icon: '🕐'
+                            }
+                        ];
+
+                        formats.forEach(format => {
+                            const formatOption = document.createElement('div');
+                            formatOption.className = `format-option ${settings.timestampFormat === format.value ? 'active' : ''}`;
+                            formatOption.style.padding = 'var(--spacing-md)';
+                            formatOption.style.borderRadius = 'var(--border-radius-md)';
+                            formatOption.style.background = 'var(--bg-hover)';
+                            formatOption.style.cursor = 'pointer';
+                            formatOption.style.transition = 'var(--transition-smooth)';
+                            formatOption.style.border = '2px solid transparent';
+                            formatOption.style.display = 'flex';
+                            formatOption.style.flexDirection = 'column';
+                            formatOption.style.alignItems = 'center';
+                            formatOption.style.gap = 'var(--spacing-sm)';
+
+                            // Create preview container
+                            const preview = document.createElement('div');
+                            preview.className = 'format-preview';
+                            preview.style.width = '100%';
+                            preview.style.height = '60px';
+                            preview.style.borderRadius = 'var(--border-radius-sm)';
+                            preview.style.background = 'var(--bg-secondary)';
+                            preview.style.border = '1px solid var(--border-color)';
+                            preview.style.display = 'flex';
+                            preview.style.alignItems = 'center';
+                            preview.style.justifyContent = 'center';
+                            preview.style.flexDirection = 'column';
+                            preview.style.gap = '4px';
+                            preview.style.marginBottom = 'var(--spacing-sm)';
+
+                            // Add icon
+                            const icon = document.createElement('div');
+                            icon.textContent = format.icon;
+                            icon.style.fontSize = '20px';
+                            icon.style.marginBottom = '2px';
+
+                            // Add example
+                            const example = document.createElement('div');
+                            example.textContent = format.example;
+                            example.style.fontSize = '14px';
+                            example.style.fontFamily = 'monospace';
+                            example.style.color = 'var(--text-primary)';
+                            example.style.opacity = '0.9';
+
+                            preview.appendChild(icon);
+                            preview.appendChild(example);
+
+                            // Create label
+                            const label = document.createElement('div');
+                            label.className = 'format-label';
+                            label.textContent = format.label;
+                            label.style.fontWeight = '500';
+                            label.style.color = 'var(--text-primary)';
+                            label.style.fontSize = '14px';
+
+                            // Create description
+                            const description = document.createElement('div');
+                            description.className = 'format-description';
+                            description.textContent = format.description;
+                            description.style.color = 'var(--text-secondary)';
+                            description.style.fontSize = '12px';
+                            description.style.textAlign = 'center';
+
+                            formatOption.appendChild(preview);
+                            formatOption.appendChild(label);
+                            formatOption.appendChild(description);
+
+                            // Add hover and active states
+                            formatOption.addEventListener('mouseover', () => {
+                                if (!formatOption.classList.contains('active')) {
+                                    formatOption.style.background = 'var(--bg-active)';
+                                    formatOption.style.transform = 'translateY(-2px)';
+                                }
+                            });
+
+                            formatOption.addEventListener('mouseout', () => {
+                                if (!formatOption.classList.contains('active')) {
+                                    formatOption.style.background = 'var(--bg-hover)';
+                                    formatOption.style.transform = 'none';
+                                }
+                            });
+
+                            // Add click handler
+                            formatOption.addEventListener('click', () => {
+                                formatSelector.querySelectorAll('.format-option').forEach(opt => {
+                                    opt.classList.remove('active');
+                                    opt.style.background = 'var(--bg-hover)';
+                                    opt.style.borderColor = 'transparent';
+                                    opt.style.transform = 'none';
+                                });
+
+                                formatOption.classList.add('active');
+                                formatOption.style.background = 'var(--bg-active)';
+                                formatOption.style.borderColor = 'var(--primary-color)';
+                                formatOption.style.transform = 'translateY(-2px)';
+
+                                settings.timestampFormat = format.value;
+                                GM_setValue('ytTimestampSettings', settings);
+
+                                // Show preview with the new format
+                                const now = Math.floor(Date.now() / 1000);
+                                const formattedTime = formatTime(now, format.value);
+                                showNotification(`Format set to ${format.label}\n${formattedTime}`, format.icon);
+                            });
+
+                            // Set initial active state
+                            if (settings.timestampFormat === format.value) {
+                                formatOption.classList.add('active');
+                                formatOption.style.background = 'var(--bg-active)';
+                                formatOption.style.borderColor = 'var(--primary-color)';
+                            }
+
+                            formatSelector.appendChild(formatOption);
+                        });
+
+                        control.appendChild(formatSelector);
+                        control.style.width = '100%';
+                        break;
+
+                    case 'notificationPosition':
+                        // This is now handled by the position picker visual representation
+                        // so we don't create a dropdown here
+                        break;
+
+                    case 'syncBehavior':
+                        const behaviors = [
+                            { value: 'newest', label: 'Keep newest' },
+                            { value: 'manual', label: 'Manual choice' },
+                            { value: 'merge', label: 'Smart merge' }
+                        ];
+                        behaviors.forEach(behavior => {
+                            const option = document.createElement('option');
+                            option.value = behavior.value;
+                            option.textContent = behavior.label;
+                            option.selected = settings[id] === behavior.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'resumeMode':
+                        const resumeModes = [
+                            { value: 'auto', label: 'Resume automatically' },
+                            { value: 'ask', label: 'Ask first' },
+                            { value: 'off', label: 'Never resume' }
+                        ];
+                        resumeModes.forEach(mode => {
+                            const option = document.createElement('option');
+                            option.value = mode.value;
+                            option.textContent = mode.label;
+                            option.selected = settings[id] === mode.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'resumeRewindMode':
+                        const rewindModes = [
+                            { value: 'scaled', label: 'Scale with time away' },
+                            { value: 'fixed', label: 'Fixed amount' },
+                            { value: 'off', label: 'Off' }
+                        ];
+                        rewindModes.forEach(mode => {
+                            const option = document.createElement('option');
+                            option.value = mode.value;
+                            option.textContent = mode.label;
+                            option.selected = settings[id] === mode.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'askDefaultAction':
+                        const askActions = [
+                            { value: 'resume', label: 'Resume' },
+                            { value: 'restart', label: 'Start over' }
+                        ];
+                        askActions.forEach(action => {
+                            const option = document.createElement('option');
+                            option.value = action.value;
+                            option.textContent = action.label;
+                            option.selected = settings[id] === action.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'desktopNotifications':
+                        const desktopModes = [
+                            { value: 'off', label: 'Off' },
+                            { value: 'background', label: 'When the tab is in the background' },
+                            { value: 'always', label: 'Always' }
+                        ];
+                        desktopModes.forEach(mode => {
+                            const option = document.createElement('option');
+                            option.value = mode.value;
+                            option.textContent = mode.label;
+                            option.selected = settings[id] === mode.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'snapshotFrequency':
+                        const frequencies = [
+                            { value: 'daily', label: 'Daily' },
+                            { value: 'weekly', label: 'Weekly' },
+                            { value: 'off', label: 'Off' }
+                        ];
+                        frequencies.forEach(frequency => {
+                            const option = document.createElement('option');
+                            option.value = frequency.value;
+                            option.textContent = frequency.label;
+                            option.selected = settings[id] === frequency.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'evictionPolicy':
+                        Object.entries(evictionPolicies).forEach(([value, policy]) => {
+                            const option = document.createElement('option');
+                            option.value = value;
+                            option.textContent = policy.label;
+                            option.selected = settings[id] === value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'thumbnailBadgeStyle':
+                        const badgeStyles = [
+                            { value: 'bar-and-badge', label: 'Bar and badge' },
+                            { value: 'bar', label: 'Progress bar only' },
+                            { value: 'badge', label: 'Badge only' }
+                        ];
+                        badgeStyles.forEach(style => {
+                            const option = document.createElement('option');
+                            option.value = style.value;
+                            option.textContent = style.label;
+                            option.selected = settings[id] === style.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'notificationSize':
+                        const sizes = [
+                            { value: 'small', label: 'Compact' },
+                            { value: 'medium', label: 'Standard' },
+                            { value: 'large', label: 'Spacious' }
+                        ];
+                        sizes.forEach(size => {
+                            const option = document.createElement('option');
+                            option.value = size.value;
+                            option.textContent = size.label;
+                            option.selected = settings[id] === size.value;
+                            select.appendChild(option);
+                        });
+                        break;
+
+                    case 'preset':
+                        const presets = [
+                            { value: 'custom', label: 'Custom' },
+                            { value: 'chrome', label: 'Chrome Preset' },
+                            { value: 'firefox', label: 'Firefox Preset' }
+                        ];
+                        presets.forEach(presetOption => {
+                            const option = document.createElement('option');
+                            option.value = presetOption.value;
+                            option.textContent = presetOption.label;
+                            option.selected = settings[id] === presetOption.value;
+                            select.appendChild(option);
+                        });
+
+                        // Add event listener for preset changes
+                        select.addEventListener('change', () => {
+                            applyPreset(select.value);
+                        });
+                        break;
+                }
+
+                // Only append select if it has children (notificationPosition doesn't)
+                if (select.children.length > 0) {
+                    control.appendChild(select);
+                }
+                break;
+
+            case 'time-input':
+                const rangeContainer = document.createElement('div');
+                rangeContainer.style.display = 'flex';
+                rangeContainer.style.alignItems = 'center';
+                rangeContainer.style.gap = 'var(--spacing-md)';
+                rangeContainer.style.width = '100%';
+
+                const range = document.createElement('input');
+                range.type = 'range';
+                range.id = id;
+                range.className = 'modern-input';
+
+                // Set appropriate min/max based on the setting
+                if (id === 'notificationDuration') {
+                    range.min = '1000';
+                    range.max = '10000';
+                    range.step = '500';
+                    range.value = settings[id] || 3000;
+                } else if (id === 'saveInterval') {
+                    range.min = '1';
+                    range.max = '30';
+                    range.step = '1';
+                    range.value = settings[id] || 5;
+                } else if (id === 'minSaveInterval') {
+                    range.min = '5';
+                    range.max = '120';
+                    range.step = '5';
+                    range.value = settings[id] || 30;
+                } else if (id === 'notificationOpacity') {
+                    range.min = '10';
+                    range.max = '100';
+                    range.step = '5';
+                    range.value = settings[id] || 90;
+                } else if (id === 'blurAmount') {
+                    range.min = '0';
+                    range.max = '40';
+                    range.step = '2';
+                    range.value = settings[id] || 24;
+                } else if (id === 'completionThreshold') {
+                    range.min = '50';
+                    range.max = '100';
+                    range.step = '1';
+                    range.value = settings[id] || 90;
+                } else if (id === 'archiveCompletedAfterDays') {
+                    range.min = '0';
+                    range.max = '365';
+                    range.step = '5';
+                    range.value = settings[id] ?? 30;
+                } else if (id === 'askCountdown') {
+                    range.min = '0';
+                    range.max = '30';
+                    range.step = '1';
+                    range.value = settings[id] ?? 10;
+                } else if (id === 'snapshotCount') {
+                    range.min = '1';
+                    range.max = '30';
+                    range.step = '1';
+                    range.value = settings[id] || 7;
+                } else if (id === 'maxVisibleNotifications') {
+                    range.min = '1';
+                    range.max = '5';
+                    range.step = '1';
+                    range.value = settings[id] || 3;
+                } else if (id === 'resumeRewindSeconds') {
+                    range.min = '0';
+                    range.max = '120';
+                    range.step = '5';
+                    range.value = settings[id] ?? 30;
+                } else {
+                    range.min = '0';
+                    range.max = '100';
+                    range.value = settings[id] || 50;
+                }
+
+                const valueContainer = document.createElement('div');
+                valueContainer.style.minWidth = '80px';
+                valueContainer.style.textAlign = 'center';
+                valueContainer.style.padding = 'var(--spacing-sm)';
+                valueContainer.style.background = 'var(--bg-hover)';
+                valueContainer.style.borderRadius = 'var(--border-radius-sm)';
+                valueContainer.style.fontWeight = 'bold';
+
+                const value = document.createElement('span');
+                if (id === 'notificationDuration') {
+                    value.textContent = `${range.value / 1000}s`;
+                } else if (id === 'notificationOpacity' || id === 'completionThreshold') {
+                    value.textContent = `${range.value}%`;
+                } else if (id === 'blurAmount') {
+                    value.textContent = range.value > 0 ? `${range.value}px` : 'Off';
+                } else if (id === 'archiveCompletedAfterDays') {
+                    value.textContent = range.value > 0 ? `${range.value}d` : 'Never';
+                } else if (id === 'snapshotCount' || id === 'maxVisibleNotifications') {
+                    value.textContent = range.value;
+                } else if (id === 'askCountdown' || id === 'resumeRewindSeconds') {
+                    value.textContent = range.value > 0 ? `${range.value}s` : 'Off';
+                } else {
+                    value.textContent = `${range.value}s`;
+                }
+                valueContainer.appendChild(value);
+
+                range.oninput = () => {
+                    if (id === 'notificationDuration') {
+                        value.textContent = `${range.value / 1000}s`;
+                    } else if (id === 'notificationOpacity' || id === 'completionThreshold') {
+                        value.textContent = `${range.value}%`;
+                    } else if (id === 'blurAmount') {
+                        value.textContent = range.value > 0 ? `${range.value}px` : 'Off';
+                    } else if (id === 'archiveCompletedAfterDays') {
+                        value.textContent = range.value > 0 ? `${range.value}d` : 'Never';
+                    } else if (id === 'snapshotCount' || id === 'maxVisibleNotifications') {
+                        value.textContent = range.value;
+                    } else if (id === 'askCountdown' || id === 'resumeRewindSeconds') {
+                        value.textContent = range.value > 0 ? `${range.value}s` : 'Off';
+                    } else {
+                        value.textContent = `${range.value}s`;
+                    }
+
+                    // Instantly apply changes for ranges
+                    settings[id] = parseInt(range.value);
+                    GM_setValue('ytTimestampSettings', settings);
+
+                    // Update theme immediately
+                    updateThemeVariables();
+
+                    // Show preview for certain setting changes
+                    if (id === 'notificationOpacity') {
+                        // Force update opacity immediately
+                        getNotificationElements().forEach(notification => {
+                            notification.style.setProperty('--bg-opacity', (range.value / 100).toString());
+                        });
+                        showNotification('Opacity preview: ' + range.value + '%', '⚙️', settings.notificationDuration, { tag: 'setting-preview', history: false });
+                    } else if (id === 'blurAmount') {
+                        // Update blur immediately and show preview
+                        const blurValue = range.value > 0 ? `blur(${range.value}px) saturate(180%)` : 'none';
+                        getNotificationElements().forEach(notification => {
+                            notification.style.backdropFilter = blurValue;
+                            notification.style.webkitBackdropFilter = blurValue;
+                        });
+                        const blurStatus = range.value > 0 ? `${range.value}px` : 'disabled';
+                        showNotification(`Blur effect: ${blurStatus}`, '🔍', settings.notificationDuration, { tag: 'setting-preview', history: false });
+                    } else if (id === 'notificationDuration') {
+                        showNotification(`Duration: ${range.value / 1000} seconds`, '⏱️', settings.notificationDuration, { tag: 'setting-preview', history: false });
+                    } else if (id === 'maxVisibleNotifications') {
+                        // Room for more toasts lets waiting ones through
+                        showQueuedNotifications();
+                    }
+                };
+
+                rangeContainer.appendChild(range);
+                rangeContainer.appendChild(valueContainer);
+                control.appendChild(rangeContainer);
+                break;
+
+            case 'percent-slider':
+                const percentContainer = document.createElement('div');
+                percentContainer.style.display = 'flex';
+                percentContainer.style.alignItems = 'center';
+                percentContainer.style.gap = 'var(--spacing-md)';
+                percentContainer.style.width = '100%';
+
+                const percentRange = document.createElement('input');
+                percentRange.type = 'range';
+                percentRange.id = id;
+                percentRange.className = 'modern-input';
+                percentRange.min = '10';
+                percentRange.max = '100';
+                percentRange.step = '5';
+                percentRange.value = settings[id] || 90;
+
+                const percentValueContainer = document.createElement('div');
+                percentValueContainer.style.minWidth = '80px';
+                percentValueContainer.style.textAlign = 'center';
+                percentValueContainer.style.padding = 'var(--spacing-sm)';
+                percentValueContainer.style.background = 'var(--bg-hover)';
+                percentValueContainer.style.borderRadius = 'var(--border-radius-sm)';
+                percentValueContainer.style.fontWeight = 'bold';
+
+                const percentValue = document.createElement('span');
+                percentValue.textContent = `${percentRange.value}%`;
+                percentValueContainer.appendChild(percentValue);
+
+                percentRange.oninput = () => {
+                    percentValue.textContent = `${percentRange.value}%`;
+
+                    // Instantly apply changes
+                    settings[id] = parseInt(percentRange.value);
+                    GM_setValue('ytTimestampSettings', settings);
+
+                    // Update theme immediately
+                    updateThemeVariables();
+
+                    // Show preview for opacity changes
+                    if (id === 'notificationOpacity') {
+                        // Force update opacity immediately
+                        getNotificationElements().forEach(notification => {
+                            notification.style.setProperty('--bg-opacity', (percentRange.value / 100).toString());
+                        });
+                        showNotification('Opacity preview: ' + percentRange.value + '%', '⚙️', settings.notificationDuration, { tag: 'setting-preview', history: false });
+                    }
+                };
+
+                percentContainer.appendChild(percentRange);
+                percentContainer.appendChild(percentValueContainer);
+                control.appendChild(percentContainer);
+                break;
+
+            case 'format-selector':
+                // Create a visual format selector with examples
+                const formatContainer = document.createElement('div');
+                formatContainer.style.display = 'grid';
+                formatContainer.style.gap = 'var(--spacing-sm)';
+                formatContainer.style.gridTemplateColumns = 'repeat(3, 1fr)';
+
+                const formats = [
+                    { value: 'seconds', label: 'Seconds', example: '123s' },
+                    { value: 'mm:ss', label: 'Minutes:Seconds', example: '2:03' },
+                    { value: 'hh:mm:ss', label: 'Hours:Minutes:Seconds', example: '1:02:03' }
+                ];
+
+                formats.forEach(format => {
+                    const formatOption = document.createElement('div');
+                    formatOption.className = `format-option ${settings.timestampFormat === format.value ? 'active' : ''}`;
+                    formatOption.style.padding = 'var(--spacing-sm)';
+                    formatOption.style.borderRadius = 'var(--border-radius-sm)';
+                    formatOption.style.background = 'var(--bg-hover)';
+                    formatOption.style.cursor = 'pointer';
+                    formatOption.style.textAlign = 'center';
+                    formatOption.style.transition = 'var(--transition-smooth)';
+                    formatOption.style.border = '2px solid transparent';
+
+                    if (settings.timestampFormat === format.value) {
+                        formatOption.style.borderColor = 'var(--primary-color)';
+                        formatOption.style.background = 'var(--bg-active)';
+                    }
+
+                    const formatLabel = document.createElement('div');
+                    formatLabel.textContent = format.label;
+                    formatLabel.style.fontWeight = 'bold';
+
+                    const formatExample = document.createElement('div');
+                    formatExample.textContent = format.example;
+                    formatExample.style.color = 'var(--text-secondary)';
+                    formatExample.style.fontSize = '13px';
+                    formatExample.style.marginTop = '4px';
+
+                    formatOption.appendChild(formatLabel);
+                    formatOption.appendChild(formatExample);
+
+                    formatOption.addEventListener('click', () => {
+                        formatContainer.querySelectorAll('.format-option').forEach(opt => {
+                            opt.style.borderColor = 'transparent';
+                            opt.style.background = 'var(--bg-hover)';
+                            opt.classList.remove('active');
+                        });
+
+                        formatOption.style.borderColor = 'var(--primary-color)';
+                        formatOption.style.background = 'var(--bg-active)';
+                        formatOption.classList.add('active');
+
+                        settings.timestampFormat = format.value;
+                        GM_setValue('ytTimestampSettings', settings);
+                    });
+
+                    formatContainer.appendChild(formatOption);
+                });
+
+                control.appendChild(formatContainer);
+                break;
+
+            case 'color':
+                const colorPicker = document.createElement('div');
+                colorPicker.className = 'color-picker';
+                const colors = ['#2196F3', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4', '#EC4899', '#6366F1'];
+
+                colors.forEach(color => {
+                    const colorOption = document.createElement('div');
+                    colorOption.className = `color-option ${settings[id] === color ? 'active' : ''}`;
+                    colorOption.style.backgroundColor = color;
+
+                    // Apply active styling
+                    if (settings[id] === color) {
+                        colorOption.style.border = '2px solid var(--text-primary)';
+                        colorOption.style.transform = 'scale(1.1)';
+                    } else {
+                        colorOption.style.border = '2px solid transparent';
+                    }
+
+                    colorOption.onclick = () => {
+                        colorPicker.querySelectorAll('.color-option').forEach(opt => {
+                            opt.classList.remove('active');
+                            opt.style.border = '2px solid transparent';
+                            opt.style.transform = 'none';
+                        });
+
+                        colorOption.classList.add('active');
+                        colorOption.style.border = '2px solid var(--text-primary)';
+                        colorOption.style.transform = 'scale(1.1)';
+
+                        // Update setting and apply immediately
+                        settings[id] = color;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        // Force update to DOM properties directly
+                        document.documentElement.style.setProperty('--primary-color', color);
+
+                        // Update any UI elements using the accent color
+                        const settingsUI = document.querySelector('.yt-timestamp-settings');
+                        if (settingsUI) {
+                            const accentElements = settingsUI.querySelectorAll('.settings-tab.active, input:checked + .modern-slider, .modern-input[type="range"]::-webkit-slider-thumb, .position-option.active, .format-option.active, .browser-preset.active, .size-option.active, .theme-option.active, .sync-option.active');
+                            accentElements.forEach(el => {
+                                if (el.classList.contains('modern-slider')) {
+                                    el.style.backgroundColor = color;
+                                } else if (el.classList.contains('theme-option')) {
+                                    if (el.classList.contains('active')) {
+                                    el.style.borderColor = color;
+                                    } else {
+                                        el.style.borderColor = 'transparent';
+                                    }
+                                } else if (el.classList.contains('format-option') || el.classList.contains('browser-preset') || el.classList.contains('size-option') || el.classList.contains('sync-option')) {
+                                    if (el.classList.contains('active')) {
+                                        el.style.borderColor = color;
+                                    }
+                                } else if (el.classList.contains('position-option') || el.classList.contains('screen-representation')) {
+                                    el.style.background = color;
+                                } else if (el.classList.contains('settings-tab')) {
+                                    el.style.color = color;
+                                    el.style.borderColor = color;
+                                }
+                            });
+                        }
+
+                        // Update the notification container colors
+                        getNotificationElements().forEach(notification => {
+                            const progressBar = notification.querySelector('.notification-progress');
+                            if (progressBar) {
+                                progressBar.style.background = color;
+                            }
+                        });
+
+                        // Immediately update theme variables to reflect color change
+                        updateThemeVariables();
+
+                        // Show a notification with the new color
+                        showNotification('Accent color updated', '🎨');
+                    };
+                    colorPicker.appendChild(colorOption);
+                });
+
+                control.appendChild(colorPicker);
+                break;
+
+            case 'hotkey':
+                const hotkeyInput = document.createElement('input');
+                hotkeyInput.type = 'text';
+                hotkeyInput.id = id;
+                hotkeyInput.className = 'modern-input';
+                hotkeyInput.value = settings[id] || '';
+                hotkeyInput.placeholder = 'Click to set hotkey';
+                hotkeyInput.readOnly = true;
+
+                hotkeyInput.addEventListener('focus', function() {
+                    this.value = '';
+                    this.placeholder = 'Press key combination...';
+                });
+
+                hotkeyInput.addEventListener('keydown', function(e) {
+                    e.preventDefault();
+
+                    const keyCombo = [];
+                    if (e.ctrlKey) keyCombo.push('CTRL');
+                    if (e.altKey) keyCombo.push('ALT');
+                    if (e.shiftKey) keyCombo.push('SHIFT');
+
+                    if (e.key !== 'Control' && e.key !== 'Alt' && e.key !== 'Shift') {
+                        keyCombo.push(e.key.toUpperCase());
+                        this.value = keyCombo.join('+');
+
+                        // Save the hotkey immediately
+                        settings[id] = this.value;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        this.blur();
+                    }
+                });
+
+                hotkeyInput.addEventListener('blur', function() {
+                    if (!this.value) {
+                        this.placeholder = 'Click to set hotkey';
+                    }
+                });
+
+                control.appendChild(hotkeyInput);
+                break;
+
+            case 'position-picker':
+                const positionSelector = document.createElement('div');
+                positionSelector.className = 'position-selector';
+                positionSelector.style.display = 'flex';
+                positionSelector.style.gap = 'var(--spacing-lg)';
+                positionSelector.style.width = '100%';
+                positionSelector.style.padding = 'var(--spacing-md)';
+                positionSelector.style.background = 'var(--bg-secondary)';
+                positionSelector.style.borderRadius = 'var(--border-radius-lg)';
+
+                // Create containers for both states
+                const states = [
+                    { 
+                        id: 'duringPlayback', 
+                        label: 'During Playback', 
+                        icon: '▶️', 
+                        description: 'Controls notification position while watching videos on a watch page. Applies when video is playing.'
+                    },
+                    { 
+                        id: 'onHomepage', 
+                        label: 'On Homepage', 
+                        icon: '🏠', 
+                        description: 'Controls notification position while browsing the YouTube homepage or when no video is playing.'
+                    }
+                ];
+
+                states.forEach(state => {
+                    const stateContainer = document.createElement('div');
+                    stateContainer.className = 'position-state-container';
+                    stateContainer.style.flex = '1';
+                    stateContainer.style.display = 'flex';
+                    stateContainer.style.flexDirection = 'column';
+                    stateContainer.style.gap = 'var(--spacing-md)';
+
+                    // Create state header with description
+                    const stateHeader = document.createElement('div');
+                    stateHeader.className = 'position-state-header';
+                    stateHeader.style.display = 'flex';
+                    stateHeader.style.flexDirection = 'column';
+                    stateHeader.style.gap = 'var(--spacing-xs)';
+                    stateHeader.style.padding = 'var(--spacing-sm) var(--spacing-md)';
+                    stateHeader.style.background = 'var(--bg-hover)';
+                    stateHeader.style.borderRadius = 'var(--border-radius-md)';
+
+                    const headerTitle = document.createElement('div');
+                    headerTitle.style.display = 'flex';
+                    headerTitle.style.alignItems = 'center';
+                    headerTitle.style.gap = 'var(--spacing-sm)';
+                    headerTitle.style.fontWeight = '500';
+                    headerTitle.style.fontSize = '14px';
+
+                    const stateIcon = document.createElement('span');
+                    stateIcon.className = 'position-state-icon';
+                    stateIcon.textContent = state.icon;
+                    stateIcon.style.fontSize = '16px';
+                    stateIcon.style.opacity = '0.9';
+
+                    const stateLabel = document.createElement('span');
+                    stateLabel.textContent = state.label;
+
+                    headerTitle.appendChild(stateIcon);
+                    headerTitle.appendChild(stateLabel);
+
+                    const stateDescription = document.createElement('div');
+                    stateDescription.textContent = state.description;
+                    stateDescription.style.fontSize = '12px';
+                    stateDescription.style.color = 'var(--text-secondary)';
+                    stateDescription.style.marginTop = '2px';
+                    stateDescription.style.lineHeight = '1.4';
+
+                    stateHeader.appendChild(headerTitle);
+                    stateHeader.appendChild(stateDescription);
+                    stateContainer.appendChild(stateHeader);
+
+                    // Create grid container
+                    const gridContainer = document.createElement('div');
+                    gridContainer.className = 'position-grid-container';
+                    gridContainer.style.display = 'flex';
+                    gridContainer.style.flexDirection = 'column';
+                    gridContainer.style.gap = 'var(--spacing-md)';
+                    gridContainer.style.padding = 'var(--spacing-md)';
+                    gridContainer.style.background = 'var(--bg-hover)';
+                    gridContainer.style.borderRadius = 'var(--border-radius-md)';
+
+                    // Create position grid
+                    const positionGrid = document.createElement('div');
+                    positionGrid.className = 'position-grid';
+                    positionGrid.style.display = 'grid';
+                    positionGrid.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                    positionGrid.style.gap = '8px';
+                    positionGrid.style.aspectRatio = '1';
+                    positionGrid.style.width = '180px';
+                    positionGrid.style.margin = '0 auto';
+                    positionGrid.style.border = 'none'; // Remove dotted border
+
+                const positions = [
+                        { value: 'top-left', icon: '↖️', label: 'Top Left' },
+                        { value: 'top-center', icon: '⬆️', label: 'Top Center' },
+                        { value: 'top-right', icon: '↗️', label: 'Top Right' },
+                        { value: 'center-left', icon: '⬅️', label: 'Center Left' },
+                        { value: 'center-center', icon: '⏺️', label: 'Center' },
+                        { value: 'center-right', icon: '➡️', label: 'Center Right' },
+                        { value: 'bottom-left', icon: '↙️', label: 'Bottom Left' },
+                        { value: 'bottom-center', icon: '⬇️', label: 'Bottom Center' },
+                        { value: 'bottom-right', icon: '↘️', label: 'Bottom Right' }
+                ];
+
+                positions.forEach(position => {
+                    const positionOption = document.createElement('div');
+                        positionOption.className = `position-option ${settings.notificationPosition[state.id]?.position === position.value ? 'active' : ''}`;
+                    positionOption.dataset.position = position.value;
+                        positionOption.style.width = '100%';
+                        positionOption.style.aspectRatio = '1';
+                        positionOption.style.borderRadius = 'var(--border-radius-sm)';
+                        positionOption.style.background = 'var(--bg-primary)';
+                        positionOption.style.border = '1px solid var(--border-color)';
+                        positionOption.style.cursor = 'pointer';
+                        positionOption.style.transition = 'var(--transition-smooth)';
+                        positionOption.style.position = 'relative';
+                        positionOption.style.display = 'flex';
+                        positionOption.style.alignItems = 'center';
+                        positionOption.style.justifyContent = 'center';
+                        positionOption.style.overflow = 'hidden';
+                        positionOption.style.padding = '0'; // Ensure no padding affects icon size
+
+                        // Create icon container with fixed size
+                        const iconContainer = document.createElement('div');
+                        iconContainer.className = 'position-icon';
+                        iconContainer.style.width = '16px'; // Fixed size for icon
+                        iconContainer.style.height = '16px';
+                        iconContainer.style.fontSize = '14px'; // Slightly smaller icon
+                        iconContainer.style.opacity = '0.7';
+                        iconContainer.style.transition = 'var(--transition-smooth)';
+                        iconContainer.style.display = 'flex';
+                        iconContainer.style.alignItems = 'center';
+                        iconContainer.style.justifyContent = 'center';
+                        iconContainer.style.transform = 'translateZ(0)'; // Force GPU acceleration
+                        iconContainer.textContent = position.icon;
+
+                        // Add tooltip with position name
+                        positionOption.title = position.label;
+
+                        positionOption.appendChild(iconContainer);
+
+                        // Add hover effect
+                        positionOption.addEventListener('mouseover', () => {
+                            positionOption.style.background = 'var(--bg-active)';
+                            positionOption.style.transform = 'scale(1.05)';
+                            iconContainer.style.opacity = '1';
+                        });
+
+                        positionOption.addEventListener('mouseout', () => {
+                            if (!positionOption.classList.contains('active')) {
+                                positionOption.style.background = 'var(--bg-primary)';
+                                positionOption.style.transform = 'none';
+                                iconContainer.style.opacity = '0.7';
+                            }
+                        });
+
+                    // Add click handler
+                    positionOption.addEventListener('click', () => {
+                            // Update visual state of all options
+                            positionGrid.querySelectorAll('.position-option').forEach(opt => {
+                            opt.classList.remove('active');
+                                opt.style.background = 'var(--bg-primary)';
+                                opt.style.transform = 'none';
+                                opt.style.borderColor = 'var(--border-color)';
+                                opt.querySelector('.position-icon').style.opacity = '0.7';
+                        });
+
+                            // Update selected option appearance
+                        positionOption.classList.add('active');
+                            positionOption.style.background = settings.customAccentColor;
+                            positionOption.style.transform = 'scale(1.05)';
+                        positionOption.style.borderColor = settings.customAccentColor;
+                            iconContainer.style.opacity = '1';
+                            iconContainer.style.color = '#ffffff';
+
+                            // Update settings
+                            if (!settings.notificationPosition[state.id]) {
+                                settings.notificationPosition[state.id] = {};
+                            }
+                            settings.notificationPosition[state.id].position = position.value;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        // Show preview notification
+                            // Move any visible notifications before the preview joins them
+                            repositionNotifications();
+                            showNotification(`${state.label} notifications will appear in the ${position.label.toLowerCase()}`, '📍');
+                        });
+
+                        // Set initial active state
+                        if (settings.notificationPosition[state.id]?.position === position.value) {
+                            positionOption.style.background = settings.customAccentColor;
+                        positionOption.style.borderColor = settings.customAccentColor;
+                            iconContainer.style.opacity = '1';
+                            iconContainer.style.color = '#ffffff';
+                        }
+
+                        positionGrid.appendChild(positionOption);
+                    });
+
+                    gridContainer.appendChild(positionGrid);
+                    stateContainer.appendChild(gridContainer);
+                    positionSelector.appendChild(stateContainer);
+                });
+                
+                control.appendChild(positionSelector);
+                control.style.width = '100%';
+                break;
+
+            case 'browser-preset-selector':
+                const presetSelector = document.createElement('div');
+                presetSelector.className = 'preset-selector';
+                presetSelector.style.display = 'grid';
+                presetSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                presetSelector.style.gap = 'var(--spacing-md)';
+                presetSelector.style.width = '100%';
+
+                const presets = [
+                    {
+                        id: 'custom',
+                        name: 'Custom',
+                        description: 'Keep your current settings',
+                        icon: '🛠️',
+                        accent: settings.customAccentColor
+                    },
+                    {
+                        id: 'chrome',
+                        name: 'Chrome',
+                        description: 'Chrome-styled with blue accent',
+                        icon: '🌐',
+                        accent: '#4285F4'
+                    },
+                    {
+                        id: 'firefox',
+                        name: 'Firefox',
+                        description: 'Firefox-styled with orange accent',
+                        icon: '🦊',
+                        accent: '#FF9500'
+                    }
+                ];
+
+                presets.forEach(preset => {
+                    const presetOption = document.createElement('div');
+                    presetOption.className = `preset-option ${settings.preset === preset.id ? 'active' : ''}`;
+                    presetOption.style.padding = 'var(--spacing-md)';
+                    presetOption.style.borderRadius = 'var(--border-radius-md)';
+                    presetOption.style.background = 'var(--bg-hover)';
+                    presetOption.style.cursor = 'pointer';
+                    presetOption.style.transition = 'var(--transition-smooth)';
+                    presetOption.style.border = '2px solid transparent';
+                    presetOption.style.display = 'flex';
+                    presetOption.style.flexDirection = 'column';
+                    presetOption.style.alignItems = 'center';
+                    presetOption.style.gap = 'var(--spacing-sm)';
+
+                    // Create preview container
+                    const preview = document.createElement('div');
+                    preview.className = 'preset-preview';
+                    preview.style.width = '100%';
+                    preview.style.height = '80px';
+                    preview.style.borderRadius = 'var(--border-radius-sm)';
+                    preview.style.background = 'var(--bg-secondary)';
+                    preview.style.border = '1px solid var(--border-color)';
+                    preview.style.display = 'flex';
+                    preview.style.alignItems = 'center';
+                    preview.style.justifyContent = 'center';
+                    preview.style.position = 'relative';
+                    preview.style.overflow = 'hidden';
+                    preview.style.marginBottom = 'var(--spacing-sm)';
+
+                    // Create accent color bar
+                    const accentBar = document.createElement('div');
+                    accentBar.style.position = 'absolute';
+                    accentBar.style.bottom = '0';
+                    accentBar.style.left = '0';
+                    accentBar.style.width = '100%';
+                    accentBar.style.height = '4px';
+                    accentBar.style.background = preset.accent;
+                    accentBar.style.opacity = '0.8';
+
+                    // Create icon container
+                    const iconContainer = document.createElement('div');
+                    iconContainer.style.width = '40px';
+                    iconContainer.style.height = '40px';
+                    iconContainer.style.borderRadius = '50%';
+                    iconContainer.style.background = preset.accent;
+                    iconContainer.style.display = 'flex';
+                    iconContainer.style.alignItems = 'center';
+                    iconContainer.style.justifyContent = 'center';
+                    iconContainer.style.fontSize = '24px';
+                    iconContainer.style.color = '#ffffff';
+                    iconContainer.style.boxShadow = '0 2px 8px ' + preset.accent + '80';
+                    iconContainer.textContent = preset.icon;
+
+                    preview.appendChild(iconContainer);
+                    preview.appendChild(accentBar);
+
+                    // Create name label
+                    const name = document.createElement('div');
+                    name.className = 'preset-name';
+                    name.textContent = preset.name;
+                    name.style.fontWeight = '500';
+                    name.style.color = 'var(--text-primary)';
+                    name.style.fontSize = '14px';
+
+                    // Create description
+                    const description = document.createElement('div');
+                    description.className = 'preset-description';
+                    description.textContent = preset.description;
+                    description.style.color = 'var(--text-secondary)';
+                    description.style.fontSize = '12px';
+                    description.style.textAlign = 'center';
+
+                    presetOption.appendChild(preview);
+                    presetOption.appendChild(name);
+                    presetOption.appendChild(description);
+
+                    // Add hover and active states
+                    presetOption.addEventListener('mouseover', () => {
+                        if (!presetOption.classList.contains('active')) {
+                            presetOption.style.background = 'var(--bg-active)';
+                            presetOption.style.transform = 'translateY(-2px)';
+                        }
+                    });
+
+                    presetOption.addEventListener('mouseout', () => {
+                        if (!presetOption.classList.contains('active')) {
+                            presetOption.style.background = 'var(--bg-hover)';
+                            presetOption.style.transform = 'none';
+                        }
+                    });
+
+                    // Add click handler
+                    presetOption.addEventListener('click', () => {
+                        presetSelector.querySelectorAll('.preset-option').forEach(opt => {
+                            opt.classList.remove('active');
+                            opt.style.background = 'var(--bg-hover)';
+                            opt.style.borderColor = 'transparent';
+                            opt.style.transform = 'none';
+                        });
+
+                        presetOption.classList.add('active');
+                        presetOption.style.background = 'var(--bg-active)';
+                        presetOption.style.borderColor = preset.accent;
+                        presetOption.style.transform = 'translateY(-2px)';
+
+                        settings.preset = preset.id;
+                        settings.customAccentColor = preset.accent;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        // Apply preset configuration; real presets report themselves with an Undo button
+                        applyPreset(preset.id);
+
+                        if (preset.id === 'custom') {
+                            showNotification(`Applied ${preset.name} preset`, preset.icon);
+                        }
+                    });
+
+                    // Set initial active state
+                    if (settings.preset === preset.id) {
+                        presetOption.classList.add('active');
+                        presetOption.style.background = 'var(--bg-active)';
+                        presetOption.style.borderColor = preset.accent;
+                    }
+
+                    presetSelector.appendChild(presetOption);
+                });
+
+                control.appendChild(presetSelector);
+                control.style.width = '100%';
+                break;
+
+            case 'size-selector':
+                const sizeSelector = document.createElement('div');
+                sizeSelector.className = 'size-selector';
+
+                const sizes = [
+                    { value: 'small', label: 'Compact', description: 'Space-saving size' },
+                    { value: 'medium', label: 'Standard', description: 'Balanced visibility' },
+                    { value: 'large', label: 'Spacious', description: 'Enhanced readability' }
+                ];
+
+                sizes.forEach(size => {
+                    const sizeOption = document.createElement('div');
+                    sizeOption.className = `size-option ${size.value} ${settings.notificationSize === size.value ? 'active' : ''}`;
+
+                    // Create preview
+                    const preview = document.createElement('div');
+                    preview.className = 'size-preview';
+
+                    const previewIcon = document.createElement('span');
+                    previewIcon.className = 'size-preview-icon';
+                    previewIcon.textContent = '📍';
+
+                    const previewText = document.createElement('span');
+                    previewText.className = 'size-preview-text';
+                    previewText.textContent = 'Notification';
+
+                    preview.appendChild(previewIcon);
+                    preview.appendChild(previewText);
+
+                    // Create label
+                    const label = document.createElement('div');
+                    label.className = 'size-label';
+                    label.textContent = size.label;
+
+                    // Create description
+                    const description = document.createElement('div');
+                    description.className = 'size-description';
+                    description.textContent = size.description;
+
+                    sizeOption.appendChild(preview);
+                    sizeOption.appendChild(label);
+                    sizeOption.appendChild(description);
+
+                    // Add click handler
+                    sizeOption.addEventListener('click', () => {
+                        sizeSelector.querySelectorAll('.size-option').forEach(opt => {
+                            opt.classList.remove('active');
+                        });
+
+                        sizeOption.classList.add('active');
+                        settings.notificationSize = size.value;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        // Update UI immediately
+                        updateNotificationSettings();
+
+                        // Show preview with the new size
+                        showNotification(`Size updated to ${size.label}`, '📏');
+                    });
+
+                    sizeSelector.appendChild(sizeOption);
+                });
+
+                control.appendChild(sizeSelector);
+                control.style.width = '100%';
+                break;
+
+            case 'theme-selector':
+                const themeSelector = document.createElement('div');
+                themeSelector.className = 'theme-selector';
+                themeSelector.style.display = 'grid';
+                themeSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                themeSelector.style.gap = 'var(--spacing-md)';
+                themeSelector.style.width = '100%';
+
+                const themes = [
+                    {
+                        value: 'dark',
+                        label: 'Dark',
+                        description: 'Dark interface',
+                        icon: '🌙',
+                        preview: {
+                            background: '#1a1a1a',
+                            text: '#ffffff',
+                            accent: 'rgba(255, 255, 255, 0.1)'
+                        }
+                    },
+                    {
+                        value: 'light',
+                        label: 'Light',
+                        description: 'Light interface',
+                        icon: '☀️',
+                        preview: {
+                            background: '#ffffff',
+                            text: '#000000',
+                            accent: 'rgba(0, 0, 0, 0.1)'
+                        }
+                    },
+                    {
+                        value: 'system',
+                        label: 'System',
+                        description: 'Follow your device',
+                        icon: '🖥️',
+                        preview: {
+                            background: 'linear-gradient(to right, #1a1a1a 50%, #ffffff 50%)',
+                            text: 'inherit',
+                            accent: 'transparent'
+                        }
+                    }
+                ];
+
+                themes.forEach(theme => {
+                    const themeOption = document.createElement('div');
+                    themeOption.className = `theme-option ${theme.value}`;
+                    themeOption.style.padding = 'var(--spacing-md)';
+                    themeOption.style.borderRadius = 'var(--border-radius-md)';
+                    themeOption.style.background = 'var(--bg-hover)';
+                    themeOption.style.cursor = 'pointer';
+                    themeOption.style.transition = 'var(--transition-smooth)';
+                    themeOption.style.border = '2px solid transparent';
+                    themeOption.style.display = 'flex';
+                    themeOption.style.flexDirection = 'column';
+                    themeOption.style.alignItems = 'center';
+                    themeOption.style.gap = 'var(--spacing-sm)';
+
+                    // Create preview
+                    const preview = document.createElement('div');
+                    preview.className = 'theme-preview';
+                    preview.style.width = '100%';
+                    preview.style.height = '80px';
+                    preview.style.borderRadius = 'var(--border-radius-sm)';
+                    preview.style.background = theme.preview.background;
+                    preview.style.position = 'relative';
+                    preview.style.overflow = 'hidden';
+                    preview.style.border = '1px solid var(--border-color)';
+                    preview.style.marginBottom = 'var(--spacing-sm)';
+
+                    // Add preview content
+                    if (theme.value !== 'system') {
+                        // Create a mock notification for preview
+                        const mockNotification = document.createElement('div');
+                        mockNotification.style.position = 'absolute';
+                        mockNotification.style.top = '50%';
+                        mockNotification.style.left = '50%';
+                        mockNotification.style.transform = 'translate(-50%, -50%)';
+                        mockNotification.style.background = theme.preview.accent;
+                        mockNotification.style.padding = '8px 12px';
+                        mockNotification.style.borderRadius = '4px';
+                        mockNotification.style.color = theme.preview.text;
+                        mockNotification.style.fontSize = '12px';
+                        mockNotification.style.display = 'flex';
+                        mockNotification.style.alignItems = 'center';
+                        mockNotification.style.gap = '6px';
+                        
+                        const mockEmoji = document.createElement('span');
+                        mockEmoji.textContent = theme.icon;
+                        mockEmoji.style.fontSize = '14px';
+                        
+                        const mockText = document.createElement('span');
+                        mockText.textContent = theme.label;
+                        
+                        mockNotification.appendChild(mockEmoji);
+                        mockNotification.appendChild(mockText);
+                        preview.appendChild(mockNotification);
+                    } else {
+                        // Split preview for system theme
+                        const darkSide = document.createElement('div');
+                        darkSide.style.position = 'absolute';
+                        darkSide.style.left = '0';
+                        darkSide.style.top = '0';
+                        darkSide.style.width = '50%';
+                        darkSide.style.height = '100%';
+                        darkSide.style.background = '#1a1a1a';
+                        darkSide.style.display = 'flex';
+                        darkSide.style.alignItems = 'center';
+                        darkSide.style.justifyContent = 'center';
+                        darkSide.style.color = '#ffffff';
+                        darkSide.textContent = '🌙';
+                        
+                        const lightSide = document.createElement('div');
+                        lightSide.style.position = 'absolute';
+                        lightSide.style.right = '0';
+                        lightSide.style.top = '0';
+                        lightSide.style.width = '50%';
+                        lightSide.style.height = '100%';
+                        lightSide.style.background = '#ffffff';
+                        lightSide.style.display = 'flex';
+                        lightSide.style.alignItems = 'center';
+                        lightSide.style.justifyContent = 'center';
+                        lightSide.style.color = '#000000';
+                        lightSide.textContent = '☀️';
+                        
+                        preview.appendChild(darkSide);
+                        preview.appendChild(lightSide);
+                    }
+
+                    // Create label
+                    const label = document.createElement('div');
+                    label.className = 'theme-label';
+                    label.textContent = theme.label;
+                    label.style.fontWeight = '500';
+                    label.style.color = 'var(--text-primary)';
+                    label.style.fontSize = '14px';
+
+                    // Create description
+                    const description = document.createElement('div');
+                    description.className = 'theme-description';
+                    description.textContent = theme.description;
+                    description.style.color = 'var(--text-secondary)';
+                    description.style.fontSize = '12px';
+                    description.style.textAlign = 'center';
+
+                    themeOption.appendChild(preview);
+                    themeOption.appendChild(label);
+                    themeOption.appendChild(description);
+
+                    // Add hover and active states
+                    themeOption.addEventListener('mouseover', () => {
+                        if (!themeOption.classList.contains('active')) {
+                            themeOption.style.background = 'var(--bg-active)';
+                            themeOption.style.transform = 'translateY(-2px)';
+                        }
+                    });
+                    
+                    themeOption.addEventListener('mouseout', () => {
+                        if (!themeOption.classList.contains('active')) {
+                            themeOption.style.background = 'var(--bg-hover)';
+                            themeOption.style.transform = 'none';
+                        }
+                    });
+
+                    // Add click handler
+                    themeOption.addEventListener('click', () => {
+                        themeSelector.querySelectorAll('.theme-option').forEach(opt => {
+                            opt.classList.remove('active');
+                            opt.style.background = 'var(--bg-hover)';
+                            opt.style.borderColor = 'transparent';
+                            opt.style.transform = 'none';
+                        });
+
+                        themeOption.classList.add('active');
+                        themeOption.style.background = 'var(--bg-active)';
+                        themeOption.style.borderColor = 'var(--primary-color)';
+                        themeOption.style.transform = 'translateY(-2px)';
+                        
+                        settings.themeMode = theme.value;
+                        GM_setValue('ytTimestampSettings', settings);
+
+                        // Update UI immediately
+                        updateThemeVariables();
+
+                        showNotification(`Theme set to ${theme.label}`, theme.icon);
+                    });
+                    
+                    // Set initial active state
+                    if (settings.themeMode === theme.value) {
+                        themeOption.classList.add('active');
+                        themeOption.style.background = 'var(--bg-active)';
+                        themeOption.style.borderColor = 'var(--primary-color)';
+                    }
+
+                    themeSelector.appendChild(themeOption);
+                });
+
+                control.appendChild(themeSelector);
+                control.style.width = '100%';
+                break;
+
+            case 'preset-selector':
+                const presetSelectorContainer = document.createElement('div');
+                presetSelectorContainer.className = 'browser-presets';
+                presetSelectorContainer.style.display = 'grid';
+                presetSelectorContainer.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                presetSelectorContainer.style.gap = 'var(--spacing-md)';
+                presetSelectorContainer.style.width = '100%';
+
+                // Define the browser presets
+                const presetOptions = [
+                    {
+                        id: 'custom',
+                        name: 'Custom',
+                        icon: '🛠️',
+                        description: 'Keep your current settings'
+                    },
+                    {
+                        id: 'chrome',
+                        name: 'Chrome',
+                        icon: '🌐',
+                        description: 'Chrome-styled with blue accent'
+                    },
+                    {
+                        id: 'firefox',
+                        name: 'Firefox',
+                        icon: '🦊',
+                        description: 'Firefox-styled with orange accent'
+                    }
+                ];
+
+                presetOptions.forEach(preset => {
+                    const presetElement = document.createElement('div');
+                    presetElement.className = `browser-preset ${settings.preset === preset.id ? 'active' : ''}`;
+                    presetElement.dataset.preset = preset.id;
+                    presetElement.style.padding = 'var(--spacing-md)';
+                    presetElement.style.borderRadius = 'var(--border-radius-md)';
+                    presetElement.style.background = 'var(--bg-hover)';
+                    presetElement.style.cursor = 'pointer';
+                    presetElement.style.textAlign = 'center';
+                    presetElement.style.transition = 'var(--transition-smooth)';
+                    presetElement.style.border = '2px solid transparent';
+
+                    if (settings.preset === preset.id) {
+                        presetElement.style.borderColor = 'var(--primary-color)';
+                        presetElement.style.background = 'var(--bg-active)';
+                    }
+
+                    const iconElement = document.createElement('div');
+                    iconElement.className = 'browser-icon';
+                    iconElement.textContent = preset.icon;
+                    iconElement.style.fontSize = '24px';
+                    iconElement.style.marginBottom = 'var(--spacing-sm)';
+
+                    const nameElement = document.createElement('div');
+                    nameElement.className = 'browser-name';
+                    nameElement.textContent = preset.name;
+                    nameElement.style.fontWeight = 'bold';
+                    nameElement.style.marginBottom = '4px';
+
+                    const descElement = document.createElement('div');
+                    descElement.className = 'browser-description';
+                    descElement.textContent = preset.description;
+                    descElement.style.color = 'var(--text-secondary)';
+                    descElement.style.fontSize = '12px';
+
+                    presetElement.appendChild(iconElement);
+                    presetElement.appendChild(nameElement);
+                    presetElement.appendChild(descElement);
+
+                    presetElement.addEventListener('click', () => {
+                        presetSelectorContainer.querySelectorAll('.browser-preset').forEach(p => {
+                            p.classList.remove('active');
+                            p.style.borderColor = 'transparent';
+                            p.style.background = 'var(--bg-hover)';
+                        });
+
+                        presetElement.classList.add('active');
+                        presetElement.style.borderColor = 'var(--primary-color)';
+                        presetElement.style.background = 'var(--bg-active)';
+
+                        // Apply the preset; real presets report themselves with an Undo button
+                        applyPreset(preset.id);
+
+                        if (preset.id === 'custom') {
+                            showNotification(`Applied ${preset.name} preset`, preset.icon);
+                        }
+                    });
+
+                    presetSelectorContainer.appendChild(presetElement);
+                });
+
+                control.appendChild(presetSelectorContainer);
+                break;
+
+            case 'number-input':
+                const container = document.createElement('div');
+                container.className = 'advanced-input-container';
+                
+                // For maxStoredTimestamps, create a visual slider
+                if (id === 'maxStoredTimestamps') {
+                    const rangeContainer = document.createElement('div');
+                    rangeContainer.style.display = 'flex';
+                    rangeContainer.style.alignItems = 'center';
+                    rangeContainer.style.gap = 'var(--spacing-md)';
+                    rangeContainer.style.width = '100%';
+
+                    const range = document.createElement('input');
+                    range.type = 'range';
+                    range.id = id;
+                    range.className = 'modern-input';
+                    range.min = '0';
+                    range.max = '500';
+                    range.step = '10';
+                    range.value = settings[id] ?? 100;
+
+                    const valueContainer = document.createElement('div');
+                    valueContainer.style.minWidth = '80px';
+                    valueContainer.style.textAlign = 'center';
+                    valueContainer.style.padding = 'var(--spacing-sm)';
+                    valueContainer.style.background = 'var(--bg-hover)';
+                    valueContainer.style.borderRadius = 'var(--border-radius-sm)';
+                    valueContainer.style.fontWeight = 'bold';
+
+                    const value = document.createElement('span');
+                    value.textContent = range.value === '0' ? 'Unlimited' : range.value;
+                    valueContainer.appendChild(value);
+
+                    range.oninput = () => {
+                        value.textContent = range.value === '0' ? 'Unlimited' : range.value;
+                        
+                        // Instantly apply changes
+                        settings[id] = parseInt(range.value);
+                        GM_setValue('ytTimestampSettings', settings);
+                        document.querySelectorAll('.eviction-view').forEach(view => view.refresh?.());
+                    };
+
+                    rangeContainer.appendChild(range);
+                    rangeContainer.appendChild(valueContainer);
+                    control.appendChild(rangeContainer);
+                } else {
+                    const input = document.createElement('input');
+                    input.type = 'number';
+                    input.id = id;
+                    input.value = settings[id] || '';
+                    input.className = 'modern-input';
+                    
+                    input.addEventListener('change', () => {
+                        settings[id] = parseInt(input.value);
+                        GM_setValue('ytTimestampSettings', settings);
+                    });
+                    
+                    container.appendChild(input);
+                    control.appendChild(container);
+                }
                 break;
 
-            case 'percent-slider':
-                const percentContainer = document.createElement('div');
-                percentContainer.style.display = 'flex';
-                percentContainer.style.alignItems = 'center';
-                percentContainer.style.gap = 'var(--spacing-md)';
-                percentContainer.style.width = '100%';
+            case 'sync-selector':
+                const syncSelector = document.createElement('div');
+                syncSelector.className = 'sync-selector';
+                syncSelector.style.display = 'grid';
+                syncSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
+                syncSelector.style.gap = 'var(--spacing-md)';
+                syncSelector.style.width = '100%';
+                
+                const syncOptions = [
+                    {
+                        value: 'newest',
+                        label: 'Keep Newest',
+                        description: 'Always use the most recent timestamp',
+                        icon: '🔄',
+                        color: '#4CAF50'
+                    },
+                    {
+                        value: 'manual',
+                        label: 'Manual Choice',
+                        description: 'Choose which timestamp to keep',
+                        icon: '👆',
+                        color: '#2196F3'
+                    },
+                    {
+                        value: 'merge',
+                        label: 'Smart Merge',
+                        description: 'Intelligently combine timestamps',
+                        icon: '🔀',
+                        color: '#9C27B0'
+                    }
+                ];
+                
+                syncOptions.forEach(option => {
+                    const syncOption = document.createElement('div');
+                    syncOption.className = `sync-option ${settings.syncBehavior === option.value ? 'active' : ''}`;
+                    syncOption.style.padding = 'var(--spacing-md)';
+                    syncOption.style.borderRadius = 'var(--border-radius-md)';
+                    syncOption.style.background = 'var(--bg-hover)';
+                    syncOption.style.cursor = 'pointer';
+                    syncOption.style.transition = 'var(--transition-smooth)';
+                    syncOption.style.border = '2px solid transparent';
+                    syncOption.style.display = 'flex';
+                    syncOption.style.flexDirection = 'column';
+                    syncOption.style.alignItems = 'center';
+                    syncOption.style.gap = 'var(--spacing-sm)';
+                    
+                    // Create preview container
+                    const preview = document.createElement('div');
+                    preview.className = 'sync-preview';
+                    preview.style.width = '100%';
+                    preview.style.height = '80px';
+                    preview.style.borderRadius = 'var(--border-radius-sm)';
+                    preview.style.background = 'var(--bg-secondary)';
+                    preview.style.border = '1px solid var(--border-color)';
+                    preview.style.display = 'flex';
+                    preview.style.alignItems = 'center';
+                    preview.style.justifyContent = 'center';
+                    preview.style.position = 'relative';
+                    preview.style.overflow = 'hidden';
+                    preview.style.marginBottom = 'var(--spacing-sm)';
+
+                    // Create icon container
+                    const iconContainer = document.createElement('div');
+                    iconContainer.style.width = '40px';
+                    iconContainer.style.height = '40px';
+                    iconContainer.style.borderRadius = '50%';
+                    iconContainer.style.background = option.color;
+                    iconContainer.style.display = 'flex';
+                    iconContainer.style.alignItems = 'center';
+                    iconContainer.style.justifyContent = 'center';
+                    iconContainer.style.fontSize = '24px';
+                    iconContainer.style.color = '#ffffff';
+                    iconContainer.style.boxShadow = '0 2px 8px ' + option.color + '80';
+                    iconContainer.textContent = option.icon;
 
-                const percentRange = document.createElement('input');
-                percentRange.type = 'range';
-                percentRange.id = id;
-                percentRange.className = 'modern-input';
-                percentRange.min = '10';
-                percentRange.max = '100';
-                percentRange.step = '5';
-                percentRange.value = settings[id] || 90;
+                    // Create visual representation
+                    const visualEffect = document.createElement('div');
+                    visualEffect.style.position = 'absolute';
+                    visualEffect.style.bottom = '0';
+                    visualEffect.style.left = '0';
+                    visualEffect.style.width = '100%';
+                    visualEffect.style.height = '4px';
+                    visualEffect.style.background = option.color;
+                    visualEffect.style.opacity = '0.8';
 
-                const percentValueContainer = document.createElement('div');
-                percentValueContainer.style.minWidth = '80px';
-                percentValueContainer.style.textAlign = 'center';
-                percentValueContainer.style.padding = 'var(--spacing-sm)';
-                percentValueContainer.style.background = 'var(--bg-hover)';
-                percentValueContainer.style.borderRadius = 'var(--border-radius-sm)';
-                percentValueContainer.style.fontWeight = 'bold';
+                    preview.appendChild(iconContainer);
+                    preview.appendChild(visualEffect);
+                    
+                    // Create label
+                    const label = document.createElement('div');
+                    label.className = 'sync-label';
+                    label.textContent = option.label;
+                    label.style.fontWeight = '500';
+                    label.style.color = 'var(--text-primary)';
+                    label.style.fontSize = '14px';
+                    
+                    // Create description
+                    const description = document.createElement('div');
+                    description.className = 'sync-description';
+                    description.textContent = option.description;
+                    description.style.color = 'var(--text-secondary)';
+                    description.style.fontSize = '12px';
+                    description.style.textAlign = 'center';
 
-                const percentValue = document.createElement('span');
-                percentValue.textContent = `${percentRange.value}%`;
-                percentValueContainer.appendChild(percentValue);
+                    syncOption.appendChild(preview);
+                    syncOption.appendChild(label);
+                    syncOption.appendChild(description);
 
-                percentRange.oninput = () => {
-                    percentValue.textContent = `${percentRange.value}%`;
+                    // Add hover and active states
+                    syncOption.addEventListener('mouseover', () => {
+                        if (!syncOption.classList.contains('active')) {
+                            syncOption.style.background = 'var(--bg-active)';
+                            syncOption.style.transform = 'translateY(-2px)';
+                        }
+                    });
 
-                    // Instantly apply changes
-                    settings[id] = parseInt(percentRange.value);
-                    GM_setValue('ytTimestampSettings', settings);
+                    syncOption.addEventListener('mouseout', () => {
+                        if (!syncOption.classList.contains('active')) {
+                            syncOption.style.background = 'var(--bg-hover)';
+                            syncOption.style.transform = 'none';
+                        }
+                    });
 
-                    // Update theme immediately
-                    updateThemeVariables();
+                    // Add click handler
+                    syncOption.addEventListener('click', () => {
+                        syncSelector.querySelectorAll('.sync-option').forEach(opt => {
+                            opt.classList.remove('active');
+                            opt.style.background = 'var(--bg-hover)';
+                            opt.style.borderColor = 'transparent';
+                            opt.style.transform = 'none';
+                        });
+                        
+                        syncOption.classList.add('active');
+                        syncOption.style.background = 'var(--bg-active)';
+                        syncOption.style.borderColor = option.color;
+                        syncOption.style.transform = 'translateY(-2px)';
+                        
+                        settings.syncBehavior = option.value;
+                        GM_setValue('ytTimestampSettings', settings);
+                        
+                        showNotification(`Sync mode set to ${option.label}`, option.icon);
+                    });
 
-                    // Show preview for opacity changes
-                    if (id === 'notificationOpacity') {
-                        // Force update opacity immediately
-                        if (notificationContainer) {
-                            notificationContainer.style.setProperty('--bg-opacity', (percentRange.value / 100).toString());
-                        }
-                        showNotification('Opacity preview: ' + percentRange.value + '%', '⚙️');
+                    // Set initial active state
+                    if (settings.syncBehavior === option.value) {
+                        syncOption.classList.add('active');
+                        syncOption.style.background = 'var(--bg-active)';
+                        syncOption.style.borderColor = option.color;
                     }
-                };
+                    
+                    syncSelector.appendChild(syncOption);
+                });
+                
+                control.appendChild(syncSelector);
+                control.style.width = '100%';
+                break;
 
-                percentContainer.appendChild(percentRange);
-                percentContainer.appendChild(percentValueContainer);
-                control.appendChild(percentContainer);
+            case 'library':
+                control.appendChild(createLibraryView());
+                control.style.width = '100%';
                 break;
 
-            case 'format-selector':
-                // Create a visual format selector with examples
-                const formatContainer = document.createElement('div');
-                formatContainer.style.display = 'grid';
-                formatContainer.style.gap = 'var(--spacing-sm)';
-                formatContainer.style.gridTemplateColumns = 'repeat(3, 1fr)';
+            case 'rules':
+                control.appendChild(createRulesView());
+                control.style.width = '100%';
+                break;
 
-                const formats = [
-                    { value: 'seconds', label: 'Seconds', example: '123s' },
-                    { value: 'mm:ss', label: 'Minutes:Seconds', example: '2:03' },
-                    { value: 'hh:mm:ss', label: 'Hours:Minutes:Seconds', example: '1:02:03' }
-                ];
+            case 'eviction-preview':
+                control.appendChild(createEvictionPreviewView());
+                control.style.width = '100%';
+                break;
 
-                formats.forEach(format => {
-                    const formatOption = document.createElement('div');
-                    formatOption.className = `format-option ${settings.timestampFormat === format.value ? 'active' : ''}`;
-                    formatOption.style.padding = 'var(--spacing-sm)';
-                    formatOption.style.borderRadius = 'var(--border-radius-sm)';
-                    formatOption.style.background = 'var(--bg-hover)';
-                    formatOption.style.cursor = 'pointer';
-                    formatOption.style.textAlign = 'center';
-                    formatOption.style.transition = 'var(--transition-smooth)';
-                    formatOption.style.border = '2px solid transparent';
+            case 'archive':
+                control.appendChild(createArchiveView());
+                control.style.width = '100%';
+                break;
 
-                    if (settings.timestampFormat === format.value) {
-                        formatOption.style.borderColor = 'var(--primary-color)';
-                        formatOption.style.background = 'var(--bg-active)';
-                    }
+            case 'snapshots':
+                control.appendChild(createSnapshotsView());
+                control.style.width = '100%';
+                break;
 
-                    const formatLabel = document.createElement('div');
-                    formatLabel.textContent = format.label;
-                    formatLabel.style.fontWeight = 'bold';
+            case 'undo-history':
+                control.appendChild(createUndoHistoryView());
+                control.style.width = '100%';
+                break;
 
-                    const formatExample = document.createElement('div');
-                    formatExample.textContent = format.example;
-                    formatExample.style.color = 'var(--text-secondary)';
-                    formatExample.style.fontSize = '13px';
-                    formatExample.style.marginTop = '4px';
+            case 'activity-log':
+                control.appendChild(createActivityView());
+                control.style.width = '100%';
+                break;
 
-                    formatOption.appendChild(formatLabel);
-                    formatOption.appendChild(formatExample);
+            case 'storage-backend':
+                control.appendChild(createStorageBackendView());
+                control.style.width = '100%';
+                break;
 
-                    formatOption.addEventListener('click', () => {
-                        formatContainer.querySelectorAll('.format-option').forEach(opt => {
-                            opt.style.borderColor = 'transparent';
-                            opt.style.background = 'var(--bg-hover)';
-                            opt.classList.remove('active');
-                        });
+            case 'data-transfer':
+                control.appendChild(createDataTransferView());
+                control.style.width = '100%';
+                break;
+        }
 
-                        formatOption.style.borderColor = 'var(--primary-color)';
-                        formatOption.style.background = 'var(--bg-active)';
-                        formatOption.classList.add('active');
+        header.appendChild(control);
+        option.appendChild(header);
 
-                        settings.timestampFormat = format.value;
-                        GM_setValue('ytTimestampSettings', settings);
-                    });
+        return option;
+    };
+
+    // Apply preset configuration
+    const applyPreset = (presetName) => {
+        try {
+            const presets = {
+                chrome: {
+                    saveHotkey: 'CTRL+S',
+                    restoreHotkey: 'CTRL+R',
+                    settingsHotkey: 'CTRL+SHIFT+S',
+                    customAccentColor: '#4285F4', // Chrome blue
+                    notificationPosition: {
+                        duringPlayback: {
+                            position: 'top-right',
+                            margin: 120
+                        },
+                        onHomepage: {
+                            position: 'bottom-right',
+                            margin: 120
+                        }
+                    },
+                    themeMode: 'dark',
+                    blurAmount: 24
+                },
+                firefox: {
+                    saveHotkey: 'CTRL+S',
+                    restoreHotkey: 'CTRL+R',
+                    settingsHotkey: 'CTRL+SHIFT+S',
+                    customAccentColor: '#FF9500', // Firefox orange
+                    notificationPosition: {
+                        duringPlayback: {
+                            position: 'top-right',
+                            margin: 120
+                        },
+                        onHomepage: {
+                            position: 'bottom-right',
+                            margin: 120
+                        }
+                    },
+                    themeMode: 'dark',
+                    blurAmount: 24
+                },
+                custom: { } // No changes, use current settings
+            };
+
+            if (presetName !== 'custom' && presets[presetName]) {
+                // Deep merge settings to preserve nested structures
+                const newSettings = {
+                    ...settings,
+                    ...presets[presetName],
+                    notificationPosition: {
+                        duringPlayback: {
+                            ...settings.notificationPosition.duringPlayback,
+                            ...presets[presetName].notificationPosition?.duringPlayback
+                        },
+                        onHomepage: {
+                            ...settings.notificationPosition.onHomepage,
+                            ...presets[presetName].notificationPosition?.onHomepage
+                        }
+                    }
+                };
+                
+                // Update settings
+                const undoId = runUndoable(`Apply ${presetName} preset`, () => {
+                    Object.assign(settings, newSettings);
+                    settings.preset = presetName;
 
-                    formatContainer.appendChild(formatOption);
+                    // Save to storage
+                    GM_setValue('ytTimestampSettings', settings);
                 });
 
-                control.appendChild(formatContainer);
-                break;
+                // Update the UI to reflect new settings
+                updateThemeVariables();
 
-            case 'color':
-                const colorPicker = document.createElement('div');
-                colorPicker.className = 'color-picker';
-                const colors = ['#2196F3', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#06B6D4', '#EC4899', '#6366F1'];
+                // Refresh the settings UI
+                const settingsUI = document.querySelector('.yt-timestamp-settings');
+                if (settingsUI) {
+                    settingsUI.remove();
+                    openSettingsUI();
+                }
 
-                colors.forEach(color => {
-                    const colorOption = document.createElement('div');
-                    colorOption.className = `color-option ${settings[id] === color ? 'active' : ''}`;
-                    colorOption.style.backgroundColor = color;
+                showNotification(`Applied ${presetName} preset!`, '✨', settings.notificationDuration, {
+                    actions: [createUndoNotificationAction(undoId)]
+                });
+            }
+        } catch (error) {
+            console.error('Error applying preset:', error);
+            showNotification('Error applying preset!', '❌', settings.notificationDuration, { priority: 'high' });
+        }
+    };
 
-                    // Apply active styling
-                    if (settings[id] === color) {
-                        colorOption.style.border = '2px solid var(--text-primary)';
-                        colorOption.style.transform = 'scale(1.1)';
-                    } else {
-                        colorOption.style.border = '2px solid transparent';
-                    }
+    const createQuickControls = () => {
+        // Remove existing controls if any
+        const existingControls = document.querySelector('.timestamp-controls');
+        if (existingControls) {
+            existingControls.remove();
+        }
 
-                    colorOption.onclick = () => {
-                        colorPicker.querySelectorAll('.color-option').forEach(opt => {
-                            opt.classList.remove('active');
-                            opt.style.border = '2px solid transparent';
-                            opt.style.transform = 'none';
-                        });
+        const controlsContainer = document.createElement('div');
+        controlsContainer.className = 'timestamp-controls';
+        controlsContainer.style.cssText = `
+            position: absolute;
+            left: 10px;
+            bottom: 10px;
+            z-index: 9999;
+            display: ${settings.showQuickControls ? 'flex' : 'none'};
+            gap: 10px;
+            transition: opacity 0.3s ease;
+            opacity: 1;
+        `;
 
-                        colorOption.classList.add('active');
-                        colorOption.style.border = '2px solid var(--text-primary)';
-                        colorOption.style.transform = 'scale(1.1)';
+        // Add mouseout event to hide controls
+        const playerElement = document.querySelector('.html5-video-container');
+        if (playerElement) {
+            playerElement.addEventListener('mouseenter', () => {
+                controlsContainer.style.opacity = '1';
+                controlsContainer.style.pointerEvents = 'auto';
+            });
 
-                        // Update setting and apply immediately
-                        settings[id] = color;
-                        GM_setValue('ytTimestampSettings', settings);
+            playerElement.addEventListener('mouseleave', () => {
+                controlsContainer.style.opacity = '0';
+                controlsContainer.style.pointerEvents = 'none';
+            });
+        }
 
-                        // Force update to DOM properties directly
-                        document.documentElement.style.setProperty('--primary-color', color);
+        // Create buttons using DOM methods instead of innerHTML
+        const createButton = (emoji, text, title, clickHandler) => {
+            const button = document.createElement('button');
+            button.className = 'timestamp-button';
+            button.title = title;
 
-                        // Update any UI elements using the accent color
-                        const settingsUI = document.querySelector('.yt-timestamp-settings');
-                        if (settingsUI) {
-                            const accentElements = settingsUI.querySelectorAll('.settings-tab.active, input:checked + .modern-slider, .modern-input[type="range"]::-webkit-slider-thumb, .position-option.active, .format-option.active, .browser-preset.active, .size-option.active, .theme-option.active, .sync-option.active');
-                            accentElements.forEach(el => {
-                                if (el.classList.contains('modern-slider')) {
-                                    el.style.backgroundColor = color;
-                                } else if (el.classList.contains('theme-option')) {
-                                    if (el.classList.contains('active')) {
-                                    el.style.borderColor = color;
-                                    } else {
-                                        el.style.borderColor = 'transparent';
-                                    }
-                                } else if (el.classList.contains('format-option') || el.classList.contains('browser-preset') || el.classList.contains('size-option') || el.classList.contains('sync-option')) {
-                                    if (el.classList.contains('active')) {
-                                        el.style.borderColor = color;
-                                    }
-                                } else if (el.classList.contains('position-option') || el.classList.contains('screen-representation')) {
-                                    el.style.background = color;
-                                } else if (el.classList.contains('settings-tab')) {
-                                    el.style.color = color;
-                                    el.style.borderColor = color;
-                                }
-                            });
-                        }
+            const emojiSpan = document.createElement('span');
+            emojiSpan.className = 'emoji';
+            emojiSpan.textContent = emoji;
 
-                        // Update the notification container colors
-                        if (notificationContainer) {
-                            const progressBar = notificationContainer.querySelector('.notification-progress');
-                            if (progressBar) {
-                                progressBar.style.background = color;
-                            }
-                        }
+            button.appendChild(emojiSpan);
+            button.appendChild(document.createTextNode(' ' + text));
 
-                        // Immediately update theme variables to reflect color change
-                        updateThemeVariables();
+            button.addEventListener('click', clickHandler);
+            return button;
+        };
 
-                        // Show a notification with the new color
-                        showNotification('Accent color updated', '🎨');
-                    };
-                    colorPicker.appendChild(colorOption);
-                });
+        // Save button
+        const saveButton = createButton('💾', 'Save Position', 'Save current video position', () => {
+            const video = getVideoElement();
+            const videoId = getVideoId();
+            if (video && videoId) {
+                saveTimestamp(videoId, video.currentTime, true);
+            }
+        });
 
-                control.appendChild(colorPicker);
-                break;
+        // Bookmark button
+        const bookmarkButton = createButton('🔖', 'Bookmark', 'Add a named bookmark at the current time', bookmarkCurrentPosition);
 
-            case 'hotkey':
-                const hotkeyInput = document.createElement('input');
-                hotkeyInput.type = 'text';
-                hotkeyInput.id = id;
-                hotkeyInput.className = 'modern-input';
-                hotkeyInput.value = settings[id] || '';
-                hotkeyInput.placeholder = 'Click to set hotkey';
-                hotkeyInput.readOnly = true;
+        // Restore button
+        const restoreButton = createButton('⏮️', 'Restore', 'Jump to last saved position', () => {
+            const video = getVideoElement();
+            const videoId = getVideoId();
+            if (video && videoId) {
+                const savedData = loadTimestamp(videoId);
+                if (savedData) {
+                    video.currentTime = savedData.time;
+                    unarchiveOnResume(videoId);
+                    showNotification(`Jumped back to ${formatTime(savedData.time)}`, '⏮️');
+                } else {
+                    showNotification('No saved position found', '🔍');
+                }
+            }
+        });
 
-                hotkeyInput.addEventListener('focus', function() {
-                    this.value = '';
-                    this.placeholder = 'Press key combination...';
+        // Clear button
+        const clearButton = createButton('🗑️', 'Clear Saved', 'Clear saved position for this video', () => {
+            const videoId = getVideoId();
+            if (videoId) {
+                const undoId = runUndoable('Clear saved position', () => {
+                    const entry = readTimestamp(videoId);
+                    if (entry) {
+                        createActionSnapshot('before-clear', [entry]);
+                    }
+                    // Bookmarks and their notes stay; only the resume position is cleared
+                    commitTimestampChanges({
+                        [videoId]: entry?.bookmarks?.length ? { ...entry, time: 0, savedAt: Date.now() } : null
+                    });
                 });
+                showNotification('Timestamp cleared! 🧹', '✨', settings.notificationDuration, {
+                    actions: [createUndoNotificationAction(undoId)]
+                });
+            }
+        });
 
-                hotkeyInput.addEventListener('keydown', function(e) {
-                    e.preventDefault();
-
-                    const keyCombo = [];
-                    if (e.ctrlKey) keyCombo.push('CTRL');
-                    if (e.altKey) keyCombo.push('ALT');
-                    if (e.shiftKey) keyCombo.push('SHIFT');
-
-                    if (e.key !== 'Control' && e.key !== 'Alt' && e.key !== 'Shift') {
-                        keyCombo.push(e.key.toUpperCase());
-                        this.value = keyCombo.join('+');
-
-                        // Save the hotkey immediately
-                        settings[id] = this.value;
-                        GM_setValue('ytTimestampSettings', settings);
+        controlsContainer.appendChild(saveButton);
+        controlsContainer.appendChild(bookmarkButton);
+        controlsContainer.appendChild(restoreButton);
+        controlsContainer.appendChild(clearButton);
 
-                        this.blur();
-                    }
-                });
+        const playerControls = document.querySelector('.ytp-right-controls');
+        if (playerControls) {
+            playerControls.parentElement.insertBefore(controlsContainer, playerControls);
+        }
+    };
 
-                hotkeyInput.addEventListener('blur', function() {
-                    if (!this.value) {
-                        this.placeholder = 'Click to set hotkey';
-                    }
-                });
+    // Library view listing every stored timestamp with search, sort and resume links
+    const createLibraryView = () => {
+        const view = document.createElement('div');
+        view.className = 'library-view';
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'library-toolbar';
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'library-search';
+        searchInput.placeholder = 'Search saved videos...';
+
+        const sortSelect = document.createElement('select');
+        sortSelect.className = 'modern-select';
+        const sortOptions = [
+            { value: 'recent', label: 'Last watched' },
+            { value: 'progress', label: '% complete' },
+            { value: 'duration', label: 'Duration' }
+        ];
+        sortOptions.forEach(sortOption => {
+            const option = document.createElement('option');
+            option.value = sortOption.value;
+            option.textContent = sortOption.label;
+            option.selected = settings.librarySort === sortOption.value;
+            sortSelect.appendChild(option);
+        });
 
-                control.appendChild(hotkeyInput);
-                break;
+        const filterSelect = document.createElement('select');
+        filterSelect.className = 'modern-select';
+        const filterOptions = [
+            { value: 'all', label: 'All videos' },
+            { value: 'in-progress', label: 'In progress' },
+            { value: 'finished', label: 'Finished' }
+        ];
+        filterOptions.forEach(filterOption => {
+            const option = document.createElement('option');
+            option.value = filterOption.value;
+            option.textContent = filterOption.label;
+            option.selected = settings.libraryFilter === filterOption.value;
+            filterSelect.appendChild(option);
+        });
 
-            case 'position-picker':
-                const positionSelector = document.createElement('div');
-                positionSelector.className = 'position-selector';
-                positionSelector.style.display = 'flex';
-                positionSelector.style.gap = 'var(--spacing-lg)';
-                positionSelector.style.width = '100%';
-                positionSelector.style.padding = 'var(--spacing-md)';
-                positionSelector.style.background = 'var(--bg-secondary)';
-                positionSelector.style.borderRadius = 'var(--border-radius-lg)';
+        toolbar.appendChild(searchInput);
+        toolbar.appendChild(filterSelect);
+        toolbar.appendChild(sortSelect);
 
-                // Create containers for both states
-                const states = [
-                    { 
-                        id: 'duringPlayback', 
-                        label: 'During Playback', 
-                        icon: '▶️', 
-                        description: 'Controls notification position while watching videos on a watch page. Applies when video is playing.'
-                    },
-                    { 
-                        id: 'onHomepage', 
-                        label: 'On Homepage', 
-                        icon: '🏠', 
-                        description: 'Controls notification position while browsing the YouTube homepage or when no video is playing.'
-                    }
-                ];
+        const summary = document.createElement('div');
+        summary.className = 'library-summary';
 
-                states.forEach(state => {
-                    const stateContainer = document.createElement('div');
-                    stateContainer.className = 'position-state-container';
-                    stateContainer.style.flex = '1';
-                    stateContainer.style.display = 'flex';
-                    stateContainer.style.flexDirection = 'column';
-                    stateContainer.style.gap = 'var(--spacing-md)';
+        const list = document.createElement('div');
+        list.className = 'library-list';
 
-                    // Create state header with description
-                    const stateHeader = document.createElement('div');
-                    stateHeader.className = 'position-state-header';
-                    stateHeader.style.display = 'flex';
-                    stateHeader.style.flexDirection = 'column';
-                    stateHeader.style.gap = 'var(--spacing-xs)';
-                    stateHeader.style.padding = 'var(--spacing-sm) var(--spacing-md)';
-                    stateHeader.style.background = 'var(--bg-hover)';
-                    stateHeader.style.borderRadius = 'var(--border-radius-md)';
+        const playlistSection = document.createElement('div');
+        playlistSection.className = 'library-playlists';
 
-                    const headerTitle = document.createElement('div');
-                    headerTitle.style.display = 'flex';
-                    headerTitle.style.alignItems = 'center';
-                    headerTitle.style.gap = 'var(--spacing-sm)';
-                    headerTitle.style.fontWeight = '500';
-                    headerTitle.style.fontSize = '14px';
+        const filters = {
+            all: () => true,
+            'in-progress': isEntryInProgress,
+            finished: (entry) => isEntryFinished(entry)
+        };
 
-                    const stateIcon = document.createElement('span');
-                    stateIcon.className = 'position-state-icon';
-                    stateIcon.textContent = state.icon;
-                    stateIcon.style.fontSize = '16px';
-                    stateIcon.style.opacity = '0.9';
+        const sorters = {
+            recent: (a, b) => (b[1].savedAt || 0) - (a[1].savedAt || 0),
+            progress: (a, b) => getEntryProgress(b[1]) - getEntryProgress(a[1]),
+            duration: (a, b) => (b[1].duration || 0) - (a[1].duration || 0)
+        };
 
-                    const stateLabel = document.createElement('span');
-                    stateLabel.textContent = state.label;
+        const createLibraryItem = (videoId, entry) => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+
+            if (isYouTubeThumbnail(entry.thumbnail)) {
+                const thumbnail = document.createElement('img');
+                thumbnail.className = 'library-thumb';
+                thumbnail.src = entry.thumbnail;
+                thumbnail.alt = '';
+                thumbnail.loading = 'lazy';
+                item.appendChild(thumbnail);
+            }
 
-                    headerTitle.appendChild(stateIcon);
-                    headerTitle.appendChild(stateLabel);
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'library-item-title';
+            title.textContent = entry.title || 'Untitled video';
+            title.title = entry.title || videoId;
+
+            const progress = document.createElement('div');
+            progress.className = 'library-progress';
+            const progressFill = document.createElement('div');
+            progressFill.className = 'library-progress-fill';
+            progressFill.style.width = `${Math.round(getEntryProgress(entry) * 100)}%`;
+            progress.appendChild(progressFill);
+
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            const durationText = entry.duration ? formatTime(entry.duration) : '?';
+            const percentText = entry.duration ? ` (${Math.round(getEntryProgress(entry) * 100)}%)` : '';
+            const bookmarkCount = entry.bookmarks?.length || 0;
+            const bookmarkText = bookmarkCount > 0 ? ` • ${bookmarkCount} bookmark${bookmarkCount === 1 ? '' : 's'}` : '';
+            const channelText = entry.channel ? `${entry.channel} • ` : '';
+            const liveText = entry.isLive ? '🔴 Live • ' : '';
+            meta.textContent = isEntryFinished(entry)
+                ? `${channelText}${liveText}✅ Watched ${formatDate(entry.completedAt || entry.savedAt)} • ${durationText}${bookmarkText}`
+                : `${channelText}${liveText}${formatTime(entry.time || 0)} / ${durationText}${percentText} • Saved ${formatDate(entry.savedAt)}${bookmarkText}`;
+
+            info.appendChild(title);
+            info.appendChild(progress);
+            info.appendChild(meta);
+            item.appendChild(info);
+
+            // Pinned videos are never evicted when the store is full
+            const pinButton = document.createElement('button');
+            pinButton.className = `library-pin${entry.pinned ? ' pinned' : ''}`;
+            pinButton.textContent = '📌';
+            pinButton.title = entry.pinned ? 'Unpin (may be evicted when storage is full)' : 'Pin (never evicted)';
+            pinButton.addEventListener('click', () => {
+                setTimestampPinned(videoId, !entry.pinned);
+                render();
+            });
+            item.appendChild(pinButton);
+
+            if (isEntryFinished(entry)) {
+                progressFill.style.width = '100%';
+
+                const unwatchButton = document.createElement('button');
+                unwatchButton.className = 'settings-action-button';
+                unwatchButton.textContent = 'Mark unwatched';
+                unwatchButton.title = 'Resume this video from its saved position again';
+                unwatchButton.addEventListener('click', () => {
+                    markVideoUnwatched(videoId);
+                    render();
+                });
+                item.appendChild(unwatchButton);
+            }
 
-                    const stateDescription = document.createElement('div');
-                    stateDescription.textContent = state.description;
-                    stateDescription.style.fontSize = '12px';
-                    stateDescription.style.color = 'var(--text-secondary)';
-                    stateDescription.style.marginTop = '2px';
-                    stateDescription.style.lineHeight = '1.4';
+            const resumeLink = document.createElement('a');
+            resumeLink.className = 'library-resume';
+            resumeLink.href = buildResumeUrl(videoId, isEntryFinished(entry) ? 0 : entry.time);
+            resumeLink.textContent = isEntryFinished(entry) ? '↺ Rewatch' : '▶ Resume';
+            resumeLink.title = isEntryFinished(entry) ? 'Watch again from the start' : `Resume at ${formatTime(entry.time || 0)}`;
 
-                    stateHeader.appendChild(headerTitle);
-                    stateHeader.appendChild(stateDescription);
-                    stateContainer.appendChild(stateHeader);
+            item.appendChild(resumeLink);
+            return item;
+        };
 
-                    // Create grid container
-                    const gridContainer = document.createElement('div');
-                    gridContainer.className = 'position-grid-container';
-                    gridContainer.style.display = 'flex';
-                    gridContainer.style.flexDirection = 'column';
-                    gridContainer.style.gap = 'var(--spacing-md)';
-                    gridContainer.style.padding = 'var(--spacing-md)';
-                    gridContainer.style.background = 'var(--bg-hover)';
-                    gridContainer.style.borderRadius = 'var(--border-radius-md)';
+        const createPlaylistItem = (listId, playlist, timestamps) => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
 
-                    // Create position grid
-                    const positionGrid = document.createElement('div');
-                    positionGrid.className = 'position-grid';
-                    positionGrid.style.display = 'grid';
-                    positionGrid.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                    positionGrid.style.gap = '8px';
-                    positionGrid.style.aspectRatio = '1';
-                    positionGrid.style.width = '180px';
-                    positionGrid.style.margin = '0 auto';
-                    positionGrid.style.border = 'none'; // Remove dotted border
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
 
-                const positions = [
-                        { value: 'top-left', icon: '↖️', label: 'Top Left' },
-                        { value: 'top-center', icon: '⬆️', label: 'Top Center' },
-                        { value: 'top-right', icon: '↗️', label: 'Top Right' },
-                        { value: 'center-left', icon: '⬅️', label: 'Center Left' },
-                        { value: 'center-center', icon: '⏺️', label: 'Center' },
-                        { value: 'center-right', icon: '➡️', label: 'Center Right' },
-                        { value: 'bottom-left', icon: '↙️', label: 'Bottom Left' },
-                        { value: 'bottom-center', icon: '⬇️', label: 'Bottom Center' },
-                        { value: 'bottom-right', icon: '↘️', label: 'Bottom Right' }
-                ];
+            const stats = getPlaylistStats(playlist, timestamps);
 
-                positions.forEach(position => {
-                    const positionOption = document.createElement('div');
-                        positionOption.className = `position-option ${settings.notificationPosition[state.id]?.position === position.value ? 'active' : ''}`;
-                    positionOption.dataset.position = position.value;
-                        positionOption.style.width = '100%';
-                        positionOption.style.aspectRatio = '1';
-                        positionOption.style.borderRadius = 'var(--border-radius-sm)';
-                        positionOption.style.background = 'var(--bg-primary)';
-                        positionOption.style.border = '1px solid var(--border-color)';
-                        positionOption.style.cursor = 'pointer';
-                        positionOption.style.transition = 'var(--transition-smooth)';
-                        positionOption.style.position = 'relative';
-                        positionOption.style.display = 'flex';
-                        positionOption.style.alignItems = 'center';
-                        positionOption.style.justifyContent = 'center';
-                        positionOption.style.overflow = 'hidden';
-                        positionOption.style.padding = '0'; // Ensure no padding affects icon size
+            const title = document.createElement('div');
+            title.className = 'library-item-title';
+            title.textContent = `📃 ${playlist.title || listId}`;
 
-                        // Create icon container with fixed size
-                        const iconContainer = document.createElement('div');
-                        iconContainer.className = 'position-icon';
-                        iconContainer.style.width = '16px'; // Fixed size for icon
-                        iconContainer.style.height = '16px';
-                        iconContainer.style.fontSize = '14px'; // Slightly smaller icon
-                        iconContainer.style.opacity = '0.7';
-                        iconContainer.style.transition = 'var(--transition-smooth)';
-                        iconContainer.style.display = 'flex';
-                        iconContainer.style.alignItems = 'center';
-                        iconContainer.style.justifyContent = 'center';
-                        iconContainer.style.transform = 'translateZ(0)'; // Force GPU acceleration
-                        iconContainer.textContent = position.icon;
+            const progress = document.createElement('div');
+            progress.className = 'library-progress';
+            const progressFill = document.createElement('div');
+            progressFill.className = 'library-progress-fill';
+            progressFill.style.width = `${stats.total ? Math.round((stats.finished / stats.total) * 100) : 0}%`;
+            progress.appendChild(progressFill);
 
-                        // Add tooltip with position name
-                        positionOption.title = position.label;
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            meta.textContent = `${describePlaylistStats(stats)} • Last played ${formatDate(playlist.updatedAt)}`;
 
-                        positionOption.appendChild(iconContainer);
+            info.appendChild(title);
+            info.appendChild(progress);
+            info.appendChild(meta);
 
-                        // Add hover effect
-                        positionOption.addEventListener('mouseover', () => {
-                            positionOption.style.background = 'var(--bg-active)';
-                            positionOption.style.transform = 'scale(1.05)';
-                            iconContainer.style.opacity = '1';
-                        });
+            const continueLink = document.createElement('a');
+            continueLink.className = 'library-resume';
+            continueLink.href = buildResumeUrl(playlist.videoId, playlist.time, listId, playlist.index);
+            continueLink.textContent = '▶ Continue';
+            continueLink.title = `Continue at ${formatTime(playlist.time || 0)}`;
 
-                        positionOption.addEventListener('mouseout', () => {
-                            if (!positionOption.classList.contains('active')) {
-                                positionOption.style.background = 'var(--bg-primary)';
-                                positionOption.style.transform = 'none';
-                                iconContainer.style.opacity = '0.7';
-                            }
-                        });
+            item.appendChild(info);
+            item.appendChild(continueLink);
+            return item;
+        };
 
-                    // Add click handler
-                    positionOption.addEventListener('click', () => {
-                            // Update visual state of all options
-                            positionGrid.querySelectorAll('.position-option').forEach(opt => {
-                            opt.classList.remove('active');
-                                opt.style.background = 'var(--bg-primary)';
-                                opt.style.transform = 'none';
-                                opt.style.borderColor = 'var(--border-color)';
-                                opt.querySelector('.position-icon').style.opacity = '0.7';
-                        });
+        const renderPlaylists = (timestamps, query) => {
+            while (playlistSection.firstChild) {
+                playlistSection.removeChild(playlistSection.firstChild);
+            }
 
-                            // Update selected option appearance
-                        positionOption.classList.add('active');
-                            positionOption.style.background = settings.customAccentColor;
-                            positionOption.style.transform = 'scale(1.05)';
-                        positionOption.style.borderColor = settings.customAccentColor;
-                            iconContainer.style.opacity = '1';
-                            iconContainer.style.color = '#ffffff';
+            const playlists = Object.entries(readPlaylists())
+                .filter(([listId, playlist]) => !query ||
+                    (playlist.title || '').toLowerCase().includes(query) ||
+                    listId.toLowerCase().includes(query))
+                .sort((a, b) => (b[1].updatedAt || 0) - (a[1].updatedAt || 0));
 
-                            // Update settings
-                            if (!settings.notificationPosition[state.id]) {
-                                settings.notificationPosition[state.id] = {};
-                            }
-                            settings.notificationPosition[state.id].position = position.value;
-                        GM_setValue('ytTimestampSettings', settings);
+            playlistSection.style.display = playlists.length > 0 ? 'flex' : 'none';
+            if (playlists.length === 0) return;
 
-                        // Show preview notification
-                            showNotification(`${state.label} notifications will appear in the ${position.label.toLowerCase()}`, '📍')
-                                .then(() => {
-                                    // Force update notification position for any visible notifications
-                                    if (notificationContainer && notificationContainer.classList.contains('show')) {
-                                        updateNotificationPosition(notificationContainer);
-                                    }
-                                });
-                        });
+            const heading = document.createElement('div');
+            heading.className = 'library-summary';
+            heading.textContent = `${playlists.length} playlist${playlists.length === 1 ? '' : 's'}`;
+            playlistSection.appendChild(heading);
 
-                        // Set initial active state
-                        if (settings.notificationPosition[state.id]?.position === position.value) {
-                            positionOption.style.background = settings.customAccentColor;
-                        positionOption.style.borderColor = settings.customAccentColor;
-                            iconContainer.style.opacity = '1';
-                            iconContainer.style.color = '#ffffff';
-                        }
+            playlists.forEach(([listId, playlist]) => playlistSection.appendChild(createPlaylistItem(listId, playlist, timestamps)));
+        };
 
-                        positionGrid.appendChild(positionOption);
-                    });
+        const render = () => {
+            const timestamps = readTimestamps();
+            const query = searchInput.value.trim().toLowerCase();
+            const allEntries = Object.entries(timestamps);
 
-                    gridContainer.appendChild(positionGrid);
-                    stateContainer.appendChild(gridContainer);
-                    positionSelector.appendChild(stateContainer);
-                });
-                
-                control.appendChild(positionSelector);
-                control.style.width = '100%';
-                break;
+            renderPlaylists(timestamps, query);
 
-            case 'browser-preset-selector':
-                const presetSelector = document.createElement('div');
-                presetSelector.className = 'preset-selector';
-                presetSelector.style.display = 'grid';
-                presetSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                presetSelector.style.gap = 'var(--spacing-md)';
-                presetSelector.style.width = '100%';
+            const matchesFilter = filters[filterSelect.value] || filters.all;
+            const entries = allEntries
+                .filter(([, entry]) => matchesFilter(entry))
+                .filter(([videoId, entry]) => !query ||
+                    (entry.title || '').toLowerCase().includes(query) ||
+                    (entry.channel || '').toLowerCase().includes(query) ||
+                    videoId.toLowerCase().includes(query))
+                .sort(sorters[sortSelect.value] || sorters.recent);
 
-                const presets = [
-                    {
-                        id: 'custom',
-                        name: 'Custom',
-                        description: 'Keep your current settings',
-                        icon: '🛠️',
-                        accent: settings.customAccentColor
-                    },
-                    {
-                        id: 'chrome',
-                        name: 'Chrome',
-                        description: 'Chrome-styled with blue accent',
-                        icon: '🌐',
-                        accent: '#4285F4'
-                    },
-                    {
-                        id: 'firefox',
-                        name: 'Firefox',
-                        description: 'Firefox-styled with orange accent',
-                        icon: '🦊',
-                        accent: '#FF9500'
-                    }
-                ];
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
 
-                presets.forEach(preset => {
-                    const presetOption = document.createElement('div');
-                    presetOption.className = `preset-option ${settings.preset === preset.id ? 'active' : ''}`;
-                    presetOption.style.padding = 'var(--spacing-md)';
-                    presetOption.style.borderRadius = 'var(--border-radius-md)';
-                    presetOption.style.background = 'var(--bg-hover)';
-                    presetOption.style.cursor = 'pointer';
-                    presetOption.style.transition = 'var(--transition-smooth)';
-                    presetOption.style.border = '2px solid transparent';
-                    presetOption.style.display = 'flex';
-                    presetOption.style.flexDirection = 'column';
-                    presetOption.style.alignItems = 'center';
-                    presetOption.style.gap = 'var(--spacing-sm)';
+            const finishedCount = allEntries.filter(([, entry]) => isEntryFinished(entry)).length;
+            summary.textContent = (query || filterSelect.value !== 'all')
+                ? `${entries.length} of ${allEntries.length} saved videos match`
+                : `${allEntries.length} saved videos • ${finishedCount} finished`;
+
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = allEntries.length === 0
+                    ? 'No saved positions yet. Start watching and they will show up here.'
+                    : 'No saved videos match your search or filter.';
+                list.appendChild(empty);
+                return;
+            }
 
-                    // Create preview container
-                    const preview = document.createElement('div');
-                    preview.className = 'preset-preview';
-                    preview.style.width = '100%';
-                    preview.style.height = '80px';
-                    preview.style.borderRadius = 'var(--border-radius-sm)';
-                    preview.style.background = 'var(--bg-secondary)';
-                    preview.style.border = '1px solid var(--border-color)';
-                    preview.style.display = 'flex';
-                    preview.style.alignItems = 'center';
-                    preview.style.justifyContent = 'center';
-                    preview.style.position = 'relative';
-                    preview.style.overflow = 'hidden';
-                    preview.style.marginBottom = 'var(--spacing-sm)';
+            entries.forEach(([videoId, entry]) => list.appendChild(createLibraryItem(videoId, entry)));
+        };
 
-                    // Create accent color bar
-                    const accentBar = document.createElement('div');
-                    accentBar.style.position = 'absolute';
-                    accentBar.style.bottom = '0';
-                    accentBar.style.left = '0';
-                    accentBar.style.width = '100%';
-                    accentBar.style.height = '4px';
-                    accentBar.style.background = preset.accent;
-                    accentBar.style.opacity = '0.8';
+        searchInput.addEventListener('input', render);
+        filterSelect.addEventListener('change', () => {
+            settings.libraryFilter = filterSelect.value;
+            GM_setValue('ytTimestampSettings', settings);
+            render();
+        });
+        sortSelect.addEventListener('change', () => {
+            settings.librarySort = sortSelect.value;
+            GM_setValue('ytTimestampSettings', settings);
+            render();
+        });
 
-                    // Create icon container
-                    const iconContainer = document.createElement('div');
-                    iconContainer.style.width = '40px';
-                    iconContainer.style.height = '40px';
-                    iconContainer.style.borderRadius = '50%';
-                    iconContainer.style.background = preset.accent;
-                    iconContainer.style.display = 'flex';
-                    iconContainer.style.alignItems = 'center';
-                    iconContainer.style.justifyContent = 'center';
-                    iconContainer.style.fontSize = '24px';
-                    iconContainer.style.color = '#ffffff';
-                    iconContainer.style.boxShadow = '0 2px 8px ' + preset.accent + '80';
-                    iconContainer.textContent = preset.icon;
+        view.appendChild(toolbar);
+        view.appendChild(playlistSection);
+        view.appendChild(summary);
+        view.appendChild(list);
 
-                    preview.appendChild(iconContainer);
-                    preview.appendChild(accentBar);
+        // Expose refresh so the settings panel can re-read storage when shown
+        view.refresh = render;
+        render();
 
-                    // Create name label
-                    const name = document.createElement('div');
-                    name.className = 'preset-name';
-                    name.textContent = preset.name;
-                    name.style.fontWeight = '500';
-                    name.style.color = 'var(--text-primary)';
-                    name.style.fontSize = '14px';
+        return view;
+    };
 
-                    // Create description
-                    const description = document.createElement('div');
-                    description.className = 'preset-description';
-                    description.textContent = preset.description;
-                    description.style.color = 'var(--text-secondary)';
-                    description.style.fontSize = '12px';
-                    description.style.textAlign = 'center';
+    // Export button plus import file picker with a preview before committing
+    const createDataTransferView = () => {
+        const view = document.createElement('div');
+        view.className = 'transfer-view';
 
-                    presetOption.appendChild(preview);
-                    presetOption.appendChild(name);
-                    presetOption.appendChild(description);
+        const actions = document.createElement('div');
+        actions.className = 'transfer-actions';
 
-                    // Add hover and active states
-                    presetOption.addEventListener('mouseover', () => {
-                        if (!presetOption.classList.contains('active')) {
-                            presetOption.style.background = 'var(--bg-active)';
-                            presetOption.style.transform = 'translateY(-2px)';
-                        }
-                    });
+        const exportButton = document.createElement('button');
+        exportButton.className = 'settings-action-button';
+        exportButton.textContent = '⬇️ Export JSON';
+
+        const importButton = document.createElement('button');
+        importButton.className = 'settings-action-button';
+        importButton.textContent = '⬆️ Import JSON';
+
+        const fileInput = document.createElement('input');
+        fileInput.type = 'file';
+        fileInput.accept = '.json,application/json';
+        fileInput.style.display = 'none';
 
-                    presetOption.addEventListener('mouseout', () => {
-                        if (!presetOption.classList.contains('active')) {
-                            presetOption.style.background = 'var(--bg-hover)';
-                            presetOption.style.transform = 'none';
-                        }
-                    });
+        actions.appendChild(exportButton);
+        actions.appendChild(importButton);
+        actions.appendChild(fileInput);
 
-                    // Add click handler
-                    presetOption.addEventListener('click', () => {
-                        presetSelector.querySelectorAll('.preset-option').forEach(opt => {
-                            opt.classList.remove('active');
-                            opt.style.background = 'var(--bg-hover)';
-                            opt.style.borderColor = 'transparent';
-                            opt.style.transform = 'none';
-                        });
+        const previewContainer = document.createElement('div');
+        previewContainer.className = 'import-preview';
+        previewContainer.style.display = 'none';
 
-                        presetOption.classList.add('active');
-                        presetOption.style.background = 'var(--bg-active)';
-                        presetOption.style.borderColor = preset.accent;
-                        presetOption.style.transform = 'translateY(-2px)';
+        let pendingPreview = null;
 
-                        settings.preset = preset.id;
-                        settings.customAccentColor = preset.accent;
-                        GM_setValue('ytTimestampSettings', settings);
+        const clearPreview = () => {
+            pendingPreview = null;
+            fileInput.value = '';
+            previewContainer.style.display = 'none';
+            while (previewContainer.firstChild) {
+                previewContainer.removeChild(previewContainer.firstChild);
+            }
+        };
 
-                        // Apply preset configuration
-                        applyPreset(preset.id);
+        const renderPreview = (preview) => {
+            clearPreview();
+            pendingPreview = preview;
 
-                        showNotification(`Applied ${preset.name} preset`, preset.icon);
-                    });
+            const summary = document.createElement('div');
+            summary.className = 'import-summary';
+            summary.textContent = `${preview.added.length} to add • ${preview.overwritten.length} to overwrite • ${preview.skipped.length} to skip`;
+            if (preview.conflicts.length > 0) {
+                summary.textContent += ` • ${preview.conflicts.length} to choose`;
+            }
+            previewContainer.appendChild(summary);
+
+            const incomingTotal = Object.keys(readTimestamps()).length + preview.added.length;
+            if (settings.maxStoredTimestamps > 0 && incomingTotal > settings.maxStoredTimestamps) {
+                const warning = document.createElement('div');
+                warning.className = 'import-warning';
+                warning.textContent = `This brings the library to ${incomingTotal} entries; older ones beyond the limit of ${settings.maxStoredTimestamps} will be cleaned up on the next save.`;
+                previewContainer.appendChild(warning);
+            }
 
-                    // Set initial active state
-                    if (settings.preset === preset.id) {
-                        presetOption.classList.add('active');
-                        presetOption.style.background = 'var(--bg-active)';
-                        presetOption.style.borderColor = preset.accent;
-                    }
+            const list = document.createElement('div');
+            list.className = 'import-list';
+
+            const rows = [
+                ...preview.added.map(item => ({ ...item, status: 'added', detail: `at ${formatTime(item.entry.time)}` })),
+                ...preview.overwritten.map(item => ({
+                    ...item,
+                    status: 'overwritten',
+                    detail: `${formatTime(item.existing.time)} → ${formatTime(item.entry.time)}`
+                })),
+                ...preview.conflicts.map(item => ({
+                    ...item,
+                    status: 'conflict',
+                    detail: `${formatTime(item.existing.time)} or ${formatTime(item.entry.time)}`
+                })),
+                ...preview.skipped.map(item => ({ ...item, status: 'skipped', detail: item.reason }))
+            ];
 
-                    presetSelector.appendChild(presetOption);
-                });
+            rows.forEach(row => {
+                const rowElement = document.createElement('div');
+                rowElement.className = 'import-row';
 
-                control.appendChild(presetSelector);
-                control.style.width = '100%';
-                break;
+                const status = document.createElement('span');
+                status.className = `import-status ${row.status}`;
+                status.textContent = row.status;
 
-            case 'size-selector':
-                const sizeSelector = document.createElement('div');
-                sizeSelector.className = 'size-selector';
+                const title = document.createElement('span');
+                title.className = 'import-title';
+                title.textContent = row.entry?.title || row.videoId;
 
-                const sizes = [
-                    { value: 'small', label: 'Compact', description: 'Space-saving size' },
-                    { value: 'medium', label: 'Standard', description: 'Balanced visibility' },
-                    { value: 'large', label: 'Spacious', description: 'Enhanced readability' }
-                ];
+                const detail = document.createElement('span');
+                detail.className = 'import-detail';
+                detail.textContent = row.detail;
 
-                sizes.forEach(size => {
-                    const sizeOption = document.createElement('div');
-                    sizeOption.className = `size-option ${size.value} ${settings.notificationSize === size.value ? 'active' : ''}`;
+                rowElement.appendChild(status);
+                rowElement.appendChild(title);
+                rowElement.appendChild(detail);
+                list.appendChild(rowElement);
+            });
+            previewContainer.appendChild(list);
+
+            const settingsToggle = document.createElement('label');
+            settingsToggle.className = 'import-settings-toggle';
+            const settingsCheckbox = document.createElement('input');
+            settingsCheckbox.type = 'checkbox';
+            settingsCheckbox.disabled = !preview.settings;
+            settingsToggle.appendChild(settingsCheckbox);
+            settingsToggle.appendChild(document.createTextNode(preview.settings
+                ? ' Also replace my settings with the imported ones'
+                : ' File contains no settings'));
+            previewContainer.appendChild(settingsToggle);
+
+            const confirmActions = document.createElement('div');
+            confirmActions.className = 'transfer-actions';
+
+            const applyButton = document.createElement('button');
+            applyButton.className = 'settings-action-button primary';
+            applyButton.textContent = 'Apply import';
+            applyButton.disabled = preview.added.length + preview.overwritten.length + preview.conflicts.length === 0 && !preview.settings;
+
+            const cancelButton = document.createElement('button');
+            cancelButton.className = 'settings-action-button';
+            cancelButton.textContent = 'Cancel';
+
+            applyButton.addEventListener('click', () => {
+                if (!pendingPreview) return;
+                const includeSettings = settingsCheckbox.checked;
+                applyButton.disabled = true;
+
+                applyImport(pendingPreview, includeSettings)
+                    .then(imported => {
+                        clearPreview();
+                        showNotification(`Imported ${imported} timestamps${includeSettings ? ' and settings' : ''}`, '📥');
+
+                        // Rebuild the panel so every control reflects imported settings
+                        const settingsUI = document.querySelector('.yt-timestamp-settings');
+                        if (includeSettings && settingsUI) {
+                            settingsUI.remove();
+                            openSettingsUI();
+                        } else if (settingsUI) {
+                            settingsUI.querySelectorAll('.library-view').forEach(libraryView => libraryView.refresh?.());
+                        }
+                    })
+                    .catch(error => {
+                        console.error('Error applying import:', error);
+                        applyButton.disabled = false;
+                        showNotification('Import failed!', '❌', settings.notificationDuration, { priority: 'high' });
+                    });
+            });
+            cancelButton.addEventListener('click', clearPreview);
 
-                    // Create preview
-                    const preview = document.createElement('div');
-                    preview.className = 'size-preview';
+            confirmActions.appendChild(applyButton);
+            confirmActions.appendChild(cancelButton);
+            previewContainer.appendChild(confirmActions);
 
-                    const previewIcon = document.createElement('span');
-                    previewIcon.className = 'size-preview-icon';
-                    previewIcon.textContent = '📍';
+            previewContainer.style.display = 'flex';
+        };
 
-                    const previewText = document.createElement('span');
-                    previewText.className = 'size-preview-text';
-                    previewText.textContent = 'Notification';
+        exportButton.addEventListener('click', () => {
+            try {
+                const count = exportData();
+                showNotification(`Exported ${count} timestamps`, '📤');
+            } catch (error) {
+                console.error('Error exporting data:', error);
+                showNotification('Export failed!', '❌', settings.notificationDuration, { priority: 'high' });
+            }
+        });
 
-                    preview.appendChild(previewIcon);
-                    preview.appendChild(previewText);
+        importButton.addEventListener('click', () => fileInput.click());
 
-                    // Create label
-                    const label = document.createElement('div');
-                    label.className = 'size-label';
-                    label.textContent = size.label;
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            if (!file) return;
 
-                    // Create description
-                    const description = document.createElement('div');
-                    description.className = 'size-description';
-                    description.textContent = size.description;
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    renderPreview(buildImportPreview(parseImportData(reader.result)));
+                } catch (error) {
+                    debug(`Import rejected: ${error.message}`);
+                    clearPreview();
+                    showNotification(`Import failed: ${error.message}`, '❌', settings.notificationDuration, { priority: 'high' });
+                }
+            };
+            reader.onerror = () => {
+                clearPreview();
+                showNotification('Could not read the selected file', '❌', settings.notificationDuration, { priority: 'high' });
+            };
+            reader.readAsText(file);
+        });
 
-                    sizeOption.appendChild(preview);
-                    sizeOption.appendChild(label);
-                    sizeOption.appendChild(description);
+        view.appendChild(actions);
+        view.appendChild(previewContainer);
+        return view;
+    };
 
-                    // Add click handler
-                    sizeOption.addEventListener('click', () => {
-                        sizeSelector.querySelectorAll('.size-option').forEach(opt => {
-                            opt.classList.remove('active');
-                        });
+    // Storage backend picker with a migration that moves existing data
+    const createStorageBackendView = () => {
+        const view = document.createElement('div');
+        view.className = 'transfer-view storage-view';
 
-                        sizeOption.classList.add('active');
-                        settings.notificationSize = size.value;
-                        GM_setValue('ytTimestampSettings', settings);
+        const status = document.createElement('div');
+        status.className = 'import-summary';
 
-                        // Update UI immediately
-                        updateNotificationSettings();
+        const counts = document.createElement('div');
+        counts.className = 'library-summary';
 
-                        // Show preview with the new size
-                        showNotification(`Size updated to ${size.label}`, '📏');
-                    });
+        const actions = document.createElement('div');
+        actions.className = 'transfer-actions';
 
-                    sizeSelector.appendChild(sizeOption);
+        const targetSelect = document.createElement('select');
+        targetSelect.className = 'modern-select';
+        Object.values(timestampBackends).forEach(backend => {
+            const option = document.createElement('option');
+            option.value = backend.id;
+            option.textContent = backend.label;
+            targetSelect.appendChild(option);
+        });
+
+        const migrateButton = document.createElement('button');
+        migrateButton.className = 'settings-action-button primary';
+        migrateButton.textContent = 'Move data';
+
+        actions.appendChild(targetSelect);
+        actions.appendChild(migrateButton);
+
+        const metrics = document.createElement('div');
+        metrics.className = 'library-summary';
+
+        const render = () => {
+            // Counts read the backends directly
+            flushTimestampWrites();
+
+            const minutes = Math.max(1, Math.round((Date.now() - timestampStoreMetrics.startedAt) / 60000));
+            const { storageReads, storageWrites, cacheHits, commits } = timestampStoreMetrics;
+            metrics.textContent = `This session (${minutes} min): ${commits} saves written in ${storageWrites} storage writes • ${cacheHits + storageReads} reads, ${storageReads} from storage`;
+
+            status.textContent = timestampBackend === gmTimestampBackend
+                ? `Active: ${timestampBackend.label}`
+                : `Active: ${timestampBackend.label} on ${location.host} (other YouTube sites keep using userscript storage)`;
+            targetSelect.value = timestampBackend.id;
+            migrateButton.disabled = true;
+            counts.textContent = 'Counting entries...';
+
+            // Show how much each backend holds so leftovers are visible
+            Promise.all(Object.values(timestampBackends).map(backend => backend.load()
+                .then(timestamps => `${backend.label}: ${Object.keys(timestamps).length}`)
+                .catch(() => `${backend.label}: unavailable`)))
+                .then(parts => {
+                    counts.textContent = parts.join(' • ');
                 });
+        };
 
-                control.appendChild(sizeSelector);
-                control.style.width = '100%';
-                break;
+        targetSelect.addEventListener('change', () => {
+            migrateButton.disabled = targetSelect.value === timestampBackend.id;
+        });
 
-            case 'theme-selector':
-                const themeSelector = document.createElement('div');
-                themeSelector.className = 'theme-selector';
-                themeSelector.style.display = 'grid';
-                themeSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                themeSelector.style.gap = 'var(--spacing-md)';
-                themeSelector.style.width = '100%';
+        migrateButton.addEventListener('click', () => {
+            const target = timestampBackends[targetSelect.value];
+            migrateButton.disabled = true;
+            migrateButton.textContent = 'Moving...';
+
+            migrateTimestampBackend(target.id)
+                .then(count => {
+                    showNotification(`Switched to ${target.label} with ${count} timestamps`, '🗄️');
+                })
+                .catch(error => {
+                    console.error('Error migrating timestamps:', error);
+                    showNotification(`Migration failed: ${error.message}`, '❌', settings.notificationDuration, { priority: 'high' });
+                })
+                .finally(() => {
+                    migrateButton.textContent = 'Move data';
+                    render();
+                });
+        });
 
-                const themes = [
-                    {
-                        value: 'dark',
-                        label: 'Dark',
-                        description: 'Dark interface',
-                        icon: '🌙',
-                        preview: {
-                            background: '#1a1a1a',
-                            text: '#ffffff',
-                            accent: 'rgba(255, 255, 255, 0.1)'
-                        }
-                    },
-                    {
-                        value: 'light',
-                        label: 'Light',
-                        description: 'Light interface',
-                        icon: '☀️',
-                        preview: {
-                            background: '#ffffff',
-                            text: '#000000',
-                            accent: 'rgba(0, 0, 0, 0.1)'
-                        }
-                    },
-                    {
-                        value: 'system',
-                        label: 'System',
-                        description: 'Follow your device',
-                        icon: '🖥️',
-                        preview: {
-                            background: 'linear-gradient(to right, #1a1a1a 50%, #ffffff 50%)',
-                            text: 'inherit',
-                            accent: 'transparent'
-                        }
-                    }
-                ];
+        view.appendChild(status);
+        view.appendChild(actions);
+        view.appendChild(counts);
+        view.appendChild(metrics);
 
-                themes.forEach(theme => {
-                    const themeOption = document.createElement('div');
-                    themeOption.className = `theme-option ${theme.value}`;
-                    themeOption.style.padding = 'var(--spacing-md)';
-                    themeOption.style.borderRadius = 'var(--border-radius-md)';
-                    themeOption.style.background = 'var(--bg-hover)';
-                    themeOption.style.cursor = 'pointer';
-                    themeOption.style.transition = 'var(--transition-smooth)';
-                    themeOption.style.border = '2px solid transparent';
-                    themeOption.style.display = 'flex';
-                    themeOption.style.flexDirection = 'column';
-                    themeOption.style.alignItems = 'center';
-                    themeOption.style.gap = 'var(--spacing-sm)';
+        view.refresh = render;
+        render();
 
-                    // Create preview
-                    const preview = document.createElement('div');
-                    preview.className = 'theme-preview';
-                    preview.style.width = '100%';
-                    preview.style.height = '80px';
-                    preview.style.borderRadius = 'var(--border-radius-sm)';
-                    preview.style.background = theme.preview.background;
-                    preview.style.position = 'relative';
-                    preview.style.overflow = 'hidden';
-                    preview.style.border = '1px solid var(--border-color)';
-                    preview.style.marginBottom = 'var(--spacing-sm)';
+        return view;
+    };
 
-                    // Add preview content
-                    if (theme.value !== 'system') {
-                        // Create a mock notification for preview
-                        const mockNotification = document.createElement('div');
-                        mockNotification.style.position = 'absolute';
-                        mockNotification.style.top = '50%';
-                        mockNotification.style.left = '50%';
-                        mockNotification.style.transform = 'translate(-50%, -50%)';
-                        mockNotification.style.background = theme.preview.accent;
-                        mockNotification.style.padding = '8px 12px';
-                        mockNotification.style.borderRadius = '4px';
-                        mockNotification.style.color = theme.preview.text;
-                        mockNotification.style.fontSize = '12px';
-                        mockNotification.style.display = 'flex';
-                        mockNotification.style.alignItems = 'center';
-                        mockNotification.style.gap = '6px';
-                        
-                        const mockEmoji = document.createElement('span');
-                        mockEmoji.textContent = theme.icon;
-                        mockEmoji.style.fontSize = '14px';
-                        
-                        const mockText = document.createElement('span');
-                        mockText.textContent = theme.label;
-                        
-                        mockNotification.appendChild(mockEmoji);
-                        mockNotification.appendChild(mockText);
-                        preview.appendChild(mockNotification);
-                    } else {
-                        // Split preview for system theme
-                        const darkSide = document.createElement('div');
-                        darkSide.style.position = 'absolute';
-                        darkSide.style.left = '0';
-                        darkSide.style.top = '0';
-                        darkSide.style.width = '50%';
-                        darkSide.style.height = '100%';
-                        darkSide.style.background = '#1a1a1a';
-                        darkSide.style.display = 'flex';
-                        darkSide.style.alignItems = 'center';
-                        darkSide.style.justifyContent = 'center';
-                        darkSide.style.color = '#ffffff';
-                        darkSide.textContent = '🌙';
-                        
-                        const lightSide = document.createElement('div');
-                        lightSide.style.position = 'absolute';
-                        lightSide.style.right = '0';
-                        lightSide.style.top = '0';
-                        lightSide.style.width = '50%';
-                        lightSide.style.height = '100%';
-                        lightSide.style.background = '#ffffff';
-                        lightSide.style.display = 'flex';
-                        lightSide.style.alignItems = 'center';
-                        lightSide.style.justifyContent = 'center';
-                        lightSide.style.color = '#000000';
-                        lightSide.textContent = '☀️';
-                        
-                        preview.appendChild(darkSide);
-                        preview.appendChild(lightSide);
-                    }
+    // Which entries the eviction policy would drop next
+    const createEvictionPreviewView = () => {
+        const view = document.createElement('div');
+        view.className = 'transfer-view eviction-view';
 
-                    // Create label
-                    const label = document.createElement('div');
-                    label.className = 'theme-label';
-                    label.textContent = theme.label;
-                    label.style.fontWeight = '500';
-                    label.style.color = 'var(--text-primary)';
-                    label.style.fontSize = '14px';
+        const summary = document.createElement('div');
+        summary.className = 'import-summary';
 
-                    // Create description
-                    const description = document.createElement('div');
-                    description.className = 'theme-description';
-                    description.textContent = theme.description;
-                    description.style.color = 'var(--text-secondary)';
-                    description.style.fontSize = '12px';
-                    description.style.textAlign = 'center';
+        const list = document.createElement('div');
+        list.className = 'import-list';
 
-                    themeOption.appendChild(preview);
-                    themeOption.appendChild(label);
-                    themeOption.appendChild(description);
+        const render = () => {
+            const timestamps = readTimestamps();
+            const total = Object.keys(timestamps).length;
+            const pinned = Object.values(timestamps).filter(entry => entry.pinned).length;
+            const limit = settings.maxStoredTimestamps;
+
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
+
+            summary.textContent = limit > 0
+                ? `${total} of ${limit} slots used • ${pinned} pinned`
+                : `${total} saved • ${pinned} pinned • no limit, nothing will be evicted`;
+            if (!limit || limit <= 0) return;
+
+            const upcoming = getEvictionOrder(timestamps).slice(0, 5);
+            if (upcoming.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-summary';
+                empty.textContent = 'Every entry is pinned, so nothing can be evicted.';
+                list.appendChild(empty);
+                return;
+            }
 
-                    // Add hover and active states
-                    themeOption.addEventListener('mouseover', () => {
-                        if (!themeOption.classList.contains('active')) {
-                            themeOption.style.background = 'var(--bg-active)';
-                            themeOption.style.transform = 'translateY(-2px)';
-                        }
-                    });
-                    
-                    themeOption.addEventListener('mouseout', () => {
-                        if (!themeOption.classList.contains('active')) {
-                            themeOption.style.background = 'var(--bg-hover)';
-                            themeOption.style.transform = 'none';
-                        }
-                    });
+            const heading = document.createElement('div');
+            heading.className = 'library-summary';
+            heading.textContent = total >= limit ? 'Evicted on the next new video:' : `Evicted first once ${limit - total} more videos are saved:`;
+            list.appendChild(heading);
+
+            upcoming.forEach(videoId => {
+                const entry = timestamps[videoId];
+                const row = document.createElement('div');
+                row.className = 'import-row';
+
+                const title = document.createElement('span');
+                title.className = 'import-title';
+                title.textContent = entry.title || videoId;
+
+                const detail = document.createElement('span');
+                detail.className = 'import-detail';
+                detail.textContent = isEntryFinished(entry)
+                    ? `Watched • saved ${formatDate(entry.savedAt)}`
+                    : `${formatTime(entry.time || 0)} / ${entry.duration ? formatTime(entry.duration) : '?'} • saved ${formatDate(entry.savedAt)}`;
+
+                row.appendChild(title);
+                row.appendChild(detail);
+                list.appendChild(row);
+            });
+        };
 
-                    // Add click handler
-                    themeOption.addEventListener('click', () => {
-                        themeSelector.querySelectorAll('.theme-option').forEach(opt => {
-                            opt.classList.remove('active');
-                            opt.style.background = 'var(--bg-hover)';
-                            opt.style.borderColor = 'transparent';
-                            opt.style.transform = 'none';
-                        });
+        view.appendChild(summary);
+        view.appendChild(list);
 
-                        themeOption.classList.add('active');
-                        themeOption.style.background = 'var(--bg-active)';
-                        themeOption.style.borderColor = 'var(--primary-color)';
-                        themeOption.style.transform = 'translateY(-2px)';
-                        
-                        settings.themeMode = theme.value;
-                        GM_setValue('ytTimestampSettings', settings);
+        view.refresh = render;
+        render();
 
-                        // Update UI immediately
-                        updateThemeVariables();
+        return view;
+    };
 
-                        showNotification(`Theme set to ${theme.label}`, theme.icon);
-                    });
-                    
-                    // Set initial active state
-                    if (settings.themeMode === theme.value) {
-                        themeOption.classList.add('active');
-                        themeOption.style.background = 'var(--bg-active)';
-                        themeOption.style.borderColor = 'var(--primary-color)';
-                    }
+    // Archived entries with search, restore and permanent delete
+    const createArchiveView = () => {
+        const view = document.createElement('div');
+        view.className = 'library-view archive-view';
+
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'library-search';
+        searchInput.placeholder = 'Search the archive...';
+
+        const summary = document.createElement('div');
+        summary.className = 'library-summary';
+
+        const list = document.createElement('div');
+        list.className = 'library-list';
+
+        const createArchiveItem = (videoId, entry) => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'library-item-title';
+            title.textContent = entry.title || 'Untitled video';
+            title.title = entry.title || videoId;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            const channelText = entry.channel ? `${entry.channel} • ` : '';
+            const positionText = isEntryFinished(entry)
+                ? '✅ Watched'
+                : `${formatTime(entry.time || 0)} / ${entry.duration ? formatTime(entry.duration) : '?'}`;
+            meta.textContent = `${channelText}${positionText} • Archived ${formatDate(entry.archivedAt)}`;
+
+            info.appendChild(title);
+            info.appendChild(meta);
+            item.appendChild(info);
+
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'settings-action-button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.title = 'Move back to saved videos';
+            restoreButton.addEventListener('click', () => {
+                const undoId = runUndoable('Restore from archive', () => restoreFromArchive(videoId));
+                showNotification(`Restored ${entry.title || videoId}`, '📦', settings.notificationDuration, {
+                    actions: [createUndoNotificationAction(undoId)]
+                });
+                render();
+            });
 
-                    themeSelector.appendChild(themeOption);
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'settings-action-button danger';
+            deleteButton.textContent = 'Delete';
+            deleteButton.title = 'Remove from the archive (can be undone)';
+            deleteButton.addEventListener('click', () => {
+                const undoId = runUndoable('Delete from archive', () => commitArchiveChanges({ [videoId]: null }));
+                showNotification(`Deleted ${entry.title || videoId} from the archive`, '🗑️', settings.notificationDuration, {
+                    actions: [createUndoNotificationAction(undoId)]
                 });
+                render();
+            });
 
-                control.appendChild(themeSelector);
-                control.style.width = '100%';
-                break;
+            item.appendChild(restoreButton);
+            item.appendChild(deleteButton);
+            return item;
+        };
 
-            case 'preset-selector':
-                const presetSelectorContainer = document.createElement('div');
-                presetSelectorContainer.className = 'browser-presets';
-                presetSelectorContainer.style.display = 'grid';
-                presetSelectorContainer.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                presetSelectorContainer.style.gap = 'var(--spacing-md)';
-                presetSelectorContainer.style.width = '100%';
+        const render = () => {
+            const archive = readArchive();
+            const stats = getArchiveStats();
+            const query = searchInput.value.trim().toLowerCase();
+            const entries = Object.entries(archive)
+                .filter(([videoId, entry]) => !query ||
+                    (entry.title || '').toLowerCase().includes(query) ||
+                    (entry.channel || '').toLowerCase().includes(query) ||
+                    videoId.toLowerCase().includes(query))
+                .sort((a, b) => (b[1].archivedAt || 0) - (a[1].archivedAt || 0));
+
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
 
-                // Define the browser presets
-                const presetOptions = [
-                    {
-                        id: 'custom',
-                        name: 'Custom',
-                        icon: '🛠️',
-                        description: 'Keep your current settings'
-                    },
-                    {
-                        id: 'chrome',
-                        name: 'Chrome',
-                        icon: '🌐',
-                        description: 'Chrome-styled with blue accent'
-                    },
-                    {
-                        id: 'firefox',
-                        name: 'Firefox',
-                        icon: '🦊',
-                        description: 'Firefox-styled with orange accent'
-                    }
-                ];
+            const ratio = stats.count > 0 ? Math.round((1 - stats.compressedSize / stats.rawSize) * 100) : 0;
+            summary.textContent = query
+                ? `${entries.length} of ${stats.count} archived videos match`
+                : `${stats.count} archived videos • ${(stats.compressedSize / 1024).toFixed(1)} KB (${ratio}% smaller than uncompressed)`;
+
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = stats.count === 0
+                    ? 'The archive is empty. Evicted and long-finished videos are kept here.'
+                    : 'No archived videos match your search.';
+                list.appendChild(empty);
+                return;
+            }
 
-                presetOptions.forEach(preset => {
-                    const presetElement = document.createElement('div');
-                    presetElement.className = `browser-preset ${settings.preset === preset.id ? 'active' : ''}`;
-                    presetElement.dataset.preset = preset.id;
-                    presetElement.style.padding = 'var(--spacing-md)';
-                    presetElement.style.borderRadius = 'var(--border-radius-md)';
-                    presetElement.style.background = 'var(--bg-hover)';
-                    presetElement.style.cursor = 'pointer';
-                    presetElement.style.textAlign = 'center';
-                    presetElement.style.transition = 'var(--transition-smooth)';
-                    presetElement.style.border = '2px solid transparent';
+            entries.forEach(([videoId, entry]) => list.appendChild(createArchiveItem(videoId, entry)));
+        };
 
-                    if (settings.preset === preset.id) {
-                        presetElement.style.borderColor = 'var(--primary-color)';
-                        presetElement.style.background = 'var(--bg-active)';
-                    }
+        searchInput.addEventListener('input', render);
 
-                    const iconElement = document.createElement('div');
-                    iconElement.className = 'browser-icon';
-                    iconElement.textContent = preset.icon;
-                    iconElement.style.fontSize = '24px';
-                    iconElement.style.marginBottom = 'var(--spacing-sm)';
+        view.appendChild(searchInput);
+        view.appendChild(summary);
+        view.appendChild(list);
 
-                    const nameElement = document.createElement('div');
-                    nameElement.className = 'browser-name';
-                    nameElement.textContent = preset.name;
-                    nameElement.style.fontWeight = 'bold';
-                    nameElement.style.marginBottom = '4px';
+        view.refresh = render;
+        render();
 
-                    const descElement = document.createElement('div');
-                    descElement.className = 'browser-description';
-                    descElement.textContent = preset.description;
-                    descElement.style.color = 'var(--text-secondary)';
-                    descElement.style.fontSize = '12px';
+        return view;
+    };
 
-                    presetElement.appendChild(iconElement);
-                    presetElement.appendChild(nameElement);
-                    presetElement.appendChild(descElement);
+    // Backup snapshots with compare, restore and delete
+    const createSnapshotsView = () => {
+        const view = document.createElement('div');
+        view.className = 'transfer-view snapshot-view';
 
-                    presetElement.addEventListener('click', () => {
-                        presetSelectorContainer.querySelectorAll('.browser-preset').forEach(p => {
-                            p.classList.remove('active');
-                            p.style.borderColor = 'transparent';
-                            p.style.background = 'var(--bg-hover)';
-                        });
+        const actions = document.createElement('div');
+        actions.className = 'transfer-actions';
 
-                        presetElement.classList.add('active');
-                        presetElement.style.borderColor = 'var(--primary-color)';
-                        presetElement.style.background = 'var(--bg-active)';
+        const snapshotButton = document.createElement('button');
+        snapshotButton.className = 'settings-action-button';
+        snapshotButton.textContent = '📸 Take snapshot now';
+        actions.appendChild(snapshotButton);
 
-                        // Apply the preset
-                        applyPreset(preset.id);
+        const summary = document.createElement('div');
+        summary.className = 'library-summary';
 
-                        // Show notification
-                        showNotification(`Applied ${preset.name} preset`, preset.icon);
-                    });
+        const list = document.createElement('div');
+        list.className = 'library-list';
 
-                    presetSelectorContainer.appendChild(presetElement);
-                });
+        const diffContainer = document.createElement('div');
+        diffContainer.className = 'import-preview';
+        diffContainer.style.display = 'none';
 
-                control.appendChild(presetSelectorContainer);
-                break;
+        const clearDiff = () => {
+            diffContainer.style.display = 'none';
+            while (diffContainer.firstChild) {
+                diffContainer.removeChild(diffContainer.firstChild);
+            }
+        };
 
-            case 'number-input':
-                const container = document.createElement('div');
-                container.className = 'advanced-input-container';
-                
-                // For maxStoredTimestamps, create a visual slider
-                if (id === 'maxStoredTimestamps') {
-                    const rangeContainer = document.createElement('div');
-                    rangeContainer.style.display = 'flex';
-                    rangeContainer.style.alignItems = 'center';
-                    rangeContainer.style.gap = 'var(--spacing-md)';
-                    rangeContainer.style.width = '100%';
+        const renderDiff = (snapshot) => {
+            clearDiff();
+            const diff = diffSnapshot(snapshot);
+            diffContainer.style.display = 'flex';
+
+            const heading = document.createElement('div');
+            heading.className = 'import-summary';
+            heading.textContent = diff
+                ? `Restoring ${formatDate(snapshot.createdAt)} would bring back ${diff.added.length} • remove ${diff.removed.length} • change ${diff.changed.length} • ${diff.settings.length} settings differ`
+                : 'This snapshot could not be read.';
+            diffContainer.appendChild(heading);
+            if (!diff) return;
+
+            const rows = [
+                ...diff.added.map(item => ({ ...item, status: 'added', label: 'restore', detail: `at ${formatTime(item.entry.time || 0)}` })),
+                ...diff.removed.map(item => ({ ...item, status: 'skipped', label: 'remove', detail: 'not in snapshot' })),
+                ...diff.changed.map(item => ({
+                    ...item,
+                    status: 'overwritten',
+                    label: 'change',
+                    detail: `${formatTime(item.existing.time || 0)} → ${formatTime(item.entry.time || 0)}`
+                }))
+            ];
 
-                    const range = document.createElement('input');
-                    range.type = 'range';
-                    range.id = id;
-                    range.className = 'modern-input';
-                    range.min = '10';
-                    range.max = '500';
-                    range.step = '10';
-                    range.value = settings[id] || 100;
+            const rowList = document.createElement('div');
+            rowList.className = 'import-list';
+            rows.forEach(row => {
+                const rowElement = document.createElement('div');
+                rowElement.className = 'import-row';
 
-                    const valueContainer = document.createElement('div');
-                    valueContainer.style.minWidth = '80px';
-                    valueContainer.style.textAlign = 'center';
-                    valueContainer.style.padding = 'var(--spacing-sm)';
-                    valueContainer.style.background = 'var(--bg-hover)';
-                    valueContainer.style.borderRadius = 'var(--border-radius-sm)';
-                    valueContainer.style.fontWeight = 'bold';
+                const status = document.createElement('span');
+                status.className = `import-status ${row.status}`;
+                status.textContent = row.label;
 
-                    const value = document.createElement('span');
-                    value.textContent = range.value;
-                    valueContainer.appendChild(value);
+                const title = document.createElement('span');
+                title.className = 'import-title';
+                title.textContent = row.entry?.title || row.videoId;
 
-                    range.oninput = () => {
-                        value.textContent = range.value;
-                        
-                        // Instantly apply changes
-                        settings[id] = parseInt(range.value);
-                        GM_setValue('ytTimestampSettings', settings);
-                    };
+                const detail = document.createElement('span');
+                detail.className = 'import-detail';
+                detail.textContent = row.detail;
 
-                    rangeContainer.appendChild(range);
-                    rangeContainer.appendChild(valueContainer);
-                    control.appendChild(rangeContainer);
-                } else {
-                    const input = document.createElement('input');
-                    input.type = 'number';
-                    input.id = id;
-                    input.value = settings[id] || '';
-                    input.className = 'modern-input';
-                    
-                    input.addEventListener('change', () => {
-                        settings[id] = parseInt(input.value);
-                        GM_setValue('ytTimestampSettings', settings);
-                    });
-                    
-                    container.appendChild(input);
-                    control.appendChild(container);
+                rowElement.appendChild(status);
+                rowElement.appendChild(title);
+                rowElement.appendChild(detail);
+                rowList.appendChild(rowElement);
+            });
+            diffContainer.appendChild(rowList);
+
+            if (diff.settings.length > 0) {
+                const settingsLine = document.createElement('div');
+                settingsLine.className = 'import-detail';
+                settingsLine.textContent = `Settings that differ: ${diff.settings.join(', ')}`;
+                diffContainer.appendChild(settingsLine);
+            }
+        };
+
+        const createSnapshotItem = (snapshot) => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'library-item-title';
+            title.textContent = `${formatDate(snapshot.createdAt)} • ${snapshotReasons[snapshot.reason] || snapshot.reason}`;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            meta.textContent = `${snapshot.entryCount} saved videos • ${(snapshot.size / 1024).toFixed(1)} KB`;
+
+            info.appendChild(title);
+            info.appendChild(meta);
+            item.appendChild(info);
+
+            const compareButton = document.createElement('button');
+            compareButton.className = 'settings-action-button';
+            compareButton.textContent = 'Compare';
+            compareButton.title = 'Show what restoring this snapshot would change';
+            compareButton.addEventListener('click', () => renderDiff(snapshot));
+
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'settings-action-button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.title = 'Replace saved videos and settings with this snapshot';
+            restoreButton.addEventListener('click', () => {
+                if (!confirm(`Replace all saved videos and settings with the snapshot from ${formatDate(snapshot.createdAt)}? The current state is kept as a new snapshot.`)) return;
+                if (!restoreSnapshot(snapshot.id)) {
+                    showNotification('Snapshot could not be restored', '❌', settings.notificationDuration, { priority: 'high' });
+                    return;
                 }
-                break;
+                showNotification(`Restored snapshot from ${formatDate(snapshot.createdAt)}`, '📸');
 
-            case 'sync-selector':
-                const syncSelector = document.createElement('div');
-                syncSelector.className = 'sync-selector';
-                syncSelector.style.display = 'grid';
-                syncSelector.style.gridTemplateColumns = 'repeat(3, 1fr)';
-                syncSelector.style.gap = 'var(--spacing-md)';
-                syncSelector.style.width = '100%';
-                
-                const syncOptions = [
-                    {
-                        value: 'newest',
-                        label: 'Keep Newest',
-                        description: 'Always use the most recent timestamp',
-                        icon: '🔄',
-                        color: '#4CAF50'
-                    },
-                    {
-                        value: 'manual',
-                        label: 'Manual Choice',
-                        description: 'Choose which timestamp to keep',
-                        icon: '👆',
-                        color: '#2196F3'
-                    },
-                    {
-                        value: 'merge',
-                        label: 'Smart Merge',
-                        description: 'Intelligently combine timestamps',
-                        icon: '🔀',
-                        color: '#9C27B0'
-                    }
-                ];
-                
-                syncOptions.forEach(option => {
-                    const syncOption = document.createElement('div');
-                    syncOption.className = `sync-option ${settings.syncBehavior === option.value ? 'active' : ''}`;
-                    syncOption.style.padding = 'var(--spacing-md)';
-                    syncOption.style.borderRadius = 'var(--border-radius-md)';
-                    syncOption.style.background = 'var(--bg-hover)';
-                    syncOption.style.cursor = 'pointer';
-                    syncOption.style.transition = 'var(--transition-smooth)';
-                    syncOption.style.border = '2px solid transparent';
-                    syncOption.style.display = 'flex';
-                    syncOption.style.flexDirection = 'column';
-                    syncOption.style.alignItems = 'center';
-                    syncOption.style.gap = 'var(--spacing-sm)';
-                    
-                    // Create preview container
-                    const preview = document.createElement('div');
-                    preview.className = 'sync-preview';
-                    preview.style.width = '100%';
-                    preview.style.height = '80px';
-                    preview.style.borderRadius = 'var(--border-radius-sm)';
-                    preview.style.background = 'var(--bg-secondary)';
-                    preview.style.border = '1px solid var(--border-color)';
-                    preview.style.display = 'flex';
-                    preview.style.alignItems = 'center';
-                    preview.style.justifyContent = 'center';
-                    preview.style.position = 'relative';
-                    preview.style.overflow = 'hidden';
-                    preview.style.marginBottom = 'var(--spacing-sm)';
+                // Rebuild the panel so every control reflects the restored settings
+                const settingsUI = document.querySelector('.yt-timestamp-settings');
+                if (settingsUI) {
+                    settingsUI.remove();
+                    openSettingsUI();
+                }
+            });
 
-                    // Create icon container
-                    const iconContainer = document.createElement('div');
-                    iconContainer.style.width = '40px';
-                    iconContainer.style.height = '40px';
-                    iconContainer.style.borderRadius = '50%';
-                    iconContainer.style.background = option.color;
-                    iconContainer.style.display = 'flex';
-                    iconContainer.style.alignItems = 'center';
-                    iconContainer.style.justifyContent = 'center';
-                    iconContainer.style.fontSize = '24px';
-                    iconContainer.style.color = '#ffffff';
-                    iconContainer.style.boxShadow = '0 2px 8px ' + option.color + '80';
-                    iconContainer.textContent = option.icon;
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'settings-action-button danger';
+            deleteButton.textContent = 'Delete';
+            deleteButton.addEventListener('click', () => {
+                deleteSnapshot(snapshot.id);
+                render();
+            });
 
-                    // Create visual representation
-                    const visualEffect = document.createElement('div');
-                    visualEffect.style.position = 'absolute';
-                    visualEffect.style.bottom = '0';
-                    visualEffect.style.left = '0';
-                    visualEffect.style.width = '100%';
-                    visualEffect.style.height = '4px';
-                    visualEffect.style.background = option.color;
-                    visualEffect.style.opacity = '0.8';
+            item.appendChild(compareButton);
+            item.appendChild(restoreButton);
+            item.appendChild(deleteButton);
+            return item;
+        };
 
-                    preview.appendChild(iconContainer);
-                    preview.appendChild(visualEffect);
-                    
-                    // Create label
-                    const label = document.createElement('div');
-                    label.className = 'sync-label';
-                    label.textContent = option.label;
-                    label.style.fontWeight = '500';
-                    label.style.color = 'var(--text-primary)';
-                    label.style.fontSize = '14px';
-                    
-                    // Create description
-                    const description = document.createElement('div');
-                    description.className = 'sync-description';
-                    description.textContent = option.description;
-                    description.style.color = 'var(--text-secondary)';
-                    description.style.fontSize = '12px';
-                    description.style.textAlign = 'center';
+        const render = () => {
+            const snapshots = readSnapshots();
+            clearDiff();
 
-                    syncOption.appendChild(preview);
-                    syncOption.appendChild(label);
-                    syncOption.appendChild(description);
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
 
-                    // Add hover and active states
-                    syncOption.addEventListener('mouseover', () => {
-                        if (!syncOption.classList.contains('active')) {
-                            syncOption.style.background = 'var(--bg-active)';
-                            syncOption.style.transform = 'translateY(-2px)';
-                        }
-                    });
+            const totalSize = snapshots.reduce((sum, snapshot) => sum + (snapshot.size || 0), 0);
+            const schedule = snapshotPeriods[settings.snapshotFrequency] ? `${settings.snapshotFrequency} snapshots on` : 'scheduled snapshots off';
+            summary.textContent = `${snapshots.length} snapshots • ${(totalSize / 1024).toFixed(1)} KB • ${schedule}`;
 
-                    syncOption.addEventListener('mouseout', () => {
-                        if (!syncOption.classList.contains('active')) {
-                            syncOption.style.background = 'var(--bg-hover)';
-                            syncOption.style.transform = 'none';
-                        }
-                    });
+            if (snapshots.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = 'No snapshots yet.';
+                list.appendChild(empty);
+                return;
+            }
 
-                    // Add click handler
-                    syncOption.addEventListener('click', () => {
-                        syncSelector.querySelectorAll('.sync-option').forEach(opt => {
-                            opt.classList.remove('active');
-                            opt.style.background = 'var(--bg-hover)';
-                            opt.style.borderColor = 'transparent';
-                            opt.style.transform = 'none';
-                        });
-                        
-                        syncOption.classList.add('active');
-                        syncOption.style.background = 'var(--bg-active)';
-                        syncOption.style.borderColor = option.color;
-                        syncOption.style.transform = 'translateY(-2px)';
-                        
-                        settings.syncBehavior = option.value;
-                        GM_setValue('ytTimestampSettings', settings);
-                        
-                        showNotification(`Sync mode set to ${option.label}`, option.icon);
-                    });
+            snapshots.forEach(snapshot => list.appendChild(createSnapshotItem(snapshot)));
+        };
 
-                    // Set initial active state
-                    if (settings.syncBehavior === option.value) {
-                        syncOption.classList.add('active');
-                        syncOption.style.background = 'var(--bg-active)';
-                        syncOption.style.borderColor = option.color;
+        snapshotButton.addEventListener('click', () => {
+            if (createSnapshot('manual')) {
+                showNotification('Snapshot saved', '📸');
+            }
+            render();
+        });
+
+        view.appendChild(actions);
+        view.appendChild(summary);
+        view.appendChild(list);
+        view.appendChild(diffContainer);
+
+        view.refresh = render;
+        render();
+
+        return view;
+    };
+
+    // Recent undoable actions, newest first
+    const createUndoHistoryView = () => {
+        const view = document.createElement('div');
+        view.className = 'transfer-view undo-view';
+
+        const list = document.createElement('div');
+        list.className = 'library-list';
+
+        const describeChanges = (entry) => {
+            const parts = [];
+            const count = (domain) => Object.keys(entry[domain]?.after || {}).length;
+            if (count('timestamps') > 0) parts.push(`${count('timestamps')} saved videos`);
+            if (count('archive') > 0) parts.push(`${count('archive')} archived`);
+            if (count('settings') > 0) parts.push(`${count('settings')} settings`);
+            return parts.join(' • ');
+        };
+
+        const render = () => {
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
+            }
+
+            if (undoHistory.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = 'Nothing to undo in this tab yet.';
+                list.appendChild(empty);
+                return;
+            }
+
+            const current = captureUndoState();
+            undoHistory.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'library-item';
+
+                const info = document.createElement('div');
+                info.className = 'library-item-info';
+
+                const title = document.createElement('div');
+                title.className = 'library-item-title';
+                title.textContent = entry.label;
+
+                const meta = document.createElement('div');
+                meta.className = 'library-item-meta';
+                meta.textContent = `${formatDate(entry.createdAt)} • ${describeChanges(entry)}`;
+
+                info.appendChild(title);
+                info.appendChild(meta);
+                item.appendChild(info);
+
+                const undoable = canUndo(entry, current);
+                const undoButton = document.createElement('button');
+                undoButton.className = 'settings-action-button';
+                undoButton.textContent = entry.undone ? 'Undone' : '↩️ Undo';
+                undoButton.disabled = !undoable;
+                undoButton.title = entry.undone
+                    ? 'Already undone'
+                    : undoable ? 'Restore the values from before this action' : 'Changed since, so it can no longer be undone';
+                undoButton.addEventListener('click', () => {
+                    if (!undoAction(entry.id)) return;
+                    showNotification(`Undid: ${entry.label}`, '↩️');
+
+                    // Rebuild the panel when settings changed so every control reflects them
+                    const settingsUI = document.querySelector('.yt-timestamp-settings');
+                    if (entry.settings && settingsUI) {
+                        settingsUI.remove();
+                        openSettingsUI();
+                    } else if (settingsUI) {
+                        settingsUI.querySelectorAll('.library-view, .snapshot-view').forEach(otherView => otherView.refresh?.());
                     }
-                    
-                    syncSelector.appendChild(syncOption);
                 });
-                
-                control.appendChild(syncSelector);
-                control.style.width = '100%';
-                break;
-        }
+                item.appendChild(undoButton);
 
-        header.appendChild(control);
-        option.appendChild(header);
+                list.appendChild(item);
+            });
+        };
 
-        return option;
+        view.appendChild(list);
+
+        view.refresh = render;
+        render();
+
+        return view;
     };
 
-    // Apply preset configuration
-    const applyPreset = (presetName) => {
-        try {
-            const presets = {
-                chrome: {
-                    saveHotkey: 'CTRL+S',
-                    restoreHotkey: 'CTRL+R',
-                    settingsHotkey: 'CTRL+SHIFT+S',
-                    customAccentColor: '#4285F4', // Chrome blue
-                    notificationPosition: {
-                        duringPlayback: {
-                            position: 'top-right',
-                            margin: 120
-                        },
-                        onHomepage: {
-                            position: 'bottom-right',
-                            margin: 120
-                        }
-                    },
-                    themeMode: 'dark',
-                    blurAmount: 24
-                },
-                firefox: {
-                    saveHotkey: 'CTRL+S',
-                    restoreHotkey: 'CTRL+R',
-                    settingsHotkey: 'CTRL+SHIFT+S',
-                    customAccentColor: '#FF9500', // Firefox orange
-                    notificationPosition: {
-                        duringPlayback: {
-                            position: 'top-right',
-                            margin: 120
-                        },
-                        onHomepage: {
-                            position: 'bottom-right',
-                            margin: 120
-                        }
-                    },
-                    themeMode: 'dark',
-                    blurAmount: 24
-                },
-                custom: { } // No changes, use current settings
-            };
+    // Recent activity: the notification log with links back to the videos involved
+    const createActivityView = () => {
+        const view = document.createElement('div');
+        view.className = 'library-view activity-view';
 
-            if (presetName !== 'custom' && presets[presetName]) {
-                // Deep merge settings to preserve nested structures
-                const newSettings = {
-                    ...settings,
-                    ...presets[presetName],
-                    notificationPosition: {
-                        duringPlayback: {
-                            ...settings.notificationPosition.duringPlayback,
-                            ...presets[presetName].notificationPosition?.duringPlayback
-                        },
-                        onHomepage: {
-                            ...settings.notificationPosition.onHomepage,
-                            ...presets[presetName].notificationPosition?.onHomepage
-                        }
-                    }
-                };
-                
-                // Update settings
-                Object.assign(settings, newSettings);
-                settings.preset = presetName;
+        const searchInput = document.createElement('input');
+        searchInput.type = 'search';
+        searchInput.className = 'library-search';
+        searchInput.placeholder = 'Search recent activity...';
 
-                // Save to storage
-                GM_setValue('ytTimestampSettings', settings);
+        const actions = document.createElement('div');
+        actions.className = 'transfer-actions';
 
-                // Update the UI to reflect new settings
-                updateThemeVariables();
+        const clearButton = document.createElement('button');
+        clearButton.className = 'settings-action-button danger';
+        clearButton.textContent = '🗑️ Clear activity';
+        actions.appendChild(clearButton);
 
-                // Refresh the settings UI
-                const settingsUI = document.querySelector('.yt-timestamp-settings');
-                if (settingsUI) {
-                    settingsUI.remove();
-                    createSettingsUI().classList.add('show');
-                }
+        const list = document.createElement('div');
+        list.className = 'library-list';
 
-                showNotification(`Applied ${presetName} preset!`, '✨');
+        const render = () => {
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
             }
-        } catch (error) {
-            console.error('Error applying preset:', error);
-            showNotification('Error applying preset!', '❌');
-        }
+
+            const log = readActivityLog();
+            clearButton.disabled = log.length === 0;
+
+            const timestamps = readTimestamps();
+            const query = searchInput.value.trim().toLowerCase();
+            const entries = log.filter(entry => {
+                if (!query) return true;
+                const videoTitle = entry.videoId ? timestamps[entry.videoId]?.title || '' : '';
+                return `${entry.message} ${videoTitle} ${entry.videoId || ''}`.toLowerCase().includes(query);
+            });
+
+            if (entries.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = log.length === 0 ? 'No activity recorded yet.' : 'No activity matches your search.';
+                list.appendChild(empty);
+                return;
+            }
+
+            entries.forEach(entry => {
+                const item = document.createElement('div');
+                item.className = 'library-item';
+
+                const info = document.createElement('div');
+                info.className = 'library-item-info';
+
+                const title = document.createElement('div');
+                title.className = 'library-item-title';
+                title.textContent = `${entry.emoji} ${entry.message}`;
+                title.title = entry.message;
+
+                const meta = document.createElement('div');
+                meta.className = 'library-item-meta';
+                const countText = entry.count > 1 ? ` • ×${entry.count}` : '';
+                const videoText = entry.videoId ? ` • ${timestamps[entry.videoId]?.title || entry.videoId}` : '';
+                meta.textContent = `${formatDate(entry.time)}${countText}${videoText}`;
+
+                info.appendChild(title);
+                info.appendChild(meta);
+                item.appendChild(info);
+
+                if (entry.videoId) {
+                    const videoLink = document.createElement('a');
+                    videoLink.className = 'library-resume';
+                    videoLink.href = buildResumeUrl(entry.videoId);
+                    videoLink.textContent = '▶ Open';
+                    videoLink.title = 'Open the video this happened on';
+                    item.appendChild(videoLink);
+                }
+
+                list.appendChild(item);
+            });
+        };
+
+        searchInput.addEventListener('input', render);
+        clearButton.addEventListener('click', () => {
+            if (!confirm('Clear all recent activity?')) return;
+            clearActivityLog();
+            render();
+        });
+
+        view.appendChild(searchInput);
+        view.appendChild(actions);
+        view.appendChild(list);
+
+        view.refresh = render;
+        render();
+
+        return view;
     };
 
-    const createQuickControls = () => {
-        // Remove existing controls if any
-        const existingControls = document.querySelector('.timestamp-controls');
-        if (existingControls) {
-            existingControls.remove();
-        }
+    // Rule editor: one card per rule with conditions, action and ordering controls
+    const createRulesView = () => {
+        const view = document.createElement('div');
+        view.className = 'rules-view';
 
-        const controlsContainer = document.createElement('div');
-        controlsContainer.className = 'timestamp-controls';
-        controlsContainer.style.cssText = `
-            position: absolute;
-            left: 10px;
-            bottom: 10px;
-            z-index: 9999;
-            display: ${settings.showQuickControls ? 'flex' : 'none'};
-            gap: 10px;
-            transition: opacity 0.3s ease;
-            opacity: 1;
-        `;
+        const status = document.createElement('div');
+        status.className = 'library-summary';
 
-        // Add mouseout event to hide controls
-        const playerElement = document.querySelector('.html5-video-container');
-        if (playerElement) {
-            playerElement.addEventListener('mouseenter', () => {
-                controlsContainer.style.opacity = '1';
-                controlsContainer.style.pointerEvents = 'auto';
+        const list = document.createElement('div');
+        list.className = 'rules-list';
+
+        const addButton = document.createElement('button');
+        addButton.className = 'settings-action-button primary';
+        addButton.textContent = '➕ Add rule';
+
+        const persistRules = () => {
+            GM_setValue('ytTimestampSettings', settings);
+            renderStatus();
+        };
+
+        // Show which rules apply to the video that is open right now
+        const renderStatus = () => {
+            const videoId = getVideoId();
+            if (!videoId) {
+                status.textContent = 'Rules apply top to bottom; later matches override earlier ones.';
+                return;
+            }
+            const context = getVideoContext(videoId);
+            const { matchedRules } = evaluateRules(context);
+            const channelText = context.channel ? `${context.channel}${context.channelId ? ` (${context.channelId})` : ''} • ` : '';
+            status.textContent = `Current video: ${channelText}${formatTime(context.duration)} • ${matchedRules.length > 0 ? `matches ${matchedRules.join(', ')}` : 'no rules match'}`;
+        };
+
+        const createField = (labelText, input) => {
+            const field = document.createElement('label');
+            field.className = 'rule-field';
+            const label = document.createElement('span');
+            label.textContent = labelText;
+            field.appendChild(label);
+            field.appendChild(input);
+            return field;
+        };
+
+        const createTextInput = (value, placeholder, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.className = 'rule-input';
+            input.value = value || '';
+            input.placeholder = placeholder;
+            input.addEventListener('change', () => onChange(input.value.trim()));
+            return input;
+        };
+
+        const createNumberInput = (value, placeholder, onChange) => {
+            const input = document.createElement('input');
+            input.type = 'number';
+            input.min = '0';
+            input.className = 'rule-input';
+            input.value = typeof value === 'number' ? value : '';
+            input.placeholder = placeholder;
+            input.addEventListener('change', () => {
+                const number = parseFloat(input.value);
+                onChange(isNaN(number) || number < 0 ? null : number);
             });
+            return input;
+        };
 
-            playerElement.addEventListener('mouseleave', () => {
-                controlsContainer.style.opacity = '0';
-                controlsContainer.style.pointerEvents = 'none';
+        const createRuleCard = (rule, index) => {
+            const card = document.createElement('div');
+            card.className = `rule-card${rule.enabled === false ? ' disabled' : ''}`;
+
+            const header = document.createElement('div');
+            header.className = 'rule-header';
+
+            const enabledToggle = document.createElement('input');
+            enabledToggle.type = 'checkbox';
+            enabledToggle.checked = rule.enabled !== false;
+            enabledToggle.title = 'Enable rule';
+            enabledToggle.addEventListener('change', () => {
+                rule.enabled = enabledToggle.checked;
+                card.classList.toggle('disabled', !rule.enabled);
+                persistRules();
             });
-        }
 
-        // Create buttons using DOM methods instead of innerHTML
-        const createButton = (emoji, text, title, clickHandler) => {
-            const button = document.createElement('button');
-            button.className = 'timestamp-button';
-            button.title = title;
+            const nameInput = createTextInput(rule.name, 'Rule name', (name) => {
+                rule.name = name || 'Untitled rule';
+                persistRules();
+            });
+            nameInput.classList.add('rule-name');
+
+            const moveRule = (offset) => {
+                const target = index + offset;
+                if (target < 0 || target >= settings.rules.length) return;
+                [settings.rules[index], settings.rules[target]] = [settings.rules[target], settings.rules[index]];
+                persistRules();
+                render();
+            };
+
+            const upButton = document.createElement('button');
+            upButton.className = 'settings-action-button';
+            upButton.textContent = '↑';
+            upButton.title = 'Move up';
+            upButton.disabled = index === 0;
+            upButton.addEventListener('click', () => moveRule(-1));
+
+            const downButton = document.createElement('button');
+            downButton.className = 'settings-action-button';
+            downButton.textContent = '↓';
+            downButton.title = 'Move down';
+            downButton.disabled = index === settings.rules.length - 1;
+            downButton.addEventListener('click', () => moveRule(1));
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'settings-action-button';
+            deleteButton.textContent = '🗑️';
+            deleteButton.title = 'Delete rule';
+            deleteButton.addEventListener('click', () => {
+                settings.rules.splice(index, 1);
+                persistRules();
+                render();
+            });
+
+            header.appendChild(enabledToggle);
+            header.appendChild(nameInput);
+            header.appendChild(upButton);
+            header.appendChild(downButton);
+            header.appendChild(deleteButton);
+
+            // Conditions; empty fields are ignored
+            const conditions = rule.conditions = rule.conditions || {};
+            const updateCondition = (key) => (value) => {
+                conditions[key] = value;
+                persistRules();
+            };
+
+            const conditionGrid = document.createElement('div');
+            conditionGrid.className = 'rule-grid';
 
-            const emojiSpan = document.createElement('span');
-            emojiSpan.className = 'emoji';
-            emojiSpan.textContent = emoji;
+            const patternError = document.createElement('div');
+            patternError.className = 'rule-error';
+            const titleInput = createTextInput(conditions.titlePattern, 'e.g. lecture|podcast', (pattern) => {
+                const error = validateTitlePattern(pattern);
+                patternError.textContent = error ? `Invalid pattern: ${error}` : '';
+                if (error) return;
+                updateCondition('titlePattern')(pattern);
+            });
 
-            button.appendChild(emojiSpan);
-            button.appendChild(document.createTextNode(' ' + text));
+            conditionGrid.appendChild(createField('Channel contains', createTextInput(conditions.channel, 'Any channel', updateCondition('channel'))));
+            conditionGrid.appendChild(createField('Channel id', createTextInput(conditions.channelId, 'e.g. UC...', updateCondition('channelId'))));
+            conditionGrid.appendChild(createField('Title matches (regex)', titleInput));
+            conditionGrid.appendChild(createField('Min length (minutes)', createNumberInput(conditions.minDuration, 'Any', updateCondition('minDuration'))));
+            conditionGrid.appendChild(createField('Max length (minutes)', createNumberInput(conditions.maxDuration, 'Any', updateCondition('maxDuration'))));
+            conditionGrid.appendChild(createField('Playlist id', createTextInput(conditions.playlistId, 'Any playlist', updateCondition('playlistId'))));
+            conditionGrid.appendChild(createField('Category', createTextInput(conditions.category, 'e.g. Education', updateCondition('category'))));
+
+            // Action and its parameters
+            const actionRow = document.createElement('div');
+            actionRow.className = 'rule-grid';
+
+            const actionSelect = document.createElement('select');
+            actionSelect.className = 'modern-select';
+            Object.entries(ruleActions).forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = rule.action === value;
+                actionSelect.appendChild(option);
+            });
 
-            button.addEventListener('click', clickHandler);
-            return button;
+            const rewindField = createField('Rewind (seconds)', createNumberInput(rule.rewindSeconds, '10', (value) => {
+                rule.rewindSeconds = value || 0;
+                persistRules();
+            }));
+            const startWindowField = createField('Skip first (seconds)', createNumberInput(rule.startWindow, '30', (value) => {
+                rule.startWindow = value || 0;
+                persistRules();
+            }));
+            const endWindowField = createField('Skip last (seconds)', createNumberInput(rule.endWindow, '30', (value) => {
+                rule.endWindow = value || 0;
+                persistRules();
+            }));
+
+            const playbackRateInput = createNumberInput(rule.playbackRate, 'Unchanged', (value) => {
+                rule.playbackRate = value || null;
+                persistRules();
+            });
+            playbackRateInput.step = '0.05';
+            const playbackRateField = createField('Speed (e.g. 1.75)', playbackRateInput);
+            const volumeInput = createNumberInput(rule.volume, 'Unchanged', (value) => {
+                rule.volume = value === null ? null : Math.min(100, value);
+                persistRules();
+            });
+            volumeInput.max = '100';
+            const volumeField = createField('Volume (0-100)', volumeInput);
+            const captionsField = createField('Captions (language code or off)', createTextInput(rule.captions, 'Unchanged', (value) => {
+                rule.captions = value;
+                persistRules();
+            }));
+
+            const qualitySelect = document.createElement('select');
+            qualitySelect.className = 'modern-select';
+            [['', 'Unchanged'], ...Object.entries(playbackQualities)].forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                option.selected = (rule.quality || '') === value;
+                qualitySelect.appendChild(option);
+            });
+            qualitySelect.addEventListener('change', () => {
+                rule.quality = qualitySelect.value;
+                persistRules();
+            });
+            const qualityField = createField('Quality', qualitySelect);
+
+            const updateActionFields = () => {
+                rewindField.style.display = rule.action === 'rewind' ? '' : 'none';
+                startWindowField.style.display = rule.action === 'window' ? '' : 'none';
+                endWindowField.style.display = rule.action === 'window' ? '' : 'none';
+                [playbackRateField, volumeField, captionsField, qualityField].forEach(field => {
+                    field.style.display = rule.action === 'playback' ? '' : 'none';
+                });
+            };
+
+            actionSelect.addEventListener('change', () => {
+                rule.action = actionSelect.value;
+                updateActionFields();
+                persistRules();
+            });
+            updateActionFields();
+
+            actionRow.appendChild(createField('Action', actionSelect));
+            actionRow.appendChild(rewindField);
+            actionRow.appendChild(startWindowField);
+            actionRow.appendChild(endWindowField);
+            actionRow.appendChild(playbackRateField);
+            actionRow.appendChild(volumeField);
+            actionRow.appendChild(captionsField);
+            actionRow.appendChild(qualityField);
+
+            card.appendChild(header);
+            card.appendChild(conditionGrid);
+            card.appendChild(patternError);
+            card.appendChild(actionRow);
+            return card;
         };
 
-        // Save button
-        const saveButton = createButton('💾', 'Save Position', 'Save current video position', () => {
-            const video = document.querySelector('video');
-            const videoId = getVideoId();
-            if (video && videoId) {
-                saveTimestamp(videoId, video.currentTime, true);
+        const render = () => {
+            while (list.firstChild) {
+                list.removeChild(list.firstChild);
             }
-        });
 
-        // Restore button
-        const restoreButton = createButton('⏮️', 'Restore', 'Jump to last saved position', () => {
-            const video = document.querySelector('video');
-            const videoId = getVideoId();
-            if (video && videoId) {
-                const savedData = loadTimestamp(videoId);
-                if (savedData) {
-                    video.currentTime = savedData.time;
-                    showNotification(`Jumped back to ${formatTime(savedData.time)}`, '⏮️');
-                } else {
-                    showNotification('No saved position found', '🔍');
-                }
+            if (settings.rules.length === 0) {
+                const empty = document.createElement('div');
+                empty.className = 'library-empty';
+                empty.textContent = 'No rules yet. Without rules every video is saved and resumed using the General settings.';
+                list.appendChild(empty);
             }
-        });
 
-        // Clear button
-        const clearButton = createButton('🗑️', 'Clear Saved', 'Clear saved position for this video', () => {
-            const videoId = getVideoId();
-            if (videoId) {
-                const timestamps = GM_getValue('timestamps', {});
-                delete timestamps[videoId];
-                GM_setValue('timestamps', timestamps);
-                showNotification('Timestamp cleared! 🧹', '✨');
-            }
+            settings.rules.forEach((rule, index) => list.appendChild(createRuleCard(rule, index)));
+            renderStatus();
+        };
+
+        addButton.addEventListener('click', () => {
+            settings.rules.push(createRule());
+            persistRules();
+            render();
         });
 
-        controlsContainer.appendChild(saveButton);
-        controlsContainer.appendChild(restoreButton);
-        controlsContainer.appendChild(clearButton);
+        view.appendChild(status);
+        view.appendChild(list);
+        view.appendChild(addButton);
 
-        const playerControls = document.querySelector('.ytp-right-controls');
-        if (playerControls) {
-            playerControls.parentElement.insertBefore(controlsContainer, playerControls);
+        view.refresh = render;
+        render();
+
+        return view;
+    };
+
+    // Open the settings panel, refreshing any views that mirror stored data
+    const openSettingsUI = (initialTab = null) => {
+        const settingsDiv = createSettingsUI();
+        if (!settingsDiv) return null;
+
+        if (initialTab) {
+            settingsDiv.querySelector(`.settings-tab[data-tab="${initialTab}"]`)?.click();
         }
+
+        settingsDiv.querySelectorAll('.library-view, .rules-view, .storage-view, .eviction-view, .snapshot-view, .undo-view').forEach(view => view.refresh?.());
+        settingsDiv.classList.add('show');
+        return settingsDiv;
     };
 
     const createSettingsUI = () => {
@@ -4810,8 +10143,10 @@
             // Create tabs
             const tabs = [
                 { id: 'general', icon: '⚙️', label: 'General' },
+                { id: 'library', icon: '📚', label: 'Library' },
                 { id: 'appearance', icon: '🎨', label: 'Appearance' },
                 { id: 'timestamps', icon: '⏱️', label: 'Timestamps' },
+                { id: 'rules', icon: '📐', label: 'Rules' },
                 { id: 'notifications', icon: '🔔', label: 'Notifications' },
                 { id: 'hotkeys', icon: '⌨️', label: 'Hotkeys' },
                 { id: 'advanced', icon: '🛠️', label: 'Advanced' }
@@ -5102,37 +10437,80 @@
             const settingCategories = {
                 general: [
                     createSettingOption('autoSave', 'Automatic Position Saving', 'Automatically save your position while watching videos'),
-                    createSettingOption('autoResume', 'Resume from Last Position', 'Automatically resume videos from where you left off'),
+                    createSettingOption('resumeMode', 'Resume from Last Position', 'Resume automatically, ask first with a prompt over the player, or never resume', 'select'),
+                    createSettingOption('askCountdown', 'Resume Prompt Countdown', 'Seconds before the prompt picks its default choice (0 = wait for an answer)', 'time-input'),
+                    createSettingOption('askDefaultAction', 'Resume Prompt Default', 'What the prompt does when the countdown runs out', 'select'),
+                    createSettingOption('resumeRewindMode', 'Rewind on Resume', 'Step back before the saved position, by a fixed amount or more the longer you have been away (a sixth after an hour, half after a day, all of it after a week)', 'select'),
+                    createSettingOption('resumeRewindSeconds', 'Rewind Amount', 'Seconds to step back in fixed mode, or the most a scaled rewind reaches', 'time-input'),
+                    createSettingOption('resumeRewindChapterSnap', 'Rewind to Chapter Start', 'When rewinding, start the current chapter over if it began within two minutes of the saved position'),
+                    createSettingOption('rememberPlaybackRate', 'Remember Playback Speed', 'Save the speed with each video and restore it next time'),
+                    createSettingOption('rememberVolume', 'Remember Volume', 'Save volume and mute with each video and restore them next time'),
+                    createSettingOption('rememberCaptions', 'Remember Captions', 'Save the caption language, or captions being off, with each video'),
+                    createSettingOption('rememberQuality', 'Remember Quality', 'Save a manually chosen quality with each video (automatic quality is left alone)'),
                     createSettingOption('saveOnPause', 'Save When Video is Paused', 'Save your position when the video is paused'),
                     createSettingOption('saveInterval', 'Save Frequency', 'How often to save your position (in seconds)', 'time-input'),
                     createSettingOption('minSaveInterval', 'Minimum Time Between Saves', 'Minimum time in seconds between automatic saves', 'time-input')
                 ],
+                library: [
+                    createSettingOption('library', 'Saved Videos', 'Browse, search and resume every video with a saved position', 'library'),
+                    createSettingOption('archive', 'Archive', 'Evicted and long-finished videos; restore them to saved videos or delete them for good', 'archive')
+                ],
                 appearance: [
                     createSettingOption('themeMode', 'Interface Theme', 'Choose between dark, light, or system theme', 'theme-selector'),
                     createSettingOption('customAccentColor', 'Highlight Color', 'Choose your preferred highlight color for the interface', 'color'),
-                    createSettingOption('blurAmount', 'Background Blur', 'Adjust background blur intensity (0 = disabled)', 'time-input')
+                    createSettingOption('blurAmount', 'Background Blur', 'Adjust background blur intensity (0 = disabled)', 'time-input'),
+                    createSettingOption('thumbnailProgress', 'Progress on Thumbnails', 'Show saved progress on home, search, subscription and sidebar thumbnails'),
+                    createSettingOption('thumbnailBadgeStyle', 'Thumbnail Badge Style', 'Choose how saved progress is drawn on thumbnails', 'select'),
+                    createSettingOption('showBookmarksPanel', 'Bookmarks Panel', 'Show named bookmarks for the current video under the player'),
+                    createSettingOption('showProgressMarkers', 'Seek Bar Markers', 'Mark the saved position and bookmarks on the video progress bar')
+                ],
+                rules: [
+                    createSettingOption('rules', 'Resume Rules', 'Change saving and resuming for videos that match a channel, length, title, playlist or category', 'rules')
                 ],
                 timestamps: [
                     createSettingOption('timestampFormat', 'Timestamp Display Format', 'Format for displaying timestamps', 'format-selector'),
                     createSettingOption('smartTimestampHandling', 'Intelligent Timestamp Handling', 'Intelligently manage timestamp tracking and restoration'),
-                    createSettingOption('removeTimestampFromURL', 'Remove Timestamp from URLs', 'Remove timestamp parameters from YouTube URLs after saving')
+                    createSettingOption('removeTimestampFromURL', 'Remove Timestamp from URLs', 'Remove timestamp parameters from YouTube URLs after saving'),
+                    createSettingOption('completionThreshold', 'Mark as Watched After', 'Percent of a video after which it counts as watched and is no longer resumed', 'time-input'),
+                    createSettingOption('trackShorts', 'Track YouTube Shorts', 'Save and resume positions on /shorts/ videos'),
+                    createSettingOption('trackLive', 'Track Live URLs', 'Save and resume positions on /live/ video links'),
+                    createSettingOption('trackEmbeds', 'Track Embed Pages', 'Save and resume positions on /embed/ player pages opened directly'),
+                    createSettingOption('trackMusic', 'Track YouTube Music', 'Save and resume positions on music.youtube.com')
                 ],
                 notifications: [
                     createSettingOption('enableNotifications', 'Enable Notifications', 'Master switch for all notifications in the script'),
                     createSettingOption('restoreNotifications', 'Video Resume Notifications', 'Show welcome back message when resuming from a saved position'),
                     createSettingOption('notificationDuration', 'Notification Duration', 'How long notifications remain visible (in seconds)', 'time-input'),
+                    createSettingOption('maxVisibleNotifications', 'Visible Notifications', 'How many notifications stack at once; later ones wait their turn', 'time-input'),
                     createSettingOption('notificationPosition', 'Notification Position', 'Choose where notifications appear during video playback or on the YouTube homepage', 'position-picker'),
-                    createSettingOption('notificationSize', 'Notification Size', 'Choose how large notifications appear', 'size-selector')
+                    createSettingOption('notificationSize', 'Notification Size', 'Choose how large notifications appear', 'size-selector'),
+                    createSettingOption('desktopNotifications', 'Desktop Notifications', 'Also notify through the operating system, for example while the video plays in another tab or in Picture-in-Picture', 'select'),
+                    createSettingOption('desktopNotifyRestore', 'Desktop: Position Resumed', 'When a video picks up from its saved position'),
+                    createSettingOption('desktopNotifySaveFailure', 'Desktop: Save Failed', 'When a position could not be written to storage'),
+                    createSettingOption('desktopNotifyStorageFull', 'Desktop: Storage Nearly Full', 'When saved videos approach the storage limit'),
+                    createSettingOption('desktopNotifyFinished', 'Desktop: Video Finished', 'When a video is marked as watched'),
+                    createSettingOption('activityLog', 'Recent Activity', `The last ${activityLogLimit} notifications, including auto-saves and restores that happened quietly`, 'activity-log')
                 ],
                 hotkeys: [
                     createSettingOption('saveHotkey', 'Hotkey: Save Current Position', 'Hotkey for manually saving current position', 'hotkey'),
+                    createSettingOption('bookmarkHotkey', 'Hotkey: Add Bookmark', 'Hotkey for bookmarking the current time', 'hotkey'),
                     createSettingOption('restoreHotkey', 'Hotkey: Restore Saved Position', 'Hotkey for restoring to saved position', 'hotkey'),
                     createSettingOption('settingsHotkey', 'Hotkey: Open Settings Panel', 'Hotkey for opening settings', 'hotkey'),
                     createSettingOption('preset', 'Preset Settings for Browsers', 'Apply pre-defined settings packages', 'preset-selector')
                 ],
                 advanced: [
                     createSettingOption('maxStoredTimestamps', 'Maximum Timestamps Stored', 'Maximum number of timestamps to store (0 = unlimited)', 'number-input'),
+                    createSettingOption('evictionPolicy', 'Eviction Policy', 'Which saved videos make room first when the limit is reached; pinned and bookmarked videos are always kept', 'select'),
+                    createSettingOption('evictionPreview', 'Next to Be Evicted', 'Preview of the saved videos the current policy would remove first', 'eviction-preview'),
+                    createSettingOption('archiveEvicted', 'Archive Evicted Videos', 'Keep evicted videos in the compressed archive instead of deleting them'),
+                    createSettingOption('archiveCompletedAfterDays', 'Archive Finished Videos After', 'Days after finishing before a watched video moves to the archive (0 = never)', 'time-input'),
                     createSettingOption('syncBehavior', 'Timestamp Conflict Resolution', 'How to handle conflicts in timestamp data', 'sync-selector'),
+                    createSettingOption('storageBackend', 'Storage Backend', 'Where saved positions are kept; IndexedDB handles large libraries best. Moving copies everything before switching', 'storage-backend'),
+                    createSettingOption('undoHistory', 'Undo History', 'Recent clears, cleanups, presets, imports, restores and archive deletions in this tab', 'undo-history'),
+                    createSettingOption('snapshotFrequency', 'Automatic Snapshots', 'How often to keep a backup copy of saved videos and settings', 'select'),
+                    createSettingOption('snapshotCount', 'Snapshots to Keep', 'Number of scheduled snapshots kept, plus the same number taken before imports, clears and restores', 'time-input'),
+                    createSettingOption('snapshots', 'Snapshots', 'Compare any snapshot with the current state or restore it', 'snapshots'),
+                    createSettingOption('dataTransfer', 'Backup & Transfer', 'Export saved positions and settings to a JSON file, or import them from another browser', 'data-transfer'),
                     createSettingOption('debugMode', 'Enable Debugging', 'Show detailed debug information in the console')
                 ]
             };
@@ -5176,7 +10554,9 @@
                     content.querySelectorAll('.settings-page').forEach(page => {
                         page.style.display = 'none';
                     });
-                    document.getElementById(`page-${tabId}`).style.display = 'block';
+                    const activePage = document.getElementById(`page-${tabId}`);
+                    activePage.style.display = 'block';
+                    activePage.querySelectorAll('.library-view, .rules-view, .storage-view, .eviction-view, .snapshot-view, .undo-view').forEach(view => view.refresh?.());
                 }
             });
 
@@ -5195,8 +10575,12 @@
 
     // Register settings menu command
     GM_registerMenuCommand('YouTube Timestamp Saver Settings', () => {
-        const settingsDiv = createSettingsUI();
-        settingsDiv.classList.add('show');
+        openSettingsUI();
+    });
+
+    GM_registerMenuCommand('Recent Activity', () => {
+        const settingsDiv = openSettingsUI('notifications');
+        settingsDiv?.querySelector('.activity-view')?.scrollIntoView({ block: 'start' });
     });
 
     // Function to handle initial video load and restoration
@@ -5207,36 +10591,12 @@
         setTimeout(() => {
             try {
             const videoId = getVideoId();
-                const video = document.querySelector('video');
+                const video = getVideoElement();
 
             if (video && videoId) {
                     debug(`Initial video detected: ${videoId}`);
                     currentVideoId = videoId;
-
-                    const savedData = loadTimestamp(videoId);
-
-                    if (savedData && settings.autoResume) {
-                        const currentTime = video.currentTime;
-                        // Use a wider threshold for initial load
-                        if (Math.abs(currentTime - savedData.time) > 3) {
-                            debug(`Initial load: Restoring to saved position: ${formatTime(savedData.time)}`);
-                            video.currentTime = savedData.time;
-
-                            // Force a notification for initial load with a generous delay
-                            if (settings.restoreNotifications) {
-                                debug('Showing initial load notification');
-                                console.log('Showing initial welcome back notification');
-                                
-                                // Use a longer delay for the first load notification
-                                setTimeout(() => {
-                                    console.log(`Attempting to show notification for ${formatTime(savedData.time)}`);
-                                    showNotification(`Welcome back! Resumed from ${formatTime(savedData.time)}`, '⏮️');
-                                }, 3000);
-                            }
-                            } else {
-                            debug(`Initial load: Current time (${formatTime(currentTime)}) is close to saved time (${formatTime(savedData.time)}), not restoring`);
-                        }
-                    }
+                    processVideoTimestamp(videoId, video, true);
             }
         } catch (error) {
                 console.error('Error in initial video load handler:', error);
@@ -5263,6 +10623,17 @@
             updateThemeVariables(isYouTubeDark);
             updateNotificationSettings(isYouTubeDark);
             
+            // Upgrade stored entries before anything reads them
+            migrateTimestampStore();
+            
+            // IndexedDB fills its in-memory index asynchronously; redraw what read it early
+            openTimestampStore().then(() => {
+                takeScheduledSnapshot();
+                archiveCompletedTimestamps();
+                scheduleThumbnailDecoration();
+                renderBookmarksPanel(true);
+            });
+            
             // Run initial video check
             const initialCheck = () => {
                 try {
@@ -5272,7 +10643,7 @@
                         return;
                     }
                     
-                    const video = document.querySelector('video');
+                    const video = getVideoElement();
                     if (!video) {
                         debug('Video element not available yet, will try again');
                         // Set a slightly longer timeout for slower page loads
@@ -5309,6 +10680,30 @@
                 cleanupRegistry.push(observerCleanup.cleanup);
             }
             
+            // Flush batched timestamp writes before the page goes away
+            const persistenceCleanup = setupTimestampPersistence();
+            if (persistenceCleanup && persistenceCleanup.cleanup) {
+                cleanupRegistry.push(persistenceCleanup.cleanup);
+            }
+            
+            // Reconcile timestamp writes made by other tabs
+            const syncCleanup = setupTimestampSync();
+            if (syncCleanup && syncCleanup.cleanup) {
+                cleanupRegistry.push(syncCleanup.cleanup);
+            }
+            
+            // Record videos that play through to the end
+            const completionCleanup = setupCompletionTracking();
+            if (completionCleanup && completionCleanup.cleanup) {
+                cleanupRegistry.push(completionCleanup.cleanup);
+            }
+            
+            // Keep seek bar markers aligned with the player layout
+            const markersCleanup = setupProgressMarkers();
+            if (markersCleanup && markersCleanup.cleanup) {
+                cleanupRegistry.push(markersCleanup.cleanup);
+            }
+            
             // Setup player change detection
             const playerChangesCleanup = observePlayerChanges();
             if (playerChangesCleanup && playerChangesCleanup.cleanup) {
@@ -5351,48 +10746,129 @@
     };
     
     // Function to process video timestamp for a given video
+    // Initial load, SPA navigation and the video check loop all restore through here
+    let lastResumePrompt = { videoId: null, at: 0 };
+
     const processVideoTimestamp = (videoId, video, isInitialLoad = false) => {
         if (!videoId || !video) return;
         
         try {
-                                const savedData = loadTimestamp(videoId);
+            // Retry once the store has loaded instead of treating the video as unsaved
+            if (!timestampBackend.ready) {
+                openTimestampStore().then(() => processVideoTimestamp(videoId, video, isInitialLoad));
+                return;
+            }
+
+            // Several detectors fire for the same page load; only ask once per video.
+            // Plain restores are allowed to repeat since the player may reset the first seek
+            const promptOpen = !!document.querySelector('.yt-timestamp-resume-prompt');
+            if (promptOpen || (lastResumePrompt.videoId === videoId && Date.now() - lastResumePrompt.at < 10000)) {
+                debug(`Resume prompt for ${videoId} already shown`);
+                return;
+            }
+
+            const savedData = loadTimestamp(videoId);
+            const behavior = evaluateRules(getVideoContext(videoId));
+
+            // Speed, volume and captions come back even when the position does not
+            restorePlaybackState(videoId, video, behavior);
 
-            if (!savedData || !settings.autoResume) {
-                debug(`No saved data or auto-resume disabled for ${videoId}`);
+            if (!savedData || !behavior.resume) {
+                debug(`No saved data or resume disabled for ${videoId}`);
                 return;
             }
             
-                                    const currentTime = video.currentTime;
+            const currentTime = video.currentTime;
             // Use wider threshold for initial load
             const threshold = isInitialLoad ? 3 : 5;
             const isNearBeginning = currentTime < threshold;
             
-            if (isNearBeginning && Math.abs(currentTime - savedData.time) > threshold) {
-                debug(`${isInitialLoad ? 'Initial' : 'Normal'} load: Restoring to saved position: ${formatTime(savedData.time)}`);
+            if (!isNearBeginning || Math.abs(currentTime - savedData.time) <= threshold) {
+                debug(`Not restoring: Current time (${formatTime(currentTime)}) is close to saved time (${formatTime(savedData.time)})`);
+                return;
+            }
+
+            const resumeTarget = getResumeTarget(videoId, savedData, behavior);
+            const targetTime = resumeTarget.time;
+
+            const restore = (fromPrompt = false) => {
+                debug(`${isInitialLoad ? 'Initial' : 'Normal'} load: Restoring to saved position: ${formatTime(targetTime)}`);
                 
                 // Set the video position
-                                        video.currentTime = savedData.time;
+                video.currentTime = targetTime;
+                unarchiveOnResume(videoId);
 
-                // Show notification if enabled
-                if (settings.restoreNotifications) {
-                    debug(`Preparing to show restore notification for ${formatTime(savedData.time)}`);
+                if (!fromPrompt) {
+                    sendDesktopNotification('restore', `Resumed from ${formatTime(targetTime)}`, videoId);
+                }
+
+                // The prompt already told the user where playback continues
+                if (settings.restoreNotifications && !fromPrompt) {
+                    debug(`Preparing to show restore notification for ${formatTime(targetTime)}`);
                     
                     // Use appropriate delay based on context
                     const notificationDelay = isInitialLoad ? 3000 : 1500;
+                    let rewindText = '';
+                    if (resumeTarget.chapter) {
+                        rewindText = ` (back ${resumeTarget.rewind}s to the chapter start)`;
+                    } else if (resumeTarget.rewind > 0) {
+                        // Only a scaled rewind depends on the time away
+                        rewindText = behavior.rewind === null && settings.resumeRewindMode === 'scaled'
+                            ? ` (rewound ${resumeTarget.rewind}s after ${formatTimeAway(resumeTarget.away)} away)`
+                            : ` (rewound ${resumeTarget.rewind}s)`;
+                    }
                     
-                                        setTimeout(() => {
+                    setTimeout(() => {
                         // Verify we're still on the same video
                         if (getVideoId() === videoId) {
-                            showNotification(`Welcome back! Resumed from ${formatTime(savedData.time)}`, '⏮️')
+                            showNotification(`Welcome back! Resumed from ${formatTime(targetTime)}${rewindText}`, '⏮️', settings.notificationDuration, {
+                                actions: [{
+                                    id: 'restart',
+                                    label: 'Start over',
+                                    onSelect: () => {
+                                        if (getVideoId() === videoId) video.currentTime = 0;
+                                    }
+                                }]
+                            })
                                 .catch(error => {
                                     debug(`Notification error: ${error.message}`);
                                 });
                         }
                     }, notificationDelay);
+                } else {
+                    recordActivity(`Resumed from ${formatTime(targetTime)}`, '⏮️');
                 }
-                                    } else {
-                debug(`Not restoring: Current time (${formatTime(currentTime)}) is close to saved time (${formatTime(savedData.time)})`);
+            };
+
+            if (!behavior.ask) {
+                restore();
+                return;
             }
+
+            lastResumePrompt = { videoId, at: Date.now() };
+            const { channel, channelId } = getVideoContext(videoId);
+            showResumePrompt({ videoId, targetTime, savedData, channel, channelId }).then(choice => {
+                if (getVideoId() !== videoId) return;
+
+                if (choice === 'always') {
+                    const rule = createRule();
+                    settings.rules = [...settings.rules, {
+                        ...rule,
+                        name: `Always resume ${channel}`,
+                        conditions: { ...rule.conditions, channelId },
+                        action: 'auto-resume'
+                    }];
+                    GM_setValue('ytTimestampSettings', settings);
+                    document.querySelectorAll('.rules-view').forEach(view => view.refresh?.());
+                    showNotification(`${channel} videos will now resume without asking`, '📐');
+                }
+
+                if (choice === 'resume' || choice === 'always') {
+                    restore(true);
+                } else if (choice === 'restart') {
+                    video.currentTime = 0;
+                }
+            });
         } catch (error) {
             console.error(`Error processing timestamp for video ${videoId}:`, error);
         }
@@ -5412,6 +10888,7 @@
         let cachedVideo = null;
         let lastVideoTime = 0;
         let lastVideoPaused = true;
+        let metadataRefreshedFor = null;
         
         // Schedule the next check based on activity level
         const scheduleNextCheck = () => {
@@ -5448,7 +10925,7 @@
                 
                 // Cache video element to avoid repeated DOM queries
                 if (!cachedVideo || !document.contains(cachedVideo)) {
-                    cachedVideo = document.querySelector('video');
+                    cachedVideo = getVideoElement();
                 }
                 
                 // Adjust check count for adaptive intervals
@@ -5467,8 +10944,15 @@
                     if (now - lastSaveAttemptTime < saveAttemptThrottle) return;
                     lastSaveAttemptTime = now;
                     
+                    // Backfill metadata once the player has loaded this video
+                    if (metadataRefreshedFor !== videoId && refreshEntryMetadata(videoId)) {
+                        metadataRefreshedFor = videoId;
+                    }
+
                     // Only process meaningful state changes
                     if (cachedVideo) {
+                        checkVideoCompletion(videoId, cachedVideo);
+
                         const currentTime = Math.floor(cachedVideo.currentTime);
                         const isPaused = cachedVideo.paused;
                         
@@ -5478,10 +10962,8 @@
                         
                         if ((timeChanged || playStateChanged) && 
                             !isPaused && currentTime > 0) {
-                            // Only save if in the meaningful part of the video
-                            if (currentTime > 30 && currentTime < cachedVideo.duration - 30) {
-                                saveTimestamp(videoId, currentTime);
-                            }
+                            // saveTimestamp skips the start/end windows set by the rules
+                            saveTimestamp(videoId, currentTime);
                         }
                         
                         // Update cached state
@@ -5529,17 +11011,14 @@
                 
                 // Reuse cached video element when possible
                 if (!cachedVideo || !document.contains(cachedVideo)) {
-                    cachedVideo = document.querySelector('video');
+                    cachedVideo = getVideoElement();
                 }
                 
-                // Only save if video is actively playing
-                if (cachedVideo && cachedVideo.currentTime > 0 && !cachedVideo.paused) {
-                    const currentTime = cachedVideo.currentTime;
-                    // Skip very beginning and end of videos
-                    if (currentTime > 30 && currentTime < cachedVideo.duration - 30) {
-                        saveTimestamp(videoId, currentTime, false);
-                        lastSaveTime = now;
-                    }
+                // Only save if video is actively playing, and not while an ad plays in it
+                if (cachedVideo && cachedVideo.currentTime > 0 && !cachedVideo.paused && !isAdPlaying()) {
+                    // saveTimestamp skips the start/end windows set by the rules
+                    saveTimestamp(videoId, cachedVideo.currentTime, false);
+                    lastSaveTime = now;
                 }
             } catch (error) {
                 console.error('Error in auto-save interval:', error);
@@ -5572,34 +11051,11 @@
         try {
                 // Check for Escape key to dismiss notifications
                 if (e.key === 'Escape') {
-                    const notification = notificationContainer;
-                    if (notification && document.body.contains(notification) && 
-                        notification.style.display !== 'none' && 
-                        notification.style.opacity !== '0') {
-                        
+                    // Dismiss the newest notification, one per press
+                    const newest = activeNotifications[activeNotifications.length - 1];
+                    if (newest) {
                         debug('Dismissing notification with Escape key');
-                        
-                        // Clear any existing timeout
-                        if (notificationTimeout) {
-                            clearTimeout(notificationTimeout);
-                            notificationTimeout = null;
-                        }
-                        
-                        // Hide with quick animation
-                        notification.style.transition = 'all 150ms cubic-bezier(0.4, 0, 0.2, 1)';
-                        notification.style.opacity = '0';
-                        notification.style.transform = 'translateZ(0) translateY(-10px) scale(0.96)';
-                        
-                        // Clean up after animation
-                        setTimeout(() => {
-                            notification.style.display = 'none';
-                            // Reset progress bar
-                            const progressBar = notification.querySelector('.notification-progress');
-                            if (progressBar) {
-                                progressBar.style.transition = 'none';
-                                progressBar.style.width = '100%';
-                            }
-                        }, 150);
+                        dismissNotification(newest, null, true);
                         
                         // Prevent default only if we actually dismissed a notification
                         e.preventDefault();
@@ -5619,19 +11075,23 @@
 
             if (settings.saveHotkey && keyString === settings.saveHotkey) {
                 e.preventDefault();
-                const video = document.querySelector('video');
+                const video = getVideoElement();
                 const videoId = getVideoId();
                 if (video && videoId) {
                     saveTimestamp(videoId, video.currentTime, true);
                 }
+            } else if (settings.bookmarkHotkey && keyString === settings.bookmarkHotkey) {
+                e.preventDefault();
+                bookmarkCurrentPosition();
             } else if (settings.restoreHotkey && keyString === settings.restoreHotkey) {
                 e.preventDefault();
-                const video = document.querySelector('video');
+                const video = getVideoElement();
                 const videoId = getVideoId();
                 if (video && videoId) {
                     const savedData = loadTimestamp(videoId);
                     if (savedData) {
                         video.currentTime = savedData.time;
+                        unarchiveOnResume(videoId);
                             showNotification(`Jumped back to ${formatTime(savedData.time)}`, '⏮️')
                                 .catch(error => debug(`Error showing restore hotkey notification: ${error.message}`));
                         } else {
@@ -5641,8 +11101,7 @@
             } else if (settings.settingsHotkey && keyString === settings.settingsHotkey) {
                 e.preventDefault();
                     debug('Opening settings via hotkey');
-                const settingsDiv = createSettingsUI();
-                settingsDiv.classList.add('show');
+                openSettingsUI();
             }
         } catch (error) {
                 console.error('Error handling keyboard shortcut:', error);
@@ -5652,6 +11111,401 @@
         debug('Keyboard shortcuts configured');
     };
     
+    // Bookmarks Panel
+    // Lists the current video's bookmarks under the player with seek, edit and delete
+    const renderBookmarksPanel = (force = false) => {
+        const existingPanel = document.querySelector('.yt-timestamp-bookmarks-panel');
+        const videoId = getVideoId();
+        const host = document.querySelector('ytd-watch-flexy #below, ytd-watch-flexy #primary-inner');
+
+        if (!settings.showBookmarksPanel || !videoId || !host) {
+            existingPanel?.remove();
+            return;
+        }
+
+        // YouTube re-renders #below on navigation, so re-mount when the panel was dropped
+        if (!force && existingPanel && existingPanel.dataset.videoId === videoId && host.contains(existingPanel)) return;
+
+        const panel = existingPanel && host.contains(existingPanel) ? existingPanel : document.createElement('div');
+        panel.className = 'yt-timestamp-bookmarks-panel';
+        panel.dataset.videoId = videoId;
+        while (panel.firstChild) {
+            panel.removeChild(panel.firstChild);
+        }
+
+        const bookmarks = getBookmarks(videoId);
+
+        const header = document.createElement('div');
+        header.className = 'bookmarks-header';
+        const heading = document.createElement('span');
+        heading.className = 'bookmarks-title';
+        heading.textContent = `🔖 Bookmarks (${bookmarks.length})`;
+        header.appendChild(heading);
+        panel.appendChild(header);
+
+        const list = document.createElement('div');
+        list.className = 'bookmarks-list';
+
+        if (bookmarks.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'bookmarks-empty';
+            empty.textContent = 'No bookmarks yet. Add one below to mark a moment in this video.';
+            list.appendChild(empty);
+        }
+
+        bookmarks.forEach(bookmark => {
+            const item = document.createElement('div');
+            item.className = 'bookmark-item';
+
+            const seekChip = document.createElement('button');
+            seekChip.className = 'bookmark-time';
+            seekChip.textContent = formatTime(bookmark.time);
+            seekChip.title = `Jump to ${formatTime(bookmark.time)}`;
+            seekChip.addEventListener('click', () => {
+                const video = getVideoElement();
+                if (video) {
+                    video.currentTime = bookmark.time;
+                }
+            });
+
+            const fields = document.createElement('div');
+            fields.className = 'bookmark-fields';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'bookmark-name';
+            nameInput.value = bookmark.name;
+            nameInput.addEventListener('change', () => {
+                const name = nameInput.value.trim() || `Bookmark at ${formatTime(bookmark.time)}`;
+                nameInput.value = name;
+                updateBookmark(videoId, bookmark.id, { name });
+            });
+
+            const noteInput = document.createElement('input');
+            noteInput.type = 'text';
+            noteInput.className = 'bookmark-note';
+            noteInput.placeholder = 'Add a note...';
+            noteInput.value = bookmark.note || '';
+            noteInput.addEventListener('change', () => {
+                updateBookmark(videoId, bookmark.id, { note: noteInput.value.trim() });
+            });
+
+            fields.appendChild(nameInput);
+            fields.appendChild(noteInput);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'bookmark-delete';
+            deleteButton.textContent = '✕';
+            deleteButton.title = 'Delete bookmark';
+            deleteButton.addEventListener('click', () => {
+                removeBookmark(videoId, bookmark.id);
+                renderBookmarksPanel(true);
+            });
+
+            item.appendChild(seekChip);
+            item.appendChild(fields);
+            item.appendChild(deleteButton);
+            list.appendChild(item);
+        });
+
+        panel.appendChild(list);
+
+        // Add form; the bookmark is taken at the current playback position
+        const form = document.createElement('form');
+        form.className = 'bookmark-form';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.className = 'bookmark-name';
+        nameInput.placeholder = 'Bookmark name (optional)';
+
+        const noteInput = document.createElement('input');
+        noteInput.type = 'text';
+        noteInput.className = 'bookmark-note';
+        noteInput.placeholder = 'Note (optional)';
+
+        const addButton = document.createElement('button');
+        addButton.type = 'submit';
+        addButton.className = 'settings-action-button primary';
+        addButton.textContent = 'Add at current time';
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const video = getVideoElement();
+            if (!video) return;
+            const bookmark = addBookmark(videoId, video.currentTime, nameInput.value, noteInput.value);
+            if (bookmark) {
+                showNotification(`Bookmarked ${formatTime(bookmark.time)}`, '🔖');
+                renderBookmarksPanel(true);
+            }
+        });
+
+        form.appendChild(nameInput);
+        form.appendChild(noteInput);
+        form.appendChild(addButton);
+        panel.appendChild(form);
+
+        if (!host.contains(panel)) {
+            host.insertBefore(panel, host.firstChild);
+        }
+    };
+
+    // Bookmark the current position from the quick controls or hotkey
+    const bookmarkCurrentPosition = () => {
+        const video = getVideoElement();
+        const videoId = getVideoId();
+        if (!video || !videoId) return;
+
+        const bookmark = addBookmark(videoId, video.currentTime);
+        if (bookmark) {
+            showNotification(`Bookmarked ${formatTime(bookmark.time)}`, '🔖')
+                .catch(error => debug(`Error showing bookmark notification: ${error.message}`));
+            renderBookmarksPanel(true);
+        }
+    };
+
+    // Playlist Banner
+    // Offers to continue a playlist from the last saved video when its page is opened
+    const dismissedPlaylistBanners = new Set();
+
+    const renderPlaylistBanner = () => {
+        const existingBanner = document.querySelector('.yt-timestamp-playlist-banner');
+        const listId = getPlaylistPageId();
+        const playlist = listId ? readPlaylists()[listId] : null;
+        const host = document.querySelector('ytd-browse[page-subtype="playlist"] #primary, ytd-browse[page-subtype="playlist"]');
+
+        if (!playlist || !host || dismissedPlaylistBanners.has(`${listId}:${playlist.updatedAt}`)) {
+            existingBanner?.remove();
+            return;
+        }
+
+        const bannerKey = `${listId}:${playlist.updatedAt}`;
+        if (existingBanner && existingBanner.dataset.bannerKey === bannerKey && host.contains(existingBanner)) return;
+        existingBanner?.remove();
+
+        const timestamps = readTimestamps();
+        const entry = timestamps[playlist.videoId];
+
+        const banner = document.createElement('div');
+        banner.className = 'yt-timestamp-playlist-banner';
+        banner.dataset.bannerKey = bannerKey;
+
+        const info = document.createElement('div');
+        info.className = 'playlist-banner-info';
+
+        const heading = document.createElement('div');
+        heading.className = 'playlist-banner-title';
+        heading.textContent = 'Continue playlist where you left off';
+
+        const detail = document.createElement('div');
+        detail.className = 'playlist-banner-detail';
+        const videoTitle = entry?.title || playlist.videoId;
+        detail.textContent = `${playlist.index ? `#${playlist.index} ` : ''}${videoTitle} at ${formatTime(playlist.time)} • ${describePlaylistStats(getPlaylistStats(playlist, timestamps))}`;
+
+        info.appendChild(heading);
+        info.appendChild(detail);
+
+        const continueLink = document.createElement('a');
+        continueLink.className = 'library-resume';
+        continueLink.href = buildResumeUrl(playlist.videoId, playlist.time, listId, playlist.index);
+        continueLink.textContent = '▶ Continue';
+
+        const dismissButton = document.createElement('button');
+        dismissButton.className = 'bookmark-delete';
+        dismissButton.textContent = '✕';
+        dismissButton.title = 'Dismiss';
+        dismissButton.addEventListener('click', () => {
+            dismissedPlaylistBanners.add(bannerKey);
+            banner.remove();
+        });
+
+        banner.appendChild(info);
+        banner.appendChild(continueLink);
+        banner.appendChild(dismissButton);
+        host.insertBefore(banner, host.firstChild);
+        debug(`Showing continue banner for playlist ${listId}`);
+    };
+
+    // Progress Bar Markers
+    // Clickable ticks on the seek bar for the resume point and each bookmark
+    const renderProgressMarkers = (force = false) => {
+        const progressBar = document.querySelector('#movie_player .ytp-progress-bar, .ytp-progress-bar');
+        const existingLayer = document.querySelector('.yt-timestamp-marker-layer');
+        const videoId = getVideoId();
+        const video = getVideoElement();
+        const duration = video?.duration;
+
+        if (!settings.showProgressMarkers || !videoId || !progressBar || !duration || !isFinite(duration)) {
+            existingLayer?.remove();
+            return;
+        }
+
+        const entry = readTimestamp(videoId);
+        const marks = [];
+        if (entry?.time > 0) {
+            marks.push({ type: 'resume', time: entry.time, label: `Resume point · ${formatTime(entry.time)}` });
+        }
+        (entry?.bookmarks || []).forEach(bookmark => {
+            marks.push({ type: 'bookmark', time: bookmark.time, label: `${bookmark.name} · ${formatTime(bookmark.time)}` });
+        });
+
+        // Skip the rebuild while nothing visible changed and YouTube kept our layer
+        const markerKey = `${videoId}:${Math.round(duration)}:${marks.map(mark => `${mark.type}${Math.floor(mark.time)}${mark.label}`).join('|')}`;
+        if (!force && existingLayer && progressBar.contains(existingLayer) && existingLayer.dataset.markerKey === markerKey) return;
+
+        existingLayer?.remove();
+        if (marks.length === 0) return;
+
+        const layer = document.createElement('div');
+        layer.className = 'yt-timestamp-marker-layer';
+        layer.dataset.markerKey = markerKey;
+
+        marks.forEach(mark => {
+            const marker = document.createElement('div');
+            marker.className = `yt-timestamp-marker ${mark.type}`;
+            marker.style.left = `${Math.min(100, (mark.time / duration) * 100)}%`;
+
+            const tooltip = document.createElement('div');
+            tooltip.className = 'yt-timestamp-marker-tooltip';
+            tooltip.textContent = mark.label;
+            marker.appendChild(tooltip);
+
+            // YouTube scrubs on mousedown, so keep the press from reaching the bar
+            marker.addEventListener('mousedown', (e) => e.stopPropagation());
+            marker.addEventListener('click', (e) => {
+                e.stopPropagation();
+                const currentVideo = getVideoElement();
+                if (currentVideo) {
+                    currentVideo.currentTime = mark.time;
+                    debug(`Seeked to ${mark.type} marker at ${formatTime(mark.time)}`);
+                }
+            });
+
+            layer.appendChild(marker);
+        });
+
+        progressBar.appendChild(layer);
+    };
+
+    // Re-render markers when the player layout changes size
+    const setupProgressMarkers = () => {
+        const rerender = () => requestAnimationFrame(() => renderProgressMarkers(true));
+
+        document.addEventListener('fullscreenchange', rerender);
+        document.addEventListener('webkitfullscreenchange', rerender);
+        window.addEventListener('resize', rerender);
+
+        // Duration becomes known (or changes after an ad) on loadedmetadata
+        const handleMetadata = (e) => {
+            if (e.target instanceof HTMLVideoElement) rerender();
+        };
+        document.addEventListener('loadedmetadata', handleMetadata, true);
+
+        // Theater and miniplayer toggles flip attributes on the watch container
+        const layoutObserver = new MutationObserver(rerender);
+        const watchFlexy = document.querySelector('ytd-watch-flexy');
+        if (watchFlexy) {
+            layoutObserver.observe(watchFlexy, { attributes: true, attributeFilter: ['theater', 'fullscreen'] });
+        }
+
+        return {
+            cleanup: () => {
+                document.removeEventListener('fullscreenchange', rerender);
+                document.removeEventListener('webkitfullscreenchange', rerender);
+                window.removeEventListener('resize', rerender);
+                document.removeEventListener('loadedmetadata', handleMetadata, true);
+                layoutObserver.disconnect();
+            }
+        };
+    };
+
+    // Thumbnail Decorator
+    // Draws saved progress on feed, search and sidebar thumbnails for videos in the store
+    let thumbnailDecorationTimeout = null;
+
+    const removeThumbnailOverlay = (thumbnail) => {
+        thumbnail.querySelector(':scope > .yt-timestamp-thumb-overlay')?.remove();
+        thumbnail.classList.remove('yt-timestamp-thumb-host');
+        delete thumbnail.dataset.ytTimestampDecoration;
+    };
+
+    const decorateThumbnails = () => {
+        const thumbnails = document.querySelectorAll('ytd-thumbnail, yt-thumbnail-view-model');
+
+        if (!settings.thumbnailProgress) {
+            document.querySelectorAll('.yt-timestamp-thumb-host').forEach(removeThumbnailOverlay);
+            return;
+        }
+
+        let decorated = 0;
+
+        // Runs on every poll, so look entries up in the cache instead of copying the whole store
+        thumbnails.forEach(thumbnail => {
+            const link = thumbnail.querySelector('a#thumbnail, a[href]') || thumbnail.closest('a[href]');
+            const parsed = link ? parseYouTubeUrl(link.getAttribute('href')) : null;
+            const entry = parsed ? readTimestamp(parsed.videoId) : null;
+
+            // YouTube draws its own resume bar when it remembers the video
+            const hasNativeProgress = !!thumbnail.querySelector('ytd-thumbnail-overlay-resume-playback-renderer, yt-thumbnail-overlay-progress-bar-view-model');
+
+            if (!entry || !entry.time || hasNativeProgress) {
+                if (thumbnail.dataset.ytTimestampDecoration) {
+                    removeThumbnailOverlay(thumbnail);
+                }
+                return;
+            }
+
+            // Thumbnails are recycled while scrolling, so key the decoration on what it shows
+            const finished = isEntryFinished(entry);
+            const decorationKey = `${parsed.videoId}:${Math.floor(entry.time)}:${finished}:${settings.thumbnailBadgeStyle}`;
+            if (thumbnail.dataset.ytTimestampDecoration === decorationKey) return;
+
+            removeThumbnailOverlay(thumbnail);
+
+            const overlay = document.createElement('div');
+            overlay.className = 'yt-timestamp-thumb-overlay';
+
+            if (settings.thumbnailBadgeStyle !== 'bar') {
+                const badge = document.createElement('div');
+                badge.className = 'yt-timestamp-thumb-badge';
+                badge.textContent = finished ? '✓ Watched' : `▶ Resume at ${formatTime(entry.time)}`;
+                overlay.appendChild(badge);
+            }
+
+            if (settings.thumbnailBadgeStyle !== 'badge') {
+                const bar = document.createElement('div');
+                bar.className = 'yt-timestamp-thumb-bar';
+                const fill = document.createElement('div');
+                fill.className = 'yt-timestamp-thumb-bar-fill';
+                fill.style.width = finished ? '100%' : `${Math.max(2, Math.round(getEntryProgress(entry) * 100))}%`;
+                bar.appendChild(fill);
+                overlay.appendChild(bar);
+            }
+
+            thumbnail.classList.add('yt-timestamp-thumb-host');
+            thumbnail.appendChild(overlay);
+            thumbnail.dataset.ytTimestampDecoration = decorationKey;
+            decorated++;
+        });
+
+        if (decorated > 0) {
+            debug(`Decorated ${decorated} thumbnails with saved progress`);
+        }
+    };
+
+    // Debounced entry point used by the DOM observers
+    const scheduleThumbnailDecoration = () => {
+        if (thumbnailDecorationTimeout) return;
+        thumbnailDecorationTimeout = setTimeout(() => {
+            thumbnailDecorationTimeout = null;
+            try {
+                decorateThumbnails();
+            } catch (error) {
+                console.error('Error decorating thumbnails:', error);
+            }
+        }, 400);
+    };
+
     // Add observer for YouTube's SPA navigation
     const setupMutationObserver = () => {
         debug('Setting up enhanced MutationObserver for YouTube navigation');
@@ -5684,66 +11538,19 @@
                 if (videoId) {
                     debug(`Processing navigation to video: ${videoId}`);
                     
-                    // Reset notification state
-                    if (notificationContainer && document.body.contains(notificationContainer)) {
-                        debug('Resetting notification state during navigation');
-                        notificationContainer.classList.remove('show');
-                        
-                        if (notificationTimeout) {
-                            clearTimeout(notificationTimeout);
-                            notificationTimeout = null;
-                        }
-                        
-                        if (notificationAnimationFrame) {
-                            cancelAnimationFrame(notificationAnimationFrame);
-                            notificationAnimationFrame = null;
-                        }
-                    }
+                    // Notifications keep their own lifetimes across navigation; only the layout changes
+                    repositionNotifications();
                     
                     // Use a delay to ensure video player is fully initialized
                     navigationTimerId = setTimeout(() => {
-                        const video = document.querySelector('video');
+                        const video = getVideoElement();
                         
                         if (!video) {
                             debug('No video element found after navigation delay');
                             return;
                         }
                         
-                        const savedData = loadTimestamp(videoId);
-                        
-                        if (!savedData || !settings.autoResume) {
-                            debug('No saved timestamp or auto-resume disabled');
-                            return;
-                        }
-                        
-                        const currentTime = video.currentTime;
-                        
-                        // Only restore if the current time is near the beginning
-                        // and significantly different from the saved time
-                        if (currentTime < 5 && Math.abs(currentTime - savedData.time) > 3) {
-                            debug(`SPA navigation: Restoring to saved position ${formatTime(savedData.time)}`);
-                            
-                            // Set the time
-                            video.currentTime = savedData.time;
-                            
-                            // Show notification with a delay to ensure it appears after the seek is complete
-                            if (settings.restoreNotifications) {
-                                debug('Preparing to show restore notification after navigation');
-                                
-                                setTimeout(() => {
-                                    // Double-check that we're still on the same video
-                                    if (getVideoId() === videoId) {
-                                        debug(`Showing restore notification for ${formatTime(savedData.time)}`);
-                                        showNotification(`Welcome back! Resumed from ${formatTime(savedData.time)}`, '⏮️')
-                                            .catch(error => debug(`Navigation notification error: ${error.message}`));
-                                    } else {
-                                        debug('Navigation changed before notification could be shown');
-                                    }
-                                }, 1500);
-                            }
-                        } else {
-                            debug(`Not restoring: Current time ${formatTime(currentTime)}, Saved time ${formatTime(savedData.time)}`);
-                        }
+                        processVideoTimestamp(videoId, video, false);
                     }, 1200); // Increased timeout for reliable player initialization
                 }
             }
@@ -5782,6 +11589,11 @@
                 debug('Significant DOM change detected');
                 handleNavigationChange();
             }
+
+            // New feed items arrive as added nodes; decorate them in batches
+            if (settings.thumbnailProgress && mutations.some(mutation => mutation.addedNodes.length > 0)) {
+                scheduleThumbnailDecoration();
+            }
         });
         
         // Observe main content areas where navigation changes would be visible
@@ -5818,6 +11630,18 @@
                 debug('URL change detected in polling interval');
                 handleNavigationChange();
             }
+
+            // Recycled thumbnails change their link without adding nodes
+            if (settings.thumbnailProgress) {
+                scheduleThumbnailDecoration();
+            }
+
+            // Keep the bookmarks panel and seek bar markers on the current video
+            renderBookmarksPanel();
+            renderProgressMarkers();
+
+            // Playlist pages get a continue banner
+            renderPlaylistBanner();
         }, 2000);
         
         // Run an initial check
@@ -5834,12 +11658,44 @@
                 contentObserver.disconnect();
                 clearInterval(urlCheckInterval);
                 if (navigationTimerId) clearTimeout(navigationTimerId);
+                if (thumbnailDecorationTimeout) clearTimeout(thumbnailDecorationTimeout);
                 window.removeEventListener('popstate', handleNavigationChange);
                 window.removeEventListener('hashchange', handleNavigationChange);
             }
         };
     };
     
+    // Loaded by the tests in test/ rather than a userscript manager: hand over the internals
+    // they exercise instead of starting on the page
+    if (typeof module === 'object' && module?.exports) {
+        module.exports = {
+            settings,
+            normalizeSettings,
+            parseYouTubeUrl,
+            lzwCompress,
+            lzwDecompress,
+            parseImportData,
+            buildImportPreview,
+            migrateTimestampStore,
+            evaluateRules,
+            getEvictionOrder,
+            readTimestamps,
+            commitTimestampChanges,
+            flushTimestampWrites,
+            reconcileRemoteTimestamps,
+            setupTimestampSync,
+            readArchive,
+            archiveTimestamps,
+            restoreFromArchive,
+            commitArchiveChanges,
+            runUndoable,
+            undoAction,
+            recordPlaylistProgress,
+            readPlaylists
+        };
+        return;
+    }
+
     // Start the system
     initializeSystem();
 })();